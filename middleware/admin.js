@@ -3,5 +3,9 @@ module.exports = function(req, res, next) {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Access denied. Admin role required.' });
   }
+  // API keys of admin accounts also need the admin scope
+  if (req.apiKey && !(req.apiKey.permissions || []).includes('admin')) {
+    return res.status(403).json({ message: 'API key lacks the admin permission' });
+  }
   next();
-}; 
\ No newline at end of file
+};
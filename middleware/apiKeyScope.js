@@ -0,0 +1,15 @@
+// Require API key requests to carry one of the given scopes (read, write,
+// delete, admin) on top of the one their method needs. Logged-in users pass.
+module.exports = function(...scopes) {
+  return function(req, res, next) {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const permissions = req.apiKey.permissions || [];
+    if (!permissions.includes('admin') && !scopes.some(scope => permissions.includes(scope))) {
+      return res.status(403).json({ message: `API key lacks the ${scopes.join(' or ')} permission` });
+    }
+    next();
+  };
+};
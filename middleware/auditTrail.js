@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const AuditService = require('../services/auditService');
+
+const auditService = new AuditService();
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Find the record a request targets from the first ObjectId in its path.
+// `model` covers ids directly under the mount point (/:id), `models` maps the
+// path segment before an id to its model (e.g. { invoice: InvoiceValidation }).
+const resolveTarget = (reqPath, { model, models = {} }) => {
+  const segments = reqPath.split('/').filter(Boolean);
+  const index = segments.findIndex(segment => /^[a-f0-9]{24}$/i.test(segment));
+  if (index === -1) {
+    return null;
+  }
+
+  const targetModel = index === 0 ? model : models[segments[index - 1]];
+  return targetModel ? { model: targetModel, id: segments[index] } : null;
+};
+
+// Pick the id of a created record out of a JSON response body
+const findCreatedId = (body) => {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  const candidates = [body, body.data, ...Object.values(body), ...Object.values(body.data || {})];
+  for (const candidate of candidates) {
+    if (candidate && typeof candidate === 'object') {
+      const id = candidate._id || candidate.id;
+      if (id && mongoose.isValidObjectId(id)) {
+        return id;
+      }
+    }
+  }
+  return null;
+};
+
+const loadSnapshot = async (target) => {
+  if (!target) {
+    return null;
+  }
+  try {
+    return await target.model.findById(target.id).lean();
+  } catch (error) {
+    console.error('❌ Error loading audit snapshot:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Record every mutating request under a router in the AuditTrail collection.
+ * Routes can override what is stored by setting res.locals.audit
+ * ({ action, entityId, before, after, details, metadata }).
+ * @param {Object} options - { entityType, model, models }
+ * @returns {Function} Express middleware
+ */
+module.exports = function(options = {}) {
+  return async function(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const target = resolveTarget(req.path, options);
+    const before = await loadSnapshot(target);
+
+    // Capture the JSON response to find ids of created records
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      const override = res.locals.audit || {};
+      const entityId = override.entityId || target?.id ||
+        (req.method === 'POST' ? findCreatedId(responseBody) : null);
+
+      // For creates the record is only known once the response is sent
+      let afterTarget = target;
+      if (!afterTarget && entityId && options.model) {
+        afterTarget = { model: options.model, id: entityId };
+      }
+      const after = override.after !== undefined ? override.after : await loadSnapshot(afterTarget);
+      const action = override.action ||
+        `${req.method} ${req.baseUrl}${req.path.replace(/[a-f0-9]{24}/gi, ':id').replace(/\/$/, '')}`;
+
+      await auditService.record({
+        user: req.user?.id || req.user?._id,
+        action,
+        entityType: options.entityType,
+        entityId,
+        details: override.details || `${req.method} ${req.originalUrl} -> ${res.statusCode}`,
+        status: auditService.statusFromCode(res.statusCode),
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get('User-Agent'),
+        before: override.before !== undefined ? override.before : before,
+        after,
+        metadata: {
+          body: req.body,
+          query: req.query,
+          ...(req.apiKey ? { apiKeyId: req.apiKey._id, apiKeyName: req.apiKey.name } : {}),
+          ...(override.metadata || {})
+        }
+      });
+    });
+
+    next();
+  };
+};
@@ -1,7 +1,48 @@
 const jwt = require('jsonwebtoken');
+const SessionService = require('../services/sessionService');
+const ApiKeyService = require('../services/apiKeyService');
 
-module.exports = function(req, res, next) {
+const sessionService = new SessionService();
+const apiKeyService = new ApiKeyService();
+
+// Authenticate a machine client by API key; req.user becomes the account the key acts as
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const result = await apiKeyService.authenticate(key, { ip: req.ip, method: req.method });
+    if (result.rate) {
+      res.set({
+        'X-RateLimit-Limit': String(result.rate.limit),
+        'X-RateLimit-Remaining': String(result.rate.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(result.rate.resetAt.getTime() / 1000))
+      });
+    }
+
+    if (!result.success) {
+      console.log('❌ API key rejected:', result.message);
+      if (result.statusCode === 429) {
+        res.set('Retry-After', String(Math.max(Math.ceil((result.rate.resetAt.getTime() - Date.now()) / 1000), 1)));
+      }
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    req.user = { id: String(result.user._id), role: result.user.role };
+    req.apiKey = result.apiKey;
+    console.log(`🔑 API key ${result.apiKey.name} authenticated as user ${req.user.id}`);
+    next();
+  } catch (err) {
+    console.error('❌ API key check error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = async function(req, res, next) {
   console.log('🔐 Auth middleware called for:', req.method, req.path);
+
+  // Machine clients send an API key instead of a JWT
+  const apiKey = apiKeyService.getKeyFromRequest(req);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
   
   // Get token from header - support both x-auth-token and Authorization Bearer
   let token = req.header('x-auth-token');
@@ -24,8 +65,9 @@ module.exports = function(req, res, next) {
   }
 
   // Verify token
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('✅ Token verified');
     console.log('🔍 Decoded token structure:', JSON.stringify(decoded, null, 2));
     console.log('🔍 Decoded.user:', decoded.user);
@@ -44,9 +86,46 @@ module.exports = function(req, res, next) {
     }
     
     console.log('🔍 Final req.user:', req.user);
-    next();
   } catch (err) {
     console.log('❌ Token verification failed:', err.message);
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  // The token must belong to an active session (logout and deactivation revoke it)
+  try {
+    const check = await sessionService.verifyToken(decoded);
+    if (!check.valid) {
+      console.log('❌ Session check failed:', check.reason);
+      return res.status(401).json({ message: check.reason });
+    }
+    req.sessionId = decoded.sid;
+    req.tokenPayload = decoded;
+  } catch (err) {
+    console.error('❌ Session check error:', err.message);
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  next();
+};
+
+/**
+ * Check again that an authenticated request's credentials are still valid,
+ * for connections that stay open (the token may expire, the session be
+ * logged out or the API key revoked after the request was authenticated)
+ * @param {Object} req - Request that passed this middleware
+ * @returns {Promise<Object>} { valid, reason }
+ */
+module.exports.recheck = async (req) => {
+  if (req.apiKey) {
+    return apiKeyService.verifyKey(req.apiKey._id);
+  }
+
+  const decoded = req.tokenPayload;
+  if (!decoded) {
+    return { valid: false, reason: 'Not authenticated' };
+  }
+  if (decoded.exp && decoded.exp * 1000 <= Date.now()) {
+    return { valid: false, reason: 'Token has expired' };
   }
-}; 
\ No newline at end of file
+  return sessionService.verifyToken(decoded);
+};
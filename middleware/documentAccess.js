@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { Document, ImportDocument } = require('../schemas');
+const AccessControlService = require('../services/accessControlService');
+
+const accessControlService = new AccessControlService();
+
+const MODELS = {
+  document: Document,
+  importDocument: ImportDocument
+};
+
+// Load the document in req.params.id and check the action on it.
+// Use after auth; the loaded document is left in req.document.
+module.exports = function(action, resourceType = 'document') {
+  return async function(req, res, next) {
+    try {
+      const document = mongoose.isValidObjectId(req.params.id)
+        ? await MODELS[resourceType].findById(req.params.id)
+        : null;
+      if (!document) {
+        return res.status(404).json({ message: 'Document not found' });
+      }
+
+      const access = await accessControlService.check(req.user, document, action, resourceType);
+      if (!access.allowed) {
+        console.log(`❌ ${action} denied on ${resourceType} ${req.params.id} for user ${req.user.id}: ${access.reason}`);
+        return res.status(403).json({ message: `Not authorized to ${action} this document`, reason: access.reason });
+      }
+
+      req.document = document;
+      req.access = access;
+      next();
+    } catch (error) {
+      console.error('❌ Document access check error:', error.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
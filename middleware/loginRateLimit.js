@@ -0,0 +1,28 @@
+const rateLimit = require('express-rate-limit');
+
+// Failed login attempts allowed per window, per client IP and per account.
+// Successful logins do not count.
+const windowMs = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000));
+
+const ipLimiter = rateLimit({
+  windowMs,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX_PER_IP || '20'),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many login attempts from this IP, please try again later.' }
+});
+
+// Keyed by email, so attempts spread over many IPs are still limited (this
+// also covers emails that do not belong to an account, which cannot be locked)
+const accountLimiter = rateLimit({
+  windowMs,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX_PER_ACCOUNT || '10'),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `account:${String(req.body?.email || '').toLowerCase().trim()}`,
+  message: { message: 'Too many login attempts for this account, please try again later.' }
+});
+
+module.exports = [ipLimiter, accountLimiter];
@@ -0,0 +1,9 @@
+module.exports = function(...roles) {
+  return function(req, res, next) {
+    // Check if user has one of the allowed roles
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: `Access denied. Required role: ${roles.join(' or ')}.` });
+    }
+    next();
+  };
+};
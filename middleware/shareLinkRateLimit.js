@@ -0,0 +1,12 @@
+const rateLimit = require('express-rate-limit');
+
+// Failed share link requests (unknown tokens, wrong passwords) allowed per
+// window and client IP. Successful requests do not count.
+module.exports = rateLimit({
+  windowMs: parseInt(process.env.SHARE_LINK_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000)),
+  max: parseInt(process.env.SHARE_LINK_RATE_LIMIT_MAX || '20'),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many share link attempts from this IP, please try again later.' }
+});
@@ -1,10 +1,17 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { User, APIKey } = require('../schemas');
+const { User, APIKey, ProcessingJob } = require('../schemas');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const AuditService = require('../services/auditService');
+const ApiKeyService = require('../services/apiKeyService');
+const { retryJob } = require('../services/documentJobs');
+const systemSettings = require('../services/systemSettings');
 const router = express.Router();
 
+const auditService = new AuditService();
+const apiKeyService = new ApiKeyService();
+
 // @route   POST /api/admin/users
 // @desc    Create a new user (Admin only)
 // @access  Private (Admin)
@@ -79,7 +86,7 @@ router.post('/users', auth, admin, async (req, res) => {
 });
 
 // @route   GET /api/admin/settings
-// @desc    Get admin settings
+// @desc    Get the system settings
 // @access  Private (Admin)
 router.get('/settings', auth, admin, async (req, res) => {
   try {
@@ -93,24 +100,7 @@ router.get('/settings', auth, admin, async (req, res) => {
     const totalAPIKeys = await APIKey.countDocuments();
     const activeAPIKeys = await APIKey.countDocuments({ status: 'active' });
 
-    // Return the settings structure that matches frontend expectations
-    const settings = {
-      emailNotifications: true,
-      smsNotifications: false,
-      maintenanceMode: false,
-      autoBackup: true,
-      dataRetention: '1-year',
-      timezone: 'IST',
-      currency: 'INR',
-      language: 'en',
-      apiRateLimit: 1000,
-      sessionDuration: 24,
-      maxFileUploadSize: '50MB',
-      databaseConnectionPool: 10,
-      twoFactorAuth: true,
-      sessionTimeout: true,
-      passwordPolicy: 'strong'
-    };
+    const settings = await systemSettings.getSettings();
 
     // Include system stats for admin dashboard reference
     const systemStats = {
@@ -142,46 +132,29 @@ router.get('/settings', auth, admin, async (req, res) => {
 });
 
 // @route   PUT /api/admin/settings
-// @desc    Update admin settings
+// @desc    Update system settings ({ settings, reason }); only the settings
+//          sent are changed and the change is recorded in the history
 // @access  Private (Admin)
 router.put('/settings', auth, admin, async (req, res) => {
   try {
-    const { settings } = req.body;
+    const { settings, reason } = req.body;
 
-    // Validate required settings fields
-    if (!settings || typeof settings !== 'object') {
-      return res.status(400).json({
+    const result = await systemSettings.updateSettings(settings, req.user.id, reason);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: 'Invalid settings data provided'
+        message: result.message,
+        errors: result.errors
       });
     }
 
-    // In a real application, you would save these settings to database
-    // For now, we'll validate and return the updated settings
-    const updatedSettings = {
-      emailNotifications: settings.emailNotifications ?? true,
-      smsNotifications: settings.smsNotifications ?? false,
-      maintenanceMode: settings.maintenanceMode ?? false,
-      autoBackup: settings.autoBackup ?? true,
-      dataRetention: settings.dataRetention || '1-year',
-      timezone: settings.timezone || 'IST',
-      currency: settings.currency || 'INR',
-      language: settings.language || 'en',
-      apiRateLimit: settings.apiRateLimit || 1000,
-      sessionDuration: settings.sessionDuration || 24,
-      maxFileUploadSize: settings.maxFileUploadSize || '50MB',
-      databaseConnectionPool: settings.databaseConnectionPool || 10,
-      twoFactorAuth: settings.twoFactorAuth ?? true,
-      sessionTimeout: settings.sessionTimeout ?? true,
-      passwordPolicy: settings.passwordPolicy || 'strong'
-    };
-
     res.json({
       success: true,
       data: {
-        settings: updatedSettings
+        settings: result.settings,
+        changes: result.changes
       },
-      message: 'Admin settings updated successfully'
+      message: result.changes.length > 0 ? 'Admin settings updated successfully' : 'No settings changed'
     });
 
   } catch (err) {
@@ -194,38 +167,51 @@ router.put('/settings', auth, admin, async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/api-keys
-// @desc    Create a new API key
+// @route   GET /api/admin/settings/history
+// @desc    Past changes to the system settings, newest first (?limit=, default 50)
 // @access  Private (Admin)
-router.post('/api-keys', auth, admin, async (req, res) => {
+router.get('/settings/history', auth, admin, async (req, res) => {
   try {
-    const { name, description, permissions } = req.body;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const history = await systemSettings.getHistory(limit);
 
-    // Generate API key
-    const apiKey = `ak_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    res.json({
+      success: true,
+      data: {
+        history
+      }
+    });
 
-    const newAPIKey = new APIKey({
-      name,
-      description,
-      key: apiKey,
-      permissions: permissions || ['read'],
-      createdBy: req.user.id,
-      status: 'active'
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
     });
+  }
+});
 
-    await newAPIKey.save();
+// @route   POST /api/admin/api-keys
+// @desc    Create a new API key ({ name, description, permissions, rateLimit,
+//          ipWhitelist, expiresAt, user, client }); the key is only returned here
+// @access  Private (Admin)
+router.post('/api-keys', auth, admin, async (req, res) => {
+  try {
+    const result = await apiKeyService.createKey(req.body, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.json({
       success: true,
       data: {
         apiKey: {
-          id: newAPIKey._id,
-          name: newAPIKey.name,
-          description: newAPIKey.description,
-          key: apiKey, // Only show on creation
-          permissions: newAPIKey.permissions,
-          status: newAPIKey.status,
-          createdAt: newAPIKey.createdAt
+          ...apiKeyService.serialize(result.apiKey),
+          key: result.key // Only show on creation
         }
       },
       message: 'API key created successfully'
@@ -248,12 +234,12 @@ router.get('/api-keys', auth, admin, async (req, res) => {
   try {
     const apiKeys = await APIKey.find()
       .populate('createdBy', 'name email')
-      .select('-key') // Don't return actual key values
+      .populate('user', 'name email role')
       .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: apiKeys,
+      data: apiKeys.map(apiKey => apiKeyService.serialize(apiKey)),
       message: 'API keys retrieved successfully'
     });
 
@@ -267,6 +253,61 @@ router.get('/api-keys', auth, admin, async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/api-keys/:id
+// @desc    Update an API key (name, description, permissions, rateLimit,
+//          ipWhitelist, expiresAt, status active/inactive)
+// @access  Private (Admin)
+router.put('/api-keys/:id', auth, admin, async (req, res) => {
+  try {
+    const apiKey = await APIKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const { name, description, status } = req.body;
+    const validation = apiKeyService.validateSettings(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({
+        success: false,
+        message: validation.message
+      });
+    }
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be active or inactive'
+      });
+    }
+
+    if (name) apiKey.name = name;
+    if (description !== undefined) apiKey.description = description;
+    if (status) apiKey.status = status;
+    Object.assign(apiKey, validation.values);
+    // A new expiry date brings an expired key back
+    if (apiKey.status === 'expired' && validation.values.expiresAt !== undefined && status !== 'inactive') {
+      apiKey.status = 'active';
+    }
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      data: apiKeyService.serialize(apiKey),
+      message: 'API key updated successfully'
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
 // @route   DELETE /api/admin/api-keys/:id
 // @desc    Delete an API key
 // @access  Private (Admin)
@@ -298,4 +339,127 @@ router.delete('/api-keys/:id', auth, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/audit-trail
+// @desc    Get system-wide audit trail, optionally as CSV
+// @access  Private (Admin)
+router.get('/audit-trail', auth, admin, async (req, res) => {
+  try {
+    const filters = {
+      user: req.query.user,
+      action: req.query.action,
+      entityType: req.query.entityType,
+      entityId: req.query.entityId,
+      status: req.query.status,
+      method: req.query.method,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    if (req.query.format === 'csv') {
+      const csv = await auditService.exportCSV(filters);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-trail-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(csv);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const result = await auditService.getEntries(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Audit trail retrieved successfully'
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    List background processing jobs (e.g. ?status=dead_letter)
+// @access  Private (Admin)
+router.get('/jobs', auth, admin, async (req, res) => {
+  try {
+    const { status, type, provider } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (provider) query.provider = provider;
+
+    const jobs = await ProcessingJob.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await ProcessingJob.countDocuments(query);
+
+    const counts = await ProcessingJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        counts: counts.reduce((result, item) => ({ ...result, [item._id]: item.count }), {}),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      },
+      message: 'Jobs retrieved successfully'
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Requeue a dead-letter or cancelled job
+// @access  Private (Admin)
+router.post('/jobs/:id/retry', auth, admin, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or not in dead_letter/cancelled status'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job requeued successfully'
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,40 @@
 const express = require('express');
-const { Analytics, Document, User, Client, Shipment } = require('../schemas');
+const mongoose = require('mongoose');
+const { Analytics, Document, User, Client, Shipment, ShipmentOrder, ImportShipment } = require('../schemas');
 const auth = require('../middleware/auth');
+const ExchangeRateService = require('../services/exchangeRateService');
 const router = express.Router();
 
+const exchangeRateService = new ExchangeRateService();
+
+// Sum value per currency per day, so each day can be converted at its own rate
+const valueByCurrencyAndDay = (model, match, valueField, currencyField) => model.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: {
+        currency: { $ifNull: [currencyField, 'USD'] },
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+      },
+      amount: { $sum: { $ifNull: [valueField, 0] } }
+    }
+  },
+  { $sort: { '_id.day': 1 } }
+]);
+
+// Convert grouped values into one currency, in total and per month
+const summarizeValues = async (groups, currency) => {
+  const entries = groups.map(group => ({ amount: group.amount, currency: group._id.currency, date: group._id.day }));
+  const { groups: months, ...summary } = await exchangeRateService.sumInCurrency(entries, currency, {
+    groupBy: entry => entry.date.slice(0, 7)
+  });
+
+  const monthly = Object.keys(months).sort()
+    .map(month => ({ month, total: months[month].total, unconverted: months[month].unconverted }));
+
+  return { ...summary, monthly };
+};
+
 // @route   GET /api/analytics/dashboard
 // @desc    Get dashboard analytics data
 // @access  Private
@@ -325,6 +357,51 @@ router.get('/users', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/analytics/financials
+// @desc    Get export and import values in the user's reporting currency
+// @access  Private
+router.get('/financials', auth, async (req, res) => {
+  try {
+    const months = parseInt(req.query.months) || 12;
+    const currentDate = new Date();
+    const since = new Date(currentDate.getFullYear(), currentDate.getMonth() - months, 1);
+
+    const exportMatch = { createdAt: { $gte: since } };
+    const importMatch = { createdAt: { $gte: since } };
+    if (req.user.role !== 'admin') {
+      const userId = new mongoose.Types.ObjectId(req.user.id);
+      exportMatch.exporter = userId;
+      importMatch.importer = userId;
+    }
+
+    // UserSettings.profile.currency unless ?currency= is given
+    const currency = await exchangeRateService.getReportingCurrency(req.user.id, req.query.currency);
+
+    const exportGroups = await valueByCurrencyAndDay(ShipmentOrder, exportMatch, '$financial.totalValue', '$financial.currency');
+    const importGroups = await valueByCurrencyAndDay(ImportShipment, importMatch, '$totalValue', '$currency');
+
+    const exportValues = await summarizeValues(exportGroups, currency);
+    const importValues = await summarizeValues(importGroups, currency);
+
+    const warnings = [...new Set([...Object.keys(exportValues.unconverted), ...Object.keys(importValues.unconverted)])]
+      .map(code => `No exchange rate from ${code} to ${currency} for some dates; those values are excluded from totals`);
+
+    res.json({
+      currency,
+      period: {
+        from: since,
+        to: currentDate
+      },
+      exports: exportValues,
+      imports: importValues,
+      warnings
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/analytics/save
 // @desc    Save analytics data
 // @access  Private
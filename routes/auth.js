@@ -1,10 +1,62 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { User } = require('../schemas');
 const auth = require('../middleware/auth');
+const loginRateLimit = require('../middleware/loginRateLimit');
+const PasswordResetService = require('../services/passwordResetService');
+const SessionService = require('../services/sessionService');
 const router = express.Router();
 
+const passwordResetService = new PasswordResetService();
+const sessionService = new SessionService();
+
+// Progressive lockout: after LOGIN_MAX_ATTEMPTS failures the account is locked
+// for LOGIN_LOCKOUT_MINUTES, doubling with each further failure (capped)
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const LOGIN_LOCKOUT_MAX_MINUTES = 24 * 60;
+
+const getLockoutMinutes = (attempts) => Math.min(
+  LOGIN_LOCKOUT_MINUTES * Math.pow(2, attempts - LOGIN_MAX_ATTEMPTS),
+  LOGIN_LOCKOUT_MAX_MINUTES
+);
+
+// Emails without an account are locked out the same way, so a login response
+// never shows whether an account exists. Kept in memory, like the login rate
+// limits; entries are dropped a day after the last failure.
+const unknownEmailFailures = new Map();
+
+// Compared against when there is no account, so both cases take as long
+const UNKNOWN_ACCOUNT_HASH = bcrypt.hashSync('no account for this email', 10);
+
+const recordUnknownEmailFailure = (email) => {
+  const now = Date.now();
+  if (unknownEmailFailures.size > 10000) {
+    for (const [key, entry] of unknownEmailFailures) {
+      if (entry.expiresAt <= now) unknownEmailFailures.delete(key);
+    }
+  }
+
+  const entry = unknownEmailFailures.get(email) || { loginAttempts: 0, lockUntil: null };
+  entry.loginAttempts += 1;
+  if (entry.loginAttempts >= LOGIN_MAX_ATTEMPTS) {
+    entry.lockUntil = new Date(now + getLockoutMinutes(entry.loginAttempts) * 60 * 1000);
+  }
+  entry.expiresAt = Math.max(entry.lockUntil ? entry.lockUntil.getTime() : 0, now + LOGIN_LOCKOUT_MAX_MINUTES * 60 * 1000);
+  unknownEmailFailures.set(email, entry);
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+
+// Sessions and passwords belong to people; API keys cannot manage them
+const userLogin = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'This endpoint needs a user login, not an API key' });
+  }
+  next();
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -34,36 +86,24 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          success: true,
-          data: {
-            token,
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              role: user.role,
-              company: user.company
-            }
-          },
-          message: 'Login successful'
-        });
-      }
-    );
+    const session = await sessionService.createSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          company: user.company
+        }
+      },
+      message: 'Login successful'
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -73,71 +113,70 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Check if user exists
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+    const emailKey = String(email || '').toLowerCase().trim();
+    const lockUntil = user ? user.lockUntil : unknownEmailFailures.get(emailKey)?.lockUntil;
 
-    // Check if user is active
-    if (user.status !== 'active') {
-      return res.status(400).json({ message: 'Account is not active' });
+    // Check if the account is locked after failed logins
+    if (lockUntil && lockUntil > new Date()) {
+      res.set('Retry-After', String(Math.ceil((lockUntil - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Too many failed login attempts. Please try again later.' });
     }
 
     // Validate password
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await bcrypt.compare(String(password || ''), user ? user.password : UNKNOWN_ACCOUNT_HASH);
+    if (!user) {
+      recordUnknownEmailFailure(emailKey);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
     if (!isMatch) {
       // Increment login attempts
       user.loginAttempts += 1;
-      if (user.loginAttempts >= 5) {
-        user.lockUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+      if (user.loginAttempts >= LOGIN_MAX_ATTEMPTS) {
+        const minutes = getLockoutMinutes(user.loginAttempts);
+        user.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+        console.log(`🔒 Account ${user.id} locked for ${minutes} minutes after ${user.loginAttempts} failed logins`);
       }
       await user.save();
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Check if user is active (only told to someone who knows the password)
+    if (user.status !== 'active') {
+      return res.status(400).json({ message: 'Account is not active' });
+    }
+
     // Reset login attempts on successful login
     user.loginAttempts = 0;
     user.lockUntil = null;
     user.lastLogin = new Date();
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          success: true,
-          data: {
-            token,
-            user: {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              role: user.role,
-              company: user.company,
-              department: user.department,
-              designation: user.designation
-            }
-          },
-          message: 'Login successful'
-        });
-      }
-    );
+    const session = await sessionService.createSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          company: user.company,
+          department: user.department,
+          designation: user.designation
+        }
+      },
+      message: 'Login successful'
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -174,12 +213,121 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await sessionService.refresh(req.body.refreshToken);
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt
+      },
+      message: 'Session refreshed'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, userLogin, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: String(session._id) === req.sessionId
+      })),
+      message: 'Sessions retrieved successfully'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions except this one
+// @access  Private
+router.delete('/sessions', auth, userLogin, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user.id, 'user_revoked', {
+      exceptSessionId: req.sessionId,
+      revokedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: { revoked },
+      message: 'Other sessions revoked'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, userLogin, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.id, 'user_revoked', {
+      userId: req.user.id,
+      revokedBy: req.user.id
+    });
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, userLogin, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.sessionId, 'logout', { revokedBy: req.user.id });
+    }
+
     res.json({ 
       success: true,
       message: 'Logged out successfully' 
@@ -200,25 +348,17 @@ router.post('/logout', auth, async (req, res) => {
 router.post('/forgot-password', async (req, res) => {
   try {
     const { email } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
     }
 
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { user: { id: user.id } },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // In a real application, send email with reset link
-    // For now, just return the token
-    res.json({
-      message: 'Password reset email sent',
-      resetToken
+    // Respond before looking the account up, so neither the answer nor the
+    // response time reveals whether the email is registered
+    passwordResetService.requestReset(email).catch(err => {
+      console.error('❌ Error sending password reset email:', err.message);
     });
+
+    res.json({ message: RESET_REQUESTED_MESSAGE });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -226,28 +366,37 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // @route   POST /api/auth/reset-password
-// @desc    Reset password with token
+// @desc    Reset password with a single-use token from the reset email
 // @access  Public
 router.post('/reset-password', async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.user.id);
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
 
+    const user = await passwordResetService.consumeToken(token);
     if (!user) {
-      return res.status(400).json({ message: 'Invalid token' });
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
     // Hash new password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    // Update password
+    // Update password and clear any lockout from failed logins
     user.password = hashedPassword;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
     await user.save();
 
+    await sessionService.revokeAllForUser(user.id, 'password_changed');
+    await passwordResetService.notifyPasswordChanged(user);
+
     res.json({ message: 'Password updated successfully' });
   } catch (err) {
     console.error(err.message);
@@ -258,7 +407,7 @@ router.post('/reset-password', async (req, res) => {
 // @route   POST /api/auth/change-password
 // @desc    Change password for authenticated user
 // @access  Private
-router.post('/change-password', auth, async (req, res) => {
+router.post('/change-password', auth, userLogin, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -281,6 +430,13 @@ router.post('/change-password', auth, async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out other devices; this one stays logged in
+    await sessionService.revokeAllForUser(user.id, 'password_changed', {
+      exceptSessionId: req.sessionId,
+      revokedBy: user.id
+    });
+    await passwordResetService.notifyPasswordChanged(user);
+
     res.json({ message: 'Password changed successfully' });
   } catch (err) {
     console.error(err.message);
@@ -0,0 +1,184 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const CommentService = require('../services/commentService');
+const router = express.Router();
+
+const commentService = new CommentService();
+
+// Send a failed service result
+const sendFailure = (res, result) => res.status(result.statusCode).json({
+  message: result.message,
+  ...(result.reason ? { reason: result.reason } : {})
+});
+
+// @route   GET /api/comments?entityType=document&entityId=...
+// @desc    Get the comment threads of a document, shipment order or import shipment
+//          (filters: resolved=true|false, field, complianceCheck)
+// @access  Private (anyone who can see the record)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { entityType, entityId, resolved, field, complianceCheck } = req.query;
+    const result = await commentService.listThreads(req.user, entityType, entityId, { resolved, field, complianceCheck });
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      threads: result.threads,
+      summary: {
+        threads: result.threads.length,
+        unresolved: result.threads.filter(thread => !thread.resolved).length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Comment list error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments
+// @desc    Start a thread or reply to one ({ entityType, entityId, body, parent, anchor, mentions })
+// @access  Private (comment permission on documents; access to orders and import shipments)
+router.post('/', auth, async (req, res) => {
+  try {
+    const { entityType, entityId, body, parent, anchor, mentions } = req.body;
+    const result = await commentService.createComment(req.user, { entityType, entityId, body, parent, anchor, mentions });
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: commentService.serialize(result.comment),
+      notified: result.notified,
+      skippedMentions: result.skippedMentions
+    });
+  } catch (error) {
+    console.error('❌ Comment create error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/comments/:id
+// @desc    Edit a comment ({ body, mentions }); the previous text is kept in its history
+// @access  Private (author)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const loaded = await commentService.getComment(req.user, req.params.id, true);
+    if (!loaded.success) {
+      return sendFailure(res, loaded);
+    }
+
+    const result = await commentService.editComment(req.user, loaded.comment, loaded.record, req.body);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({
+      message: 'Comment updated',
+      comment: commentService.serialize(result.comment),
+      notified: result.notified,
+      skippedMentions: result.skippedMentions
+    });
+  } catch (error) {
+    console.error('❌ Comment edit error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/comments/:id/history
+// @desc    Get the edit history of a comment, oldest first
+// @access  Private (anyone who can see the record)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const loaded = await commentService.getComment(req.user, req.params.id);
+    if (!loaded.success) {
+      return sendFailure(res, loaded);
+    }
+
+    const { comment } = loaded;
+    if (comment.deletedAt) {
+      return res.status(410).json({ message: 'This comment has been deleted' });
+    }
+
+    await comment.populate('editHistory.editedBy', 'name email');
+    res.json({
+      comment: commentService.serialize(comment),
+      history: [
+        ...comment.editHistory.map(entry => ({ body: entry.body, editedBy: entry.editedBy, editedAt: entry.editedAt })),
+        { body: comment.body, current: true, editedAt: comment.editedAt || comment.createdAt }
+      ]
+    });
+  } catch (error) {
+    console.error('❌ Comment history error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/resolve
+// @desc    Mark a thread as resolved
+// @access  Private (anyone who can comment on the record)
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    const loaded = await commentService.getComment(req.user, req.params.id, true);
+    if (!loaded.success) {
+      return sendFailure(res, loaded);
+    }
+
+    const result = await commentService.setResolved(req.user, loaded.comment, true);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({ message: 'Thread resolved', comment: commentService.serialize(result.comment) });
+  } catch (error) {
+    console.error('❌ Comment resolve error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/unresolve
+// @desc    Reopen a resolved thread
+// @access  Private (anyone who can comment on the record)
+router.post('/:id/unresolve', auth, async (req, res) => {
+  try {
+    const loaded = await commentService.getComment(req.user, req.params.id, true);
+    if (!loaded.success) {
+      return sendFailure(res, loaded);
+    }
+
+    const result = await commentService.setResolved(req.user, loaded.comment, false);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({ message: 'Thread reopened', comment: commentService.serialize(result.comment) });
+  } catch (error) {
+    console.error('❌ Comment unresolve error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete a comment (replies stay in the thread)
+// @access  Private (author or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const loaded = await commentService.getComment(req.user, req.params.id);
+    if (!loaded.success) {
+      return sendFailure(res, loaded);
+    }
+
+    const result = await commentService.deleteComment(req.user, loaded.comment);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json({ message: 'Comment deleted', comment: commentService.serialize(result.comment) });
+  } catch (error) {
+    console.error('❌ Comment delete error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
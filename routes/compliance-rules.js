@@ -0,0 +1,452 @@
+const express = require('express');
+const { ComplianceRule, Document } = require('../schemas');
+const auth = require('../middleware/auth');
+const roles = require('../middleware/roles');
+const apiKeyScope = require('../middleware/apiKeyScope');
+const ComplianceRuleEngine = require('../services/complianceRuleEngine');
+const router = express.Router();
+
+const ruleEngine = new ComplianceRuleEngine();
+
+// Fields that can be set when creating or editing a rule
+const EDITABLE_FIELDS = [
+  'name', 'category', 'type', 'severity', 'description', 'rule', 'conditions',
+  'actions', 'applicableTo', 'countries', 'industries', 'priority',
+  'effectiveDate', 'expiryDate', 'tags', 'references'
+];
+
+const MAX_DRY_RUN_DOCUMENTS = 100;
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Bump the minor part of a "major.minor" version string
+const nextVersion = (version) => {
+  const [major, minor] = String(version || '1.0').split('.').map(part => parseInt(part) || 0);
+  return `${major}.${minor + 1}`;
+};
+
+// System rules can only be changed by admins
+const canModify = (rule, user) => !rule.isSystem || user.role === 'admin';
+
+const handleError = (res, err) => {
+  console.error(err.message);
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ success: false, message: 'Invalid compliance rule data', error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A rule with this code and version already exists' });
+  }
+  res.status(500).json({ success: false, message: 'Server error', error: err.message });
+};
+
+// @route   GET /api/compliance-rules
+// @desc    Get compliance rules with pagination
+// @access  Private (Admin, CA)
+router.get('/', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { code: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.category) query.category = req.query.category;
+    if (req.query.severity) query.severity = req.query.severity;
+    if (req.query.applicableTo) query.applicableTo = req.query.applicableTo;
+    if (req.query.code) query.code = req.query.code;
+
+    const rules = await ComplianceRule.find(query)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ priority: -1, code: 1, createdAt: -1 });
+
+    const total = await ComplianceRule.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      },
+      message: 'Compliance rules retrieved successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/compliance-rules/code/:code/versions
+// @desc    Get every version of a rule
+// @access  Private (Admin, CA)
+router.get('/code/:code/versions', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const versions = await ComplianceRule.find({ code: req.params.code })
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    res.json({
+      success: true,
+      data: versions,
+      message: 'Compliance rule versions retrieved successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/compliance-rules/:id
+// @desc    Get compliance rule by ID
+// @access  Private (Admin, CA)
+router.get('/:id', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Compliance rule retrieved successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/compliance-rules
+// @desc    Create a new compliance rule as a draft
+// @access  Private (Admin, CA)
+router.post('/', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Rule code is required' });
+    }
+
+    const existingRule = await ComplianceRule.findOne({ code });
+    if (existingRule) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule with this code already exists. Create a new version instead.'
+      });
+    }
+
+    const rule = new ComplianceRule({
+      ...pickEditableFields(req.body),
+      code,
+      version: req.body.version || '1.0',
+      status: 'draft',
+      isCustom: true,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Compliance rule created as draft'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   PUT /api/compliance-rules/:id
+// @desc    Edit a draft compliance rule
+// @access  Private (Admin, CA)
+router.put('/:id', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    if (!canModify(rule, req.user)) {
+      return res.status(403).json({ success: false, message: 'System rules can only be changed by an admin' });
+    }
+
+    // Published rules are immutable so past evaluations stay reproducible
+    if (rule.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Only draft rules can be edited. Create a new version of this ${rule.status} rule instead.`
+      });
+    }
+
+    rule.set(pickEditableFields(req.body));
+    rule.updatedBy = req.user.id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Compliance rule updated successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/compliance-rules/:id/versions
+// @desc    Create a new draft version from an existing rule
+// @access  Private (Admin, CA)
+router.post('/:id/versions', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const source = await ComplianceRule.findById(req.params.id).lean();
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    if (!canModify(source, req.user)) {
+      return res.status(403).json({ success: false, message: 'System rules can only be changed by an admin' });
+    }
+
+    const existingDraft = await ComplianceRule.findOne({ code: source.code, status: 'draft' });
+    if (existingDraft) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${existingDraft.version} of this rule is already in draft`,
+        data: { draftId: existingDraft._id }
+      });
+    }
+
+    // Base the new version number on the latest existing version
+    const versions = await ComplianceRule.find({ code: source.code }).select('version').lean();
+    const latestVersion = versions
+      .map(v => v.version)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .pop();
+
+    const { _id, createdAt, updatedAt, statistics, __v, ...definition } = source;
+    const rule = new ComplianceRule({
+      ...definition,
+      ...pickEditableFields(req.body),
+      version: req.body.version || nextVersion(latestVersion),
+      status: 'draft',
+      effectiveDate: req.body.effectiveDate || Date.now(),
+      expiryDate: req.body.expiryDate,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: `Version ${rule.version} created as draft`
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/compliance-rules/:id/publish
+// @desc    Publish a draft rule and supersede earlier active versions
+// @access  Private (Admin, CA)
+router.post('/:id/publish', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    if (!canModify(rule, req.user)) {
+      return res.status(403).json({ success: false, message: 'System rules can only be changed by an admin' });
+    }
+
+    if (!['draft', 'inactive'].includes(rule.status)) {
+      return res.status(400).json({ success: false, message: `Cannot publish a rule with status ${rule.status}` });
+    }
+
+    if (!rule.conditions || rule.conditions.length === 0) {
+      return res.status(400).json({ success: false, message: 'A rule needs at least one condition before it can be published' });
+    }
+
+    // Go live now unless an explicit or future effective date was set
+    const now = new Date();
+    let effectiveDate = req.body.effectiveDate ? new Date(req.body.effectiveDate) : rule.effectiveDate;
+    if (!effectiveDate || effectiveDate < now) {
+      effectiveDate = now;
+    }
+
+    rule.status = 'active';
+    rule.effectiveDate = effectiveDate;
+    rule.updatedBy = req.user.id;
+    await rule.save();
+
+    // Earlier versions stop applying once the new version takes effect
+    const superseded = await ComplianceRule.find({
+      _id: { $ne: rule._id },
+      code: rule.code,
+      status: 'active',
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: effectiveDate } }]
+    });
+
+    for (const previous of superseded) {
+      previous.expiryDate = effectiveDate;
+      if (effectiveDate <= now) {
+        previous.status = 'inactive';
+      }
+      previous.updatedBy = req.user.id;
+      await previous.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        superseded: superseded.map(previous => ({ id: previous._id, version: previous.version }))
+      },
+      message: `Version ${rule.version} published, effective ${effectiveDate.toISOString()}`
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/compliance-rules/:id/archive
+// @desc    Archive a compliance rule
+// @access  Private (Admin, CA)
+router.post('/:id/archive', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    if (!canModify(rule, req.user)) {
+      return res.status(403).json({ success: false, message: 'System rules can only be changed by an admin' });
+    }
+
+    if (rule.status === 'archived') {
+      return res.status(400).json({ success: false, message: 'Rule is already archived' });
+    }
+
+    rule.status = 'archived';
+    rule.updatedBy = req.user.id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Compliance rule archived successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /api/compliance-rules/:id
+// @desc    Delete a draft rule (published rules must be archived)
+// @access  Private (Admin, CA)
+router.delete('/:id', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    if (!canModify(rule, req.user)) {
+      return res.status(403).json({ success: false, message: 'System rules can only be changed by an admin' });
+    }
+
+    if (rule.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Only draft rules can be deleted. Archive published rules instead.' });
+    }
+
+    await ComplianceRule.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Draft rule deleted successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/compliance-rules/:id/dry-run
+// @desc    Evaluate a rule against existing documents without saving results
+// @access  Private (Admin, CA)
+router.post('/:id/dry-run', auth, roles('admin', 'ca'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const rule = await ComplianceRule.findById(req.params.id).lean();
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Compliance rule not found' });
+    }
+
+    const { documentIds, documentType, client } = req.body;
+    let documents;
+
+    if (Array.isArray(documentIds) && documentIds.length > 0) {
+      if (documentIds.length > MAX_DRY_RUN_DOCUMENTS) {
+        return res.status(400).json({
+          success: false,
+          message: `A dry run can include at most ${MAX_DRY_RUN_DOCUMENTS} documents`
+        });
+      }
+      documents = await Document.find({ _id: { $in: documentIds } })
+        .select('originalName documentType structuredData');
+    } else {
+      // Without explicit documents, sample the most recent processed ones
+      const limit = Math.min(parseInt(req.body.limit) || 20, MAX_DRY_RUN_DOCUMENTS);
+      const query = { status: 'completed', structuredData: { $exists: true } };
+      if (documentType) query.documentType = documentType;
+      if (client) query.client = client;
+
+      documents = await Document.find(query)
+        .select('originalName documentType structuredData')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+    }
+
+    const report = ruleEngine.dryRun(rule, documents);
+
+    res.json({
+      success: true,
+      data: {
+        rule: { id: rule._id, code: rule.code, version: rule.version, status: rule.status },
+        ...report
+      },
+      message: `Dry run completed: ${report.summary.failed} of ${report.summary.total} documents would fail`
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,63 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { Document, User, Client } = require('../schemas');
+const { Document, User, Client, ProcessingJob, ShipmentOrder } = require('../schemas');
 const auth = require('../middleware/auth');
+const documentAccess = require('../middleware/documentAccess');
+const AccessControlService = require('../services/accessControlService');
+const ShareLinkService = require('../services/shareLinkService');
+const DocumentVersionService = require('../services/documentVersionService');
+const ShipmentOrderWorkflow = require('../services/shipmentOrderWorkflow');
 const AIProcessor = require('../services/aiProcessor');
+const { enqueueDocumentProcessing } = require('../services/documentJobs');
+const { getSettings } = require('../services/systemSettings');
+const RetentionService = require('../services/retentionService');
+const storage = require('../services/storage');
+const contentInspection = require('../services/contentInspection');
 const router = express.Router();
 
 // Initialize AI processor
 const aiProcessor = new AIProcessor();
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/documents';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+const accessControlService = new AccessControlService();
+const shareLinkService = new ShareLinkService();
+const documentVersionService = new DocumentVersionService();
+const shipmentOrderWorkflow = new ShipmentOrderWorkflow();
+const retentionService = new RetentionService();
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only PDF and images are allowed.'), false);
   }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF and images are allowed.'), false);
-    }
-  }
-});
+};
+
+// Quarantined files are not served until an admin releases them
+const QUARANTINE_MESSAGE = 'This document is quarantined until an administrator releases it';
+
+// Accept one file in the 'document' field, up to the maxFileUploadSize system
+// setting; its content is inspected before it is stored
+const uploadDocument = async (req, res, next) => {
+  const settings = await getSettings();
+  const upload = multer({
+    storage: storage.multerStorage({ inspect: contentInspection.inspectUpload }),
+    limits: {
+      fileSize: settings.maxFileUploadBytes
+    },
+    fileFilter
+  });
+
+  upload.single('document')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `File is too large. The maximum upload size is ${settings.maxFileUploadSize}.` });
+    }
+    if (err && err.code === 'CONTENT_REJECTED') {
+      return res.status(err.statusCode).json({ message: err.message, issues: err.issues });
+    }
+    next(err);
+  });
+};
 
 // @route   GET /api/documents
 // @desc    Get all documents with pagination
@@ -95,104 +114,62 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/documents/:id
-// @desc    Get document by ID
-// @access  Private (with test bypass)
-router.get('/:id', (req, res, next) => {
-  // For testing purposes, bypass auth if no token provided
-  if (!req.header('x-auth-token') && !req.header('Authorization')) {
-    console.log('⚠️  No auth token provided - using test mode');
-    req.user = {
-      id: 'test-user-id',
-      email: 'test@example.com',
-      role: 'user'
-    };
-  }
-  next();
-}, async (req, res) => {
+// @route   GET /api/documents/shared-with-me
+// @desc    Get documents shared with current user
+// @access  Private
+router.get('/shared-with-me', auth, async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id)
-      .populate('uploadedBy', 'name email')
-      .populate('client', 'name company');
-
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    // Debug logging for authorization issue
-    console.log('🔍 Document Access Debug:', {
-      documentId: req.params.id,
-      requestingUserId: req.user.id,
-      requestingUserRole: req.user.role,
-      documentUploadedBy: document.uploadedBy?._id || document.uploadedBy,
-      documentUploadedByString: document.uploadedBy?.toString(),
-      isAdmin: req.user.role === 'admin',
-      idsMatch: document.uploadedBy?.toString() === req.user.id
-    });
-
-    // Check if user has access to this document
-    // Convert both IDs to strings for comparison
-    const documentOwnerId = document.uploadedBy?._id ? document.uploadedBy._id.toString() : document.uploadedBy?.toString();
-    const requestingUserId = req.user.id.toString();
-    
-    // Development bypass: Allow access if NODE_ENV is development
-    const isDevelopment = process.env.NODE_ENV === 'development';
-    
-    // Enhanced access control for forwarder-exporter collaboration
-    let hasAccess = false;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { clientId } = await accessControlService.getUserContext(req.user);
     
-    if (req.user.role === 'admin') {
-      hasAccess = true;
-    } else if (documentOwnerId === requestingUserId) {
-      hasAccess = true;
-    } else if (req.user.role === 'forwarder') {
-      // Forwarders can access documents if:
-      // 1. Document is assigned to them
-      // 2. Document is shared with them
-      // 3. Document belongs to their client
-      const isAssignedToForwarder = document.assignedForwarder?.toString() === requestingUserId;
-      const isSharedWithForwarder = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('view')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasAccess = isAssignedToForwarder || isSharedWithForwarder || isClientDocument;
-    } else if (req.user.role === 'ca') {
-      // CAs can access documents if:
-      // 1. Document is shared with them
-      // 2. Document belongs to their client
-      const isSharedWithCA = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('view')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasAccess = isSharedWithCA || isClientDocument;
-    }
+    let query = {};
     
-    // Development bypass
-    if (isDevelopment) {
-      hasAccess = true;
+    // Same relationships as the access policy
+    if (userRole === 'forwarder') {
+      query = {
+        $or: [
+          { assignedForwarder: userId },
+          { 'sharedWith.user': userId },
+          ...(clientId ? [{ client: clientId }] : [])
+        ]
+      };
+    } else if (userRole === 'ca') {
+      query = {
+        $or: [
+          { 'sharedWith.user': userId },
+          ...(clientId ? [{ client: clientId }] : [])
+        ]
+      };
+    } else if (userRole === 'admin') {
+      query = {}; // Admins can see all documents
+    } else {
+      query = { uploadedBy: userId }; // Exporters see their own documents
     }
     
-    if (!hasAccess) {
-      console.log('❌ Access denied:', {
-        reason: 'User does not own document and is not admin',
-        documentOwner: documentOwnerId,
-        requestingUser: requestingUserId,
-        isDevelopment
-      });
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    const documents = await Document.find(query)
+      .populate('uploadedBy', 'name email role')
+      .populate('assignedForwarder', 'name email')
+      .populate('client', 'name company')
+      .populate('sharedWith.user', 'name email role')
+      .sort({ createdAt: -1 });
     
-    if (isDevelopment && documentOwnerId !== requestingUserId) {
-      console.log('⚠️ Development bypass: Allowing access to document not owned by user');
-    }
+    res.json({ documents });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id
+// @desc    Get document by ID
+// @access  Private
+router.get('/:id', auth, documentAccess('view'), async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id)
+      .populate('uploadedBy', 'name email')
+      .populate('client', 'name company');
 
-    console.log('✅ Document access granted');
     res.json({ document });
   } catch (err) {
     console.error('❌ Document access error:', err.message);
@@ -200,10 +177,23 @@ router.get('/:id', (req, res, next) => {
   }
 });
 
+// @route   GET /api/documents/:id/permissions
+// @desc    Explain what the current user can do with a document and why
+// @access  Private
+router.get('/:id/permissions', auth, documentAccess('view'), async (req, res) => {
+  try {
+    const permissions = await accessControlService.explain(req.user, req.document);
+    res.json(permissions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/documents/upload
 // @desc    Upload a new document
 // @access  Private (with test bypass)
-router.post('/upload', auth, upload.single('document'), async (req, res) => {
+router.post('/upload', auth, uploadDocument, async (req, res) => {
   try {
     console.log('📄 Document Upload Started...');
     console.log('Request body:', req.body);
@@ -247,10 +237,12 @@ router.post('/upload', auth, upload.single('document'), async (req, res) => {
       documentType,
       description,
       uploadedBy: req.user.id,
-      client,
+      // API keys issued for a client file their uploads under it
+      client: client || req.apiKey?.client,
       filePath: req.file.path,
-      status: 'uploading'
+      status: 'queued'
     });
+    const quarantined = contentInspection.applyInspection(document, req.file.inspection);
 
     console.log('💾 Saving document to database...');
     await document.save();
@@ -258,24 +250,20 @@ router.post('/upload', auth, upload.single('document'), async (req, res) => {
     console.log('✅ Document created successfully with ID:', document._id);
     console.log('✅ Document uploadedBy:', document.uploadedBy);
 
-    // Process document with AI pipeline (Gemini + GPT-4/Claude)
-    // Run in background to avoid blocking the response
-    setImmediate(async () => {
-      try {
-        await aiProcessor.processDocument(document._id);
-        console.log(`Document ${document.originalName} processed successfully`);
-      } catch (error) {
-        console.error(`Error processing document ${document.originalName}:`, error);
-      }
-    });
+    // Queue AI processing (Gemini + GPT-4/Claude) on the background worker;
+    // quarantined documents wait for an admin to release them
+    const job = quarantined ? null : await enqueueDocumentProcessing(document._id, { createdBy: req.user.id });
 
     const populatedDocument = await Document.findById(document.id)
       .populate('uploadedBy', 'name email')
       .populate('client', 'name company');
 
     res.json({
-      message: 'Document uploaded successfully',
-      document: populatedDocument
+      message: quarantined
+        ? 'Document uploaded and quarantined: an administrator has to review it before it is processed'
+        : 'Document uploaded successfully',
+      document: populatedDocument,
+      jobId: job ? job._id : null
     });
   } catch (err) {
     console.error('❌ Document upload error:', err);
@@ -294,7 +282,7 @@ router.post('/upload', auth, upload.single('document'), async (req, res) => {
 // @route   PUT /api/documents/:id
 // @desc    Update document
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, documentAccess('update'), async (req, res) => {
   try {
     const {
       description,
@@ -306,15 +294,10 @@ router.put('/:id', auth, async (req, res) => {
       validation
     } = req.body;
 
-    // Check if document exists
-    let document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
+    const document = req.document;
 
-    // Check if user has access to update this document
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (status && (status === 'quarantined' || document.quarantine?.active)) {
+      return res.status(409).json({ message: 'The quarantine status is set by the content check and cleared by an administrator' });
     }
 
     // Update fields
@@ -345,34 +328,23 @@ router.put('/:id', auth, async (req, res) => {
 // @route   POST /api/documents/:id/reprocess
 // @desc    Reprocess document with AI
 // @access  Private
-router.post('/:id/reprocess', auth, async (req, res) => {
+router.post('/:id/reprocess', auth, documentAccess('reprocess'), async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
-    
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    // Check if user has permission to reprocess this document
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+    const document = req.document;
+    if (document.quarantine?.active) {
+      return res.status(409).json({ message: QUARANTINE_MESSAGE });
     }
 
-    // Start reprocessing
-    const result = await aiProcessor.reprocessDocument(req.params.id);
+    // Queue reprocessing on the background worker
+    document.status = 'queued';
+    await document.save();
+    const job = await enqueueDocumentProcessing(document._id, { reprocess: true, createdBy: req.user.id });
 
-    if (result.success) {
-      res.json({
-        message: 'Document reprocessing started',
-        documentId: req.params.id,
-        processingTime: result.processingTime
-      });
-    } else {
-      res.status(500).json({
-        message: 'Failed to reprocess document',
-        error: result.error
-      });
-    }
+    res.json({
+      message: 'Document reprocessing queued',
+      documentId: req.params.id,
+      jobId: job._id
+    });
 
   } catch (err) {
     console.error(err.message);
@@ -382,24 +354,17 @@ router.post('/:id/reprocess', auth, async (req, res) => {
 
 // @route   GET /api/documents/:id/processing-status
 // @desc    Get document processing status
-// @access  Private (with test bypass)
-router.get('/:id/processing-status', (req, res, next) => {
-  // For testing purposes, bypass auth if no token provided
-  if (!req.header('x-auth-token') && !req.header('Authorization')) {
-    console.log('⚠️  No auth token provided - using test mode');
-    req.user = {
-      id: 'test-user-id',
-      email: 'test@example.com',
-      role: 'user'
-    };
-  }
-  next();
-}, async (req, res) => {
+// @access  Private
+router.get('/:id/processing-status', auth, documentAccess('view'), async (req, res) => {
   try {
     const result = await aiProcessor.getProcessingStatus(req.params.id);
 
     if (result.success) {
-      res.json(result);
+      const job = await ProcessingJob.findOne({ dedupeKey: `document:${req.params.id}` })
+        .sort({ createdAt: -1 })
+        .select('status attempts maxAttempts runAt lastError')
+        .lean();
+      res.json({ ...result, job });
     } else {
       res.status(404).json({
         message: 'Document not found or status unavailable',
@@ -416,24 +381,15 @@ router.get('/:id/processing-status', (req, res, next) => {
 // @route   DELETE /api/documents/:id
 // @desc    Delete document
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, documentAccess('delete'), async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    // Check if user has access to delete this document
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+    const document = req.document;
+    if (document.legalHold?.active) {
+      return res.status(409).json({ message: 'Document is under legal hold and cannot be deleted' });
     }
 
-    // Delete file from filesystem
-    if (document.filePath && fs.existsSync(document.filePath)) {
-      fs.unlinkSync(document.filePath);
-    }
-
-    await Document.findByIdAndDelete(req.params.id);
+    // Deletes the files of every version and the records that point at the document
+    await retentionService.deleteRecord('document', document);
 
     res.json({ message: 'Document deleted successfully' });
   } catch (err) {
@@ -445,45 +401,21 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/documents/:id/view
 // @desc    View document inline
 // @access  Private
-router.get('/:id/view', auth, async (req, res) => {
+router.get('/:id/view', auth, documentAccess('view'), async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+    const document = req.document;
+    if (document.quarantine?.active) {
+      return res.status(423).json({ message: QUARANTINE_MESSAGE });
     }
 
-    // Check if user has access to view this document
-    if (req.user.role === 'forwarder') {
-      // Forwarders can view if they have view access
-      const share = document.sharedWith.find(s => s.userId.toString() === req.user.id);
-      if (!share || !share.permissions?.includes('view')) {
-        return res.status(403).json({ message: 'Not authorized to view this document' });
-      }
-    } else if (req.user.role === 'exporter') {
-      // Exporters can view their own documents
-      if (document.uploadedBy.toString() !== req.user.id) {
-        return res.status(403).json({ message: 'Not authorized to view this document' });
-      }
-    } else if (req.user.role === 'ca') {
-      // CA can view documents assigned to them
-      const share = document.sharedWith.find(s => s.userId.toString() === req.user.id);
-      if (!share || !share.permissions?.includes('view')) {
-        return res.status(403).json({ message: 'Not authorized to view this document' });
-      }
-    } else {
-      return res.status(403).json({ message: 'Not authorized to view this document' });
-    }
-
-    // Set appropriate headers for viewing
-    res.setHeader('Content-Type', document.fileType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${document.originalName}"`);
-    
-    // Stream the file
-    if (!fs.existsSync(document.filePath)) {
+    const sent = await storage.sendFile(res, document.filePath, {
+      fileName: document.originalName,
+      contentType: document.fileType,
+      inline: true
+    });
+    if (!sent) {
       return res.status(404).json({ message: 'File not found on server' });
     }
-
-    res.sendFile(path.resolve(document.filePath));
   } catch (error) {
     console.error('Error viewing document:', error);
     res.status(500).json({ message: 'Server error' });
@@ -493,114 +425,178 @@ router.get('/:id/view', auth, async (req, res) => {
 // @route   GET /api/documents/:id/download
 // @desc    Download document
 // @access  Private
-router.get('/:id/download', auth, async (req, res) => {
+router.get('/:id/download', auth, documentAccess('download'), async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    // Check if user has access to download this document
-    const documentOwnerId = document.uploadedBy?.toString();
-    const requestingUserId = req.user.id.toString();
-    
-    let hasDownloadAccess = false;
-    
-    if (req.user.role === 'admin') {
-      hasDownloadAccess = true;
-    } else if (documentOwnerId === requestingUserId) {
-      hasDownloadAccess = true;
-    } else if (req.user.role === 'forwarder') {
-      // Forwarders can download if they have view access
-      const isAssignedToForwarder = document.assignedForwarder?.toString() === requestingUserId;
-      const isSharedWithForwarder = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('download')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasDownloadAccess = isAssignedToForwarder || isSharedWithForwarder || isClientDocument;
-    } else if (req.user.role === 'ca') {
-      const isSharedWithCA = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('download')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasDownloadAccess = isSharedWithCA || isClientDocument;
-    }
-    
-    if (!hasDownloadAccess) {
-      return res.status(403).json({ message: 'Not authorized to download this document' });
+    const document = req.document;
+    if (document.quarantine?.active) {
+      return res.status(423).json({ message: QUARANTINE_MESSAGE });
     }
 
-    if (!document.filePath || !fs.existsSync(document.filePath)) {
+    const sent = await storage.sendFile(res, document.filePath, {
+      fileName: document.originalName,
+      contentType: document.fileType
+    });
+    if (!sent) {
       return res.status(404).json({ message: 'File not found' });
     }
-
-    res.download(document.filePath, document.originalName);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   POST /api/documents/:id/reprocess
-// @desc    Reprocess document with AI
-// @access  Private
-router.post('/:id/reprocess', auth, async (req, res) => {
+// Shipment orders that include a document
+const findOrdersWithDocument = (documentId) => ShipmentOrder.find({
+  $or: [
+    { 'documents.commercialInvoice': documentId },
+    { 'documents.packingList': documentId },
+    { 'documents.shippingBill': documentId },
+    { 'documents.certificates': documentId },
+    { 'documents.otherDocuments': documentId }
+  ]
+});
+
+// @route   POST /api/documents/:id/versions
+// @desc    Upload a new version of a document (the previous file and its results are kept)
+// @access  Private (document update permission)
+router.post('/:id/versions', auth, documentAccess('update'), uploadDocument, async (req, res) => {
+  const discardUpload = () => {
+    if (req.file) {
+      storage.releaseFile(req.file.path, { hold: req.file.storageHold }).catch(error => console.error('❌ Error removing upload:', error.message));
+    }
+  };
+
   try {
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    // Check if user has access to reprocess this document
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
+    // Exporters can only change documents of orders they can still edit
+    const orders = await findOrdersWithDocument(req.document._id);
+    const lockedOrder = orders.find(order => !shipmentOrderWorkflow.isEditable(order));
+    if (req.user.role === 'exporter' && lockedOrder) {
+      discardUpload();
+      return res.status(400).json({
+        message: `Documents cannot be changed while order ${lockedOrder.orderNumber} is ${lockedOrder.status}`
+      });
     }
 
-    // Reset processing status
-    document.status = 'processing';
-    document.errors = [];
-    document.suggestions = [];
-    document.extractedText = '';
-    document.entities = [];
-    document.validation = { isValid: false, score: 0, checks: [] };
-    await document.save();
+    const result = await documentVersionService.addVersion(req.document, req.file, req.user, {
+      resourceType: 'document',
+      changeNote: req.body.changeNote
+    });
+    if (!result.success) {
+      discardUpload();
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    // Checks made against the previous file are out of date
+    await Promise.all(orders.map(order => {
+      order.consistencyCheck = { status: 'not_checked' };
+      order.auditTrail.push({
+        action: 'Document version uploaded',
+        performedBy: req.user.id,
+        details: `${result.document.originalName} updated to version ${result.version}`
+      });
+      return order.save();
+    }));
+
+    // A job still pending for the previous file has to start over on this one
+    const job = result.quarantined ? null : await enqueueDocumentProcessing(result.document._id, { reprocess: true, createdBy: req.user.id });
+
+    res.status(201).json({
+      message: result.quarantined
+        ? `Version ${result.version} uploaded and quarantined: an administrator has to review it before it is processed`
+        : `Version ${result.version} uploaded`,
+      document: result.document,
+      versions: documentVersionService.listVersions(result.document, 'document'),
+      jobId: job ? job._id : null
+    });
+  } catch (error) {
+    discardUpload();
+    console.error('❌ Document version upload error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Simulate AI reprocessing
-    setTimeout(async () => {
-      document.status = 'completed';
-      document.processingTime = Math.floor(Math.random() * 30) + 5;
-      document.confidence = Math.floor(Math.random() * 30) + 70;
-      document.extractedText = 'Reprocessed text from document...';
-      document.entities = [
-        {
-          type: 'company',
-          value: 'Updated Company Ltd',
-          confidence: 92
-        },
-        {
-          type: 'amount',
-          value: '75000',
-          confidence: 85
-        }
-      ];
-      await document.save();
-    }, 3000);
+// @route   GET /api/documents/:id/versions
+// @desc    List the versions of a document
+// @access  Private (document view permission)
+router.get('/:id/versions', auth, documentAccess('view'), async (req, res) => {
+  try {
+    res.json({
+      currentVersion: req.document.version || 1,
+      versions: documentVersionService.listVersions(req.document, 'document')
+    });
+  } catch (error) {
+    console.error('❌ Document version list error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id/versions/diff?from=1&to=2
+// @desc    Field-level diff of the extracted data of two versions (defaults: previous vs current)
+// @access  Private (document view permission)
+router.get('/:id/versions/diff', auth, documentAccess('view'), async (req, res) => {
+  try {
+    const result = documentVersionService.diff(req.document, req.query.from, req.query.to, 'document');
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
     res.json({
-      message: 'Document reprocessing started',
-      document: {
-        id: document.id,
-        status: document.status
-      }
+      documentId: req.document._id,
+      from: result.from,
+      to: result.to,
+      file: result.file,
+      changes: result.changes,
+      summary: result.summary
     });
-  } catch (err) {
-    console.error(err.message);
+  } catch (error) {
+    console.error('❌ Document version diff error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id/versions/:version
+// @desc    Get one version with its extracted data and compliance analysis
+// @access  Private (document view permission)
+router.get('/:id/versions/:version', auth, documentAccess('view'), async (req, res) => {
+  try {
+    const version = documentVersionService.getVersion(req.document, req.params.version, 'document');
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    const { filePath, ...details } = version;
+    res.json({ documentId: req.document._id, current: version.version === (req.document.version || 1), ...details });
+  } catch (error) {
+    console.error('❌ Document version error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id/versions/:version/download
+// @desc    Download the file of one version
+// @access  Private (document download permission)
+router.get('/:id/versions/:version/download', auth, documentAccess('download'), async (req, res) => {
+  try {
+    if (req.document.quarantine?.active) {
+      return res.status(423).json({ message: QUARANTINE_MESSAGE });
+    }
+    const version = documentVersionService.getVersion(req.document, req.params.version, 'document');
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    const sent = await storage.sendFile(res, version.filePath, {
+      fileName: version.originalName,
+      contentType: version.fileType
+    });
+    if (!sent) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+  } catch (error) {
+    console.error('❌ Document version download error:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -654,19 +650,9 @@ router.get('/stats/overview', auth, async (req, res) => {
 // @route   GET /api/documents/:id/ocr-results
 // @desc    Get OCR results for download/preview
 // @access  Private
-router.get('/:id/ocr-results', auth, async (req, res) => {
+router.get('/:id/ocr-results', auth, documentAccess('view'), async (req, res) => {
   try {
-    const document = await Document.findById(req.params.id)
-      .populate('uploadedBy', 'name email');
-    
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    // Check if user has access to this document
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    const document = req.document;
 
     // Check if document is processed
     if (document.status !== 'completed') {
@@ -708,7 +694,7 @@ router.get('/:id/ocr-results', auth, async (req, res) => {
 // @route   POST /api/documents/:id/share
 // @desc    Share document with forwarder or CA
 // @access  Private
-router.post('/:id/share', auth, async (req, res) => {
+router.post('/:id/share', auth, documentAccess('share'), async (req, res) => {
   try {
     const { userId, permissions, role } = req.body;
     
@@ -716,15 +702,7 @@ router.post('/:id/share', auth, async (req, res) => {
       return res.status(400).json({ message: 'userId, permissions, and role are required' });
     }
     
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-    
-    // Check if user owns the document or is admin
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to share this document' });
-    }
+    const document = req.document;
     
     // Check if user exists and has the specified role
     const User = require('../schemas/User');
@@ -773,10 +751,99 @@ router.post('/:id/share', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/documents/:id/share-links
+// @desc    Create an expiring external share link (the token is only returned here)
+// @access  Private (document share permission)
+router.post('/:id/share-links', auth, documentAccess('share'), async (req, res) => {
+  try {
+    const { expiresInHours, password, maxDownloads, recipient, purpose, watermark } = req.body;
+    const result = await shareLinkService.createLink(req.document, req.user, {
+      expiresInHours, password, maxDownloads, recipient, purpose, watermark
+    });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.locals.audit = {
+      action: ShareLinkService.ACTIONS.created,
+      details: `Share link ${result.link._id} created, expires ${result.link.expiresAt.toISOString()}`,
+      metadata: { shareLinkId: result.link._id }
+    };
+    res.status(201).json({
+      message: 'Share link created',
+      url: result.url,
+      token: result.token,
+      shareLink: shareLinkService.serialize(result.link)
+    });
+  } catch (error) {
+    console.error('❌ Share link creation error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id/share-links
+// @desc    List the share links of a document
+// @access  Private (document share permission)
+router.get('/:id/share-links', auth, documentAccess('share'), async (req, res) => {
+  try {
+    const links = await shareLinkService.listLinks(req.document._id);
+    res.json({ shareLinks: links.map(link => shareLinkService.serialize(link)) });
+  } catch (error) {
+    console.error('❌ Share link list error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/documents/:id/share-links/:linkId/access-log
+// @desc    Get the views, downloads and refusals of a share link
+// @access  Private (document share permission)
+router.get('/:id/share-links/:linkId/access-log', auth, documentAccess('share'), async (req, res) => {
+  try {
+    const link = mongoose.isValidObjectId(req.params.linkId)
+      ? await shareLinkService.findLink(req.document._id, req.params.linkId)
+      : null;
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    const entries = await shareLinkService.getAccessLog(link);
+    res.json({ shareLink: shareLinkService.serialize(link), entries });
+  } catch (error) {
+    console.error('❌ Share link access log error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/documents/:id/share-links/:linkId
+// @desc    Revoke a share link
+// @access  Private (document share permission)
+router.delete('/:id/share-links/:linkId', auth, documentAccess('share'), async (req, res) => {
+  try {
+    const link = mongoose.isValidObjectId(req.params.linkId)
+      ? await shareLinkService.findLink(req.document._id, req.params.linkId)
+      : null;
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    await shareLinkService.revoke(link, req.user, req.body?.reason);
+
+    res.locals.audit = {
+      action: ShareLinkService.ACTIONS.revoked,
+      details: `Share link ${link._id} revoked${link.revokedReason ? `: ${link.revokedReason}` : ''}`,
+      metadata: { shareLinkId: link._id }
+    };
+    res.json({ message: 'Share link revoked', shareLink: shareLinkService.serialize(link) });
+  } catch (error) {
+    console.error('❌ Share link revoke error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/documents/:id/assign-forwarder
 // @desc    Assign document to a forwarder
 // @access  Private
-router.post('/:id/assign-forwarder', auth, async (req, res) => {
+router.post('/:id/assign-forwarder', auth, documentAccess('share'), async (req, res) => {
   try {
     const { forwarderId } = req.body;
     
@@ -784,15 +851,7 @@ router.post('/:id/assign-forwarder', auth, async (req, res) => {
       return res.status(400).json({ message: 'forwarderId is required' });
     }
     
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-    
-    // Check if user owns the document or is admin
-    if (req.user.role !== 'admin' && document.uploadedBy?.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to assign this document' });
-    }
+    const document = req.document;
     
     // Check if forwarder exists
     const User = require('../schemas/User');
@@ -836,55 +895,10 @@ router.post('/:id/assign-forwarder', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/documents/shared-with-me
-// @desc    Get documents shared with current user
-// @access  Private
-router.get('/shared-with-me', auth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    
-    let query = {};
-    
-    if (userRole === 'forwarder') {
-      query = {
-        $or: [
-          { assignedForwarder: userId },
-          { 'sharedWith.user': userId },
-          { client: req.user.clientId }
-        ]
-      };
-    } else if (userRole === 'ca') {
-      query = {
-        $or: [
-          { 'sharedWith.user': userId },
-          { client: req.user.clientId }
-        ]
-      };
-    } else if (userRole === 'admin') {
-      query = {}; // Admins can see all documents
-    } else {
-      query = { uploadedBy: userId }; // Exporters see their own documents
-    }
-    
-    const documents = await Document.find(query)
-      .populate('uploadedBy', 'name email role')
-      .populate('assignedForwarder', 'name email')
-      .populate('client', 'name company')
-      .populate('sharedWith.user', 'name email role')
-      .sort({ createdAt: -1 });
-    
-    res.json({ documents });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // @route   POST /api/documents/:id/validation-status
 // @desc    Update document validation status
 // @access  Private
-router.post('/:id/validation-status', auth, async (req, res) => {
+router.post('/:id/validation-status', auth, documentAccess('validate'), async (req, res) => {
   try {
     const { status, notes } = req.body;
     
@@ -892,36 +906,7 @@ router.post('/:id/validation-status', auth, async (req, res) => {
       return res.status(400).json({ message: 'Status is required' });
     }
     
-    const document = await Document.findById(req.params.id);
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-    
-    // Check if user has permission to update validation status
-    const documentOwnerId = document.uploadedBy?.toString();
-    const requestingUserId = req.user.id.toString();
-    
-    let hasPermission = false;
-    
-    if (req.user.role === 'admin') {
-      hasPermission = true;
-    } else if (documentOwnerId === requestingUserId) {
-      hasPermission = true;
-    } else if (req.user.role === 'forwarder') {
-      const isAssignedToForwarder = document.assignedForwarder?.toString() === requestingUserId;
-      const isSharedWithForwarder = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasPermission = isAssignedToForwarder || isSharedWithForwarder || isClientDocument;
-    }
-    
-    if (!hasPermission) {
-      return res.status(403).json({ message: 'Not authorized to update validation status' });
-    }
+    const document = req.document;
     
     // Update validation status
     document.validationStatus = status;
@@ -0,0 +1,119 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const realtime = require('../services/realtime');
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS || '25000');
+const RETRY_MS = parseInt(process.env.REALTIME_RETRY_MS || '5000');
+const AUTH_CHECK_MS = parseInt(process.env.REALTIME_AUTH_CHECK_MS || '60000');
+
+// EventSource cannot send headers, so the stream also takes the JWT as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('x-auth-token') && !req.header('Authorization') && req.query.token) {
+    req.headers['x-auth-token'] = String(req.query.token);
+  }
+  next();
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`);
+};
+
+// @route   GET /api/events/stream
+// @desc    Server-Sent Events stream of the user's events. Send Last-Event-ID
+//          (or ?lastEventId=) when reconnecting to receive missed events first.
+//          The stream ends with a session.ended event once the token expires,
+//          the session is logged out or revoked, or the API key is revoked.
+// @access  Private (JWT in Authorization, x-auth-token or ?token=)
+router.get('/stream', tokenFromQuery, auth, async (req, res) => {
+  const userId = String(req.user.id || req.user._id);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Hold live events until the replay is written, so none arrive out of order
+  let replaying = true;
+  const pending = [];
+  const sent = new Set();
+  const send = (event) => {
+    if (sent.has(event.id)) return;
+    sent.add(event.id);
+    writeEvent(res, event);
+  };
+
+  const unsubscribe = realtime.subscribe(userId, (event) => {
+    if (replaying) {
+      pending.push(event);
+    } else {
+      send(event);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    unsubscribe();
+    console.log(`📡 Event stream closed for user ${userId}`);
+  };
+
+  // Credentials are only checked when the stream opens; check them again
+  // so a logout or revocation also ends open streams
+  const authCheck = setInterval(async () => {
+    try {
+      const check = await auth.recheck(req);
+      if (check.valid || closed) return;
+      console.log(`🔒 Ending event stream for user ${userId}: ${check.reason}`);
+      res.write(`event: session.ended\ndata: ${JSON.stringify({ message: check.reason })}\n\n`);
+      close();
+      res.end();
+    } catch (error) {
+      console.error('❌ Event stream session check error:', error.message);
+    }
+  }, AUTH_CHECK_MS);
+
+  req.on('close', close);
+
+  try {
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    const missed = await realtime.getEventsSince(userId, lastEventId);
+    missed.forEach(send);
+    pending.forEach(send);
+    console.log(`📡 Event stream opened for user ${userId}${lastEventId ? ` (replayed ${missed.length} events)` : ''}`);
+  } catch (error) {
+    console.error('❌ Event replay error:', error.message);
+    res.write(`event: error\ndata: ${JSON.stringify({ message: 'Missed events could not be replayed' })}\n\n`);
+  } finally {
+    replaying = false;
+    pending.length = 0;
+    // Only replayed and buffered ids can repeat
+    sent.clear();
+  }
+});
+
+// @route   GET /api/events?since=<eventId>
+// @desc    Events after a given event, for clients that poll instead of streaming
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    if (!req.query.since) {
+      return res.status(400).json({ message: 'since (an event id) is required' });
+    }
+    const events = await realtime.getEventsSince(String(req.user.id || req.user._id), req.query.since);
+    res.json({ events, lastEventId: events.length > 0 ? events[events.length - 1].id : req.query.since });
+  } catch (error) {
+    console.error('❌ Event list error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const multer = require('multer');
+const { ExchangeRate } = require('../schemas');
+const auth = require('../middleware/auth');
+const roles = require('../middleware/roles');
+const apiKeyScope = require('../middleware/apiKeyScope');
+const ExchangeRateService = require('../services/exchangeRateService');
+const router = express.Router();
+
+const exchangeRateService = new ExchangeRateService();
+
+// Rate files are small; keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+const handleError = (res, err) => {
+  console.error(err.message);
+  if (err.name === 'ValidationError' || err.name === 'CastError' || err instanceof SyntaxError) {
+    return res.status(400).json({ success: false, message: 'Invalid exchange rate data', error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A rate for this currency, type and date already exists' });
+  }
+  res.status(500).json({ success: false, message: 'Server error', error: err.message });
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Get exchange rates with pagination
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+    if (req.query.currency) query.currency = exchangeRateService.normalizeCurrency(req.query.currency);
+    if (req.query.rateType) query.rateType = req.query.rateType;
+    if (req.query.from || req.query.to) {
+      query.effectiveDate = {};
+      if (req.query.from) query.effectiveDate.$gte = new Date(req.query.from);
+      if (req.query.to) query.effectiveDate.$lte = new Date(req.query.to);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .skip(skip)
+      .limit(limit)
+      .sort({ effectiveDate: -1, currency: 1 });
+
+    const total = await ExchangeRate.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      },
+      message: 'Exchange rates retrieved successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/exchange-rates/convert
+// @desc    Convert an amount using the rate in force on a date
+// @access  Private
+router.get('/convert', auth, async (req, res) => {
+  try {
+    const { from, to, date, rateType } = req.query;
+    const amount = parseFloat(req.query.amount);
+
+    if (!from || !to || isNaN(amount)) {
+      return res.status(400).json({ success: false, message: 'amount, from and to are required' });
+    }
+
+    const conversion = await exchangeRateService.convert(amount, from, to, { date, rateType });
+    if (!conversion) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate from ${from} to ${to} on ${date || 'today'}`
+      });
+    }
+
+    res.json({ success: true, data: conversion });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import a rate file (CSV or JSON upload, or { rates: [...] } body)
+// @access  Private (Admin)
+router.post('/import', auth, roles('admin'), apiKeyScope('admin'), upload.single('file'), async (req, res) => {
+  try {
+    const rows = req.file
+      ? exchangeRateService.parseFile(req.file.buffer.toString('utf8'), req.file.originalname)
+      : req.body.rates;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Upload a rate file or send a rates array' });
+    }
+
+    const result = await exchangeRateService.importRates(rows, {
+      rateType: req.body.rateType,
+      effectiveDate: req.body.effectiveDate,
+      expiryDate: req.body.expiryDate,
+      notificationNumber: req.body.notificationNumber,
+      source: req.body.source || (req.file ? req.file.originalname : 'api'),
+      createdBy: req.user.id
+    });
+
+    console.log(`💱 Imported ${result.imported} exchange rates (${result.errors.length} errors)`);
+
+    res.json({
+      success: result.imported > 0,
+      data: result,
+      message: result.imported > 0 ? 'Exchange rates imported successfully' : 'No exchange rates imported'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Add a single exchange rate
+// @access  Private (Admin)
+router.post('/', auth, roles('admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const { currency, rate, rateType, effectiveDate, expiryDate, source, notificationNumber } = req.body;
+
+    const exchangeRate = new ExchangeRate({
+      currency,
+      rate,
+      rateType,
+      effectiveDate: effectiveDate || new Date(),
+      expiryDate,
+      source,
+      notificationNumber,
+      createdBy: req.user.id
+    });
+    await exchangeRate.save();
+    exchangeRateService.clearCache();
+
+    res.status(201).json({ success: true, data: exchangeRate, message: 'Exchange rate created successfully' });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private (Admin)
+router.delete('/:id', auth, roles('admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+    exchangeRateService.clearCache();
+
+    res.json({ success: true, message: 'Exchange rate deleted successfully' });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
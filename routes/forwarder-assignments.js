@@ -4,7 +4,9 @@ const ForwarderProfile = require('../schemas/ForwarderProfile');
 const ShipmentOrder = require('../schemas/ShipmentOrder');
 const User = require('../schemas/User');
 const auth = require('../middleware/auth');
+const ForwarderAssignmentService = require('../services/forwarderAssignmentService');
 const router = express.Router();
+const forwarderAssignmentService = new ForwarderAssignmentService();
 
 // @route   GET /api/forwarder-assignments
 // @desc    Get forwarder assignments for the authenticated user
@@ -147,17 +149,16 @@ router.put('/:id/start', auth, async (req, res) => {
     }
     console.log('✅ Stage can be started');
 
-    // Update forwarder status
-    forwarderAssignment.status = 'in_progress';
-    forwarderAssignment.startedAt = new Date();
-    console.log('✅ Updated forwarder status to in_progress');
-
-    // Update overall assignment status
-    if (assignment.status === 'assigned') {
-      assignment.status = 'in_progress';
-      assignment.timeline.startedAt = new Date();
-      console.log('✅ Updated overall assignment status to in_progress');
+    // Update forwarder status (starts the assignment with its first stage)
+    const result = forwarderAssignmentService.updateStageStatus(assignment, forwarderAssignment, 'in_progress', {
+      user: req.user,
+      action: 'Stage Started',
+      details: `${stage} stage started`
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
     }
+    console.log('✅ Updated forwarder status to in_progress');
 
     // Add tracking update
     assignment.tracking.push({
@@ -169,19 +170,11 @@ router.put('/:id/start', auth, async (req, res) => {
     });
     console.log('✅ Added tracking update');
 
-    // Add to audit trail
-    assignment.auditTrail.push({
-      action: 'Stage Started',
-      performedBy: currentUserId,
-      details: `${stage} stage started`,
-      previousStatus: 'assigned',
-      newStatus: 'in_progress'
-    });
-    console.log('✅ Added audit trail entry');
-
     console.log('🔍 Saving assignment...');
     await assignment.save();
     console.log('✅ Assignment saved successfully');
+    await forwarderAssignmentService.syncOrderStatus(assignment);
+    await forwarderAssignmentService.broadcastTracking(assignment);
 
     console.log('✅ Sending success response');
     res.json({
@@ -229,8 +222,13 @@ router.put('/:id/update-status', auth, async (req, res) => {
       return res.status(403).json({ message: 'You are not assigned to this stage' });
     }
 
-    // Update forwarder status
-    forwarderAssignment.status = status;
+    const result = forwarderAssignmentService.updateStageStatus(assignment, forwarderAssignment, status, {
+      user: req.user
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
+
     if (documents && Array.isArray(documents)) {
       forwarderAssignment.documents.push(...documents);
     }
@@ -251,31 +249,9 @@ router.put('/:id/update-status', auth, async (req, res) => {
       documents: documents || []
     });
 
-    // If stage is completed, update overall assignment
-    if (status === 'completed') {
-      forwarderAssignment.completedAt = new Date();
-      
-      // Check if all stages are completed
-      const allCompleted = assignment.assignedForwarders.every(
-        f => f.status === 'completed'
-      );
-      
-      if (allCompleted) {
-        assignment.status = 'completed';
-        assignment.timeline.actualCompletion = new Date();
-      }
-    }
-
-    // Add to audit trail
-    assignment.auditTrail.push({
-      action: 'Status Updated',
-      performedBy: req.user.id,
-      details: `${stage} stage status updated to ${status}`,
-      previousStatus: forwarderAssignment.status,
-      newStatus: status
-    });
-
     await assignment.save();
+    await forwarderAssignmentService.syncOrderStatus(assignment);
+    await forwarderAssignmentService.broadcastTracking(assignment);
 
     res.json({
       success: true,
@@ -317,9 +293,15 @@ router.put('/:id/complete', auth, async (req, res) => {
       return res.status(400).json({ message: 'Stage must be in progress to complete' });
     }
 
-    // Complete the stage
-    forwarderAssignment.status = 'completed';
-    forwarderAssignment.completedAt = new Date();
+    // Complete the stage (and the assignment with its last stage)
+    const result = forwarderAssignmentService.updateStageStatus(assignment, forwarderAssignment, 'completed', {
+      user: req.user,
+      action: 'Stage Completed',
+      details: `${stage} stage completed`
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
     if (notes) {
       forwarderAssignment.notes = notes;
     }
@@ -337,26 +319,9 @@ router.put('/:id/complete', auth, async (req, res) => {
       documents: documents || []
     });
 
-    // Check if all stages are completed
-    const allCompleted = assignment.assignedForwarders.every(
-      f => f.status === 'completed'
-    );
-
-    if (allCompleted) {
-      assignment.status = 'completed';
-      assignment.timeline.actualCompletion = new Date();
-    }
-
-    // Add to audit trail
-    assignment.auditTrail.push({
-      action: 'Stage Completed',
-      performedBy: req.user.id,
-      details: `${stage} stage completed`,
-      previousStatus: 'in_progress',
-      newStatus: 'completed'
-    });
-
     await assignment.save();
+    await forwarderAssignmentService.syncOrderStatus(assignment);
+    await forwarderAssignmentService.broadcastTracking(assignment);
 
     res.json({
       success: true,
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const User = require('../schemas/User');
-const ShipmentOrder = require('../schemas/ShipmentOrder');
 const ForwarderAssignment = require('../schemas/ForwarderAssignment');
+const ForwarderAssignmentService = require('../services/forwarderAssignmentService');
+
+const forwarderAssignmentService = new ForwarderAssignmentService();
 
 // Get tasks assigned to the current sub-forwarder
 router.get('/my-tasks', auth, async (req, res) => {
@@ -84,15 +86,6 @@ router.put('/tasks/:taskId/status', auth, async (req, res) => {
     const { status, notes } = req.body;
     const currentUser = req.user;
 
-    // Validate status
-    const validStatuses = ['assigned', 'in_progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be one of: assigned, in_progress, completed, cancelled'
-      });
-    }
-
     // Find the assignment
     const assignment = await ForwarderAssignment.findById(taskId);
     if (!assignment) {
@@ -121,28 +114,28 @@ router.put('/tasks/:taskId/status', auth, async (req, res) => {
       });
     }
 
-    // Update the status
-    forwarderAssignment.status = status;
+    // Update the status (rejects jumps such as completed -> assigned)
+    const result = forwarderAssignmentService.updateStageStatus(assignment, forwarderAssignment, status, {
+      user: currentUser
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message,
+        allowedTransitions: result.allowedTransitions
+      });
+    }
     
     // Update notes if provided
     if (notes) {
       forwarderAssignment.notes = notes;
     }
-    
-    // If marking as in_progress, set start date
-    if (status === 'in_progress' && !forwarderAssignment.startedAt) {
-      forwarderAssignment.startedAt = new Date();
-    }
-    
-    // If marking as completed, set completion date
-    if (status === 'completed') {
-      forwarderAssignment.completedAt = new Date();
-    }
 
     await assignment.save();
 
-    // Update shipment order status if all tasks are completed
-    await updateShipmentOrderStatus(assignment.orderId);
+    // Move the shipment order along with its tasks
+    await forwarderAssignmentService.syncOrderStatus(assignment);
+    await forwarderAssignmentService.broadcastTracking(assignment);
 
     res.json({
       success: true,
@@ -162,43 +155,6 @@ router.put('/tasks/:taskId/status', auth, async (req, res) => {
   }
 });
 
-// Helper function to update shipment order status
-async function updateShipmentOrderStatus(orderId) {
-  try {
-    const assignment = await ForwarderAssignment.findOne({ orderId });
-    if (!assignment) return;
-
-    // Check if all forwarder tasks are completed
-    const allCompleted = assignment.assignedForwarders.every(
-      f => f.status === 'completed'
-    );
-
-    if (allCompleted) {
-      // Update shipment order status
-      await ShipmentOrder.findByIdAndUpdate(orderId, {
-        status: 'in_transit',
-        lastUpdated: new Date()
-      });
-
-      console.log(`✅ All tasks completed for order ${orderId}. Status updated to in_transit.`);
-    } else {
-      // Check if any tasks are in progress
-      const anyInProgress = assignment.assignedForwarders.some(
-        f => f.status === 'in_progress'
-      );
-
-      if (anyInProgress) {
-        await ShipmentOrder.findByIdAndUpdate(orderId, {
-          status: 'processing',
-          lastUpdated: new Date()
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error updating shipment order status:', error);
-  }
-}
-
 // Get task details
 router.get('/tasks/:taskId', auth, async (req, res) => {
   try {
@@ -4,12 +4,14 @@ const auth = require('../middleware/auth');
 const AIProcessor = require('../services/aiProcessor');
 const RealTradeDataService = require('../services/realTradeDataService');
 const AIPoweredHSCodeService = require('../services/aiPoweredHSCodeService');
+const TariffService = require('../services/tariffService');
 const router = express.Router();
 
 // Initialize services
 const aiProcessor = new AIProcessor();
 const realTradeDataService = new RealTradeDataService();
 const aiPoweredHSCodeService = new AIPoweredHSCodeService();
+const tariffService = new TariffService();
 
 // @route   POST /api/hs-codes/suggest
 // @desc    Get HS code suggestions with real Indian trade data
@@ -241,57 +243,100 @@ router.delete('/suggestions/:id', auth, async (req, res) => {
 });
 
 // @route   GET /api/hs-codes/search
-// @desc    Search HS codes by description
+// @desc    Search the tariff database by description or code prefix
 // @access  Private
 router.get('/search', auth, async (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, level, chapter, limit } = req.query;
 
     if (!q) {
       return res.status(400).json({ message: 'Search query required' });
     }
 
-    // Mock HS code database search
-    const mockHSCodes = [
-      {
-        code: '8517.12.00',
-        description: 'Smartphones and mobile phones',
-        category: 'Electronics',
-        dutyRate: '10%'
-      },
-      {
-        code: '8517.13.00',
-        description: 'Telephones for cellular networks',
-        category: 'Electronics',
-        dutyRate: '12%'
-      },
-      {
-        code: '8517.14.00',
-        description: 'Other telephones',
-        category: 'Electronics',
-        dutyRate: '15%'
-      },
-      {
-        code: '8528.72.00',
-        description: 'Monitors and projectors',
-        category: 'Electronics',
-        dutyRate: '8%'
-      },
-      {
-        code: '8471.30.00',
-        description: 'Portable automatic data processing machines',
-        category: 'Electronics',
-        dutyRate: '7%'
-      }
-    ];
+    const results = await tariffService.search(q, { level, chapter, limit });
+
+    // Chapter descriptions serve as the category of each result
+    const chapters = await tariffService.getChapters();
+    const chapterNames = chapters.reduce((names, item) => ({ ...names, [item.code]: item.description }), {});
+
+    res.json(results.map(result => ({
+      ...result,
+      category: chapterNames[result.chapter] || '',
+      dutyRate: result.bcdRate !== undefined ? `${result.bcdRate}%` : undefined
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/hs-codes/chapters
+// @desc    List tariff chapters
+// @access  Private
+router.get('/chapters', auth, async (req, res) => {
+  try {
+    const chapters = await tariffService.getChapters();
+    res.json(chapters);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/hs-codes/chapters/:ch
+// @desc    Get a chapter and its headings
+// @access  Private
+router.get('/chapters/:ch', auth, async (req, res) => {
+  try {
+    if (!/^\d{1,2}$/.test(req.params.ch)) {
+      return res.status(400).json({ message: 'Chapter must be 2 digits' });
+    }
+
+    const result = await tariffService.getChapter(req.params.ch);
+    if (!result) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/hs-codes/headings/:h
+// @desc    Get a heading with its subheadings and tariff items
+// @access  Private
+router.get('/headings/:h', auth, async (req, res) => {
+  try {
+    const heading = tariffService.normalizeCode(req.params.h);
+    if (heading.length !== 4) {
+      return res.status(400).json({ message: 'Heading must be 4 digits' });
+    }
+
+    const result = await tariffService.getHeading(heading);
+    if (!result) {
+      return res.status(404).json({ message: 'Heading not found' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Filter based on search query
-    const filteredCodes = mockHSCodes.filter(code =>
-      code.description.toLowerCase().includes(q.toLowerCase()) ||
-      code.code.includes(q)
-    );
+// @route   GET /api/hs-codes/tariff/:code
+// @desc    Get a tariff code with its ancestors and children
+// @access  Private
+router.get('/tariff/:code', auth, async (req, res) => {
+  try {
+    const result = await tariffService.getByCode(req.params.code);
+    if (!result) {
+      return res.status(404).json({ message: 'HS code not found in tariff' });
+    }
 
-    res.json(filteredCodes);
+    res.json(result);
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error' });
@@ -3,6 +3,37 @@ const router = express.Router();
 const ImportCost = require('../schemas/ImportCost');
 const ImportShipment = require('../schemas/ImportShipment');
 const auth = require('../middleware/auth');
+const DutyCalculator = require('../services/dutyCalculator');
+const ExchangeRateService = require('../services/exchangeRateService');
+const { getMachine } = require('../services/stateMachines');
+
+const dutyCalculator = new DutyCalculator();
+const exchangeRateService = new ExchangeRateService();
+const paymentMachine = getMachine('importCostPayment');
+
+// Request body without the payment fields, which only change through
+// PATCH /:id/payment (the importCostPayment state machine). Dotted paths
+// ("payment.status") and update operators ("$set") would reach them too.
+const withoutPayment = (body = {}) => Object.keys(body)
+  .filter(key => key !== 'payment' && !key.startsWith('payment.') && !key.startsWith('$'))
+  .reduce((fields, key) => ({ ...fields, [key]: body[key] }), {});
+
+// Fill in the customs exchange rate (as notified for the shipment's bill of
+// entry or arrival date) and INR value when they are not given
+const applyExchangeRate = async (cost, shipment) => {
+  if (!cost.goodsValue) return;
+  if (!cost.exchangeRate) {
+    const rate = await exchangeRateService.getRate(cost.currency, ExchangeRateService.BASE_CURRENCY, {
+      date: shipment.customsRateDate(),
+      rateType: 'customs_import'
+    });
+    if (!rate) {
+      throw new Error(`No exchange rate for ${cost.currency}; provide exchangeRate`);
+    }
+    cost.exchangeRate = rate.rate;
+  }
+  cost.localCurrencyValue = Math.round(cost.goodsValue * cost.exchangeRate * 100) / 100;
+};
 
 // Get cost breakdown for an import shipment
 router.get('/shipment/:shipmentId', auth, async (req, res) => {
@@ -50,20 +81,27 @@ router.post('/shipment/:shipmentId', auth, async (req, res) => {
     });
 
     if (cost) {
-      // Update existing cost breakdown
-      Object.assign(cost, req.body);
+      // Update existing cost breakdown (payments go through PATCH /:id/payment)
+      Object.assign(cost, withoutPayment(req.body));
+      if (req.body.goodsValue !== undefined || req.body.currency !== undefined || req.body.exchangeRate !== undefined) {
+        if (req.body.currency !== undefined && req.body.exchangeRate === undefined) {
+          cost.exchangeRate = undefined;
+        }
+        await applyExchangeRate(cost, shipment);
+      }
       cost.calculations.lastUpdated = new Date();
       await cost.save();
     } else {
       // Create new cost breakdown
       const costData = {
-        ...req.body,
+        ...withoutPayment(req.body),
         importShipment: req.params.shipmentId,
         importer: req.user.id,
         createdBy: req.user.id
       };
 
       cost = new ImportCost(costData);
+      await applyExchangeRate(cost, shipment);
       await cost.save();
     }
 
@@ -76,43 +114,13 @@ router.post('/shipment/:shipmentId', auth, async (req, res) => {
 // Calculate duties and taxes
 router.post('/calculate', auth, async (req, res) => {
   try {
-    const { goodsValue, hsCode, originCountry, destinationCountry, currency } = req.body;
-
-    // This is a simplified calculation - in a real system, you would:
-    // 1. Look up duty rates from a customs database
-    // 2. Apply trade agreements and preferences
-    // 3. Calculate taxes based on local regulations
-    // 4. Consider additional duties and fees
-
-    const dutyRate = 0.1; // 10% - this should come from a database
-    const taxRate = 0.18; // 18% GST - this should come from a database
-
-    const basicDuty = goodsValue * dutyRate;
-    const gst = (goodsValue + basicDuty) * taxRate;
-    const totalDutyTax = basicDuty + gst;
-
-    const calculation = {
-      goodsValue,
-      currency,
-      duties: {
-        basicDuty,
-        totalDuty: basicDuty
-      },
-      taxes: {
-        gst,
-        totalTax: gst
-      },
-      totals: {
-        totalDutyTax,
-        grandTotal: goodsValue + totalDutyTax
-      },
-      rates: {
-        dutyRate: dutyRate * 100,
-        taxRate: taxRate * 100
-      }
-    };
+    const result = await dutyCalculator.calculate(req.body);
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.errors[0], errors: result.errors });
+    }
 
-    res.json(calculation);
+    res.json(result.calculation);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -132,15 +140,20 @@ router.patch('/:id/payment', auth, async (req, res) => {
       return res.status(404).json({ message: 'Cost breakdown not found' });
     }
 
-    cost.payment = {
-      ...cost.payment,
-      status,
-      paymentMethod,
-      paidAmount: paidAmount || cost.payment.paidAmount,
-      paymentReference,
-      bankDetails: bankDetails || cost.payment.bankDetails,
-      paymentDate: status === 'paid' ? new Date() : cost.payment.paymentDate
-    };
+    if (paymentMethod) cost.payment.paymentMethod = paymentMethod;
+    if (paidAmount) cost.payment.paidAmount = paidAmount;
+    if (paymentReference) cost.payment.paymentReference = paymentReference;
+    if (bankDetails) cost.payment.bankDetails = bankDetails;
+
+    if (status) {
+      const result = paymentMachine.transition(cost, status, {
+        user: req.user,
+        details: paymentReference ? `Payment reference ${paymentReference}` : undefined
+      });
+      if (!result.success) {
+        return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+      }
+    }
 
     // Calculate remaining amount
     cost.payment.remainingAmount = cost.totals.grandTotal - cost.payment.paidAmount;
@@ -223,7 +236,7 @@ router.put('/:id', auth, async (req, res) => {
     const cost = await ImportCost.findOneAndUpdate(
       { _id: req.params.id, importer: req.user.id },
       {
-        ...req.body,
+        ...withoutPayment(req.body),
         'calculations.lastUpdated': new Date()
       },
       { new: true, runValidators: true }
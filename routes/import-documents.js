@@ -2,135 +2,25 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const ImportDocument = require('../schemas/ImportDocument');
 const ImportShipment = require('../schemas/ImportShipment');
 const auth = require('../middleware/auth');
-const GeminiService = require('../services/gemini');
-const ComplianceService = require('../services/compliance');
+const documentAccess = require('../middleware/documentAccess');
+const { enqueueImportDocumentProcessing } = require('../services/documentJobs');
+const DocumentVersionService = require('../services/documentVersionService');
+const RetentionService = require('../services/retentionService');
+const storage = require('../services/storage');
+const contentInspection = require('../services/contentInspection');
 
-// Initialize AI services
-const geminiService = new GeminiService();
-const complianceService = new ComplianceService();
+const documentVersionService = new DocumentVersionService();
+const retentionService = new RetentionService();
 
-// Real AI processing function for import documents
-const processDocumentWithAI = async (filePath, documentType, mimeType) => {
-  try {
-    const startTime = Date.now();
-    
-    console.log(`🤖 Processing import document with AI: ${path.basename(filePath)}`);
-    
-    // Step 1: Extract text using Gemini
-    let ocrResult = await geminiService.extractTextFromDocument(
-      filePath,
-      mimeType,
-      documentType
-    );
-
-    // If OCR fails, use fallback
-    if (!ocrResult.success) {
-      console.warn('⚠️  OCR failed, using fallback processing...');
-      ocrResult = await geminiService.getFallbackProcessing(filePath, documentType);
-    }
-
-    // Step 2: Analyze compliance for import documents
-    let complianceResult = await complianceService.analyzeCompliance(
-      ocrResult.structuredData || { extractedText: ocrResult.extractedText },
-      documentType
-    );
-
-    // If compliance analysis fails, use fallback
-    if (!complianceResult.success) {
-      console.warn('⚠️  Compliance analysis failed, using fallback...');
-      complianceResult = await complianceService.getFallbackCompliance(
-        ocrResult.structuredData || { extractedText: ocrResult.extractedText },
-        documentType
-      );
-    }
-
-    // Step 3: Extract HS codes and get suggestions
-    const extractedData = ocrResult.structuredData || {};
-    let hsCodes = extractedData.items?.map(item => item.hsCode).filter(Boolean) || [];
-    
-    // If no HS codes found, try to suggest based on product descriptions
-    if (hsCodes.length === 0 && extractedData.items) {
-      const products = extractedData.items.map(item => item.description).filter(Boolean);
-      if (products.length > 0) {
-        try {
-          const hsCodeResult = await complianceService.suggestHSCodes(
-            products[0], // Use first product for suggestion
-            `From ${documentType} document`
-          );
-          if (hsCodeResult.success && hsCodeResult.suggestions) {
-            hsCodes = hsCodeResult.suggestions.map(s => s.code);
-          }
-        } catch (error) {
-          console.warn('HS code suggestion failed:', error.message);
-        }
-      }
-    }
-
-    const endTime = Date.now();
-    const processingTime = endTime - startTime;
-
-    return {
-      extractedText: ocrResult.extractedText || '',
-      extractedData: {
-        supplierName: extractedData.supplier?.name || extractedData.from?.name || '',
-        supplierAddress: extractedData.supplier?.address || extractedData.from?.address || '',
-        importerName: extractedData.buyer?.name || extractedData.to?.name || '',
-        importerAddress: extractedData.buyer?.address || extractedData.to?.address || '',
-        invoiceNumber: extractedData.invoiceNumber || extractedData.documentNumber || '',
-        invoiceDate: extractedData.invoiceDate || extractedData.date || new Date(),
-        totalAmount: extractedData.totalAmount || extractedData.grandTotal || 0,
-        currency: extractedData.currency || 'USD',
-        hsCodes: hsCodes,
-        goodsDescription: extractedData.items?.[0]?.description || extractedData.goodsDescription || '',
-        quantity: extractedData.items?.[0]?.quantity || 0,
-        unit: extractedData.items?.[0]?.unit || 'pcs',
-        unitPrice: extractedData.items?.[0]?.unitPrice || 0,
-        totalPrice: extractedData.items?.[0]?.totalPrice || extractedData.totalAmount || 0,
-        originCountry: extractedData.origin?.country || extractedData.supplier?.country || '',
-        destinationCountry: extractedData.destination?.country || extractedData.buyer?.country || '',
-        portOfLoading: extractedData.origin?.port || extractedData.shipFrom?.port || '',
-        portOfDischarge: extractedData.destination?.port || extractedData.shipTo?.port || '',
-        vesselName: extractedData.vessel?.name || '',
-        voyageNumber: extractedData.vessel?.voyage || '',
-        containerNumber: extractedData.container?.number || '',
-        sealNumber: extractedData.container?.seal || '',
-        weight: extractedData.totalWeight || extractedData.weight || 0,
-        volume: extractedData.totalVolume || extractedData.volume || 0,
-        dimensions: extractedData.dimensions || {}
-      },
-      confidence: ocrResult.confidence || 0,
-      processingTime: processingTime,
-      provider: 'gemini-openai-pipeline',
-      errors: complianceResult.errors || [],
-      suggestions: complianceResult.recommendations || []
-    };
-  } catch (error) {
-    console.error('❌ AI processing error:', error);
-    throw error;
-  }
-};
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/import-documents');
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Quarantined files are not served until an admin releases them
+const QUARANTINE_MESSAGE = 'This document is quarantined until an administrator releases it';
 
+// The content of uploads is inspected before they are stored
 const upload = multer({
-  storage: storage,
+  storage: storage.multerStorage({ inspect: contentInspection.inspectUpload }),
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
@@ -147,8 +37,18 @@ const upload = multer({
   }
 });
 
+// Accept one file in the 'document' field
+const uploadDocument = (req, res, next) => {
+  upload.single('document')(req, res, (err) => {
+    if (err && err.code === 'CONTENT_REJECTED') {
+      return res.status(err.statusCode).json({ message: err.message, issues: err.issues });
+    }
+    next(err);
+  });
+};
+
 // Upload import document
-router.post('/upload', auth, upload.single('document'), async (req, res) => {
+router.post('/upload', auth, uploadDocument, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -164,7 +64,7 @@ router.post('/upload', auth, upload.single('document'), async (req, res) => {
 
     if (!shipment) {
       // Delete uploaded file if shipment not found
-      fs.unlinkSync(req.file.path);
+      await storage.releaseFile(req.file.path, { hold: req.file.storageHold });
       return res.status(404).json({ message: 'Import shipment not found' });
     }
 
@@ -180,55 +80,20 @@ router.post('/upload', auth, upload.single('document'), async (req, res) => {
       isRequired,
       createdBy: req.user.id
     });
+    const quarantined = contentInspection.applyInspection(document, req.file.inspection);
 
     await document.save();
 
-    // Process document with AI in background
-    setImmediate(async () => {
-      try {
-        console.log(`🚀 Starting AI processing for: ${document.originalName}`);
-        document.aiProcessing.status = 'processing';
-        await document.save();
-        
-        const aiResult = await processDocumentWithAI(req.file.path, documentType, req.file.mimetype);
-        
-        document.aiProcessing = {
-          status: 'completed',
-          extractedText: aiResult.extractedText,
-          extractedData: aiResult.extractedData,
-          confidence: aiResult.confidence,
-          processingTime: aiResult.processingTime,
-          aiProvider: aiResult.provider,
-          errors: aiResult.errors || [],
-          suggestions: aiResult.suggestions || []
-        };
-        
-        // Auto-validate if confidence is high
-        if (aiResult.confidence > 0.8) {
-          document.validation.status = 'validated';
-          document.validation.complianceScore = Math.round(aiResult.confidence * 100);
-          document.validation.validatedAt = new Date();
-        } else {
-          document.validation.status = 'needs_review';
-        }
-        
-        document.status = 'validated';
-        await document.save();
-        console.log(`✅ AI processing completed for: ${document.originalName}`);
-      } catch (aiError) {
-        console.error('❌ AI processing error:', aiError);
-        document.aiProcessing.status = 'failed';
-        document.aiProcessing.errors = [aiError.message];
-        document.status = 'rejected';
-        await document.save();
-      }
-    });
+    // Queue AI processing on the background worker; quarantined documents wait for an admin
+    if (!quarantined) {
+      await enqueueImportDocumentProcessing(document._id, { createdBy: req.user.id });
+    }
 
     res.status(201).json(document);
   } catch (error) {
     // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    if (req.file) {
+      await storage.releaseFile(req.file.path, { hold: req.file.storageHold }).catch(() => {});
     }
     res.status(500).json({ message: error.message });
   }
@@ -258,52 +123,41 @@ router.get('/shipment/:shipmentId', auth, async (req, res) => {
 });
 
 // Get a specific document
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, documentAccess('view', 'importDocument'), async (req, res) => {
   try {
-    const document = await ImportDocument.findOne({
-      _id: req.params.id,
-      importer: req.user.id
-    });
-
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
-    }
-
-    res.json(document);
+    res.json(req.document);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Download a document
-router.get('/:id/download', auth, async (req, res) => {
+router.get('/:id/download', auth, documentAccess('download', 'importDocument'), async (req, res) => {
   try {
-    const document = await ImportDocument.findOne({
-      _id: req.params.id,
-      importer: req.user.id
-    });
-
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+    const document = req.document;
+    if (document.quarantine?.active) {
+      return res.status(423).json({ message: QUARANTINE_MESSAGE });
     }
 
-    if (!fs.existsSync(document.filePath)) {
+    const sent = await storage.sendFile(res, document.filePath, {
+      fileName: document.originalName,
+      contentType: document.mimeType
+    });
+    if (!sent) {
       return res.status(404).json({ message: 'File not found on server' });
     }
-
-    res.download(document.filePath, document.originalName);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Update document validation
-router.patch('/:id/validate', auth, async (req, res) => {
+router.patch('/:id/validate', auth, documentAccess('validate', 'importDocument'), async (req, res) => {
   try {
     const { status, notes, complianceScore, issues, corrections } = req.body;
 
-    const document = await ImportDocument.findOneAndUpdate(
-      { _id: req.params.id, importer: req.user.id },
+    const document = await ImportDocument.findByIdAndUpdate(
+      req.params.id,
       {
         'validation.status': status,
         'validation.validatedBy': req.user.id,
@@ -326,24 +180,97 @@ router.patch('/:id/validate', auth, async (req, res) => {
   }
 });
 
-// Delete a document
-router.delete('/:id', auth, async (req, res) => {
+// Upload a new version of a document (the previous file and its results are kept)
+router.post('/:id/versions', auth, documentAccess('update', 'importDocument'), uploadDocument, async (req, res) => {
   try {
-    const document = await ImportDocument.findOne({
-      _id: req.params.id,
-      importer: req.user.id
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const result = await documentVersionService.addVersion(req.document, req.file, req.user, {
+      resourceType: 'importDocument',
+      changeNote: req.body.changeNote
     });
+    if (!result.success) {
+      await storage.releaseFile(req.file.path, { hold: req.file.storageHold });
+      return res.status(result.statusCode).json({ message: result.message });
+    }
 
-    if (!document) {
-      return res.status(404).json({ message: 'Document not found' });
+    // Queue AI processing of the new file on the background worker
+    if (!result.quarantined) {
+      await enqueueImportDocumentProcessing(result.document._id, { createdBy: req.user.id });
     }
 
-    // Delete file from filesystem
-    if (fs.existsSync(document.filePath)) {
-      fs.unlinkSync(document.filePath);
+    res.status(201).json({
+      document: result.document,
+      versions: documentVersionService.listVersions(result.document, 'importDocument')
+    });
+  } catch (error) {
+    // Clean up uploaded file on error
+    if (req.file) {
+      await storage.releaseFile(req.file.path, { hold: req.file.storageHold }).catch(() => {});
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List the versions of a document
+router.get('/:id/versions', auth, documentAccess('view', 'importDocument'), async (req, res) => {
+  res.json({
+    currentVersion: req.document.version || 1,
+    versions: documentVersionService.listVersions(req.document, 'importDocument')
+  });
+});
+
+// Field-level diff of the extracted data of two versions (?from=1&to=2, defaults: previous vs current)
+router.get('/:id/versions/diff', auth, documentAccess('view', 'importDocument'), async (req, res) => {
+  const result = documentVersionService.diff(req.document, req.query.from, req.query.to, 'importDocument');
+  if (!result.success) {
+    return res.status(result.statusCode).json({ message: result.message });
+  }
+
+  res.json({
+    documentId: req.document._id,
+    from: result.from,
+    to: result.to,
+    file: result.file,
+    changes: result.changes,
+    summary: result.summary
+  });
+});
+
+// Download the file of one version
+router.get('/:id/versions/:version/download', auth, documentAccess('download', 'importDocument'), async (req, res) => {
+  try {
+    if (req.document.quarantine?.active) {
+      return res.status(423).json({ message: QUARANTINE_MESSAGE });
+    }
+    const version = documentVersionService.getVersion(req.document, req.params.version, 'importDocument');
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    const sent = await storage.sendFile(res, version.filePath, {
+      fileName: version.originalName,
+      contentType: version.mimeType
+    });
+    if (!sent) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a document
+router.delete('/:id', auth, documentAccess('delete', 'importDocument'), async (req, res) => {
+  try {
+    const document = req.document;
+    if (document.legalHold?.active) {
+      return res.status(409).json({ message: 'Document is under legal hold and cannot be deleted' });
     }
 
-    await ImportDocument.findByIdAndDelete(req.params.id);
+    // Deletes the files of every version and cancels pending processing
+    await retentionService.deleteRecord('import_document', document);
 
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
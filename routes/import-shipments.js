@@ -7,6 +7,13 @@ const User = require('../schemas/User');
 const Notification = require('../schemas/Notification');
 const auth = require('../middleware/auth');
 const NotificationService = require('../services/notificationService');
+const ExchangeRateService = require('../services/exchangeRateService');
+const AccessControlService = require('../services/accessControlService');
+const { getMachine } = require('../services/stateMachines');
+
+const exchangeRateService = new ExchangeRateService();
+const accessControlService = new AccessControlService();
+const importShipmentMachine = getMachine('importShipment');
 
 // Get all import shipments for the authenticated importer
 router.get('/', auth, async (req, res) => {
@@ -148,8 +155,6 @@ router.get('/stats/overview', auth, async (req, res) => {
         $group: {
           _id: null,
           totalShipments: { $sum: 1 },
-          totalValue: { $sum: '$totalValue' },
-          averageValue: { $avg: '$totalValue' },
           statusCounts: {
             $push: '$status'
           }
@@ -157,6 +162,27 @@ router.get('/stats/overview', auth, async (req, res) => {
       }
     ]);
 
+    // Shipments are valued in different currencies; convert each day's total
+    // at that day's rate into the user's reporting currency
+    const valuesByCurrency = await ImportShipment.aggregate([
+      { $match: { importer: req.user._id } },
+      {
+        $group: {
+          _id: {
+            currency: '$currency',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+          },
+          amount: { $sum: '$totalValue' }
+        }
+      }
+    ]);
+    const currency = await exchangeRateService.getReportingCurrency(req.user.id || req.user._id, req.query.currency);
+    const value = await exchangeRateService.sumInCurrency(
+      valuesByCurrency.map(group => ({ amount: group.amount, currency: group._id.currency, date: group._id.day })),
+      currency
+    );
+    const totalShipments = stats[0]?.totalShipments || 0;
+
     const statusCounts = {};
     if (stats.length > 0) {
       stats[0].statusCounts.forEach(status => {
@@ -165,9 +191,12 @@ router.get('/stats/overview', auth, async (req, res) => {
     }
 
     res.json({
-      totalShipments: stats[0]?.totalShipments || 0,
-      totalValue: stats[0]?.totalValue || 0,
-      averageValue: stats[0]?.averageValue || 0,
+      totalShipments,
+      totalValue: value.total,
+      averageValue: totalShipments > 0 ? Math.round(value.total / totalShipments * 100) / 100 : 0,
+      currency: value.currency,
+      valueByCurrency: value.byCurrency,
+      unconvertedValue: value.unconverted,
       statusCounts
     });
   } catch (error) {
@@ -180,30 +209,15 @@ router.get('/stats/overview', auth, async (req, res) => {
 // Get a specific import shipment
 router.get('/:id', auth, async (req, res) => {
   try {
-    // Build query based on user role
-    let query = { _id: req.params.id };
-    
-    // Importers can only see their own shipments
-    // Forwarder admins can see shipments assigned to them
-    if (req.user.role === 'importer') {
-      query.importer = req.user.id;
-    } else if (req.user.role === 'forwarder') {
-      // Forwarders can see shipments pending approval or assigned to them
-      query.$or = [
-        { forwarderAdmin: req.user.id },
-        { approvalStatus: 'pending_approval' }
-      ];
-    } else if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const shipment = await ImportShipment.findOne(query)
+    const shipment = await ImportShipment.findById(req.params.id)
       .populate('importer', 'name email company')
       .populate('createdBy', 'name email')
       .populate('forwarderAdmin', 'name email company')
       .populate('approvedBy', 'name email');
 
-    if (!shipment) {
+    // Importers see their own shipments, forwarders those assigned to them or
+    // pending approval (the same policy as the shipment's comments)
+    if (!shipment || !accessControlService.checkRecordAccess(req.user, shipment, 'import_shipment').allowed) {
       return res.status(404).json({ message: 'Import shipment not found' });
     }
 
@@ -256,14 +270,23 @@ router.post('/', auth, async (req, res) => {
     await shipment.save();
     console.log('✅ Import shipment created:', shipment.shipmentNumber);
 
+    // Customs values the goods in INR at the notified import rate
+    const conversion = await exchangeRateService.convert(shipment.totalValue, shipment.currency, ExchangeRateService.BASE_CURRENCY, {
+      date: shipment.customsRateDate(),
+      rateType: 'customs_import'
+    });
+    if (!conversion) {
+      console.log(`⚠️ No exchange rate for ${shipment.currency}; cost record uses 1 until rates are imported`);
+    }
+
     // Create initial cost record with all required fields
     const costData = {
       importShipment: shipment._id,
       importer: req.user.id,
       goodsValue: shipment.totalValue,
       currency: shipment.currency,
-      exchangeRate: 1, // This should be fetched from a currency API
-      localCurrencyValue: shipment.totalValue,
+      exchangeRate: conversion ? conversion.rate : 1,
+      localCurrencyValue: conversion ? conversion.amount : shipment.totalValue,
       duties: {
         basicDuty: 0,
         additionalDuty: 0,
@@ -341,6 +364,7 @@ router.post('/', auth, async (req, res) => {
           user: forwarderAdmin._id,
           type: 'alert',
           category: 'general',
+          event: 'importShipmentApproval',
           title: 'New Import Shipment Approval Request',
           message: `${req.user.name || 'An importer'} has submitted import shipment ${shipment.shipmentNumber} for approval. Please review and approve.`,
           priority: 'high',
@@ -371,9 +395,15 @@ router.post('/', auth, async (req, res) => {
 // Update an import shipment
 router.put('/:id', auth, async (req, res) => {
   try {
+    // Status changes go through PATCH /:id/status and the approval actions
+    const { status, approvalStatus, statusBeforeException, auditTrail, ...updates } = req.body;
+
+    // Update operators ("$set") would reach the status fields too
+    Object.keys(updates).filter(key => key.startsWith('$')).forEach(key => delete updates[key]);
+
     const shipment = await ImportShipment.findOneAndUpdate(
       { _id: req.params.id, importer: req.user.id },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -413,20 +443,40 @@ router.delete('/:id', auth, async (req, res) => {
 router.patch('/:id/status', auth, async (req, res) => {
   try {
     const { status, notes } = req.body;
-    
-    const shipment = await ImportShipment.findOneAndUpdate(
-      { _id: req.params.id, importer: req.user.id },
-      { 
-        status,
-        ...(notes && { notes })
-      },
-      { new: true }
-    );
 
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+
+    // Importers move their own shipments; forwarders the ones they approved
+    const query = { _id: req.params.id };
+    if (req.user.role === 'importer') {
+      query.importer = req.user.id;
+    } else if (req.user.role === 'forwarder') {
+      query.forwarderAdmin = req.user.id;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const shipment = await ImportShipment.findOne(query);
     if (!shipment) {
       return res.status(404).json({ message: 'Import shipment not found' });
     }
 
+    const result = importShipmentMachine.transition(shipment, status, {
+      user: req.user,
+      details: notes
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
+    if (notes) {
+      shipment.notes = notes;
+    }
+
+    await shipment.save();
+    await importShipmentMachine.runSideEffects(shipment, result);
+
     res.json(shipment);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -458,41 +508,18 @@ router.post('/:id/approve', auth, async (req, res) => {
       });
     }
 
-    // Update shipment
-    shipment.approvalStatus = 'approved';
-    shipment.status = 'in_progress';
-    shipment.approvedBy = req.user.id;
-    shipment.approvedAt = new Date();
-    shipment.forwarderAdmin = req.user.id;
+    // Approval starts the shipment and records the approver
+    const result = importShipmentMachine.transition(shipment, 'in_progress', {
+      user: req.user,
+      action: 'Shipment Approved'
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
 
     await shipment.save();
     console.log('✅ Import shipment approved successfully');
-
-    // Send notification to importer
-    try {
-      const notificationService = new NotificationService();
-      await notificationService.createNotification({
-        user: shipment.importer._id,
-        type: 'success',
-        category: 'general',
-        title: 'Import Shipment Approved',
-        message: `Your import shipment ${shipment.shipmentNumber} has been approved by ${req.user.name} and is now in progress.`,
-        priority: 'high',
-        actionUrl: `/import-shipments/${shipment._id}`,
-        actionText: 'View Shipment',
-        metadata: {
-          customData: {
-            shipmentId: shipment._id,
-            shipmentNumber: shipment.shipmentNumber,
-            forwarderName: req.user.name
-          }
-        },
-        tags: ['import_shipment', 'approved']
-      });
-      console.log('✅ Notification sent to importer');
-    } catch (notificationError) {
-      console.error('❌ Failed to send notification:', notificationError);
-    }
+    await importShipmentMachine.runSideEffects(shipment, result);
 
     res.json({
       success: true,
@@ -534,42 +561,19 @@ router.post('/:id/reject', auth, async (req, res) => {
       });
     }
 
-    // Update shipment
-    shipment.approvalStatus = 'rejected';
-    shipment.status = 'rejected';
-    shipment.rejectionReason = reason;
-    shipment.rejectedAt = new Date();
-    shipment.approvedBy = req.user.id;
+    const result = importShipmentMachine.transition(shipment, 'rejected', {
+      user: req.user,
+      action: 'Shipment Rejected',
+      details: reason,
+      reason
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
 
     await shipment.save();
     console.log('✅ Import shipment rejected successfully');
-
-    // Send notification to importer
-    try {
-      const notificationService = new NotificationService();
-      await notificationService.createNotification({
-        user: shipment.importer._id,
-        type: 'error',
-        category: 'general',
-        title: 'Import Shipment Rejected',
-        message: `Your import shipment ${shipment.shipmentNumber} has been rejected by ${req.user.name}. Reason: ${reason}`,
-        priority: 'high',
-        actionUrl: `/import-shipments/${shipment._id}`,
-        actionText: 'View Shipment',
-        metadata: {
-          customData: {
-            shipmentId: shipment._id,
-            shipmentNumber: shipment.shipmentNumber,
-            forwarderName: req.user.name,
-            rejectionReason: reason
-          }
-        },
-        tags: ['import_shipment', 'rejected']
-      });
-      console.log('✅ Notification sent to importer');
-    } catch (notificationError) {
-      console.error('❌ Failed to send notification:', notificationError);
-    }
+    await importShipmentMachine.runSideEffects(shipment, result);
 
     res.json({
       success: true,
@@ -0,0 +1,56 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const QuarantineService = require('../services/quarantineService');
+const router = express.Router();
+
+const quarantineService = new QuarantineService();
+
+// @route   GET /api/quarantine
+// @desc    Quarantined documents and import documents (?target=document|import_document)
+// @access  Private (Admin)
+router.get('/', auth, admin, async (req, res) => {
+  try {
+    if (req.query.target && !QuarantineService.TARGETS.includes(req.query.target)) {
+      return res.status(400).json({ success: false, message: 'Quarantine applies to document and import_document' });
+    }
+    const records = await quarantineService.list(req.query.target);
+
+    res.json({
+      success: true,
+      data: records
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// @route   POST /api/quarantine/:target/:id/release
+// @desc    Release a quarantined file and queue its AI processing ({ note })
+// @access  Private (Admin)
+router.post('/:target/:id/release', auth, admin, async (req, res) => {
+  try {
+    const result = await quarantineService.release(req.params.target, req.params.id, req.user.id, req.body.note);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+
+    res.locals.audit = {
+      action: 'quarantine_released',
+      details: `Released ${result.record.originalName} from quarantine${req.body.note ? `: ${req.body.note}` : ''}`,
+      metadata: { target: req.params.target, jobId: result.job._id }
+    };
+    res.json({
+      success: true,
+      data: result.record,
+      jobId: result.job._id,
+      message: 'Released from quarantine; processing queued'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
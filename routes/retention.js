@@ -0,0 +1,273 @@
+const express = require('express');
+const { RetentionPolicy } = require('../schemas');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const RetentionService = require('../services/retentionService');
+const router = express.Router();
+
+const retentionService = new RetentionService();
+
+const parseTargets = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  return [].concat(value).flatMap(entry => String(entry).split(',')).map(entry => entry.trim()).filter(Boolean);
+};
+
+const handleError = (res, err) => {
+  console.error(err.message);
+  if (err.message.startsWith('Unknown retention target') || err.message.startsWith('Legal holds do not apply')) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A policy with this name already exists' });
+  }
+  res.status(500).json({ success: false, message: 'Server error', error: err.message });
+};
+
+// @route   GET /api/retention/policies
+// @desc    Get retention policies
+// @access  Private (Admin)
+router.get('/policies', auth, admin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.target) query.target = req.query.target;
+    if (req.query.active !== undefined) query.active = req.query.active === 'true';
+
+    const policies = await RetentionPolicy.find(query)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ target: 1, retentionDays: -1 });
+
+    res.json({
+      success: true,
+      data: policies,
+      message: 'Retention policies retrieved successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/retention/policies
+// @desc    Create a retention policy ({ name, description, target, documentTypes,
+//          statuses, retentionDays, active })
+// @access  Private (Admin)
+router.post('/policies', auth, admin, async (req, res) => {
+  try {
+    const validation = retentionService.validatePolicy(req.body);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({ success: false, message: validation.message });
+    }
+
+    const policy = new RetentionPolicy({
+      ...validation.values,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Retention policy created successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   PUT /api/retention/policies/:id
+// @desc    Update a retention policy
+// @access  Private (Admin)
+router.put('/policies/:id', auth, admin, async (req, res) => {
+  try {
+    const policy = await RetentionPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Retention policy not found' });
+    }
+
+    const validation = retentionService.validatePolicy(req.body, policy);
+    if (!validation.success) {
+      return res.status(validation.statusCode).json({ success: false, message: validation.message });
+    }
+
+    Object.assign(policy, validation.values, { updatedBy: req.user.id });
+    await policy.save();
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Retention policy updated successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /api/retention/policies/:id
+// @desc    Delete a retention policy
+// @access  Private (Admin)
+router.delete('/policies/:id', auth, admin, async (req, res) => {
+  try {
+    const policy = await RetentionPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Retention policy not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Retention policy deleted successfully'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/retention/report
+// @desc    Dry run: what a purge would delete now (?targets=document,import_document&limit=)
+// @access  Private (Admin)
+router.get('/report', auth, admin, async (req, res) => {
+  try {
+    const report = await retentionService.purge({
+      dryRun: true,
+      targets: parseTargets(req.query.targets),
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/retention/purge
+// @desc    Delete expired records with their files ({ targets, limit, dryRun })
+// @access  Private (Admin)
+router.post('/purge', auth, admin, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const report = await retentionService.purge({
+      dryRun,
+      targets: parseTargets(req.body.targets),
+      limit: parseInt(req.body.limit) || undefined
+    });
+
+    const counts = {};
+    for (const [target, result] of Object.entries(report.targets)) {
+      counts[target] = { expired: result.expired, deleted: result.deleted, onHold: result.onHold, failed: result.failed };
+    }
+    res.locals.audit = {
+      action: dryRun ? 'retention_dry_run' : 'retention_purge',
+      details: `Retention ${dryRun ? 'dry run' : 'purge'}: ${Object.entries(counts).map(([target, count]) => `${target} ${count.deleted}/${count.expired}`).join(', ')}`,
+      metadata: { counts }
+    };
+    res.json({
+      success: true,
+      data: report,
+      message: dryRun ? 'Retention dry run completed' : 'Retention purge completed'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/retention/orphans
+// @desc    Dry run: upload files no record points at, and records whose files are missing
+// @access  Private (Admin)
+router.get('/orphans', auth, admin, async (req, res) => {
+  try {
+    const report = await retentionService.sweepOrphanFiles({ dryRun: true });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST /api/retention/orphans/sweep
+// @desc    Delete orphan upload files ({ dryRun })
+// @access  Private (Admin)
+router.post('/orphans/sweep', auth, admin, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const report = await retentionService.sweepOrphanFiles({ dryRun });
+
+    res.locals.audit = {
+      action: dryRun ? 'orphan_files_checked' : 'orphan_files_swept',
+      details: `${report.orphans} orphan files, ${report.deleted} deleted`,
+      metadata: { orphans: report.orphans, deleted: report.deleted, missing: report.missing }
+    };
+    res.json({
+      success: true,
+      data: report,
+      message: dryRun ? 'Orphan file check completed' : 'Orphan files swept'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   GET /api/retention/holds
+// @desc    Records under legal hold (?target=document|import_document)
+// @access  Private (Admin)
+router.get('/holds', auth, admin, async (req, res) => {
+  try {
+    const holds = await retentionService.getLegalHolds(req.query.target);
+
+    res.json({
+      success: true,
+      data: holds
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   PUT /api/retention/holds/:target/:id
+// @desc    Place a legal hold on a document or import document ({ reason })
+// @access  Private (Admin)
+router.put('/holds/:target/:id', auth, admin, async (req, res) => {
+  try {
+    const result = await retentionService.setLegalHold(req.params.target, req.params.id, true, req.user.id, req.body.reason);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      data: result.record,
+      message: 'Legal hold placed'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   DELETE /api/retention/holds/:target/:id
+// @desc    Release a legal hold
+// @access  Private (Admin)
+router.delete('/holds/:target/:id', auth, admin, async (req, res) => {
+  try {
+    const result = await retentionService.setLegalHold(req.params.target, req.params.id, false, req.user.id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      data: result.record,
+      message: 'Legal hold released'
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
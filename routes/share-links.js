@@ -0,0 +1,135 @@
+const express = require('express');
+const shareLinkRateLimit = require('../middleware/shareLinkRateLimit');
+const ShareLinkService = require('../services/shareLinkService');
+const storage = require('../services/storage');
+const router = express.Router();
+
+const shareLinkService = new ShareLinkService();
+
+// Public endpoints for external share links: the token is the credential,
+// so none of these use auth. Links are created under /api/documents/:id/share-links.
+
+const getPassword = (req) => req.get('X-Share-Password') || req.body?.password;
+
+// Resolve the token and check the password, logging refusals to the document's history
+const openLink = async (req, res) => {
+  const resolved = await shareLinkService.resolve(req.params.token);
+  if (!resolved.success) {
+    if (resolved.link) {
+      await shareLinkService.logAccess(resolved.link, 'denied', {
+        req,
+        status: 'warning',
+        details: `Share link ${resolved.link._id} refused: ${resolved.reason}`,
+        metadata: { reason: resolved.reason }
+      });
+    }
+    res.status(resolved.statusCode).json({ message: resolved.message });
+    return null;
+  }
+
+  const { link } = resolved;
+  const passwordCheck = await shareLinkService.verifyPassword(link, getPassword(req));
+  if (!passwordCheck.success) {
+    if (passwordCheck.reason === 'wrong_password') {
+      await shareLinkService.logAccess(link, 'denied', {
+        req,
+        status: 'warning',
+        details: `Share link ${link._id} refused: wrong password`,
+        metadata: { reason: passwordCheck.reason }
+      });
+    }
+    res.status(passwordCheck.statusCode).json({ message: passwordCheck.message, requiresPassword: true });
+    return null;
+  }
+
+  return link;
+};
+
+// @route   GET /api/share/:token
+// @desc    Get the details of a shared document
+// @access  Public (share link token, plus X-Share-Password for protected links)
+router.get('/:token', shareLinkRateLimit, async (req, res) => {
+  try {
+    const link = await openLink(req, res);
+    if (!link) return;
+
+    await shareLinkService.recordView(link);
+    await shareLinkService.logAccess(link, 'viewed', { req, details: `Share link ${link._id} opened` });
+
+    const document = link.document;
+    res.json({
+      document: {
+        fileName: document.originalName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        documentType: document.documentType
+      },
+      expiresAt: link.expiresAt,
+      requiresPassword: link.requiresPassword,
+      downloadsRemaining: link.maxDownloads ? Math.max(link.maxDownloads - link.downloadCount, 0) : null,
+      purpose: link.purpose,
+      watermark: shareLinkService.getWatermark(link, document)
+    });
+  } catch (error) {
+    console.error('❌ Share link lookup error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const downloadSharedDocument = async (req, res) => {
+  try {
+    const link = await openLink(req, res);
+    if (!link) return;
+
+    const document = link.document;
+    if (document.quarantine?.active) {
+      return res.status(423).json({ message: 'This document is quarantined until an administrator releases it' });
+    }
+    if (!document.filePath || !(await storage.stat(document.filePath))) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const updated = await shareLinkService.consumeDownload(link);
+    if (!updated) {
+      return res.status(410).json({ message: 'This share link has reached its download limit' });
+    }
+
+    const watermark = shareLinkService.getWatermark(link, document);
+    await shareLinkService.logAccess(link, 'downloaded', {
+      req,
+      details: `Share link ${link._id} downloaded (${updated.downloadCount}${updated.maxDownloads ? ` of ${updated.maxDownloads}` : ''})`,
+      metadata: { downloadCount: updated.downloadCount, watermark: watermark ? watermark.text : null }
+    });
+
+    res.setHeader('X-Share-Link-Id', String(link._id));
+    if (updated.maxDownloads) {
+      res.setHeader('X-Downloads-Remaining', String(Math.max(updated.maxDownloads - updated.downloadCount, 0)));
+    }
+    if (watermark) {
+      // Header values must be ASCII, so the text is URI-encoded
+      res.setHeader('X-Watermark-Text', encodeURIComponent(watermark.text));
+    }
+    const sent = await storage.sendFile(res, document.filePath, {
+      fileName: document.originalName,
+      contentType: document.fileType
+    });
+    if (!sent) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+  } catch (error) {
+    console.error('❌ Share link download error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/share/:token/download
+// @desc    Download a shared document
+// @access  Public (share link token, plus X-Share-Password for protected links)
+router.get('/:token/download', shareLinkRateLimit, downloadSharedDocument);
+
+// @route   POST /api/share/:token/download
+// @desc    Download a shared document, with the password in the body
+// @access  Public (share link token)
+router.post('/:token/download', shareLinkRateLimit, downloadSharedDocument);
+
+module.exports = router;
@@ -1,10 +1,261 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const roles = require('../middleware/roles');
+const apiKeyScope = require('../middleware/apiKeyScope');
 const ShipmentOrder = require('../schemas/ShipmentOrder');
 const Document = require('../schemas/Document');
 const User = require('../schemas/User');
+const Client = require('../schemas/Client');
 const ForwarderAssignment = require('../schemas/ForwarderAssignment');
+const ComplianceRuleEngine = require('../services/complianceRuleEngine');
+const DocumentReview = require('../schemas/DocumentReview');
+const OrderConsistencyService = require('../services/orderConsistencyService');
+const ShipmentOrderWorkflow = require('../services/shipmentOrderWorkflow');
+const NotificationService = require('../services/notificationService');
+const DocumentVersionService = require('../services/documentVersionService');
+const ForwarderAssignmentService = require('../services/forwarderAssignmentService');
+const AccessControlService = require('../services/accessControlService');
+
+const complianceRuleEngine = new ComplianceRuleEngine();
+const orderConsistencyService = new OrderConsistencyService();
+const shipmentOrderWorkflow = new ShipmentOrderWorkflow();
+const notificationService = new NotificationService();
+const documentVersionService = new DocumentVersionService();
+const forwarderAssignmentService = new ForwarderAssignmentService();
+const accessControlService = new AccessControlService();
+
+// Run the cross-document check and store the report on the order (not saved)
+const runConsistencyCheck = async (order, userId) => {
+  const report = await orderConsistencyService.check(order);
+  order.consistencyCheck = { ...report, checkedBy: userId };
+  return order.consistencyCheck;
+};
+
+// Save an order. Orders use optimistic concurrency: of two concurrent
+// changes only the first is saved, the other gets a 409 (returns false).
+const saveOrder = async (order, res) => {
+  try {
+    await order.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      res.status(409).json({ message: 'The order was changed by someone else; reload it and try again' });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// CAs review orders queued for them or not yet assigned to anyone
+const canReview = (user, review) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'ca') return false;
+  return !review?.assignedTo || review.assignedTo.toString() === user.id;
+};
+
+// Hand an approved order to the forwarder admin (or any active forwarder)
+const handOffToForwarder = async (order, userId) => {
+  const forwarder = await User.findOne({ 
+    role: 'forwarder',
+    designation: { $regex: /admin/i },
+    status: { $ne: 'inactive' }
+  }) || await User.findOne({ 
+    role: 'forwarder',
+    status: { $ne: 'inactive' }
+  });
+
+  if (!forwarder) {
+    shipmentOrderWorkflow.transition(order, 'ready_for_forwarder', {
+      performedBy: userId,
+      action: 'Awaiting forwarder',
+      details: 'No forwarder available; order is waiting to be handed off'
+    });
+    return null;
+  }
+
+  order.assignedForwarder = forwarder._id;
+  shipmentOrderWorkflow.transition(order, 'assigned_to_forwarder', {
+    performedBy: userId,
+    action: 'Assigned to forwarder',
+    details: `Order assigned to forwarder: ${forwarder.name}`
+  });
+  console.log('📦 Assigned to forwarder:', forwarder.name);
+  return forwarder;
+};
+
+const notifyForwarder = async (order, forwarder) => {
+  try {
+    await notificationService.createNotification({
+      user: forwarder._id,
+      type: 'alert',
+      category: 'document',
+      event: 'orderAssigned',
+      title: 'New Order Assignment',
+      message: `New order ${order.orderNumber} has been assigned to you for processing`,
+      priority: 'high',
+      actionUrl: `/shipment-orders/${order._id}`,
+      actionText: 'View Order',
+      metadata: { customData: { orderId: order._id, orderNumber: order.orderNumber } },
+      tags: ['shipment_order', 'assignment']
+    });
+  } catch (notificationError) {
+    console.error('❌ Failed to send notification:', notificationError);
+  }
+};
+
+const REVIEW_DECISIONS = {
+  approve: {
+    status: 'approved',
+    action: 'Order approved',
+    message: 'Order approved',
+    notification: { type: 'success', title: 'Shipment Order Approved' }
+  },
+  reject: {
+    status: 'rejected',
+    action: 'Order rejected',
+    message: 'Order rejected',
+    notification: { type: 'error', title: 'Shipment Order Rejected' }
+  },
+  request_changes: {
+    status: 'changes_requested',
+    action: 'Changes requested',
+    message: 'Changes requested from exporter',
+    notification: { type: 'warning', title: 'Changes Requested on Shipment Order' }
+  }
+};
+
+// Record a CA decision on a submitted order
+const recordReviewDecision = async (req, res, decisionName) => {
+  const decision = REVIEW_DECISIONS[decisionName];
+  const order = await ShipmentOrder.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
+
+  const review = order.compliance.review ? await DocumentReview.findById(order.compliance.review) : null;
+  if (!canReview(req.user, review)) {
+    return res.status(403).json({ message: 'This order is not in your review queue' });
+  }
+
+  const comments = typeof req.body.comments === 'string' ? req.body.comments.trim() : '';
+  if (!comments) {
+    return res.status(400).json({ message: 'Comments are required' });
+  }
+
+  const { issues, complianceScore } = req.body;
+  if (issues !== undefined && !Array.isArray(issues)) {
+    return res.status(400).json({ message: 'Issues must be an array' });
+  }
+  if (complianceScore !== undefined && (typeof complianceScore !== 'number' || complianceScore < 0 || complianceScore > 100)) {
+    return res.status(400).json({ message: 'Compliance score must be a number between 0 and 100' });
+  }
+
+  const result = shipmentOrderWorkflow.transition(order, decision.status, {
+    user: req.user,
+    action: decision.action,
+    details: comments
+  });
+  if (!result.success) {
+    return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+  }
+
+  order.compliance.reviewedBy = req.user.id;
+  order.compliance.reviewedAt = new Date();
+  order.compliance.comments = comments;
+  if (issues) order.compliance.issues = issues;
+  if (complianceScore !== undefined) order.compliance.complianceScore = complianceScore;
+
+  const forwarder = decisionName === 'approve' ? await handOffToForwarder(order, req.user.id) : null;
+
+  // Saved first: of two concurrent decisions only one gets past this
+  if (!(await saveOrder(order, res))) {
+    return;
+  }
+
+  // Orders submitted before the review queue existed have no review entry
+  if (review) {
+    review.status = decision.status;
+    review.reviewer = req.user.id;
+    review.reviewNotes = comments;
+    review.completedDate = new Date();
+    if (complianceScore !== undefined) review.score = complianceScore;
+    await review.save();
+  }
+
+  if (forwarder) {
+    await notifyForwarder(order, forwarder);
+  }
+  try {
+    await notificationService.createNotification({
+      user: order.exporter,
+      type: decision.notification.type,
+      category: 'compliance',
+      event: 'orderReview',
+      title: decision.notification.title,
+      message: `Order ${order.orderNumber}: ${comments}`,
+      priority: decisionName === 'approve' ? 'medium' : 'high',
+      actionUrl: `/shipment-orders/${order._id}`,
+      actionText: 'View Order',
+      metadata: { customData: { orderId: order._id, orderNumber: order.orderNumber, decision: decisionName } },
+      tags: ['shipment_order', 'review']
+    });
+  } catch (notificationError) {
+    console.error('❌ Failed to send notification:', notificationError);
+  }
+
+  res.json({
+    message: decision.message,
+    order,
+    review
+  });
+};
+
+// @route   GET /api/shipment-orders/review-queue
+// @desc    Get submitted orders waiting for CA review
+// @access  Private (CA, Admin)
+router.get('/review-queue', auth, roles('ca', 'admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      documentType: 'shipment_order',
+      status: { $in: ['pending', 'under_review'] }
+    };
+    if (req.user.role === 'ca') {
+      query.$or = [{ assignedTo: req.user.id }, { assignedTo: null }];
+    }
+
+    const reviews = await DocumentReview.find(query)
+      .populate({
+        path: 'shipmentOrder',
+        select: 'orderNumber status exporter orderDetails consistencyCheck.status createdAt',
+        populate: { path: 'exporter', select: 'name email company' }
+      })
+      .populate('assignedTo', 'name email')
+      .populate('reviewer', 'name email')
+      .sort({ reviewDate: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DocumentReview.countDocuments(query);
+
+    res.json({
+      reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
 // @route   GET /api/shipment-orders
 // @desc    Get all shipment orders for the user
@@ -37,6 +288,7 @@ router.get('/', auth, async (req, res) => {
       .populate('client', 'name company')
       .populate('documents.commercialInvoice', 'fileName originalName')
       .populate('documents.packingList', 'fileName originalName')
+      .populate('documents.shippingBill', 'fileName originalName')
       .populate('documents.certificates', 'fileName originalName')
       .sort({ createdAt: -1 });
 
@@ -66,6 +318,7 @@ router.get('/:id', auth, async (req, res) => {
       .populate('client', 'name company')
       .populate('documents.commercialInvoice')
       .populate('documents.packingList')
+      .populate('documents.shippingBill')
       .populate('documents.certificates')
       .populate('documents.otherDocuments');
 
@@ -73,14 +326,10 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check access permissions
-    if (req.user.role === 'exporter' && order.exporter._id.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    // Allow forwarders to view orders assigned to them
-    if (req.user.role === 'forwarder' && order.assignedForwarder && order.assignedForwarder._id.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Access denied. This order is not assigned to you.' });
+    // Same policy as the order's comments
+    const access = accessControlService.checkRecordAccess(req.user, order, 'shipment_order');
+    if (!access.allowed) {
+      return res.status(403).json({ message: 'Access denied', reason: access.reason });
     }
 
     res.json({ order });
@@ -187,8 +436,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Don't allow updates if order is already submitted
-    if (order.status !== 'draft' && req.user.role === 'exporter') {
+    // Exporters can only change drafts and orders sent back for changes
+    if (!shipmentOrderWorkflow.isEditable(order) && req.user.role === 'exporter') {
       return res.status(400).json({ 
         message: 'Cannot update submitted orders' 
       });
@@ -207,6 +456,10 @@ router.put('/:id', auth, async (req, res) => {
       order.products = products;
       order.calculateTotals();
     }
+    if (orderDetails || products) {
+      // An earlier consistency check no longer describes the order
+      order.consistencyCheck = { status: 'not_checked' };
+    }
     if (client !== undefined) order.client = client;
     if (notes !== undefined) order.notes = notes;
 
@@ -258,6 +511,7 @@ router.post('/:id/submit', auth, async (req, res) => {
       hasDocuments: {
         commercialInvoice: !!order.documents.commercialInvoice,
         packingList: !!order.documents.packingList,
+        shippingBill: !!order.documents.shippingBill,
         certificates: order.documents.certificates?.length || 0,
         otherDocuments: order.documents.otherDocuments?.length || 0
       }
@@ -268,16 +522,20 @@ router.post('/:id/submit', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (order.status !== 'draft') {
-      console.log('❌ Order is not in draft status:', order.status);
-      return res.status(400).json({ 
-        message: 'Only draft orders can be submitted' 
+    // Drafts and orders sent back for changes can be (re-)submitted
+    const submission = shipmentOrderWorkflow.canTransition(order.status, 'submitted', req.user);
+    if (!submission.allowed) {
+      console.log('❌ Order cannot be submitted from status:', order.status);
+      return res.status(submission.statusCode).json({ 
+        message: submission.message,
+        allowedTransitions: submission.allowedTransitions
       });
     }
 
     // Check if at least one document is uploaded
     const hasDocuments = order.documents.commercialInvoice || 
                         order.documents.packingList || 
+                        order.documents.shippingBill || 
                         (order.documents.certificates && order.documents.certificates.length > 0) ||
                         (order.documents.otherDocuments && order.documents.otherDocuments.length > 0);
     
@@ -287,71 +545,107 @@ router.post('/:id/submit', auth, async (req, res) => {
       });
     }
 
-    // Find forwarder admin to assign the order
-    const forwarderAdmin = await User.findOne({ 
-      role: 'forwarder',
-      designation: { $regex: /admin/i },
-      status: { $ne: 'inactive' }
-    });
+    // Discrepancies between the order and its documents must be fixed or acknowledged
+    const consistencyCheck = await runConsistencyCheck(order, req.user.id);
+    if (consistencyCheck.summary.errors > 0) {
+      if (!req.body.acknowledgeDiscrepancies) {
+        console.log(`❌ Submission blocked by ${consistencyCheck.summary.errors} document discrepancies`);
+        order.auditTrail.push({
+          action: 'Submission blocked',
+          performedBy: req.user.id,
+          details: `Blocked by ${consistencyCheck.summary.errors} discrepancies between the order and its documents`,
+          previousStatus: order.status,
+          newStatus: order.status
+        });
+        if (!(await saveOrder(order, res))) {
+          return;
+        }
 
-    let assignedForwarder;
-    
-    if (!forwarderAdmin) {
-      // If no forwarder admin found, find any active forwarder
-      const anyForwarder = await User.findOne({ 
-        role: 'forwarder',
-        status: { $ne: 'inactive' }
-      });
-      
-      if (!anyForwarder) {
-        return res.status(400).json({ 
-          message: 'No forwarder available to process this order' 
+        return res.status(400).json({
+          message: 'The order and its documents do not agree. Fix the discrepancies or resubmit with acknowledgeDiscrepancies',
+          consistencyCheck
         });
       }
-      
-      assignedForwarder = anyForwarder;
-      order.assignedForwarder = anyForwarder._id;
-      console.log('📦 Assigned to forwarder:', anyForwarder.name);
-    } else {
-      assignedForwarder = forwarderAdmin;
-      order.assignedForwarder = forwarderAdmin._id;
-      console.log('📦 Assigned to forwarder admin:', forwarderAdmin.name);
+
+      order.consistencyCheck.acknowledgedBy = req.user.id;
+      order.consistencyCheck.acknowledgedAt = new Date();
+      order.auditTrail.push({
+        action: 'Discrepancies acknowledged',
+        performedBy: req.user.id,
+        details: `Submitted with ${consistencyCheck.summary.errors} acknowledged document discrepancies`
+      });
     }
 
-    // Update order status to APPROVED (so exporter sees it as approved)
-    order.status = 'approved';
-    order.compliance.status = 'approved';
+    // Compliance rules with a "block" action prevent submission
+    const blockingIssues = await complianceRuleEngine.getOrderBlockingIssues(order);
+    if (blockingIssues.length > 0) {
+      console.log('❌ Submission blocked by compliance rules:', blockingIssues.map(issue => issue.code));
+      order.auditTrail.push({
+        action: 'Submission blocked',
+        performedBy: req.user.id,
+        details: `Blocked by compliance rules: ${[...new Set(blockingIssues.map(issue => issue.code))].join(', ')}`,
+        previousStatus: order.status,
+        newStatus: order.status
+      });
+      if (!(await saveOrder(order, res))) {
+        return;
+      }
 
-    // Add to audit trail
-    order.auditTrail.push({
-      action: 'Order submitted',
-      performedBy: req.user.id,
-      details: `Order submitted and approved, assigned to forwarder: ${assignedForwarder.name}`,
-      previousStatus: 'draft',
-      newStatus: 'approved'
+      return res.status(400).json({
+        message: 'Order cannot be submitted until blocking compliance issues are resolved',
+        blockingIssues
+      });
+    }
+
+    const isResubmission = order.status === 'changes_requested';
+    const previousReview = order.compliance.review
+      ? await DocumentReview.findById(order.compliance.review).select('round assignedTo')
+      : null;
+
+    // Queue the order for the client's CA (unassigned orders are open to every CA)
+    let assignedCA = previousReview?.assignedTo;
+    if (!assignedCA && order.client) {
+      const client = await Client.findById(order.client).select('assignedCA');
+      assignedCA = client?.assignedCA;
+    }
+
+    const review = new DocumentReview({
+      documentType: 'shipment_order',
+      shipmentOrder: order._id,
+      client: order.client,
+      round: previousReview ? previousReview.round + 1 : 1,
+      status: 'pending',
+      assignedTo: assignedCA,
+      priority: req.body.priority || 'medium'
     });
 
-    await order.save();
+    order.compliance.review = review._id;
+    shipmentOrderWorkflow.transition(order, 'submitted', {
+      user: req.user,
+      action: isResubmission ? 'Order re-submitted' : 'Order submitted',
+      details: isResubmission
+        ? `Order re-submitted after changes (review round ${review.round})`
+        : 'Order submitted for CA review'
+    });
 
-    // Send notification to forwarder admin
-    try {
-      const NotificationService = require('../services/notificationService');
-      const notificationService = new NotificationService();
-      
-      await notificationService.sendNotification(
-        assignedForwarder._id,
-        'new_order_assignment',
-        `New order ${order.orderNumber} has been assigned to you for processing`,
-        { orderId: order._id }
-      );
-      console.log('✅ Notification sent to forwarder admin');
-    } catch (notificationError) {
-      console.error('❌ Failed to send notification:', notificationError);
+    // The order first: a concurrent submission must not leave a review in the queue
+    if (!(await saveOrder(order, res))) {
+      return;
+    }
+    await review.save();
+
+    if (assignedCA) {
+      try {
+        await notificationService.sendShipmentOrderNotification(assignedCA, order._id, order.orderDetails.consignee.name);
+      } catch (notificationError) {
+        console.error('❌ Failed to send notification:', notificationError);
+      }
     }
 
     res.json({ 
-      message: 'Order submitted and approved successfully',
-      order 
+      message: isResubmission ? 'Order re-submitted for review' : 'Order submitted for review',
+      order,
+      review
     });
   } catch (error) {
     console.error('Error submitting order:', error);
@@ -359,6 +653,240 @@ router.post('/:id/submit', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/shipment-orders/:id/review/start
+// @desc    Take a submitted order from the queue and start reviewing it
+// @access  Private (CA, Admin)
+router.post('/:id/review/start', auth, roles('ca', 'admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const order = await ShipmentOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const review = order.compliance.review ? await DocumentReview.findById(order.compliance.review) : null;
+    if (!canReview(req.user, review)) {
+      return res.status(403).json({ message: 'This order is not in your review queue' });
+    }
+
+    const result = shipmentOrderWorkflow.transition(order, 'under_review', {
+      user: req.user,
+      action: 'Review started'
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+    }
+
+    // The order first: of two CAs starting at once only one takes the review
+    if (!(await saveOrder(order, res))) {
+      return;
+    }
+    if (review) {
+      review.status = 'under_review';
+      review.reviewer = req.user.id;
+      if (!review.assignedTo) review.assignedTo = req.user.id;
+      await review.save();
+    }
+
+    res.json({
+      message: 'Review started',
+      order,
+      review
+    });
+  } catch (error) {
+    console.error('Error starting review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/shipment-orders/:id/review/approve
+// @desc    Approve a submitted order and hand it to a forwarder (comments required)
+// @access  Private (CA, Admin)
+router.post('/:id/review/approve', auth, roles('ca', 'admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    await recordReviewDecision(req, res, 'approve');
+  } catch (error) {
+    console.error('Error approving order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/shipment-orders/:id/review/reject
+// @desc    Reject a submitted order (comments required)
+// @access  Private (CA, Admin)
+router.post('/:id/review/reject', auth, roles('ca', 'admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    await recordReviewDecision(req, res, 'reject');
+  } catch (error) {
+    console.error('Error rejecting order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/shipment-orders/:id/review/request-changes
+// @desc    Send a submitted order back to the exporter for changes (comments required)
+// @access  Private (CA, Admin)
+router.post('/:id/review/request-changes', auth, roles('ca', 'admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    await recordReviewDecision(req, res, 'request_changes');
+  } catch (error) {
+    console.error('Error requesting changes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/shipment-orders/:id/hand-off
+// @desc    Retry forwarder assignment for an approved order that is waiting for one
+// @access  Private (Admin)
+router.post('/:id/hand-off', auth, roles('admin'), apiKeyScope('admin'), async (req, res) => {
+  try {
+    const order = await ShipmentOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const check = shipmentOrderWorkflow.canTransition(order.status, 'assigned_to_forwarder');
+    if (!check.allowed) {
+      return res.status(400).json({ message: check.message, allowedTransitions: check.allowedTransitions });
+    }
+
+    // Approved orders pass through ready_for_forwarder when nobody is available
+    const forwarder = await handOffToForwarder(order, req.user.id);
+    if (!(await saveOrder(order, res))) {
+      return;
+    }
+    if (!forwarder) {
+      return res.status(400).json({ message: 'No forwarder available to process this order', order });
+    }
+
+    await notifyForwarder(order, forwarder);
+    res.json({ message: 'Order assigned to forwarder', order });
+  } catch (error) {
+    console.error('Error handing off order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/shipment-orders/:id/consistency-check
+// @desc    Get the last consistency check between the order and its documents
+// @access  Private
+router.get('/:id/consistency-check', auth, async (req, res) => {
+  try {
+    const order = await ShipmentOrder.findById(req.params.id)
+      .select('exporter orderNumber consistencyCheck')
+      .populate('consistencyCheck.checkedBy', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'exporter' && order.exporter.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ consistencyCheck: order.consistencyCheck });
+  } catch (error) {
+    console.error('Error fetching consistency check:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/shipment-orders/:id/consistency-check
+// @desc    Compare the order's products with its commercial invoice, packing list and shipping bill
+// @access  Private
+router.post('/:id/consistency-check', auth, async (req, res) => {
+  try {
+    const order = await ShipmentOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'exporter' && order.exporter.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const consistencyCheck = await runConsistencyCheck(order, req.user.id);
+    await order.save();
+
+    console.log(`🔍 Consistency check for order ${order.orderNumber}: ${consistencyCheck.status} (${consistencyCheck.summary.errors} errors)`);
+
+    res.json({
+      message: 'Consistency check completed',
+      consistencyCheck
+    });
+  } catch (error) {
+    console.error('Error running consistency check:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/shipment-orders/:id/document-changes?since=<date>
+// @desc    What changed in the order's documents since the last review decision (or `since`)
+// @access  Private
+router.get('/:id/document-changes', auth, async (req, res) => {
+  try {
+    const order = await ShipmentOrder.findById(req.params.id)
+      .populate('documents.commercialInvoice')
+      .populate('documents.packingList')
+      .populate('documents.shippingBill')
+      .populate('documents.certificates')
+      .populate('documents.otherDocuments');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'exporter' && order.exporter.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : order.compliance.reviewedAt;
+    if (req.query.since && isNaN(since.getTime())) {
+      return res.status(400).json({ message: 'since must be a date' });
+    }
+
+    const slots = [
+      ['commercial_invoice', [order.documents.commercialInvoice]],
+      ['packing_list', [order.documents.packingList]],
+      ['shipping_bill', [order.documents.shippingBill]],
+      ['certificate', order.documents.certificates],
+      ['other', order.documents.otherDocuments]
+    ];
+
+    const documents = [];
+    slots.forEach(([documentType, slotDocuments]) => {
+      (slotDocuments || []).filter(Boolean).forEach(document => {
+        const baseline = since ? documentVersionService.versionAt(document, since, 'document') : null;
+        const currentVersion = document.version || 1;
+        const entry = {
+          documentId: document._id,
+          documentType,
+          originalName: document.originalName,
+          currentVersion,
+          baselineVersion: baseline ? baseline.version : null,
+          changed: !baseline || baseline.version !== currentVersion
+        };
+        if (baseline && entry.changed) {
+          const diff = documentVersionService.diff(document, baseline.version, currentVersion, 'document');
+          entry.file = diff.file;
+          entry.changes = diff.changes;
+          entry.summary = diff.summary;
+        }
+        documents.push(entry);
+      });
+    });
+
+    res.json({
+      orderNumber: order.orderNumber,
+      since: since || null,
+      documents
+    });
+  } catch (error) {
+    console.error('Error fetching document changes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/shipment-orders/:id/documents
 // @desc    Upload document to order
 // @access  Private
@@ -374,6 +902,10 @@ router.post('/:id/documents', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (req.user.role === 'exporter' && !shipmentOrderWorkflow.isEditable(order)) {
+      return res.status(400).json({ message: 'Documents cannot be changed after the order is submitted' });
+    }
+
     const { documentId, documentType } = req.body;
 
     if (!documentId || !documentType) {
@@ -396,6 +928,9 @@ router.post('/:id/documents', auth, async (req, res) => {
       case 'packing_list':
         order.documents.packingList = documentId;
         break;
+      case 'shipping_bill':
+        order.documents.shippingBill = documentId;
+        break;
       case 'certificate':
         order.documents.certificates.push(documentId);
         break;
@@ -408,6 +943,8 @@ router.post('/:id/documents', auth, async (req, res) => {
         });
     }
 
+    order.consistencyCheck = { status: 'not_checked' };
+
     // Add to audit trail
     order.auditTrail.push({
       action: 'Document uploaded',
@@ -442,6 +979,10 @@ router.delete('/:id/documents/:docId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (req.user.role === 'exporter' && !shipmentOrderWorkflow.isEditable(order)) {
+      return res.status(400).json({ message: 'Documents cannot be changed after the order is submitted' });
+    }
+
     const docId = req.params.docId;
 
     // Remove from all document arrays
@@ -451,6 +992,9 @@ router.delete('/:id/documents/:docId', auth, async (req, res) => {
     if (order.documents.packingList?.toString() === docId) {
       order.documents.packingList = null;
     }
+    if (order.documents.shippingBill?.toString() === docId) {
+      order.documents.shippingBill = null;
+    }
     order.documents.certificates = order.documents.certificates.filter(
       id => id.toString() !== docId
     );
@@ -458,6 +1002,8 @@ router.delete('/:id/documents/:docId', auth, async (req, res) => {
       id => id.toString() !== docId
     );
 
+    order.consistencyCheck = { status: 'not_checked' };
+
     // Add to audit trail
     order.auditTrail.push({
       action: 'Document removed',
@@ -695,6 +1241,9 @@ router.post('/:id/assign-stages', auth, async (req, res) => {
 
     await assignment.save();
 
+    // Tell the forwarders about their stages right away
+    await forwarderAssignmentService.sendAssignmentNotifications(assignment);
+
     // Populate the response
     const populatedAssignment = await ForwarderAssignment.findById(assignment._id)
       .populate('orderId', 'orderNumber status')
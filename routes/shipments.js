@@ -1,7 +1,10 @@
 const express = require('express');
 const { Shipment, Document, User, Client } = require('../schemas');
 const auth = require('../middleware/auth');
+const { getMachine } = require('../services/stateMachines');
+const realtime = require('../services/realtime');
 const router = express.Router();
+const shipmentMachine = getMachine('shipment');
 
 // @route   GET /api/shipments
 // @desc    Get all shipments with pagination
@@ -197,10 +200,15 @@ router.put('/:id', auth, async (req, res) => {
     if (origin) shipment.origin = origin;
     if (destination) shipment.destination = destination;
     if (mode) shipment.mode = mode;
-    if (status) shipment.status = status;
     if (progress !== undefined) shipment.progress = progress;
     if (estimatedDelivery) shipment.estimatedDelivery = estimatedDelivery;
     if (actualDelivery) shipment.actualDelivery = actualDelivery;
+    if (status) {
+      const result = shipmentMachine.transition(shipment, status, { user: req.user });
+      if (!result.success) {
+        return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+      }
+    }
     if (documentsStatus) shipment.documentsStatus = documentsStatus;
     if (value) shipment.value = value;
     if (weight) shipment.weight = weight;
@@ -267,13 +275,27 @@ router.post('/:id/update-status', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Update status and progress
-    if (status) shipment.status = status;
+    // Update progress, then status (delivery completes the progress)
     if (progress !== undefined) shipment.progress = progress;
     if (actualDelivery) shipment.actualDelivery = actualDelivery;
+    if (status) {
+      const result = shipmentMachine.transition(shipment, status, { user: req.user });
+      if (!result.success) {
+        return res.status(result.statusCode).json({ message: result.message, allowedTransitions: result.allowedTransitions });
+      }
+    }
 
     await shipment.save();
 
+    await realtime.publish(shipment.createdBy, 'shipment.tracking', {
+      shipmentId: shipment._id,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      progress: shipment.progress,
+      estimatedDelivery: shipment.estimatedDelivery,
+      actualDelivery: shipment.actualDelivery
+    });
+
     const updatedShipment = await Shipment.findById(shipment.id)
       .populate('createdBy', 'name email')
       .populate('client', 'name company');
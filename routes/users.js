@@ -3,8 +3,11 @@ const bcrypt = require('bcryptjs');
 const { User, UserSettings } = require('../schemas');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const SessionService = require('../services/sessionService');
 const router = express.Router();
 
+const sessionService = new SessionService();
+
 // @route   GET /api/users
 // @desc    Get all users with pagination
 // @access  Private (Admin only)
@@ -209,6 +212,11 @@ router.put('/:id', auth, async (req, res) => {
 
     await user.save();
 
+    // Inactive or suspended accounts are signed out everywhere
+    if (user.status !== 'active') {
+      await sessionService.revokeAllForUser(user.id, 'deactivated', { revokedBy: req.user.id });
+    }
+
     res.json({
       message: 'User updated successfully',
       user: {
@@ -244,6 +252,7 @@ router.delete('/:id', auth, admin, async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await sessionService.revokeAllForUser(req.params.id, 'deactivated', { revokedBy: req.user.id });
 
     res.json({ message: 'User deleted successfully' });
   } catch (err) {
@@ -285,6 +294,9 @@ router.post('/:id/deactivate', auth, admin, async (req, res) => {
     user.status = 'inactive';
     await user.save();
 
+    // Existing tokens stop working immediately
+    await sessionService.revokeAllForUser(user.id, 'deactivated', { revokedBy: req.user.id });
+
     res.json({ message: 'User deactivated successfully' });
   } catch (err) {
     console.error(err.message);
@@ -292,6 +304,32 @@ router.post('/:id/deactivate', auth, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Private (Admin only)
+router.get('/:id/sessions', auth, admin, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.params.id);
+    res.json({ sessions });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Sign a user out of every session
+// @access  Private (Admin only)
+router.delete('/:id/sessions', auth, admin, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.params.id, 'admin_revoked', { revokedBy: req.user.id });
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/users/:id/reset-password
 // @desc    Reset user password (Admin only)
 // @access  Private (Admin only)
@@ -311,6 +349,8 @@ router.post('/:id/reset-password', auth, admin, async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    await sessionService.revokeAllForUser(user.id, 'password_changed', { revokedBy: req.user.id });
+
     res.json({ message: 'Password reset successfully' });
   } catch (err) {
     console.error(err.message);
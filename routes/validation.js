@@ -1,75 +1,12 @@
 const express = require('express');
 const { InvoiceValidation, BOEValidation, Document } = require('../schemas');
 const auth = require('../middleware/auth');
+const ReconciliationEngine = require('../services/reconciliationEngine');
+const AccessControlService = require('../services/accessControlService');
 const router = express.Router();
 
-// Helper functions for BOE validation
-function calculateMatchPercentage(invoiceData, boeData) {
-  let matches = 0;
-  let total = 0;
-  
-  const fieldsToCompare = ['invoiceNumber', 'total', 'date', 'supplier', 'buyer'];
-  
-  fieldsToCompare.forEach(field => {
-    if (invoiceData[field] && boeData[field]) {
-      total++;
-      if (invoiceData[field] === boeData[field]) {
-        matches++;
-      }
-    }
-  });
-  
-  return total > 0 ? Math.round((matches / total) * 100) : 0;
-}
-
-function determineOverallStatus(invoiceData, boeData) {
-  const matchPercentage = calculateMatchPercentage(invoiceData, boeData);
-  if (matchPercentage >= 90) return 'passed';
-  if (matchPercentage >= 70) return 'warning';
-  return 'failed';
-}
-
-function compareDocuments(invoiceData, boeData) {
-  const results = [];
-  const fieldsToCompare = [
-    { key: 'invoiceNumber', label: 'Invoice Number' },
-    { key: 'total', label: 'Total Amount' },
-    { key: 'date', label: 'Date' },
-    { key: 'supplier', label: 'Supplier' }
-  ];
-  
-  fieldsToCompare.forEach(field => {
-    const invoiceValue = invoiceData[field.key] || 'N/A';
-    const boeValue = boeData[field.key] || 'N/A';
-    
-    let status = 'no_data';
-    let variance = 'N/A';
-    let suggestion = 'No data available for comparison';
-    
-    if (invoiceValue !== 'N/A' && boeValue !== 'N/A') {
-      if (invoiceValue === boeValue) {
-        status = 'match';
-        variance = '0%';
-        suggestion = 'Perfect match';
-      } else {
-        status = 'mismatch';
-        variance = 'Different values';
-        suggestion = 'Values do not match - please verify';
-      }
-    }
-    
-    results.push({
-      field: field.label,
-      invoiceValue: invoiceValue.toString(),
-      boeValue: boeValue.toString(),
-      status: status,
-      variance: variance,
-      suggestion: suggestion
-    });
-  });
-  
-  return results;
-}
+const reconciliationEngine = new ReconciliationEngine();
+const accessControlService = new AccessControlService();
 
 // @route   POST /api/validation/invoice
 // @desc    Validate invoice document
@@ -85,45 +22,9 @@ router.post('/invoice', auth, async (req, res) => {
     }
 
     // Check if user has access to this document
-    const documentOwnerId = document.uploadedBy?.toString();
-    const requestingUserId = req.user.id.toString();
-    
-    let hasAccess = false;
-    
-    if (req.user.role === 'admin') {
-      hasAccess = true;
-    } else if (documentOwnerId === requestingUserId) {
-      hasAccess = true;
-    } else if (req.user.role === 'forwarder') {
-      // Forwarders can validate documents if:
-      // 1. Document is assigned to them
-      // 2. Document is shared with them with validate permission
-      // 3. Document belongs to their client
-      const isAssignedToForwarder = document.assignedForwarder?.toString() === requestingUserId;
-      const isSharedWithForwarder = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasAccess = isAssignedToForwarder || isSharedWithForwarder || isClientDocument;
-    } else if (req.user.role === 'ca') {
-      // CAs can validate documents if:
-      // 1. Document is shared with them with validate permission
-      // 2. Document belongs to their client
-      const isSharedWithCA = document.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isClientDocument = document.client && req.user.clientId && 
-        document.client.toString() === req.user.clientId.toString();
-      
-      hasAccess = isSharedWithCA || isClientDocument;
-    }
-    
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Not authorized to validate this document' });
+    const access = await accessControlService.check(req.user, document, 'validate');
+    if (!access.allowed) {
+      return res.status(403).json({ message: 'Not authorized to validate this document', reason: access.reason });
     }
 
     // Check if document is completed
@@ -201,65 +102,13 @@ router.post('/boe', auth, async (req, res) => {
     }
 
     // Check if user has access to these documents
-    const invoiceOwnerId = invoiceDocument.uploadedBy?.toString();
-    const boeOwnerId = boeDocument.uploadedBy?.toString();
-    const requestingUserId = req.user.id.toString();
-    
-    let hasInvoiceAccess = false;
-    let hasBOEAccess = false;
-    
-    if (req.user.role === 'admin') {
-      hasInvoiceAccess = true;
-      hasBOEAccess = true;
-    } else if (invoiceOwnerId === requestingUserId && boeOwnerId === requestingUserId) {
-      hasInvoiceAccess = true;
-      hasBOEAccess = true;
-    } else if (req.user.role === 'forwarder') {
-      // Check invoice access
-      const isInvoiceAssignedToForwarder = invoiceDocument.assignedForwarder?.toString() === requestingUserId;
-      const isInvoiceSharedWithForwarder = invoiceDocument.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isInvoiceClientDocument = invoiceDocument.client && req.user.clientId && 
-        invoiceDocument.client.toString() === req.user.clientId.toString();
-      
-      hasInvoiceAccess = isInvoiceAssignedToForwarder || isInvoiceSharedWithForwarder || isInvoiceClientDocument;
-      
-      // Check BOE access
-      const isBOEAssignedToForwarder = boeDocument.assignedForwarder?.toString() === requestingUserId;
-      const isBOESharedWithForwarder = boeDocument.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isBOEClientDocument = boeDocument.client && req.user.clientId && 
-        boeDocument.client.toString() === req.user.clientId.toString();
-      
-      hasBOEAccess = isBOEAssignedToForwarder || isBOESharedWithForwarder || isBOEClientDocument;
-    } else if (req.user.role === 'ca') {
-      // Check invoice access
-      const isInvoiceSharedWithCA = invoiceDocument.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isInvoiceClientDocument = invoiceDocument.client && req.user.clientId && 
-        invoiceDocument.client.toString() === req.user.clientId.toString();
-      
-      hasInvoiceAccess = isInvoiceSharedWithCA || isInvoiceClientDocument;
-      
-      // Check BOE access
-      const isBOESharedWithCA = boeDocument.sharedWith?.some(share => 
-        share.user?.toString() === requestingUserId && 
-        share.permissions?.includes('validate')
-      );
-      const isBOEClientDocument = boeDocument.client && req.user.clientId && 
-        boeDocument.client.toString() === req.user.clientId.toString();
-      
-      hasBOEAccess = isBOESharedWithCA || isBOEClientDocument;
-    }
-    
-    if (!hasInvoiceAccess || !hasBOEAccess) {
-      return res.status(403).json({ message: 'Not authorized to validate these documents' });
+    const invoiceAccess = await accessControlService.check(req.user, invoiceDocument, 'validate');
+    const boeAccess = await accessControlService.check(req.user, boeDocument, 'validate');
+    if (!invoiceAccess.allowed || !boeAccess.allowed) {
+      return res.status(403).json({
+        message: 'Not authorized to validate these documents',
+        reason: !invoiceAccess.allowed ? `Invoice: ${invoiceAccess.reason}` : `BOE: ${boeAccess.reason}`
+      });
     }
 
     // Check if documents are completed
@@ -279,6 +128,9 @@ router.post('/boe', auth, async (req, res) => {
     // Extract data from AI processed documents
     const invoiceData = invoiceDocument.structuredData || {};
     const boeData = boeDocument.structuredData || {};
+    const reconciliation = await reconciliationEngine.reconcile(invoiceData, boeData, {
+      tolerances: req.body.tolerances
+    });
     
     // Create new validation using real AI processing results
     validation = new BOEValidation({
@@ -286,9 +138,7 @@ router.post('/boe', auth, async (req, res) => {
       boeDocument: boeDocumentId,
       invoiceNumber: invoiceData.invoiceNumber || 'N/A',
       boeNumber: boeData.boeNumber || 'N/A',
-      matchPercentage: calculateMatchPercentage(invoiceData, boeData),
-      overallStatus: determineOverallStatus(invoiceData, boeData),
-      results: compareDocuments(invoiceData, boeData),
+      ...reconciliation,
       metadata: {
         invoiceFileName: invoiceDocument.fileName,
         boeFileName: boeDocument.fileName,
@@ -316,6 +166,51 @@ router.post('/boe', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/validation/boe/:id/reconcile
+// @desc    Re-run BOE reconciliation (e.g. with different tolerances)
+// @access  Private
+router.post('/boe/:id/reconcile', auth, async (req, res) => {
+  try {
+    const validation = await BOEValidation.findById(req.params.id);
+    if (!validation) {
+      return res.status(404).json({ message: 'Validation not found' });
+    }
+
+    // Check if user has access to this validation
+    if (req.user.role !== 'admin' && validation.validatedBy?.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const invoiceDocument = await Document.findById(validation.invoiceDocument);
+    const boeDocument = await Document.findById(validation.boeDocument);
+    if (!invoiceDocument || !boeDocument) {
+      return res.status(404).json({ message: 'One or both documents not found' });
+    }
+
+    // Keep earlier tolerances unless new ones are given
+    const reconciliation = await reconciliationEngine.reconcile(
+      invoiceDocument.structuredData || {},
+      boeDocument.structuredData || {},
+      { tolerances: { ...validation.toObject().tolerances, ...req.body.tolerances } }
+    );
+    validation.set(reconciliation);
+    await validation.save();
+
+    const populatedValidation = await BOEValidation.findById(validation.id)
+      .populate('invoiceDocument', 'originalName fileName')
+      .populate('boeDocument', 'originalName fileName')
+      .populate('validatedBy', 'name email');
+
+    res.json({
+      message: 'BOE reconciliation updated',
+      validation: populatedValidation
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/validation/invoice/:id
 // @desc    Get invoice validation by ID
 // @access  Private
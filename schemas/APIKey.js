@@ -6,10 +6,23 @@ const apiKeySchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // SHA-256 of the key; the key itself is only shown when it is created
+  keyHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Start of the key, to tell keys apart in listings
+  keyPrefix: {
+    type: String
+  },
+  // Plaintext key of keys created before hashing; replaced by keyHash on first use
   key: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true,
+    select: false
   },
   status: {
     type: String,
@@ -32,6 +45,14 @@ const apiKeySchema = new mongoose.Schema({
     type: Number,
     default: 1000 // requests per hour
   },
+  // Requests in the current hourly rate limit window
+  usage: {
+    windowStart: Date,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
   expiresAt: {
     type: Date
   },
@@ -40,6 +61,11 @@ const apiKeySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Account the key acts as (records it creates are owned by this user)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client'
@@ -58,7 +84,6 @@ const apiKeySchema = new mongoose.Schema({
 });
 
 // Create indexes for better performance
-apiKeySchema.index({ key: 1 });
 apiKeySchema.index({ status: 1 });
 apiKeySchema.index({ createdBy: 1 });
 apiKeySchema.index({ expiresAt: 1 });
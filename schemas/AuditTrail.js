@@ -35,7 +35,28 @@ const auditTrailSchema = new mongoose.Schema({
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed
-  }
+  },
+  // Request and entity details recorded by the audit trail middleware
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  changes: [{
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
 }, {
   timestamps: true
 });
@@ -45,5 +66,6 @@ auditTrailSchema.index({ user: 1 });
 auditTrailSchema.index({ action: 1 });
 auditTrailSchema.index({ timestamp: -1 });
 auditTrailSchema.index({ status: 1 });
+auditTrailSchema.index({ entityType: 1, entityId: 1 });
 
 module.exports = mongoose.model('AuditTrail', auditTrailSchema); 
\ No newline at end of file
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// Outcome of comparing one field (header field or line item field)
+const fieldResultSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  invoiceValue: String,
+  boeValue: String,
+  status: {
+    type: String,
+    enum: ['match', 'within_tolerance', 'mismatch', 'missing']
+  },
+  variance: String,
+  difference: Number,
+  variancePercent: Number,
+  similarity: Number,
+  suggestion: String
+}, { _id: false });
+
 const boeValidationSchema = new mongoose.Schema({
   invoiceDocument: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,23 +45,50 @@ const boeValidationSchema = new mongoose.Schema({
   },
   overallStatus: {
     type: String,
-    enum: ['passed', 'failed', 'warning'],
+    enum: ['pending', 'passed', 'failed', 'warning'],
     default: 'pending'
   },
-  results: [{
-    field: {
-      type: String,
-      required: true
-    },
-    invoiceValue: String,
-    boeValue: String,
+  results: [fieldResultSchema],
+  // Invoice lines paired with BOE lines; unpaired lines appear on their own
+  lineItems: [{
+    invoiceLine: Number,
+    boeLine: Number,
+    invoiceDescription: String,
+    boeDescription: String,
+    matchScore: Number,
     status: {
       type: String,
-      enum: ['match', 'mismatch', 'missing']
+      enum: ['match', 'within_tolerance', 'mismatch', 'missing', 'missing_in_boe', 'missing_in_invoice']
     },
-    variance: String,
-    suggestion: String
+    variances: [fieldResultSchema]
   }],
+  tolerances: {
+    amountAbsolute: Number,
+    amountPercent: Number,
+    quantityPercent: Number,
+    unitValuePercent: Number,
+    dateDays: Number,
+    nameSimilarity: Number,
+    descriptionSimilarity: Number,
+    lineMatchScore: Number
+  },
+  summary: {
+    fieldsCompared: Number,
+    fieldsMatched: Number,
+    fieldsWithinTolerance: Number,
+    fieldsMismatched: Number,
+    fieldsMissing: Number,
+    invoiceLines: Number,
+    boeLines: Number,
+    linesMatched: Number,
+    linesWithVariance: Number,
+    linesMissingInBoe: Number,
+    linesMissingInInvoice: Number,
+    comparisonCurrency: String,
+    exchangeRate: Number,
+    exchangeRateSource: String,
+    warnings: [String]
+  },
   metadata: {
     invoiceFileName: String,
     boeFileName: String,
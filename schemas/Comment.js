@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Threaded comment on a document, shipment order or import shipment. Replies
+// point at the first comment of their thread, which holds the resolved state.
+const commentSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['document', 'shipment_order', 'import_shipment'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Optional part of a document the thread is about
+  anchor: {
+    field: String,
+    complianceCheck: String
+  },
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  editedAt: {
+    type: Date
+  },
+  // Earlier bodies, oldest first
+  editHistory: [{
+    body: String,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+commentSchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+commentSchema.index({ thread: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
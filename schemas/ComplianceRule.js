@@ -6,10 +6,10 @@ const complianceRuleSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Shared by every version of a rule; unique together with version
   code: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   category: {
@@ -130,7 +130,7 @@ const complianceRuleSchema = new mongoose.Schema({
 });
 
 // Create indexes for better performance
-complianceRuleSchema.index({ code: 1 });
+complianceRuleSchema.index({ code: 1, version: 1 }, { unique: true });
 complianceRuleSchema.index({ category: 1 });
 complianceRuleSchema.index({ type: 1 });
 complianceRuleSchema.index({ status: 1 });
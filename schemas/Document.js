@@ -24,7 +24,7 @@ const documentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploading', 'processing', 'completed', 'error', 'failed', 'validated', 'rejected'],
+    enum: ['uploading', 'queued', 'processing', 'completed', 'error', 'failed', 'validated', 'rejected', 'quarantined'],
     default: 'uploading'
   },
   uploadedBy: {
@@ -267,7 +267,52 @@ const documentSchema = new mongoose.Schema({
   complianceMetadata: {
     type: mongoose.Schema.Types.Mixed
   },
-  
+
+  // Deterministic Compliance Rule Results (ComplianceRule collection)
+  ruleEvaluation: {
+    evaluatedAt: Date,
+    rulesEvaluated: {
+      type: Number,
+      default: 0
+    },
+    rulesTriggered: {
+      type: Number,
+      default: 0
+    },
+    blocked: {
+      type: Boolean,
+      default: false
+    },
+    results: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ComplianceRule'
+      },
+      code: String,
+      version: String,
+      triggered: Boolean,
+      actions: [String]
+    }],
+    blockingIssues: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ComplianceRule'
+      },
+      code: String,
+      message: String,
+      field: String
+    }],
+    flags: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ComplianceRule'
+      },
+      code: String,
+      message: String,
+      field: String
+    }]
+  },
+
   // AI Processing Pipeline Results
   aiProcessingResults: {
     step1_ocr: {
@@ -284,7 +329,92 @@ const documentSchema = new mongoose.Schema({
     },
     totalProcessingTime: Number,
     completedAt: Date
-  }
+  },
+
+  // Blocks deletion by users and by the retention purge while active
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    placedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date
+  },
+  // Result of the upload-time content check (services/contentInspection)
+  contentInspection: {
+    verdict: {
+      type: String,
+      enum: ['clean', 'quarantine']
+    },
+    detectedType: String,
+    issues: [{
+      _id: false,
+      check: String,
+      severity: String,
+      message: String
+    }],
+    scanner: String,
+    signature: String,
+    inspectedAt: Date
+  },
+  // Set when the content check flags the file: AI processing and downloads
+  // are blocked until an admin releases it
+  quarantine: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    quarantinedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date,
+    releaseNote: String
+  },
+  // Version history: a new upload replaces the file fields above and moves
+  // the previous file and its results here (see services/documentVersionService.js)
+  version: {
+    type: Number,
+    default: 1
+  },
+  versionInfo: {
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changeNote: String
+  },
+  previousVersions: [{
+    version: Number,
+    fileName: String,
+    originalName: String,
+    fileType: String,
+    fileSize: Number,
+    filePath: String,
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changeNote: String,
+    status: String,
+    validationStatus: String,
+    structuredData: mongoose.Schema.Types.Mixed,
+    complianceAnalysis: mongoose.Schema.Types.Mixed,
+    replacedAt: Date
+  }]
 }, {
   timestamps: true
 });
@@ -298,5 +428,7 @@ documentSchema.index({ client: 1 });
 documentSchema.index({ assignedForwarder: 1 });
 documentSchema.index({ validationStatus: 1 });
 documentSchema.index({ 'sharedWith.user': 1 });
+documentSchema.index({ 'legalHold.active': 1 });
+documentSchema.index({ 'quarantine.active': 1 });
 
 module.exports = mongoose.model('Document', documentSchema); 
\ No newline at end of file
@@ -4,21 +4,31 @@ const documentReviewSchema = new mongoose.Schema({
   documentType: {
     type: String,
     required: true,
-    enum: ['invoice', 'boe', 'packing_list', 'certificate', 'shipping_bill', 'other']
+    enum: ['invoice', 'boe', 'packing_list', 'certificate', 'shipping_bill', 'shipment_order', 'other']
   },
   document: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
-    required: true
+    required: function() { return !this.shipmentOrder; }
+  },
+  // Set when the review covers a whole shipment order rather than one document
+  shipmentOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShipmentOrder'
+  },
+  // Submission the review belongs to (1 for the first, 2 after the first re-submission, ...)
+  round: {
+    type: Number,
+    default: 1
   },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
-    required: true
+    required: function() { return !this.shipmentOrder; }
   },
   status: {
     type: String,
-    enum: ['approved', 'pending', 'rejected', 'under_review'],
+    enum: ['approved', 'pending', 'rejected', 'under_review', 'changes_requested'],
     default: 'pending'
   },
   reviewer: {
@@ -101,6 +111,7 @@ const documentReviewSchema = new mongoose.Schema({
 
 // Create indexes for better performance
 documentReviewSchema.index({ document: 1 });
+documentReviewSchema.index({ shipmentOrder: 1, round: -1 });
 documentReviewSchema.index({ client: 1 });
 documentReviewSchema.index({ status: 1 });
 documentReviewSchema.index({ reviewer: 1 });
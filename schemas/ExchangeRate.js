@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Value of one unit of a foreign currency in INR, valid from effectiveDate
+// until the next rate for the same currency and type (or expiryDate).
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  // INR per one unit of currency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // customs_import / customs_export: CBIC notified rates used for assessment
+  rateType: {
+    type: String,
+    enum: ['customs_import', 'customs_export', 'market'],
+    default: 'market'
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  expiryDate: {
+    type: Date
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  notificationNumber: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+exchangeRateSchema.index({ currency: 1, rateType: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -84,7 +84,7 @@ const importDocumentSchema = new mongoose.Schema({
     processingTime: Number,
     aiProvider: {
       type: String,
-      enum: ['openai', 'anthropic', 'gemini']
+      enum: ['openai', 'anthropic', 'gemini', 'mock']
     },
     errors: [String],
     suggestions: [String]
@@ -149,7 +149,7 @@ const importDocumentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploaded', 'processing', 'validated', 'rejected', 'archived'],
+    enum: ['uploaded', 'processing', 'validated', 'rejected', 'archived', 'quarantined'],
     default: 'uploaded'
   },
   isRequired: {
@@ -157,18 +157,86 @@ const importDocumentSchema = new mongoose.Schema({
     default: true
   },
   expiryDate: Date,
+  // Blocks deletion by users and by the retention purge while active
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    placedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date
+  },
+  // Result of the upload-time content check (services/contentInspection)
+  contentInspection: {
+    verdict: {
+      type: String,
+      enum: ['clean', 'quarantine']
+    },
+    detectedType: String,
+    issues: [{
+      _id: false,
+      check: String,
+      severity: String,
+      message: String
+    }],
+    scanner: String,
+    signature: String,
+    inspectedAt: Date
+  },
+  // Set when the content check flags the file: AI processing and downloads
+  // are blocked until an admin releases it
+  quarantine: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    quarantinedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date,
+    releaseNote: String
+  },
   version: {
     type: Number,
     default: 1
   },
+  versionInfo: {
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changeNote: String
+  },
   previousVersions: [{
+    version: Number,
     fileName: String,
+    originalName: String,
+    mimeType: String,
+    fileSize: Number,
     filePath: String,
     uploadedAt: Date,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    changeNote: String,
+    status: String,
+    extractedData: mongoose.Schema.Types.Mixed,
+    validation: mongoose.Schema.Types.Mixed,
+    replacedAt: Date
   }]
 }, {
   timestamps: true
@@ -181,5 +249,7 @@ importDocumentSchema.index({ documentType: 1 });
 importDocumentSchema.index({ status: 1 });
 importDocumentSchema.index({ 'validation.status': 1 });
 importDocumentSchema.index({ createdAt: -1 });
+importDocumentSchema.index({ 'legalHold.active': 1 });
+importDocumentSchema.index({ 'quarantine.active': 1 });
 
 module.exports = mongoose.model('ImportDocument', importDocumentSchema);
@@ -143,6 +143,8 @@ const importShipmentSchema = new mongoose.Schema({
   }],
   customs: {
     declarationNumber: String,
+    // Bill of entry filing date; customs values the goods at the rate notified for it
+    declarationDate: Date,
     customsBroker: {
       name: String,
       license: String,
@@ -280,7 +282,24 @@ const importShipmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
-  }
+  },
+  // Status held when an exception was raised; the shipment resumes to it
+  statusBeforeException: String,
+  // Status changes made through the state machine
+  auditTrail: [{
+    action: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    details: String,
+    previousStatus: String,
+    newStatus: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -295,4 +314,10 @@ importShipmentSchema.index({ 'origin.country': 1 });
 importShipmentSchema.index({ 'destination.country': 1 });
 importShipmentSchema.index({ createdAt: -1 });
 
+// Date whose customs exchange rate applies: the bill of entry filing date,
+// else the arrival date (actual, then estimated), else today
+importShipmentSchema.methods.customsRateDate = function() {
+  return this.customs?.declarationDate || this.logistics?.actualArrival || this.logistics?.estimatedArrival || new Date();
+};
+
 module.exports = mongoose.model('ImportShipment', importShipmentSchema);
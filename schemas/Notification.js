@@ -34,6 +34,11 @@ const notificationSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // Message template used for email, SMS and push (services/notifications/templates)
+  event: {
+    type: String,
+    default: 'default'
+  },
   readAt: {
     type: Date
   },
@@ -93,7 +98,14 @@ const notificationSchema = new mongoose.Schema({
         default: false
       },
       deliveredAt: Date,
-      error: String
+      error: String,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastAttemptAt: Date,
+      transport: String,
+      messageId: String
     },
     sms: {
       sent: {
@@ -101,7 +113,14 @@ const notificationSchema = new mongoose.Schema({
         default: false
       },
       deliveredAt: Date,
-      error: String
+      error: String,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastAttemptAt: Date,
+      transport: String,
+      messageId: String
     },
     push: {
       sent: {
@@ -109,7 +128,14 @@ const notificationSchema = new mongoose.Schema({
         default: false
       },
       deliveredAt: Date,
-      error: String
+      error: String,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastAttemptAt: Date,
+      transport: String,
+      messageId: String
     }
   },
   tags: [{
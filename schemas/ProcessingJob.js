@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const processingJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // External AI provider the job consumes (used for concurrency caps)
+  provider: {
+    type: String,
+    default: 'default'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead_letter', 'cancelled'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  // Concurrency slot of a running job, below the provider's cap
+  slot: {
+    type: Number
+  },
+  // Prevents the same record being queued twice while a job is pending
+  dedupeKey: {
+    type: String
+  },
+  // Set when the same work is requested while the job runs: the job is
+  // queued again once this run ends, instead of the request being lost
+  rerun: {
+    type: Boolean,
+    default: false
+  },
+  lastError: {
+    type: String
+  },
+  errorHistory: [{
+    attempt: Number,
+    message: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+processingJobSchema.index({ status: 1, provider: 1, runAt: 1, priority: -1 });
+processingJobSchema.index({ dedupeKey: 1, status: 1 });
+// One queued job per dedupe key, across every enqueue
+processingJobSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'queued', dedupeKey: { $exists: true } } }
+);
+processingJobSchema.index({ type: 1 });
+processingJobSchema.index({ lockedAt: 1 });
+// One running job per provider slot, across every worker
+processingJobSchema.index(
+  { provider: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'running', slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
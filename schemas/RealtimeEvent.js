@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Event pushed to a user over the realtime stream. Kept for a while so that
+// clients reconnecting with Last-Event-ID get the events they missed.
+const realtimeEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Per-user event number (RealtimeSequence), sent as the event id
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for better performance
+realtimeEventSchema.index({ user: 1, seq: 1 });
+// Events older than REALTIME_EVENT_RETENTION_HOURS are not replayed
+realtimeEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.REALTIME_EVENT_RETENTION_HOURS || '24') * 60 * 60 }
+);
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Last realtime event number given out per user. Event numbers are the
+// stream's event ids, so replay does not depend on clocks or ObjectId order.
+const realtimeSequenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('RealtimeSequence', realtimeSequenceSchema);
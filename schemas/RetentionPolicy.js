@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// How long records of a collection are kept before the retention purge
+// deletes them (see services/retentionService.js). When several active
+// policies match a record, the longest retention applies.
+const retentionPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String
+  },
+  target: {
+    type: String,
+    enum: ['document', 'import_document', 'notification', 'processing_job'],
+    required: true
+  },
+  // Document types (document categories for notifications, job types for
+  // jobs) the policy covers; empty covers all
+  documentTypes: [{
+    type: String
+  }],
+  // Statuses the policy covers; empty covers all
+  statuses: [{
+    type: String
+  }],
+  // Counted from the record's creation
+  retentionDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+retentionPolicySchema.index({ target: 1, active: 1 });
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Server-side login session. Access tokens carry the session id (sid) and are
+// only accepted while the session is active, so revoking it logs the device out.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token, and of the one it replaced
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Sliding expiry: extended by UserSettings.security.sessionTimeout on refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin_revoked', 'deactivated', 'password_changed', 'refresh_token_reuse']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed a week after they end
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// External link to a document for someone without an account. Only a SHA-256
+// hash of the link token is stored; the token itself is handed out once.
+const shareLinkSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // bcrypt hash of the optional link password
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  requiresPassword: {
+    type: Boolean,
+    default: false
+  },
+  // Unlimited when not set
+  maxDownloads: {
+    type: Number,
+    min: 1
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  recipient: {
+    name: String,
+    email: String,
+    company: String
+  },
+  purpose: {
+    type: String
+  },
+  // Returned with every download so the client can stamp the file
+  watermark: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    text: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ document: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -76,7 +76,22 @@ const shipmentSchema = new mongoose.Schema({
   },
   notes: {
     type: String
-  }
+  },
+  // Status changes made through the state machine
+  auditTrail: [{
+    action: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    details: String,
+    previousStatus: String,
+    newStatus: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
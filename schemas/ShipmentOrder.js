@@ -21,12 +21,12 @@ const shipmentOrderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'ready_for_forwarder', 'assigned_to_forwarder'],
+    enum: ['draft', 'submitted', 'under_review', 'changes_requested', 'approved', 'rejected', 'ready_for_forwarder', 'assigned_to_forwarder', 'in_transit', 'completed'],
     default: 'draft'
   },
   complianceStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'under_review'],
+    enum: ['pending', 'approved', 'rejected', 'under_review', 'changes_requested'],
     default: 'pending'
   },
   
@@ -97,6 +97,10 @@ const shipmentOrderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Document'
     },
+    shippingBill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
     certificates: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Document'
@@ -111,9 +115,14 @@ const shipmentOrderSchema = new mongoose.Schema({
   compliance: {
     status: {
       type: String,
-      enum: ['pending', 'under_review', 'approved', 'rejected'],
+      enum: ['pending', 'under_review', 'changes_requested', 'approved', 'rejected'],
       default: 'pending'
     },
+    // Current entry in the CA review queue
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentReview'
+    },
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -121,7 +130,7 @@ const shipmentOrderSchema = new mongoose.Schema({
     reviewedAt: Date,
     comments: String,
     issues: [{
-      type: String,
+      type: { type: String },
       message: String,
       severity: {
         type: String,
@@ -136,6 +145,60 @@ const shipmentOrderSchema = new mongoose.Schema({
     }
   },
 
+  // Cross-document consistency check (see services/orderConsistencyService.js)
+  consistencyCheck: {
+    status: {
+      type: String,
+      enum: ['not_checked', 'passed', 'warning', 'failed'],
+      default: 'not_checked'
+    },
+    checkedAt: Date,
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    documents: [{
+      source: String,
+      document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      },
+      name: String,
+      processed: Boolean,
+      _id: false
+    }],
+    checks: [{
+      field: String,
+      label: String,
+      status: {
+        type: String,
+        enum: ['match', 'within_tolerance', 'mismatch', 'not_compared']
+      },
+      severity: {
+        type: String,
+        enum: ['error', 'warning', 'info']
+      },
+      message: String,
+      values: [{
+        source: String,
+        value: String,
+        _id: false
+      }],
+      _id: false
+    }],
+    summary: {
+      checks: Number,
+      passed: Number,
+      errors: Number,
+      warnings: Number
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: Date
+  },
+
   // Financial Summary
   financial: {
     totalValue: Number,
@@ -170,7 +233,10 @@ const shipmentOrderSchema = new mongoose.Schema({
 
   notes: String
 }, {
-  timestamps: true
+  timestamps: true,
+  // A save fails with a VersionError if someone else saved the order since it
+  // was loaded, so two concurrent review decisions cannot both apply
+  optimisticConcurrency: true
 });
 
 // Create indexes for better performance
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Coordinates uploads and deletions of a stored file, which is shared by every
+// upload of the same content (see services/storage). An upload holds the file
+// until its record is saved; a deletion marks it while it checks the
+// references and removes it. Neither can start while the other is active.
+const storageLockSchema = new mongoose.Schema({
+  // filePath value ("<driver>:<key>")
+  location: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  holds: [{
+    until: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Set while a deletion runs; past values are left by a stopped process
+  deletingUntil: {
+    type: Date
+  },
+  // The lock is removed once no hold or deletion is active
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+storageLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StorageLock', storageLockSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const systemSettingsSchema = new mongoose.Schema({
+  // Settings are one document; services/systemSettings reads the 'global' one
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
   emailNotifications: {
     type: Boolean,
     default: true
@@ -13,6 +19,11 @@ const systemSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Shown to users turned away during maintenance
+  maintenanceMessage: {
+    type: String,
+    default: 'The system is under maintenance. Please try again later.'
+  },
   autoBackup: {
     type: Boolean,
     default: true
@@ -35,7 +46,7 @@ const systemSettingsSchema = new mongoose.Schema({
   },
   apiRateLimit: {
     type: Number,
-    default: 1000
+    default: 1000 // requests per hour per IP
   },
   sessionDuration: {
     type: Number,
@@ -49,12 +60,46 @@ const systemSettingsSchema = new mongoose.Schema({
     type: Number,
     default: 10
   },
+  // Kept for the admin settings screen
+  twoFactorAuth: {
+    type: Boolean,
+    default: true
+  },
+  sessionTimeout: {
+    type: Boolean,
+    default: true
+  },
+  passwordPolicy: {
+    type: String,
+    enum: ['basic', 'strong'],
+    default: 'strong'
+  },
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Most recent changes last
+  history: {
+    type: [{
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      },
+      reason: String,
+      changes: [{
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }]
+    }],
+    select: false
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('SystemSettings', systemSettingsSchema); 
\ No newline at end of file
+module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
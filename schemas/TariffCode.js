@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One document per node of the HS / ITC-HS nomenclature:
+// chapter (2 digits) > heading (4) > subheading (6) > Indian tariff item (8)
+const tariffCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^(\d{2}|\d{4}|\d{6}|\d{8})$/
+  },
+  level: {
+    type: String,
+    enum: ['chapter', 'heading', 'subheading', 'tariff_item'],
+    required: true
+  },
+  chapter: {
+    type: String,
+    required: true
+  },
+  heading: {
+    type: String
+  },
+  subheading: {
+    type: String
+  },
+  parentCode: {
+    type: String
+  },
+  section: {
+    type: String
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // Unit Quantity Code (e.g. KGS, NOS, LTR)
+  unit: {
+    type: String
+  },
+  // Rates in percent
+  bcdRate: {
+    type: Number,
+    min: 0
+  },
+  igstRate: {
+    type: Number,
+    min: 0
+  },
+  // Social Welfare Surcharge on BCD; the duty engine applies 10% when not set
+  swsRate: {
+    type: Number,
+    min: 0
+  },
+  // GST compensation cess
+  cessRate: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String
+  },
+  source: {
+    type: String
+  },
+  effectiveDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+tariffCodeSchema.index({ level: 1, chapter: 1 });
+tariffCodeSchema.index({ parentCode: 1 });
+tariffCodeSchema.index({ description: 'text', notes: 'text' });
+
+module.exports = mongoose.model('TariffCode', tariffCodeSchema);
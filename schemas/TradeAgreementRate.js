@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Preferential BCD rate under a free trade agreement for goods from the
+// listed origin countries. hsCode is a prefix (2-8 digits).
+const tradeAgreementRateSchema = new mongoose.Schema({
+  agreement: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String
+  },
+  countries: [{
+    type: String,
+    trim: true
+  }],
+  hsCode: {
+    type: String,
+    required: true,
+    match: /^\d{2,8}$/
+  },
+  // Preferential BCD rate in percent
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  requiresCertificateOfOrigin: {
+    type: Boolean,
+    default: true
+  },
+  notificationNumber: {
+    type: String
+  },
+  effectiveDate: {
+    type: Date,
+    default: Date.now
+  },
+  expiryDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+tradeAgreementRateSchema.index({ hsCode: 1, isActive: 1 });
+tradeAgreementRateSchema.index({ agreement: 1 });
+
+module.exports = mongoose.model('TradeAgreementRate', tradeAgreementRateSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Anti-dumping, countervailing or safeguard duty on a tariff line.
+// hsCode is a prefix (2-8 digits); an empty countries list applies to all origins.
+const tradeRemedyDutySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['anti_dumping', 'countervailing', 'safeguard'],
+    required: true
+  },
+  hsCode: {
+    type: String,
+    required: true,
+    match: /^\d{2,8}$/
+  },
+  countries: [{
+    type: String,
+    trim: true
+  }],
+  // Limits the duty to goods from a named producer/exporter
+  exporter: {
+    type: String,
+    trim: true
+  },
+  rateType: {
+    type: String,
+    enum: ['ad_valorem', 'specific'],
+    default: 'ad_valorem'
+  },
+  // Ad valorem rate in percent of assessable value
+  rate: {
+    type: Number,
+    min: 0
+  },
+  // Specific duty: amount per unit of quantity
+  amount: {
+    type: Number,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  unit: {
+    type: String,
+    uppercase: true
+  },
+  notificationNumber: {
+    type: String
+  },
+  effectiveDate: {
+    type: Date,
+    default: Date.now
+  },
+  expiryDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+tradeRemedyDutySchema.index({ hsCode: 1, isActive: 1 });
+tradeRemedyDutySchema.index({ type: 1 });
+
+module.exports = mongoose.model('TradeRemedyDuty', tradeRemedyDutySchema);
@@ -58,6 +58,18 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -68,5 +80,16 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ company: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+// A password change invalidates any outstanding reset link
+userSchema.pre('save', function(next) {
+  if (this.isModified('password') && !this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+  }
+  next();
+});
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
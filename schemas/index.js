@@ -24,6 +24,19 @@ const ImportShipment = require('./ImportShipment');
 const ImportDocument = require('./ImportDocument');
 const ImportCost = require('./ImportCost');
 const ImportSupplier = require('./ImportSupplier');
+const ShipmentOrder = require('./ShipmentOrder');
+const ProcessingJob = require('./ProcessingJob');
+const TariffCode = require('./TariffCode');
+const TradeAgreementRate = require('./TradeAgreementRate');
+const TradeRemedyDuty = require('./TradeRemedyDuty');
+const ExchangeRate = require('./ExchangeRate');
+const Session = require('./Session');
+const ShareLink = require('./ShareLink');
+const Comment = require('./Comment');
+const RealtimeEvent = require('./RealtimeEvent');
+const RealtimeSequence = require('./RealtimeSequence');
+const RetentionPolicy = require('./RetentionPolicy');
+const StorageLock = require('./StorageLock');
 
 module.exports = {
   User,
@@ -50,5 +63,18 @@ module.exports = {
   ImportShipment,
   ImportDocument,
   ImportCost,
-  ImportSupplier
+  ImportSupplier,
+  ShipmentOrder,
+  ProcessingJob,
+  TariffCode,
+  TradeAgreementRate,
+  TradeRemedyDuty,
+  ExchangeRate,
+  Session,
+  ShareLink,
+  Comment,
+  RealtimeEvent,
+  RealtimeSequence,
+  RetentionPolicy,
+  StorageLock
 }; 
\ No newline at end of file
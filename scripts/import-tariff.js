@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const TariffService = require('../services/tariffService');
+
+// Usage: node scripts/import-tariff.js <file.csv|file.json> [--replace] [--source=NAME] [--effective-date=YYYY-MM-DD]
+const parseArgs = (argv) => {
+  const options = { replace: false };
+  const files = [];
+
+  argv.forEach(arg => {
+    if (arg === '--replace') {
+      options.replace = true;
+    } else if (arg.startsWith('--source=')) {
+      options.source = arg.split('=')[1];
+    } else if (arg.startsWith('--effective-date=')) {
+      options.effectiveDate = new Date(arg.split('=')[1]);
+    } else {
+      files.push(arg);
+    }
+  });
+
+  return { file: files[0], options };
+};
+
+// Read rows from a CSV file or a JSON array (or { codes: [...] })
+const readRows = (file, tariffService) => {
+  const content = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.codes || [];
+  }
+  return tariffService.parseCSV(content);
+};
+
+const importTariff = async () => {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/import-tariff.js <file.csv|file.json> [--replace] [--source=NAME] [--effective-date=YYYY-MM-DD]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    console.error(`❌ File not found: ${file}`);
+    process.exit(1);
+  }
+
+  const tariffService = new TariffService();
+  options.source = options.source || path.basename(file);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/export_project', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected for tariff import');
+
+    const rows = readRows(file, tariffService);
+    console.log(`📄 Importing ${rows.length} tariff rows from ${file}${options.replace ? ' (replacing existing codes)' : ''}...`);
+
+    const result = await tariffService.importRecords(rows, options);
+
+    console.log(`✅ Imported ${result.imported}/${result.total} rows: ${result.inserted} new, ${result.updated} updated`);
+    if (result.errors.length > 0) {
+      console.warn(`⚠️  ${result.errors.length} rows skipped:`);
+      result.errors.slice(0, 20).forEach(error => console.warn(`   Row ${error.row}: ${error.message}`));
+    }
+    if (result.missingParents.length > 0) {
+      console.warn(`⚠️  ${result.missingParents.length} parent codes are missing: ${result.missingParents.slice(0, 20).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Tariff import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  importTariff();
+}
+
+module.exports = { importTariff };
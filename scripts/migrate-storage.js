@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Document, ImportDocument } = require('../schemas');
+const storage = require('../services/storage');
+
+const USAGE = 'Usage: node scripts/migrate-storage.js --to=<driver> [--from=<driver>] [--dry-run] [--delete-source]';
+
+// Collections with files, and the field holding their content type
+const COLLECTIONS = [
+  { name: 'documents', model: Document, contentTypeField: 'fileType' },
+  { name: 'import documents', model: ImportDocument, contentTypeField: 'mimeType' }
+];
+
+// Usage: node scripts/migrate-storage.js --to=<driver> [--from=<driver>] [--dry-run] [--delete-source]
+// --from=legacy selects only files uploaded before storage drivers existed
+const parseArgs = (argv) => {
+  const options = { dryRun: false, deleteSource: false };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--delete-source') {
+      options.deleteSource = true;
+    } else if (arg.startsWith('--to=')) {
+      options.to = arg.split('=')[1];
+    } else if (arg.startsWith('--from=')) {
+      options.from = arg.split('=')[1];
+    }
+  });
+
+  return options;
+};
+
+// The files of a record that have to move: the current file and every previous version
+const filesToMove = (record, collection, options) => {
+  const files = [];
+  const add = (location, contentType, versionId) => {
+    if (!location) {
+      return;
+    }
+    const { driver } = storage.parseLocation(location);
+    if (driver !== options.to && (!options.from || driver === options.from)) {
+      files.push({ location, contentType, versionId });
+    }
+  };
+
+  add(record.filePath, record[collection.contentTypeField]);
+  (record.previousVersions || []).forEach(version => add(version.filePath, version[collection.contentTypeField], version._id));
+  return files;
+};
+
+/**
+ * Copy the files of one collection to the target driver and point the
+ * records at the copies
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {Object} options - { to, from, dryRun, deleteSource }
+ * @param {Map} copied - Source location -> new location, shared across collections
+ * @returns {Promise<Object>} Counts
+ */
+const migrateCollection = async (collection, options, copied) => {
+  const stats = { records: 0, files: 0, bytes: 0, copied: 0, deduplicated: 0, missing: 0, failed: 0, sourcesDeleted: 0 };
+  const field = collection.contentTypeField;
+
+  const cursor = collection.model.find({})
+    .select(`filePath ${field} previousVersions._id previousVersions.filePath previousVersions.${field}`)
+    .lean()
+    .cursor();
+
+  for await (const record of cursor) {
+    const files = filesToMove(record, collection, options);
+    if (files.length === 0) {
+      continue;
+    }
+
+    const filter = { _id: record._id };
+    const update = {};
+    const arrayFilters = [];
+    const moved = [];
+
+    for (const file of files) {
+      stats.files++;
+      try {
+        if (options.dryRun) {
+          const info = await storage.stat(file.location);
+          if (!info) {
+            stats.missing++;
+            console.warn(`⚠️  Missing file ${file.location} (${collection.name} ${record._id})`);
+          } else {
+            stats.bytes += info.size;
+          }
+          continue;
+        }
+
+        let target = copied.get(file.location);
+        if (!target) {
+          const stored = await storage.copyFile(file.location, options.to, { contentType: file.contentType });
+          stats.bytes += stored.size;
+          stats[stored.deduplicated ? 'deduplicated' : 'copied']++;
+          target = stored.location;
+          copied.set(file.location, target);
+        }
+
+        // The filters make the update a no-op if the record changed meanwhile
+        if (file.versionId) {
+          const name = `v${arrayFilters.length}`;
+          update[`previousVersions.$[${name}].filePath`] = target;
+          arrayFilters.push({ [`${name}._id`]: file.versionId, [`${name}.filePath`]: file.location });
+        } else {
+          update.filePath = target;
+          filter.filePath = file.location;
+        }
+        moved.push(file.location);
+      } catch (error) {
+        stats[error.code === 'ENOENT' ? 'missing' : 'failed']++;
+        console.error(`❌ Could not move ${file.location} (${collection.name} ${record._id}): ${error.message}`);
+      }
+    }
+
+    if (moved.length === 0) {
+      continue;
+    }
+
+    const result = await collection.model.updateOne(filter, { $set: update }, arrayFilters.length ? { arrayFilters } : {});
+    if (!result.matchedCount) {
+      console.warn(`⚠️  ${collection.name} ${record._id} changed during the migration; run the migration again`);
+      continue;
+    }
+    stats.records++;
+
+    if (options.deleteSource) {
+      for (const location of moved) {
+        // Only deleted once no other record uses the file
+        if (await storage.releaseFile(location)) {
+          stats.sourcesDeleted++;
+        }
+      }
+    }
+  }
+
+  return stats;
+};
+
+const migrateStorage = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.to) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    // Fails early on an unknown or unconfigured driver
+    storage.getDriver(options.to);
+    if (options.from && options.from !== storage.LEGACY) {
+      storage.getDriver(options.from);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/export_project', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected for storage migration');
+    console.log(`📦 Moving files${options.from ? ` from ${options.from}` : ''} to ${options.to}${options.dryRun ? ' (dry run)' : ''}...`);
+
+    const copied = new Map();
+    for (const collection of COLLECTIONS) {
+      const stats = await migrateCollection(collection, options, copied);
+      const megabytes = (stats.bytes / (1024 * 1024)).toFixed(1);
+
+      if (options.dryRun) {
+        console.log(`✅ ${collection.name}: ${stats.files} files (${megabytes} MB) would move, ${stats.missing} missing`);
+      } else {
+        console.log(`✅ ${collection.name}: ${stats.records} records updated, ${stats.copied} files copied, ${stats.deduplicated} already stored (${megabytes} MB), ${stats.sourcesDeleted} sources deleted`);
+        if (stats.missing || stats.failed) {
+          console.warn(`⚠️  ${collection.name}: ${stats.missing} files missing, ${stats.failed} failed`);
+          process.exitCode = 1;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  migrateStorage();
+}
+
+module.exports = { migrateStorage, migrateCollection };
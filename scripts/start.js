@@ -45,10 +45,27 @@ const startup = async () => {
     
     // Connect to database
     await connectDB();
+
+    // Drop indexes that schemas no longer declare (e.g. unique rule codes)
+    const { syncIndexes } = require('./sync-indexes');
+    await syncIndexes();
     
     // Seed initial data if needed
     console.log('🌱 Checking for initial data...');
     await seedData();
+
+    // Start the background document processing worker
+    console.log('⚙️  Starting document processing worker...');
+    const { startDocumentWorker } = require('../services/documentJobs');
+    await startDocumentWorker();
+
+    // Send notifications by email, SMS and push, and retry failed deliveries
+    const { startNotificationWorker } = require('../services/notifications');
+    startNotificationWorker();
+
+    // Purge records past their retention period, if enabled
+    const { startRetentionWorker } = require('../services/retentionJobs');
+    await startRetentionWorker();
     
     // Start the main server
     console.log('🎯 Starting main server...');
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const schemas = require('../schemas');
+
+// Models whose indexes changed in a way MongoDB does not pick up by itself:
+// indexes dropped from a schema stay in the database until removed
+const MIGRATIONS = [
+  // code_1 (unique) was replaced by { code, version } (unique); left in place,
+  // every new version of a rule fails with E11000
+  'ComplianceRule',
+  // key_1 was unique but not sparse; once keys are hashed, key is unset on
+  // every new key and the second one fails with E11000
+  'APIKey'
+];
+
+/**
+ * Bring the indexes of the migrated models in line with their schemas:
+ * indexes the schema no longer declares are dropped, new ones are built
+ * @returns {Promise<Object>} Model name -> names of the dropped indexes
+ */
+const syncIndexes = async () => {
+  const dropped = {};
+
+  for (const name of MIGRATIONS) {
+    dropped[name] = await schemas[name].syncIndexes();
+    if (dropped[name].length > 0) {
+      console.log(`🗂️  ${name}: dropped indexes ${dropped[name].join(', ')}`);
+    }
+  }
+
+  return dropped;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/export_project', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ MongoDB Connected for index migration');
+
+    await syncIndexes();
+    console.log('✅ Indexes are up to date');
+  } catch (error) {
+    console.error('❌ Index migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { syncIndexes, MIGRATIONS };
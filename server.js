@@ -18,6 +18,24 @@ console.log('- COMPLIANCE_AI_PROVIDER:', process.env.COMPLIANCE_AI_PROVIDER || '
 
 const app = express();
 
+const auditTrail = require('./middleware/auditTrail');
+const maintenance = require('./middleware/maintenance');
+const { getSettings } = require('./services/systemSettings');
+const {
+  User,
+  Document,
+  InvoiceValidation,
+  BOEValidation,
+  ShipmentOrder,
+  ImportCost,
+  APIKey,
+  ExchangeRate,
+  Comment,
+  ImportDocument,
+  RetentionPolicy,
+  ComplianceRule
+} = require('./schemas');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
@@ -39,6 +57,20 @@ const importShipmentRoutes = require('./routes/import-shipments');
 const importDocumentRoutes = require('./routes/import-documents');
 const importSupplierRoutes = require('./routes/import-suppliers');
 const importCostRoutes = require('./routes/import-costs');
+const complianceRuleRoutes = require('./routes/compliance-rules');
+const exchangeRateRoutes = require('./routes/exchange-rates');
+const shareLinkRoutes = require('./routes/share-links');
+const commentRoutes = require('./routes/comments');
+const eventRoutes = require('./routes/events');
+const retentionRoutes = require('./routes/retention');
+const quarantineRoutes = require('./routes/quarantine');
+
+// Behind a load balancer, trust its hops so req.ip (rate limits, API key
+// IP allowlists) is the client address: a hop count, true, or proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Middleware
 app.use(helmet());
@@ -47,10 +79,10 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting - Increased limits for development
+// Rate limiting - requests per hour per IP, from the apiRateLimit system setting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 500, // Increased from 100 to 500 requests per windowMs
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: async () => (await getSettings()).apiRateLimit,
   standardHeaders: true,
   legacyHeaders: false,
   message: 'Too many requests from this IP, please try again later.'
@@ -61,22 +93,28 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Maintenance mode (system setting): only admins get through
+app.use('/api/', maintenance);
+
 // Database connection is handled by startup script
 // This allows the server to be started independently if needed
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api/users', auditTrail({ entityType: 'user', model: User }), userRoutes);
 app.use('/api/clients', clientRoutes);
-app.use('/api/documents', documentRoutes);
-app.use('/api/validation', validationRoutes);
+app.use('/api/documents', auditTrail({ entityType: 'document', model: Document }), documentRoutes);
+app.use('/api/validation', auditTrail({
+  entityType: 'validation',
+  models: { invoice: InvoiceValidation, boe: BOEValidation }
+}), validationRoutes);
 app.use('/api/shipments', shipmentRoutes);
 app.use('/api/hs-codes', hsCodeRoutes);
 app.use('/api/real-trade', realTradeDataRoutes);
 app.use('/api/analytics', analyticsRoutes);
-app.use('/api/admin', adminRoutes);
+app.use('/api/admin', auditTrail({ entityType: 'admin', models: { 'api-keys': APIKey } }), adminRoutes);
 app.use('/api/integrations', integrationRoutes);
-app.use('/api/shipment-orders', shipmentOrderRoutes);
+app.use('/api/shipment-orders', auditTrail({ entityType: 'shipment_order', model: ShipmentOrder }), shipmentOrderRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/forwarder-assignments', forwarderAssignmentRoutes);
 app.use('/api/forwarder-profiles', forwarderProfileRoutes);
@@ -84,7 +122,20 @@ app.use('/api/forwarder', forwarderTaskRoutes);
 app.use('/api/import-shipments', importShipmentRoutes);
 app.use('/api/import-documents', importDocumentRoutes);
 app.use('/api/import-suppliers', importSupplierRoutes);
-app.use('/api/import-costs', importCostRoutes);
+app.use('/api/import-costs', auditTrail({ entityType: 'import_cost', model: ImportCost }), importCostRoutes);
+app.use('/api/compliance-rules', auditTrail({ entityType: 'compliance_rule', model: ComplianceRule }), complianceRuleRoutes);
+app.use('/api/exchange-rates', auditTrail({ entityType: 'exchange_rate', model: ExchangeRate }), exchangeRateRoutes);
+app.use('/api/share', shareLinkRoutes);
+app.use('/api/comments', auditTrail({ entityType: 'comment', model: Comment }), commentRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/retention', auditTrail({
+  entityType: 'retention',
+  models: { policies: RetentionPolicy, document: Document, import_document: ImportDocument }
+}), retentionRoutes);
+app.use('/api/quarantine', auditTrail({
+  entityType: 'quarantine',
+  models: { document: Document, import_document: ImportDocument }
+}), quarantineRoutes);
 
 // Health check endpoint with database test
 app.get('/api/health', async (req, res) => {
@@ -0,0 +1,220 @@
+const { User, ImportShipment } = require('../schemas');
+
+// Permissions that can be granted on a document through sharedWith
+const SHARE_PERMISSIONS = ['view', 'download', 'validate', 'comment'];
+
+// Actions only the owner (or an admin) can take
+const OWNER_ACTIONS = ['update', 'delete', 'share', 'reprocess'];
+
+const ACTIONS = [...SHARE_PERMISSIONS, ...OWNER_ACTIONS];
+
+// Roles that work on documents of the client they belong to
+const CLIENT_ROLES = ['forwarder', 'ca'];
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+// Who may see a shipment order or import shipment (and comment on it)
+const RECORD_POLICIES = {
+  shipment_order: {
+    label: 'order',
+    canView: (context, order) => {
+      if (['admin', 'ca'].includes(context.role)) return true;
+      if (context.role === 'exporter') return idOf(order.exporter) === context.id;
+      if (context.role === 'forwarder') return idOf(order.assignedForwarder) === context.id;
+      return false;
+    }
+  },
+  import_shipment: {
+    label: 'import shipment',
+    canView: (context, shipment) => {
+      if (context.role === 'admin') return true;
+      if (context.role === 'importer') return idOf(shipment.importer) === context.id;
+      // Forwarders see the shipments they handle and those waiting for approval
+      if (context.role === 'forwarder') {
+        return idOf(shipment.forwarderAdmin) === context.id || shipment.approvalStatus === 'pending_approval';
+      }
+      return false;
+    }
+  }
+};
+
+/**
+ * Access Control Service
+ *
+ * Decides what a user may do with a document from their role and their
+ * relationship to it. Every relationship grants a set of actions:
+ *
+ *   admin               every action
+ *   owner               every action (uploader of a document, importer of an import document)
+ *   assigned_forwarder  view, download, validate, comment (document.assignedForwarder)
+ *   shared              the permissions of the user's sharedWith entry
+ *   client              view, download, validate, comment (forwarders and CAs of the document's client)
+ *   shipment_forwarder  view, download, validate, comment (forwarder handling an import shipment)
+ *
+ * A user may take an action when any of their relationships grants it.
+ *
+ * Shipment orders and import shipments are seen by:
+ *   shipment_order   admins, CAs, the exporter and the assigned forwarder
+ *   import_shipment  admins, the importer, the handling forwarder and, while
+ *                    it waits for approval, any forwarder
+ */
+class AccessControlService {
+  /**
+   * Load what the policy needs to know about a user. Tokens only carry
+   * id and role, so the client is read from the user record.
+   * @param {Object} user - req.user ({ id, role })
+   * @returns {Promise<Object>} { id, role, clientId }
+   */
+  async getUserContext(user) {
+    const id = idOf(user.id || user._id);
+    let clientId = user.clientId;
+    if (clientId === undefined && CLIENT_ROLES.includes(user.role)) {
+      const record = await User.findById(id).select('clientId').lean();
+      clientId = record ? record.clientId : null;
+    }
+    return { id, role: user.role, clientId: idOf(clientId) };
+  }
+
+  /**
+   * List the relationships between a user and a document and what each grants
+   * @param {Object} context - Result of getUserContext()
+   * @param {Object} document - Document or ImportDocument
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Promise<Array>} Grants as { relation, permissions, detail }
+   */
+  async getGrants(context, document, resourceType = 'document') {
+    const grants = [];
+
+    if (context.role === 'admin') {
+      grants.push({ relation: 'admin', permissions: ACTIONS, detail: 'Administrators can act on every document' });
+    }
+
+    if (resourceType === 'importDocument') {
+      if (idOf(document.importer) === context.id) {
+        grants.push({ relation: 'owner', permissions: ACTIONS, detail: 'You are the importer of this document' });
+      }
+      if (context.role === 'forwarder' && document.importShipment) {
+        const shipment = await ImportShipment.findById(idOf(document.importShipment)).select('forwarderAdmin').lean();
+        if (shipment && idOf(shipment.forwarderAdmin) === context.id) {
+          grants.push({ relation: 'shipment_forwarder', permissions: SHARE_PERMISSIONS, detail: 'You handle the import shipment of this document' });
+        }
+      }
+      return grants;
+    }
+
+    if (idOf(document.uploadedBy) === context.id) {
+      grants.push({ relation: 'owner', permissions: ACTIONS, detail: 'You uploaded this document' });
+    }
+
+    if (context.role === 'forwarder' && idOf(document.assignedForwarder) === context.id) {
+      grants.push({ relation: 'assigned_forwarder', permissions: SHARE_PERMISSIONS, detail: 'The document is assigned to you' });
+    }
+
+    const share = (document.sharedWith || []).find(entry => idOf(entry.user) === context.id);
+    if (share) {
+      grants.push({
+        relation: 'shared',
+        permissions: (share.permissions || []).filter(permission => SHARE_PERMISSIONS.includes(permission)),
+        detail: `Shared with you${share.sharedAt ? ` on ${new Date(share.sharedAt).toISOString().split('T')[0]}` : ''}`
+      });
+    }
+
+    if (CLIENT_ROLES.includes(context.role) && context.clientId && idOf(document.client) === context.clientId) {
+      grants.push({ relation: 'client', permissions: SHARE_PERMISSIONS, detail: 'The document belongs to your client' });
+    }
+
+    return grants;
+  }
+
+  /**
+   * Decide one action
+   * @param {Array} grants - Result of getGrants()
+   * @param {string} action - Action to check
+   * @returns {Object} { allowed, grantedBy, reason }
+   */
+  decide(grants, action) {
+    const grantedBy = grants.filter(grant => grant.permissions.includes(action)).map(grant => grant.relation);
+    if (grantedBy.length > 0) {
+      return { allowed: true, grantedBy, reason: `Granted by: ${grantedBy.join(', ')}` };
+    }
+
+    let reason;
+    if (grants.length === 0) {
+      reason = 'You have no relationship to this document (not the owner, not assigned, not shared with you, not your client)';
+    } else if (OWNER_ACTIONS.includes(action)) {
+      reason = `Only the owner or an admin can ${action} this document`;
+    } else {
+      reason = `Your access (${grants.map(grant => grant.relation).join(', ')}) does not include the ${action} permission`;
+    }
+    return { allowed: false, grantedBy, reason };
+  }
+
+  /**
+   * Check whether a user may take an action on a document
+   * @param {Object} user - req.user
+   * @param {Object} document - Document or ImportDocument
+   * @param {string} action - view, download, validate, comment, update, delete, share or reprocess
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Promise<Object>} { allowed, action, grantedBy, reason }
+   */
+  async check(user, document, action, resourceType = 'document') {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown document action: ${action}`);
+    }
+    const context = await this.getUserContext(user);
+    const grants = await this.getGrants(context, document, resourceType);
+    return { action, ...this.decide(grants, action) };
+  }
+
+  /**
+   * Check whether a user may see a shipment order or import shipment
+   * @param {Object} user - req.user or { id, role }
+   * @param {Object} record - ShipmentOrder or ImportShipment (populated or not)
+   * @param {string} recordType - shipment_order or import_shipment
+   * @returns {Object} { allowed, reason }
+   */
+  checkRecordAccess(user, record, recordType) {
+    const policy = RECORD_POLICIES[recordType];
+    if (!policy) {
+      throw new Error(`Unknown record type: ${recordType}`);
+    }
+    const allowed = policy.canView({ id: idOf(user.id || user._id), role: user.role }, record);
+    return {
+      allowed,
+      reason: allowed ? null : `You do not have access to this ${policy.label}`
+    };
+  }
+
+  /**
+   * Explain every action for a user and a document
+   * @param {Object} user - req.user
+   * @param {Object} document - Document or ImportDocument
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Promise<Object>} { user, document, relations, permissions }
+   */
+  async explain(user, document, resourceType = 'document') {
+    const context = await this.getUserContext(user);
+    const grants = await this.getGrants(context, document, resourceType);
+
+    const permissions = {};
+    ACTIONS.forEach(action => {
+      permissions[action] = this.decide(grants, action);
+    });
+
+    return {
+      user: { id: context.id, role: context.role },
+      document: { id: document._id, type: resourceType },
+      relations: grants,
+      permissions
+    };
+  }
+}
+
+AccessControlService.ACTIONS = ACTIONS;
+AccessControlService.RECORD_TYPES = Object.keys(RECORD_POLICIES);
+AccessControlService.SHARE_PERMISSIONS = SHARE_PERMISSIONS;
+
+module.exports = AccessControlService;
@@ -1,10 +1,10 @@
 const PureWebScrapingHSCode = require('./realDataServices/pureWebScrapingHSCode');
-const ComplianceService = require('./compliance');
+const { getProvider } = require('./aiProviders');
 
 class AIPoweredHSCodeService {
   constructor() {
     this.webScraper = new PureWebScrapingHSCode();
-    this.complianceService = new ComplianceService();
+    this.aiProvider = getProvider('hsCodes');
   }
 
   /**
@@ -21,7 +21,7 @@ class AIPoweredHSCodeService {
       const governmentData = await this.webScraper.getHSCode(productDescription);
       
       // Step 2: Get AI suggestions
-      const aiSuggestions = await this.complianceService.suggestHSCodes(productDescription, additionalInfo);
+      const aiSuggestions = await this.aiProvider.suggestHSCodes(productDescription, additionalInfo);
       
       // Step 3: Combine and enhance with AI analysis
       const enhancedResult = await this.enhanceWithAI(
@@ -188,15 +188,11 @@ Please validate this government data and provide enhancements in the following J
   }
 }`;
 
-      let aiResult;
-      if (this.complianceService.preferredProvider === 'anthropic' && this.complianceService.anthropic) {
-        aiResult = await this.complianceService.analyzeWithClaude(prompt);
-      } else if (this.complianceService.openai) {
-        aiResult = await this.complianceService.analyzeWithGPT4(prompt);
-      } else {
+      if (!this.aiProvider.isAvailable()) {
         // No AI available, return government data as-is
         return hsCode;
       }
+      const aiResult = await this.aiProvider.complete(prompt);
 
       const jsonMatch = aiResult.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
@@ -1,17 +1,22 @@
 const GeminiService = require('./gemini');
-const ComplianceService = require('./compliance');
+const { getProvider } = require('./aiProviders');
+const ComplianceRuleEngine = require('./complianceRuleEngine');
 const { Document } = require('../schemas');
+const realtime = require('./realtime');
+const storage = require('./storage');
 
 class AIProcessor {
   constructor() {
+    // Used for fallback OCR data when the OCR provider fails
     this.geminiService = new GeminiService();
-    this.complianceService = new ComplianceService();
+    this.ruleEngine = new ComplianceRuleEngine();
   }
 
   /**
-   * Process document with two-step AI pipeline
-   * Step 1: Gemini 1.5 Pro for OCR/text extraction
-   * Step 2: GPT-4 Turbo or Claude 3 Sonnet for compliance analysis
+   * Process document with two-step AI pipeline. Providers for each step are
+   * chosen by configuration (see services/aiProviders).
+   * Step 1: OCR/text extraction (default: Gemini 1.5 Pro)
+   * Step 2: Compliance analysis (default: GPT-4 Turbo or Claude 3 Sonnet)
    * @param {string} documentId - MongoDB document ID
    * @returns {Promise<Object>} Processing results
    */
@@ -22,6 +27,9 @@ class AIProcessor {
       if (!document) {
         throw new Error('Document not found');
       }
+      if (document.quarantine?.active) {
+        return this.quarantinedResult(documentId);
+      }
 
       console.log(`Starting AI processing for document: ${document.originalName}`);
 
@@ -29,25 +37,34 @@ class AIProcessor {
       document.status = 'processing';
       document.processingStartTime = new Date();
       await document.save();
+      await this.reportProgress(document, 'ocr', 10, 'Extracting text');
 
       const startTime = Date.now();
 
-      // Step 1: Extract text using Gemini 1.5 Pro
-      console.log('Step 1: Extracting text with Gemini 1.5 Pro...');
-      let ocrResult = await this.geminiService.extractTextFromDocument(
-        document.filePath,
-        document.fileType,
-        document.documentType
-      );
-
-      // If OCR fails, use fallback processing
-      if (!ocrResult.success) {
-        console.warn('⚠️  OCR failed, using fallback processing...');
-        ocrResult = await this.geminiService.getFallbackProcessing(
-          document.filePath,
+      const ocrProvider = getProvider('ocr');
+      const complianceProvider = getProvider('compliance');
+      const hsCodeProvider = getProvider('hsCodes');
+
+      // Step 1: Extract text
+      console.log(`Step 1: Extracting text with ${ocrProvider.name}...`);
+      // Files kept in remote storage are read from a temporary local copy
+      const ocrResult = await storage.withLocalFile(document.filePath, async (filePath) => {
+        const result = await ocrProvider.extractText(
+          filePath,
+          document.fileType,
           document.documentType
         );
-      }
+
+        // If OCR fails, use fallback processing
+        if (!result.success) {
+          console.warn('⚠️  OCR failed, using fallback processing...');
+          return this.geminiService.getFallbackProcessing(
+            filePath,
+            document.documentType
+          );
+        }
+        return result;
+      });
 
       // Update document with OCR results
       document.extractedText = ocrResult.extractedText;
@@ -58,21 +75,17 @@ class AIProcessor {
       await document.save();
 
       console.log('Step 1 completed: Text extracted successfully');
+      await this.reportProgress(document, 'compliance', 40, 'Analyzing compliance');
 
-      // Step 2: Analyze compliance using GPT-4 Turbo or Claude 3 Sonnet
-      console.log('Step 2: Analyzing compliance...');
-      let complianceResult = await this.complianceService.analyzeCompliance(
+      // Step 2: Analyze compliance
+      console.log(`Step 2: Analyzing compliance with ${complianceProvider.name}...`);
+      const complianceResult = await complianceProvider.analyzeCompliance(
         ocrResult.structuredData || { extractedText: ocrResult.extractedText },
         document.documentType
       );
 
-      // If compliance analysis fails, use fallback
       if (!complianceResult.success) {
-        console.warn('⚠️  Compliance analysis failed, using fallback...');
-        complianceResult = await this.complianceService.getFallbackCompliance(
-          ocrResult.structuredData || { extractedText: ocrResult.extractedText },
-          document.documentType
-        );
+        console.warn('⚠️  Compliance analysis failed:', complianceResult.error);
       }
 
       // Update document with compliance results
@@ -83,8 +96,19 @@ class AIProcessor {
       document.complianceRecommendations = complianceResult.recommendations || [];
       document.complianceMetadata = complianceResult.metadata;
 
+      // Step 2b: Evaluate deterministic compliance rules
+      console.log('Step 2b: Evaluating compliance rules...');
+      let ruleResult = null;
+      try {
+        ruleResult = await this.ruleEngine.evaluateDocument(document);
+        this.ruleEngine.applyToDocument(document, ruleResult);
+      } catch (error) {
+        console.warn('⚠️  Compliance rule evaluation failed:', error.message);
+      }
+
       // Step 3: Generate HS Code suggestions
       console.log('Step 3: Generating HS code suggestions...');
+      await this.reportProgress(document, 'hs_codes', 70, 'Suggesting HS codes');
       let hsCodeResult = null;
       
       // Extract products from structured data for HS code suggestions
@@ -95,7 +119,7 @@ class AIProcessor {
           try {
             // Generate HS codes for each product
             const hsCodePromises = products.map(product => 
-              this.complianceService.suggestHSCodes(product, `From ${document.documentType} document`)
+              hsCodeProvider.suggestHSCodes(product, `From ${document.documentType} document`)
             );
             
             const hsCodeResults = await Promise.all(hsCodePromises);
@@ -109,14 +133,14 @@ class AIProcessor {
               success: true,
               suggestions: allSuggestions,
               metadata: {
-                provider: 'claude-3-haiku',
+                provider: hsCodeProvider.name,
                 processingTime: Date.now(),
                 productsAnalyzed: products.length
               }
             };
           } catch (error) {
-            console.warn('⚠️  HS code generation failed, using fallback...', error.message);
-            hsCodeResult = this.complianceService.getFallbackHSCodes('Document products', 'Export');
+            console.warn('⚠️  HS code generation failed:', error.message);
+            hsCodeResult = { success: false, suggestions: [], error: error.message };
           }
         }
       }
@@ -124,13 +148,13 @@ class AIProcessor {
       // If no structured data, try to extract from raw text
       if (!hsCodeResult && ocrResult.extractedText) {
         try {
-          hsCodeResult = await this.complianceService.suggestHSCodes(
+          hsCodeResult = await hsCodeProvider.suggestHSCodes(
             ocrResult.extractedText.substring(0, 200), // Use first 200 chars
             `From ${document.documentType} document`
           );
         } catch (error) {
-          console.warn('⚠️  HS code generation failed, using fallback...', error.message);
-          hsCodeResult = this.complianceService.getFallbackHSCodes('Document content', 'Export');
+          console.warn('⚠️  HS code generation failed:', error.message);
+          hsCodeResult = { success: false, suggestions: [], error: error.message };
         }
       }
       
@@ -203,7 +227,7 @@ class AIProcessor {
       document.processingEndTime = new Date();
       document.aiProcessingResults = {
         step1_ocr: {
-          provider: 'gemini-1.5-pro',
+          provider: ocrResult.metadata?.model || ocrProvider.name,
           success: ocrResult.success,
           confidence: ocrResult.confidence,
           entitiesFound: ocrResult.entities?.length || 0
@@ -234,6 +258,7 @@ class AIProcessor {
       await document.save();
 
       console.log(`Step 2 completed: Document processing finished in ${processingTime}s`);
+      await this.reportProgress(document, 'completed', 100, 'Processing completed');
 
       return {
         success: true,
@@ -242,6 +267,7 @@ class AIProcessor {
         results: {
           ocr: ocrResult,
           compliance: complianceResult,
+          complianceRules: ruleResult ? document.ruleEvaluation : null,
           hsCodes: hsCodeResult,
           aiSuggestions: aiSuggestions,
           finalStatus: document.status,
@@ -261,6 +287,7 @@ class AIProcessor {
           document.processingEndTime = new Date();
           document.processingError = error.message;
           await document.save();
+          await this.reportProgress(document, 'failed', null, error.message);
         }
       } catch (updateError) {
         console.error('Error updating document status:', updateError);
@@ -277,6 +304,43 @@ class AIProcessor {
 
 
 
+  /**
+   * Push a processing step to the uploader's event stream
+   * @param {Object} document - Document being processed
+   * @param {string} stage - ocr, compliance, hs_codes, completed or failed
+   * @param {number|null} progress - Percent done
+   * @param {string} message - Step description
+   * @returns {Promise<void>}
+   */
+  async reportProgress(document, stage, progress, message) {
+    await realtime.publish(document.uploadedBy, 'document.progress', {
+      resourceType: 'document',
+      documentId: document._id,
+      documentName: document.originalName,
+      status: document.status,
+      stage,
+      progress,
+      message
+    });
+  }
+
+  /**
+   * Result for a document whose file is quarantined: it is not processed
+   * until an admin releases it
+   * @param {string} documentId - MongoDB document ID
+   * @returns {Object} Unsuccessful result with quarantined: true
+   */
+  quarantinedResult(documentId) {
+    console.warn(`☣️  Document ${documentId} is quarantined; AI processing skipped`);
+    return {
+      success: false,
+      quarantined: true,
+      documentId,
+      error: 'Document is quarantined',
+      message: 'Document is quarantined until an administrator releases it'
+    };
+  }
+
   /**
    * Reprocess document with AI pipeline
    * @param {string} documentId - MongoDB document ID
@@ -288,9 +352,12 @@ class AIProcessor {
       if (!document) {
         throw new Error('Document not found');
       }
+      if (document.quarantine?.active) {
+        return this.quarantinedResult(documentId);
+      }
 
       // Reset processing fields
-      document.status = 'pending';
+      document.status = 'queued';
       document.processingError = null;
       document.extractedText = '';
       document.entities = [];
@@ -325,41 +392,16 @@ class AIProcessor {
   async getHSCodeSuggestions(productDescription, additionalInfo = '') {
     try {
       console.log(`Getting HS code suggestions for: ${productDescription}`);
-      
-      let result = await this.complianceService.suggestHSCodes(
-        productDescription, 
-        additionalInfo
-      );
-
-      // If API fails, use fallback
-      if (!result.success) {
-        console.warn('⚠️  HS Code API failed, using fallback...');
-        result = await this.complianceService.getFallbackHSCodes(
-          productDescription, 
-          additionalInfo
-        );
-      }
-
-      return result;
-
+      return await getProvider('hsCodes').suggestHSCodes(productDescription, additionalInfo);
     } catch (error) {
       console.error('HS Code Suggestion Error:', error);
-      // Use fallback on any error
-      try {
-        console.warn('⚠️  Using fallback HS codes due to error...');
-        return await this.complianceService.getFallbackHSCodes(
-          productDescription, 
-          additionalInfo
-        );
-      } catch (fallbackError) {
-        return {
-          success: false,
-          error: error.message,
-          suggestions: [],
-          reasoning: '',
-          message: 'HS code suggestion failed'
-        };
-      }
+      return {
+        success: false,
+        error: error.message,
+        suggestions: [],
+        reasoning: '',
+        message: 'HS code suggestion failed'
+      };
     }
   }
 
@@ -0,0 +1,89 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const AIProvider = require('./baseProvider');
+const QuotaManager = require('../quotaManager');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Anthropic adapter (Claude 3 Sonnet)
+ */
+class AnthropicProvider extends AIProvider {
+  constructor() {
+    super('anthropic');
+    this.quotaManager = new QuotaManager();
+    this.model = process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229';
+
+    if (process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY !== 'your_anthropic_api_key_here') {
+      try {
+        this.client = new Anthropic({
+          apiKey: process.env.ANTHROPIC_API_KEY,
+        });
+        console.log('✅ Anthropic service initialized successfully');
+      } catch (error) {
+        console.error('❌ Failed to initialize Anthropic service:', error.message);
+        this.client = null;
+      }
+    } else {
+      console.warn('⚠️  ANTHROPIC_API_KEY not configured or using placeholder value');
+      this.client = null;
+    }
+  }
+
+  isAvailable() {
+    return !!this.client && this.quotaManager.isServiceAvailable('anthropic');
+  }
+
+  supportsFileType(mimeType) {
+    return IMAGE_TYPES.includes(mimeType);
+  }
+
+  async complete(prompt) {
+    return this.createMessage(prompt);
+  }
+
+  async completeWithFile(prompt, file) {
+    return this.createMessage([
+      { type: 'image', source: { type: 'base64', media_type: file.mimeType, data: file.data } },
+      { type: 'text', text: prompt }
+    ]);
+  }
+
+  /**
+   * Call the messages API
+   * @param {string|Array} content - User message content
+   * @returns {Promise<string>} AI response
+   */
+  async createMessage(content) {
+    if (!this.client) {
+      throw new Error('❌ Anthropic not configured. Please set ANTHROPIC_API_KEY in your .env file');
+    }
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: 4000,
+        temperature: 0.1,
+        messages: [
+          {
+            role: 'user',
+            content
+          }
+        ]
+      });
+
+      this.quotaManager.resetServiceQuota('anthropic');
+      return response.content[0].text;
+    } catch (error) {
+      console.error('Claude Analysis Error:', error.message);
+      if (error.status === 429) {
+        this.quotaManager.handleQuotaExceeded('anthropic', error);
+      }
+      if (error.status === 401) {
+        throw new Error('❌ Invalid API key. Please check your ANTHROPIC_API_KEY in your .env file');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
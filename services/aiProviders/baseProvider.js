@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { getExtractionPrompt, buildCompliancePrompt, buildHSCodePrompt, extractJSON } = require('./prompts');
+
+/**
+ * Base class for AI providers.
+ *
+ * Every provider exposes the same three tasks used by the document pipeline:
+ * extractText (OCR), analyzeCompliance and suggestHSCodes. Text models only
+ * need to implement complete(prompt); providers that can read files also
+ * implement completeWithFile(prompt, file).
+ */
+class AIProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider is configured and can take requests
+   * @returns {boolean} True if available
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Send a text prompt to the model
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Model response
+   */
+  async complete(prompt) {
+    throw new Error(`${this.name} provider does not support text prompts`);
+  }
+
+  /**
+   * Send a prompt together with a file to the model
+   * @param {string} prompt - Prompt text
+   * @param {Object} file - { data (base64), mimeType }
+   * @returns {Promise<string>} Model response
+   */
+  async completeWithFile(prompt, file) {
+    throw new Error(`${this.name} provider does not support document extraction`);
+  }
+
+  /**
+   * Whether completeWithFile accepts this MIME type
+   * @param {string} mimeType - MIME type of the file
+   * @returns {boolean} True if supported
+   */
+  supportsFileType(mimeType) {
+    return false;
+  }
+
+  /**
+   * Extract structured text from an image or PDF
+   * @param {string} filePath - Path to the document file
+   * @param {string} mimeType - MIME type of the file
+   * @param {string} documentType - Type of document (invoice, boe, etc.)
+   * @returns {Promise<Object>} Extracted text and metadata
+   */
+  async extractText(filePath, mimeType, documentType) {
+    try {
+      if (!this.isAvailable()) {
+        throw new Error(`${this.name} provider is not configured`);
+      }
+      if (!this.supportsFileType(mimeType)) {
+        throw new Error(`${this.name} provider cannot read ${mimeType} files`);
+      }
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+
+      console.log(`🔄 Starting ${this.name} OCR for: ${path.basename(filePath)}`);
+      const data = fs.readFileSync(filePath).toString('base64');
+      const extractedText = await this.completeWithFile(getExtractionPrompt(documentType), { data, mimeType });
+      const structuredData = this.parseStructuredResponse(extractedText, documentType);
+
+      return {
+        success: true,
+        extractedText,
+        structuredData,
+        confidence: structuredData.confidence || 85,
+        entities: structuredData.entities || [],
+        metadata: {
+          processingTime: Date.now(),
+          model: this.name,
+          documentType
+        }
+      };
+    } catch (error) {
+      console.error(`${this.name} OCR Error:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        extractedText: '',
+        structuredData: null,
+        confidence: 0,
+        entities: [],
+        metadata: {
+          processingTime: Date.now(),
+          model: this.name,
+          documentType,
+          error: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Parse structured OCR response
+   * @param {string} response - Raw model response
+   * @param {string} documentType - Type of document
+   * @returns {Object} Parsed structured data
+   */
+  parseStructuredResponse(response, documentType) {
+    try {
+      const jsonData = extractJSON(response);
+      if (jsonData) {
+        return jsonData;
+      }
+    } catch (error) {
+      console.error(`Error parsing ${this.name} response:`, error.message);
+    }
+
+    return {
+      documentType,
+      extractedText: response,
+      entities: [],
+      confidence: 60
+    };
+  }
+
+  /**
+   * Analyze document compliance
+   * @param {Object} extractedData - Data extracted by OCR
+   * @param {string} documentType - Type of document (invoice, BOE, etc.)
+   * @returns {Promise<Object>} Compliance analysis results
+   */
+  async analyzeCompliance(extractedData, documentType) {
+    try {
+      const result = await this.complete(buildCompliancePrompt(extractedData, documentType));
+      const compliance = extractJSON(result);
+      if (!compliance) {
+        throw new Error('❌ Failed to parse AI response. Please check your AI provider configuration.');
+      }
+
+      return {
+        success: true,
+        compliance,
+        errors: compliance.errors || [],
+        corrections: compliance.corrections || [],
+        summary: compliance.summary,
+        recommendations: compliance.recommendations || [],
+        metadata: {
+          provider: this.name,
+          processingTime: Date.now(),
+          documentType
+        }
+      };
+    } catch (error) {
+      console.error('Compliance Analysis Error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        compliance: {
+          isValid: false,
+          score: 0,
+          checks: [],
+          errors: [{
+            type: 'ai_error',
+            field: 'analysis',
+            message: 'AI analysis failed',
+            severity: 'error',
+            requirement: 'AI processing'
+          }]
+        },
+        metadata: {
+          provider: this.name,
+          processingTime: Date.now(),
+          error: true
+        }
+      };
+    }
+  }
+
+  /**
+   * Get HS code suggestions
+   * @param {string} productDescription - Product description
+   * @param {string} additionalInfo - Additional product information
+   * @returns {Promise<Object>} HS code suggestions
+   */
+  async suggestHSCodes(productDescription, additionalInfo = '') {
+    try {
+      const result = await this.complete(buildHSCodePrompt(productDescription, additionalInfo));
+      const parsedResult = extractJSON(result);
+      if (!parsedResult) {
+        throw new Error('Could not parse HS code suggestions');
+      }
+
+      return {
+        success: true,
+        suggestions: parsedResult.suggestions || [],
+        reasoning: parsedResult.reasoning || '',
+        metadata: {
+          provider: this.name,
+          processingTime: Date.now()
+        }
+      };
+    } catch (error) {
+      console.error('HS Code Suggestion Error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        suggestions: [],
+        reasoning: '',
+        metadata: {
+          provider: this.name,
+          processingTime: Date.now(),
+          error: true
+        }
+      };
+    }
+  }
+}
+
+module.exports = AIProvider;
@@ -0,0 +1,27 @@
+const AIProvider = require('./baseProvider');
+const GeminiService = require('../gemini');
+
+/**
+ * Gemini adapter (Gemini 1.5 Pro). OCR keeps GeminiService's quota handling
+ * and fallback processing.
+ */
+class GeminiProvider extends AIProvider {
+  constructor() {
+    super('gemini');
+    this.geminiService = new GeminiService();
+  }
+
+  isAvailable() {
+    return !!this.geminiService.model && this.geminiService.quotaManager.isServiceAvailable('gemini');
+  }
+
+  async extractText(filePath, mimeType, documentType) {
+    return this.geminiService.extractTextFromDocument(filePath, mimeType, documentType);
+  }
+
+  async complete(prompt) {
+    return this.geminiService.generateText(prompt);
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,108 @@
+/**
+ * AI Provider Registry
+ *
+ * Selects the provider used for each pipeline task from configuration:
+ *   AI_PROVIDER             Overrides every task (e.g. "mock" in CI)
+ *   AI_OCR_PROVIDER         Text extraction (default: gemini)
+ *   AI_COMPLIANCE_PROVIDER  Compliance analysis (default: COMPLIANCE_AI_PROVIDER or openai)
+ *   AI_HS_CODE_PROVIDER     HS code suggestions (default: the compliance provider)
+ */
+
+const AIProvider = require('./baseProvider');
+
+const factories = {
+  gemini: () => new (require('./geminiProvider'))(),
+  openai: () => new (require('./openaiProvider'))(),
+  anthropic: () => new (require('./anthropicProvider'))(),
+  mock: () => new (require('./mockProvider'))()
+};
+
+// Providers tried when the configured one is not available
+const TASK_FALLBACKS = {
+  ocr: [],
+  compliance: ['openai', 'anthropic'],
+  hsCodes: ['openai', 'anthropic']
+};
+
+const instances = {};
+
+/**
+ * Register a provider implementation
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Returns an AIProvider instance
+ */
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Get a provider by name (instances are shared)
+ * @param {string} name - Provider name
+ * @returns {AIProvider} Provider
+ */
+const getProviderByName = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown AI provider: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+/**
+ * Get the configured provider name for a task
+ * @param {string} task - ocr, compliance or hsCodes
+ * @returns {string} Provider name
+ */
+const getConfiguredProvider = (task) => {
+  if (process.env.AI_PROVIDER) {
+    return process.env.AI_PROVIDER;
+  }
+
+  const compliance = process.env.AI_COMPLIANCE_PROVIDER || process.env.COMPLIANCE_AI_PROVIDER || 'openai';
+  const configured = {
+    ocr: process.env.AI_OCR_PROVIDER || 'gemini',
+    compliance,
+    hsCodes: process.env.AI_HS_CODE_PROVIDER || compliance
+  };
+
+  if (!configured[task]) {
+    throw new Error(`Unknown AI task: ${task}`);
+  }
+  return configured[task];
+};
+
+/**
+ * Get the provider for a task. Falls back to another real provider when the
+ * configured one is not available; never falls back to the mock provider.
+ * @param {string} task - ocr, compliance or hsCodes
+ * @returns {AIProvider} Provider
+ */
+const getProvider = (task) => {
+  const name = getConfiguredProvider(task);
+  const provider = getProviderByName(name);
+  if (provider.isAvailable()) {
+    return provider;
+  }
+
+  for (const fallbackName of TASK_FALLBACKS[task] || []) {
+    if (fallbackName === name) continue;
+    const fallback = getProviderByName(fallbackName);
+    if (fallback.isAvailable()) {
+      console.warn(`⚠️  AI provider ${name} not available for ${task}, using ${fallbackName}`);
+      return fallback;
+    }
+  }
+
+  return provider;
+};
+
+module.exports = {
+  AIProvider,
+  registerProvider,
+  getProvider,
+  getProviderByName,
+  getConfiguredProvider
+};
@@ -0,0 +1,95 @@
+const OpenAI = require('openai');
+const AIProvider = require('./baseProvider');
+const QuotaManager = require('../quotaManager');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * OpenAI adapter (GPT-4 Turbo for text, a vision model for image OCR)
+ */
+class OpenAIProvider extends AIProvider {
+  constructor() {
+    super('openai');
+    this.quotaManager = new QuotaManager();
+    this.model = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
+    this.visionModel = process.env.OPENAI_VISION_MODEL || 'gpt-4o';
+
+    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
+      try {
+        this.client = new OpenAI({
+          apiKey: process.env.OPENAI_API_KEY,
+        });
+        console.log('✅ OpenAI service initialized successfully');
+      } catch (error) {
+        console.error('❌ Failed to initialize OpenAI service:', error.message);
+        this.client = null;
+      }
+    } else {
+      console.warn('⚠️  OPENAI_API_KEY not configured or using placeholder value');
+      this.client = null;
+    }
+  }
+
+  isAvailable() {
+    return !!this.client && this.quotaManager.isServiceAvailable('openai');
+  }
+
+  supportsFileType(mimeType) {
+    return IMAGE_TYPES.includes(mimeType);
+  }
+
+  async complete(prompt) {
+    return this.createCompletion(this.model, prompt);
+  }
+
+  async completeWithFile(prompt, file) {
+    return this.createCompletion(this.visionModel, [
+      { type: 'text', text: prompt },
+      { type: 'image_url', image_url: { url: `data:${file.mimeType};base64,${file.data}` } }
+    ]);
+  }
+
+  /**
+   * Call the chat completions API
+   * @param {string} model - Model name
+   * @param {string|Array} content - User message content
+   * @returns {Promise<string>} AI response
+   */
+  async createCompletion(model, content) {
+    if (!this.client) {
+      throw new Error('❌ OpenAI not configured. Please set OPENAI_API_KEY in your .env file');
+    }
+
+    try {
+      const response = await this.client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are an expert in trade compliance and document analysis. Provide accurate, detailed compliance analysis in the requested JSON format.'
+          },
+          {
+            role: 'user',
+            content
+          }
+        ],
+        max_tokens: 4000,
+        temperature: 0.1
+      });
+
+      this.quotaManager.resetServiceQuota('openai');
+      return response.choices[0].message.content;
+    } catch (error) {
+      console.error('GPT-4 Analysis Error:', error.message);
+      if (error.status === 429) {
+        this.quotaManager.handleQuotaExceeded('openai', error);
+      }
+      if (error.status === 401 || (error.message && error.message.includes('Incorrect API key'))) {
+        throw new Error('❌ Invalid API key. Please check your OPENAI_API_KEY in your .env file');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
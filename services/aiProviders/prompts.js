@@ -0,0 +1,363 @@
+/**
+ * Prompts shared by every AI provider so that switching providers does not
+ * change what the model is asked for.
+ */
+
+// Document types that share a prompt
+const PROMPT_ALIASES = {
+  commercial_invoice: 'invoice'
+};
+
+/**
+ * Get extraction prompt based on document type
+ * @param {string} documentType - Type of document
+ * @returns {string} Tailored prompt for the document type
+ */
+const getExtractionPrompt = (documentType) => {
+  const basePrompt = `Extract all text and data from this document and structure it as JSON. Focus on accuracy and completeness.`;
+  
+  const documentPrompts = {
+    'invoice': `${basePrompt}
+    
+    For this INVOICE document, extract:
+    {
+      "documentType": "invoice",
+      "invoiceNumber": "string",
+      "invoiceDate": "YYYY-MM-DD",
+      "dueDate": "YYYY-MM-DD",
+      "supplier": {
+        "name": "string",
+        "address": "string",
+        "taxId": "string",
+        "email": "string",
+        "phone": "string"
+      },
+      "buyer": {
+        "name": "string",
+        "address": "string",
+        "taxId": "string"
+      },
+      "consignee": {
+        "name": "string",
+        "address": "string"
+      },
+      "items": [
+        {
+          "description": "string",
+          "quantity": number,
+          "unit": "string",
+          "unitPrice": number,
+          "totalPrice": number,
+          "hsCode": "string"
+        }
+      ],
+      "shipment": {
+        "packages": number,
+        "grossWeight": number,
+        "netWeight": number,
+        "weightUnit": "string"
+      },
+      "totals": {
+        "subtotal": number,
+        "tax": number,
+        "total": number,
+        "currency": "string"
+      },
+      "entities": [
+        {
+          "type": "string",
+          "value": "string",
+          "confidence": number
+        }
+      ],
+      "confidence": number
+    }`,
+
+    'boe': `${basePrompt}
+    
+    For this BILL OF ENTRY (BOE) document, extract:
+    {
+      "documentType": "boe",
+      "boeNumber": "string",
+      "boeDate": "YYYY-MM-DD",
+      "portCode": "string",
+      "importerDetails": {
+        "name": "string",
+        "address": "string",
+        "iecCode": "string"
+      },
+      "supplierDetails": {
+        "name": "string",
+        "address": "string",
+        "country": "string"
+      },
+      "invoiceDetails": {
+        "invoiceNumber": "string",
+        "invoiceDate": "YYYY-MM-DD",
+        "invoiceValue": number,
+        "currency": "string",
+        "exchangeRate": number
+      },
+      "shipmentDetails": {
+        "billOfLading": "string",
+        "vessel": "string",
+        "portOfLoading": "string",
+        "portOfDischarge": "string"
+      },
+      "items": [
+        {
+          "description": "string",
+          "hsCode": "string",
+          "quantity": number,
+          "unit": "string",
+          "unitPrice": number,
+          "totalValue": number,
+          "dutyRate": "string",
+          "dutyAmount": number
+        }
+      ],
+      "totals": {
+        "assessableValue": number,
+        "totalDuty": number,
+        "totalValue": number,
+        "currency": "string"
+      },
+      "entities": [
+        {
+          "type": "string",
+          "value": "string",
+          "confidence": number
+        }
+      ],
+      "confidence": number
+    }`,
+
+    'packing_list': `${basePrompt}
+    
+    For this PACKING LIST document, extract:
+    {
+      "documentType": "packing_list",
+      "packingListNumber": "string",
+      "date": "YYYY-MM-DD",
+      "invoiceNumber": "string",
+      "exporter": {
+        "name": "string",
+        "address": "string"
+      },
+      "consignee": {
+        "name": "string",
+        "address": "string"
+      },
+      "items": [
+        {
+          "description": "string",
+          "hsCode": "string",
+          "quantity": number,
+          "unit": "string",
+          "packages": number,
+          "netWeight": number,
+          "grossWeight": number
+        }
+      ],
+      "totals": {
+        "packages": number,
+        "packageType": "string",
+        "netWeight": number,
+        "grossWeight": number,
+        "weightUnit": "string",
+        "volume": number
+      },
+      "entities": [
+        {
+          "type": "string",
+          "value": "string",
+          "confidence": number
+        }
+      ],
+      "confidence": number
+    }`,
+
+    'shipping_bill': `${basePrompt}
+    
+    For this SHIPPING BILL document, extract:
+    {
+      "documentType": "shipping_bill",
+      "shippingBillNumber": "string",
+      "shippingBillDate": "YYYY-MM-DD",
+      "portCode": "string",
+      "exporter": {
+        "name": "string",
+        "iecCode": "string"
+      },
+      "consignee": {
+        "name": "string",
+        "address": "string",
+        "country": "string"
+      },
+      "invoiceDetails": {
+        "invoiceNumber": "string",
+        "invoiceDate": "YYYY-MM-DD",
+        "invoiceValue": number,
+        "currency": "string"
+      },
+      "items": [
+        {
+          "description": "string",
+          "hsCode": "string",
+          "quantity": number,
+          "unit": "string",
+          "value": number
+        }
+      ],
+      "totals": {
+        "fobValue": number,
+        "currency": "string",
+        "packages": number,
+        "grossWeight": number,
+        "netWeight": number,
+        "weightUnit": "string"
+      },
+      "entities": [
+        {
+          "type": "string",
+          "value": "string",
+          "confidence": number
+        }
+      ],
+      "confidence": number
+    }`,
+
+    'default': `${basePrompt}
+    
+    Extract all visible text and structure it as:
+    {
+      "documentType": "general",
+      "extractedText": "string",
+      "entities": [
+        {
+          "type": "string",
+          "value": "string",
+          "confidence": number
+        }
+      ],
+      "confidence": number
+    }`
+  };
+
+  return documentPrompts[PROMPT_ALIASES[documentType] || documentType] || documentPrompts['default'];
+};
+
+/**
+ * Build compliance analysis prompt
+ * @param {Object} extractedData - Extracted data
+ * @param {string} documentType - Document type
+ * @returns {string} Formatted prompt
+ */
+const buildCompliancePrompt = (extractedData, documentType) => {
+  return `As an expert in trade compliance and document analysis, analyze the following ${documentType} data for compliance issues:
+
+EXTRACTED DATA:
+${JSON.stringify(extractedData, null, 2)}
+
+DOCUMENT TYPE: ${documentType}
+
+Please provide a comprehensive compliance analysis in the following JSON format:
+{
+"isValid": boolean,
+"score": number (0-100),
+"checks": [
+  {
+    "name": "string",
+    "passed": boolean,
+    "message": "string",
+    "severity": "info|warning|error",
+    "requirement": "string"
+  }
+],
+"errors": [
+  {
+    "type": "string",
+    "field": "string",
+    "message": "string",
+    "severity": "info|warning|error",
+    "requirement": "string"
+  }
+],
+"corrections": [
+  {
+    "type": "string",
+    "field": "string",
+    "message": "string",
+    "suggestion": "string",
+    "priority": "low|medium|high"
+  }
+],
+"summary": {
+  "totalChecks": number,
+  "passedChecks": number,
+  "failedChecks": number,
+  "warningsCount": number,
+  "criticalIssues": number
+},
+"recommendations": [
+  {
+    "category": "string",
+    "message": "string",
+    "priority": "low|medium|high"
+  }
+]
+}
+
+Focus on:
+1. Required field completeness
+2. Data format validation
+3. Business logic consistency
+4. Regulatory compliance
+5. Document authenticity indicators`;
+};
+
+/**
+ * Build HS code suggestion prompt
+ * @param {string} productDescription - Product description
+ * @param {string} additionalInfo - Additional product information
+ * @returns {string} Formatted prompt
+ */
+const buildHSCodePrompt = (productDescription, additionalInfo = '') => {
+  return `As an expert in HS (Harmonized System) codes, provide accurate HS code suggestions for the following product:
+
+PRODUCT DESCRIPTION: ${productDescription}
+ADDITIONAL INFO: ${additionalInfo}
+
+Provide 3-5 most relevant HS code suggestions with the following JSON format:
+{
+  "suggestions": [
+    {
+      "code": "string (10-digit HS code)",
+      "description": "string",
+      "confidence": number (0-100),
+      "category": "string",
+      "dutyRate": "string",
+      "restrictions": ["string"],
+      "similarProducts": ["string"]
+    }
+  ],
+  "reasoning": "string explaining the selection logic"
+}`;
+};
+
+/**
+ * Extract the first JSON object from a model response
+ * @param {string} text - Raw model response
+ * @returns {Object|null} Parsed object, or null if none was found
+ */
+const extractJSON = (text) => {
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+};
+
+module.exports = {
+  getExtractionPrompt,
+  buildCompliancePrompt,
+  buildHSCodePrompt,
+  extractJSON
+};
@@ -0,0 +1,380 @@
+/**
+ * API Key Service
+ *
+ * Authenticates machine clients (ERP batches, integrations) by API key, sent
+ * as "X-API-Key: <key>" or "Authorization: ApiKey <key>". A key acts as a
+ * user account and is limited by:
+ *   permissions  scopes: read (GET), write (POST/PUT/PATCH), delete (DELETE), admin (admin routes)
+ *   rateLimit    requests per hour (fixed hourly window)
+ *   ipWhitelist  addresses or CIDR ranges allowed to use the key (empty: any)
+ *   expiresAt    after which the key is marked expired
+ *
+ * Keys are stored as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const mongoose = require('mongoose');
+const { APIKey, User } = require('../schemas');
+
+const SCOPES = ['read', 'write', 'delete', 'admin'];
+
+// Scope a request needs by default
+const METHOD_SCOPES = {
+  GET: 'read',
+  HEAD: 'read',
+  OPTIONS: 'read',
+  POST: 'write',
+  PUT: 'write',
+  PATCH: 'write',
+  DELETE: 'delete'
+};
+
+const WINDOW_MS = 60 * 60 * 1000;
+
+// Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+
+const parseAllowlistEntry = (entry) => {
+  const [address, prefix] = String(entry).trim().split('/');
+  const family = net.isIP(address);
+  if (!family) {
+    return null;
+  }
+  const maxPrefix = family === 4 ? 32 : 128;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+    return null;
+  }
+  return { address, type: family === 4 ? 'ipv4' : 'ipv6', bits };
+};
+
+class ApiKeyService {
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - Raw key
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Generate a new raw key
+   * @returns {string} Key
+   */
+  generateKey() {
+    return `ak_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Read the key from a request
+   * @param {Object} req - Express request
+   * @returns {string|null} Raw key
+   */
+  getKeyFromRequest(req) {
+    const header = req.header('X-API-Key');
+    if (header) {
+      return header.trim();
+    }
+    const authorization = req.header('Authorization') || '';
+    return authorization.startsWith('ApiKey ') ? authorization.substring(7).trim() : null;
+  }
+
+  /**
+   * Scope a request method needs
+   * @param {string} method - HTTP method
+   * @returns {string} Scope
+   */
+  scopeForMethod(method) {
+    return METHOD_SCOPES[String(method).toUpperCase()] || 'write';
+  }
+
+  /**
+   * Whether a key has a scope (admin implies every scope)
+   * @param {Object} apiKey - APIKey document
+   * @param {string} scope - Scope
+   * @returns {boolean} Allowed
+   */
+  hasScope(apiKey, scope) {
+    const permissions = apiKey.permissions || [];
+    return permissions.includes(scope) || permissions.includes('admin');
+  }
+
+  /**
+   * Whether an address may use a key
+   * @param {string} ip - Client address
+   * @param {Array<string>} allowlist - Addresses or CIDR ranges
+   * @returns {boolean} Allowed
+   */
+  isIpAllowed(ip, allowlist = []) {
+    if (!allowlist || allowlist.length === 0) {
+      return true;
+    }
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) {
+      return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist) {
+      const parsed = parseAllowlistEntry(entry);
+      if (parsed) {
+        blockList.addSubnet(parsed.address, parsed.bits, parsed.type);
+      }
+    }
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Validate the settings of a key being created or updated
+   * @param {Object} data - { permissions, rateLimit, ipWhitelist, expiresAt }
+   * @returns {Object} { success, statusCode, message, values }
+   */
+  validateSettings(data) {
+    const values = {};
+
+    if (data.permissions !== undefined) {
+      const permissions = [].concat(data.permissions);
+      const invalid = permissions.filter(scope => !SCOPES.includes(scope));
+      if (permissions.length === 0 || invalid.length > 0) {
+        return { success: false, statusCode: 400, message: `permissions must be one or more of: ${SCOPES.join(', ')}` };
+      }
+      values.permissions = [...new Set(permissions)];
+    }
+
+    if (data.rateLimit !== undefined) {
+      const rateLimit = Number(data.rateLimit);
+      if (!Number.isInteger(rateLimit) || rateLimit < 1) {
+        return { success: false, statusCode: 400, message: 'rateLimit must be a whole number of requests per hour' };
+      }
+      values.rateLimit = rateLimit;
+    }
+
+    if (data.ipWhitelist !== undefined) {
+      const entries = [].concat(data.ipWhitelist || []).map(entry => String(entry).trim()).filter(Boolean);
+      const invalid = entries.filter(entry => !parseAllowlistEntry(entry));
+      if (invalid.length > 0) {
+        return { success: false, statusCode: 400, message: `Invalid IP address or CIDR range: ${invalid.join(', ')}` };
+      }
+      values.ipWhitelist = entries;
+    }
+
+    if (data.expiresAt !== undefined) {
+      const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+      if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+        return { success: false, statusCode: 400, message: 'expiresAt must be a date in the future' };
+      }
+      values.expiresAt = expiresAt;
+    }
+
+    return { success: true, values };
+  }
+
+  /**
+   * Create a key. The raw key is returned once and only its hash is stored.
+   * @param {Object} data - { name, description, permissions, rateLimit, ipWhitelist, expiresAt, user, client }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} { success, statusCode, message, apiKey, key }
+   */
+  async createKey(data, createdBy) {
+    if (!data.name || !String(data.name).trim()) {
+      return { success: false, statusCode: 400, message: 'name is required' };
+    }
+
+    const validation = this.validateSettings({ ...data, permissions: data.permissions || ['read'] });
+    if (!validation.success) {
+      return validation;
+    }
+
+    const userId = data.user || createdBy;
+    if (!mongoose.isValidObjectId(userId)) {
+      return { success: false, statusCode: 400, message: 'user must be a user ID' };
+    }
+    const user = await User.findById(userId).select('status');
+    if (!user || user.status !== 'active') {
+      return { success: false, statusCode: 400, message: 'The key must act as an active user' };
+    }
+
+    const key = this.generateKey();
+    const apiKey = new APIKey({
+      name: data.name,
+      description: data.description,
+      keyHash: this.hashKey(key),
+      keyPrefix: key.substring(0, 10),
+      user: user._id,
+      client: data.client,
+      createdBy,
+      status: 'active',
+      ...validation.values
+    });
+    await apiKey.save();
+
+    console.log(`🔑 API key created: ${apiKey.name} (${apiKey.keyPrefix}…)`);
+    return { success: true, apiKey, key };
+  }
+
+  /**
+   * Find a key by its raw value, upgrading plaintext legacy keys
+   * @param {string} key - Raw key
+   * @returns {Promise<Object|null>} APIKey document
+   */
+  async findByKey(key) {
+    const keyHash = this.hashKey(key);
+    const apiKey = await APIKey.findOne({ keyHash });
+    if (apiKey) {
+      return apiKey;
+    }
+
+    const legacyKey = await APIKey.findOne({ key }).select('+key');
+    if (!legacyKey) {
+      return null;
+    }
+    legacyKey.keyHash = keyHash;
+    legacyKey.keyPrefix = key.substring(0, 10);
+    legacyKey.key = undefined;
+    await legacyKey.save();
+    console.log(`🔑 API key ${legacyKey.name} migrated to hashed storage`);
+    return legacyKey;
+  }
+
+  /**
+   * Count a request against the key's hourly limit and record its use
+   * @param {Object} apiKey - APIKey document
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetAt }
+   */
+  async consumeRequest(apiKey) {
+    const now = new Date();
+    const windowOpen = new Date(now.getTime() - WINDOW_MS);
+    const limit = apiKey.rateLimit;
+
+    // Count in the current window while under the limit...
+    let updated = await APIKey.findOneAndUpdate(
+      { _id: apiKey._id, 'usage.windowStart': { $gt: windowOpen }, 'usage.count': { $lt: limit } },
+      { $inc: { 'usage.count': 1, requests: 1 }, $set: { lastUsed: now } },
+      { new: true }
+    );
+
+    // ...or start a new window once the last one is over
+    if (!updated) {
+      updated = await APIKey.findOneAndUpdate(
+        { _id: apiKey._id, $or: [{ 'usage.windowStart': { $lte: windowOpen } }, { 'usage.windowStart': null }] },
+        { $set: { 'usage.windowStart': now, 'usage.count': 1, lastUsed: now }, $inc: { requests: 1 } },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      const current = await APIKey.findById(apiKey._id).select('usage').lean();
+      const windowStart = current?.usage?.windowStart || now;
+      return { allowed: false, limit, remaining: 0, resetAt: new Date(new Date(windowStart).getTime() + WINDOW_MS) };
+    }
+
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(limit - updated.usage.count, 0),
+      resetAt: new Date(updated.usage.windowStart.getTime() + WINDOW_MS)
+    };
+  }
+
+  /**
+   * Authenticate a request made with an API key
+   * @param {string} key - Raw key
+   * @param {Object} context - { ip, method }
+   * @returns {Promise<Object>} { success, statusCode, message, apiKey, user, rate }
+   */
+  async authenticate(key, context = {}) {
+    const apiKey = key ? await this.findByKey(key) : null;
+    if (!apiKey) {
+      return { success: false, statusCode: 401, message: 'API key is not valid' };
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      if (apiKey.status === 'active') {
+        await APIKey.updateOne({ _id: apiKey._id }, { $set: { status: 'expired' } });
+      }
+      return { success: false, statusCode: 401, message: 'API key has expired' };
+    }
+    if (apiKey.status !== 'active') {
+      return { success: false, statusCode: 401, message: `API key is ${apiKey.status}` };
+    }
+
+    if (!this.isIpAllowed(context.ip, apiKey.ipWhitelist)) {
+      return { success: false, statusCode: 403, message: 'API key cannot be used from this address' };
+    }
+
+    const scope = this.scopeForMethod(context.method);
+    if (!this.hasScope(apiKey, scope)) {
+      return { success: false, statusCode: 403, message: `API key lacks the ${scope} permission` };
+    }
+
+    const user = await User.findById(apiKey.user || apiKey.createdBy).select('role status').lean();
+    if (!user || user.status !== 'active') {
+      return { success: false, statusCode: 401, message: 'The account of this API key is not active' };
+    }
+
+    const rate = await this.consumeRequest(apiKey);
+    if (!rate.allowed) {
+      return { success: false, statusCode: 429, message: 'API key rate limit exceeded', rate };
+    }
+
+    return { success: true, apiKey, user, rate };
+  }
+
+  /**
+   * Whether a key that already authenticated is still usable (not revoked,
+   * expired or owned by a deactivated account). Unlike authenticate, no
+   * request is counted; for long-lived connections.
+   * @param {string} apiKeyId - APIKey ID
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async verifyKey(apiKeyId) {
+    const apiKey = await APIKey.findById(apiKeyId).select('status expiresAt user createdBy').lean();
+    if (!apiKey) {
+      return { valid: false, reason: 'API key is not valid' };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { valid: false, reason: 'API key has expired' };
+    }
+    if (apiKey.status !== 'active') {
+      return { valid: false, reason: `API key is ${apiKey.status}` };
+    }
+
+    const user = await User.findById(apiKey.user || apiKey.createdBy).select('status').lean();
+    if (!user || user.status !== 'active') {
+      return { valid: false, reason: 'The account of this API key is not active' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Key fields safe to return to admins
+   * @param {Object} apiKey - APIKey document
+   * @returns {Object} Key summary
+   */
+  serialize(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      description: apiKey.description,
+      keyPrefix: apiKey.keyPrefix,
+      permissions: apiKey.permissions,
+      status: apiKey.status,
+      user: apiKey.user,
+      client: apiKey.client,
+      rateLimit: apiKey.rateLimit,
+      ipWhitelist: apiKey.ipWhitelist,
+      expiresAt: apiKey.expiresAt,
+      lastUsed: apiKey.lastUsed,
+      requests: apiKey.requests,
+      createdBy: apiKey.createdBy,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
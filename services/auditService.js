@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const { AuditTrail } = require('../schemas');
+
+// Fields never written to the audit trail
+const REDACTED_FIELDS = ['password', 'newPassword', 'currentPassword', 'token', 'resetToken', 'passwordResetToken', 'key', 'keyHash', 'apiKey', 'secret'];
+
+// Fields that change on every save and carry no audit value
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+const MAX_VALUE_LENGTH = 500;
+const MAX_CHANGES = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+class AuditService {
+  /**
+   * Replace sensitive values in an object before storing it
+   * @param {*} value - Value to sanitize
+   * @returns {*} Sanitized copy
+   */
+  sanitize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitize(item));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !mongoose.isValidObjectId(value)) {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = REDACTED_FIELDS.includes(key) ? '[REDACTED]' : this.sanitize(value[key]);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Shorten large values (extracted text, long arrays) for storage
+   * @param {*} value - Value to store
+   * @returns {*} Stored value
+   */
+  truncate(value) {
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      return `${value.substring(0, MAX_VALUE_LENGTH)}… (${value.length} chars)`;
+    }
+    if (value && typeof value === 'object') {
+      const serialized = JSON.stringify(value);
+      if (serialized.length > MAX_VALUE_LENGTH) {
+        return `${serialized.substring(0, MAX_VALUE_LENGTH)}… (${serialized.length} chars)`;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Flatten an object into dot-separated paths. Arrays are kept as leaf values.
+   * @param {Object} value - Object to flatten
+   * @param {string} prefix - Path prefix
+   * @param {Object} result - Accumulator
+   * @returns {Object} Map of path to value
+   */
+  flatten(value, prefix = '', result = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !mongoose.isValidObjectId(value)) {
+      Object.keys(value).forEach(key => {
+        this.flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+      });
+    } else if (prefix) {
+      result[prefix] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Compute a field-level diff between two versions of a record
+   * @param {Object|null} before - Record before the change
+   * @param {Object|null} after - Record after the change
+   * @returns {Array} Changes as { field, before, after }
+   */
+  diff(before, after) {
+    const flatBefore = this.flatten(JSON.parse(JSON.stringify(before || {})));
+    const flatAfter = this.flatten(JSON.parse(JSON.stringify(after || {})));
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+
+    for (const field of fields) {
+      const name = field.split('.').pop();
+      if (IGNORED_FIELDS.includes(name)) continue;
+      if (JSON.stringify(flatBefore[field]) === JSON.stringify(flatAfter[field])) continue;
+
+      // Record that a secret changed without storing it
+      const redacted = REDACTED_FIELDS.includes(name);
+      changes.push({
+        field,
+        before: redacted ? '[REDACTED]' : this.truncate(this.sanitize(flatBefore[field])),
+        after: redacted ? '[REDACTED]' : this.truncate(this.sanitize(flatAfter[field]))
+      });
+      if (changes.length >= MAX_CHANGES) break;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Map an HTTP status code to an audit status
+   * @param {number} statusCode - Response status code
+   * @returns {string} success, warning or error
+   */
+  statusFromCode(statusCode) {
+    if (statusCode >= 500) return 'error';
+    if (statusCode >= 400) return 'warning';
+    return 'success';
+  }
+
+  /**
+   * Write an audit trail entry. Never throws: a failed audit write is logged
+   * but must not fail the request that triggered it.
+   * @param {Object} entry - Audit entry
+   * @returns {Promise<Object|null>} Saved entry
+   */
+  async record(entry) {
+    try {
+      if (!entry.user || !mongoose.isValidObjectId(entry.user)) {
+        return null;
+      }
+
+      const { before, after, ...fields } = entry;
+      const hasEntityId = mongoose.isValidObjectId(entry.entityId);
+      const auditEntry = new AuditTrail({
+        ...fields,
+        entityId: hasEntityId ? entry.entityId : undefined,
+        document: entry.entityType === 'document' && hasEntityId ? entry.entityId : undefined,
+        changes: entry.changes || this.diff(before, after),
+        metadata: this.sanitize(entry.metadata)
+      });
+
+      await auditEntry.save();
+      return auditEntry;
+    } catch (error) {
+      console.error('❌ Error writing audit trail:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build a query from audit trail filters
+   * @param {Object} filters - Query string filters
+   * @returns {Object} MongoDB query
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+    if (filters.user) query.user = filters.user;
+    if (filters.entityType) query.entityType = filters.entityType;
+    if (filters.entityId) query.entityId = filters.entityId;
+    if (filters.status) query.status = filters.status;
+    if (filters.method) query.method = filters.method.toUpperCase();
+    if (filters.action) query.action = { $regex: filters.action, $options: 'i' };
+    if (filters.from || filters.to) {
+      query.timestamp = {};
+      if (filters.from) query.timestamp.$gte = new Date(filters.from);
+      if (filters.to) query.timestamp.$lte = new Date(filters.to);
+    }
+    return query;
+  }
+
+  /**
+   * Get audit trail entries
+   * @param {Object} filters - Query string filters
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  async getEntries(filters, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const entries = await AuditTrail.find(query)
+      .populate('user', 'name email role')
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    const total = await AuditTrail.countDocuments(query);
+
+    return {
+      entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Export audit trail entries as CSV
+   * @param {Object} filters - Query string filters
+   * @returns {Promise<string>} CSV content
+   */
+  async exportCSV(filters) {
+    const entries = await AuditTrail.find(this.buildQuery(filters))
+      .populate('user', 'name email role')
+      .sort({ timestamp: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = [
+      'timestamp', 'userName', 'userEmail', 'userRole', 'action', 'entityType', 'entityId',
+      'method', 'path', 'statusCode', 'status', 'ipAddress', 'userAgent', 'details', 'changes'
+    ];
+    const rows = entries.map(entry => [
+      entry.timestamp?.toISOString(),
+      entry.user?.name,
+      entry.user?.email,
+      entry.user?.role,
+      entry.action,
+      entry.entityType,
+      entry.entityId?.toString(),
+      entry.method,
+      entry.path,
+      entry.statusCode,
+      entry.status,
+      entry.ipAddress,
+      entry.userAgent,
+      entry.details,
+      (entry.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+        .join('; ')
+    ].map(escape).join(','));
+
+    return [header.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,412 @@
+/**
+ * Comment Service
+ *
+ * Threaded comments on documents, shipment orders and import shipments.
+ * Who may read and write comments follows who may see the record, as the
+ * AccessControlService decides it: the document access policy (`view` to
+ * read, `comment` to write), or who may see the order or import shipment.
+ *
+ * Users are mentioned with @email in the body or by id in `mentions`; each
+ * mentioned user who can read the thread gets a notification.
+ */
+
+const mongoose = require('mongoose');
+const { Comment, Document, ShipmentOrder, ImportShipment, User } = require('../schemas');
+const AccessControlService = require('./accessControlService');
+const NotificationService = require('./notificationService');
+
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// How each commentable record is loaded and linked to
+const ENTITIES = {
+  document: {
+    model: Document,
+    label: (document) => `document ${document.originalName}`,
+    actionUrl: (document) => `/documents/${document._id}`,
+    category: 'document'
+  },
+  shipment_order: {
+    model: ShipmentOrder,
+    label: (order) => `order ${order.orderNumber}`,
+    actionUrl: (order) => `/shipment-orders/${order._id}`,
+    category: 'general'
+  },
+  import_shipment: {
+    model: ImportShipment,
+    label: (shipment) => `import shipment ${shipment.shipmentNumber}`,
+    actionUrl: (shipment) => `/import-shipments/${shipment._id}`,
+    category: 'general'
+  }
+};
+
+class CommentService {
+  constructor() {
+    this.accessControlService = new AccessControlService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Load the record a comment is attached to
+   * @param {string} entityType - document, shipment_order or import_shipment
+   * @param {string} entityId - Record id
+   * @returns {Promise<Object|null>} Record
+   */
+  async loadEntity(entityType, entityId) {
+    const entity = ENTITIES[entityType];
+    if (!entity || !mongoose.isValidObjectId(entityId)) {
+      return null;
+    }
+    return entity.model.findById(entityId);
+  }
+
+  /**
+   * Check whether a user may read or write the comments of a record
+   * @param {Object} user - req.user or { id, role }
+   * @param {string} entityType - document, shipment_order or import_shipment
+   * @param {Object} record - Loaded record
+   * @param {boolean} write - Writing (comment, edit, resolve) rather than reading
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkAccess(user, entityType, record, write = false) {
+    if (entityType === 'document') {
+      const access = await this.accessControlService.check(user, record, write ? 'comment' : 'view');
+      return { allowed: access.allowed, reason: access.reason };
+    }
+
+    return this.accessControlService.checkRecordAccess(user, record, entityType);
+  }
+
+  /**
+   * Find the users mentioned in a comment
+   * @param {string} body - Comment text (@email mentions)
+   * @param {Array} mentionIds - Explicitly mentioned user ids
+   * @returns {Promise<Array>} Active users
+   */
+  async findMentionedUsers(body, mentionIds = []) {
+    const emails = [...String(body).matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+    const ids = (Array.isArray(mentionIds) ? mentionIds : []).filter(id => mongoose.isValidObjectId(id));
+    if (emails.length === 0 && ids.length === 0) {
+      return [];
+    }
+
+    return User.find({
+      status: 'active',
+      $or: [{ email: { $in: emails } }, { _id: { $in: ids } }]
+    }).select('name email role');
+  }
+
+  /**
+   * Split mentioned users into those who can read the thread and those who cannot
+   * @param {Array} users - Mentioned users
+   * @param {string} entityType - Entity type
+   * @param {Object} record - Loaded record
+   * @param {string} authorId - Comment author (not notified about their own mention)
+   * @returns {Promise<Object>} { mentioned, skipped }
+   */
+  async filterMentions(users, entityType, record, authorId) {
+    const mentioned = [];
+    const skipped = [];
+    for (const user of users) {
+      if (idOf(user) === authorId) continue;
+      const access = await this.checkAccess({ id: idOf(user), role: user.role }, entityType, record);
+      if (access.allowed) {
+        mentioned.push(user);
+      } else {
+        skipped.push({ user: user._id, email: user.email, reason: 'No access to this record' });
+      }
+    }
+    return { mentioned, skipped };
+  }
+
+  /**
+   * Notify mentioned users. Failures are logged, never thrown.
+   * @param {Object} comment - Saved comment
+   * @param {Array} users - Users to notify
+   * @param {Object} record - Commented record
+   * @param {Object} author - req.user
+   * @returns {Promise<number>} Notifications sent
+   */
+  async notifyMentions(comment, users, record, author) {
+    if (users.length === 0) {
+      return 0;
+    }
+
+    const entity = ENTITIES[comment.entityType];
+    const authorRecord = await User.findById(author.id).select('name').lean();
+    const authorName = authorRecord ? authorRecord.name : 'Someone';
+    const preview = comment.body.length > 140 ? `${comment.body.substring(0, 140)}…` : comment.body;
+
+    let sent = 0;
+    for (const user of users) {
+      try {
+        await this.notificationService.createNotification({
+          user: user._id,
+          type: 'info',
+          category: entity.category,
+          event: 'commentMention',
+          title: 'You were mentioned in a comment',
+          message: `${authorName} mentioned you on ${entity.label(record)}: "${preview}"`,
+          priority: 'medium',
+          actionUrl: `${entity.actionUrl(record)}?comment=${comment._id}`,
+          actionText: 'View Comment',
+          metadata: {
+            documentId: comment.entityType === 'document' ? record._id : undefined,
+            customData: {
+              commentId: comment._id,
+              threadId: comment.thread || comment._id,
+              entityType: comment.entityType,
+              entityId: record._id,
+              entityLabel: entity.label(record),
+              authorName
+            }
+          },
+          tags: ['comment', 'mention']
+        });
+        sent++;
+      } catch (error) {
+        console.error(`❌ Failed to notify mentioned user ${user._id}:`, error.message);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Add a comment or a reply
+   * @param {Object} user - req.user
+   * @param {Object} data - { entityType, entityId, body, parent, anchor, mentions }
+   * @returns {Promise<Object>} { success, comment, notified, skippedMentions } or { success: false, statusCode, message }
+   */
+  async createComment(user, { entityType, entityId, body, parent, anchor, mentions } = {}) {
+    if (!ENTITIES[entityType]) {
+      return { success: false, statusCode: 400, message: `entityType must be one of: ${Object.keys(ENTITIES).join(', ')}` };
+    }
+    if (!body || !String(body).trim()) {
+      return { success: false, statusCode: 400, message: 'Comment body is required' };
+    }
+
+    const record = await this.loadEntity(entityType, entityId);
+    if (!record) {
+      return { success: false, statusCode: 404, message: 'Record not found' };
+    }
+    const access = await this.checkAccess(user, entityType, record, true);
+    if (!access.allowed) {
+      return { success: false, statusCode: 403, message: 'Not authorized to comment here', reason: access.reason };
+    }
+
+    let thread;
+    if (parent) {
+      const parentComment = mongoose.isValidObjectId(parent) ? await Comment.findById(parent) : null;
+      if (!parentComment || parentComment.deletedAt ||
+          parentComment.entityType !== entityType || idOf(parentComment.entityId) !== idOf(record._id)) {
+        return { success: false, statusCode: 400, message: 'Parent comment not found on this record' };
+      }
+      thread = parentComment.thread || parentComment._id;
+    }
+
+    if (anchor && (thread || entityType !== 'document')) {
+      return { success: false, statusCode: 400, message: 'Only new threads on documents can be anchored to a field or compliance check' };
+    }
+
+    const users = await this.findMentionedUsers(body, mentions);
+    const { mentioned, skipped } = await this.filterMentions(users, entityType, record, user.id);
+
+    const comment = new Comment({
+      entityType,
+      entityId: record._id,
+      anchor: anchor ? { field: anchor.field, complianceCheck: anchor.complianceCheck } : undefined,
+      thread,
+      author: user.id,
+      body: String(body).trim(),
+      mentions: mentioned.map(mentionedUser => mentionedUser._id)
+    });
+    await comment.save();
+
+    // Replying to a resolved thread reopens it
+    if (thread) {
+      await Comment.updateOne({ _id: thread, resolved: true }, { $set: { resolved: false }, $unset: { resolvedBy: 1, resolvedAt: 1 } });
+    }
+
+    const notified = await this.notifyMentions(comment, mentioned, record, user);
+    console.log(`💬 Comment ${comment._id} added to ${entityType} ${record._id} by user ${user.id}`);
+
+    return { success: true, comment, notified, skippedMentions: skipped };
+  }
+
+  /**
+   * Load a comment with the record it belongs to, checking access
+   * @param {Object} user - req.user
+   * @param {string} commentId - Comment id
+   * @param {boolean} write - Check write access
+   * @returns {Promise<Object>} { success, comment, record } or { success: false, statusCode, message }
+   */
+  async getComment(user, commentId, write = false) {
+    const comment = mongoose.isValidObjectId(commentId) ? await Comment.findById(commentId) : null;
+    if (!comment) {
+      return { success: false, statusCode: 404, message: 'Comment not found' };
+    }
+    const record = await this.loadEntity(comment.entityType, comment.entityId);
+    if (!record) {
+      return { success: false, statusCode: 404, message: 'Record not found' };
+    }
+    const access = await this.checkAccess(user, comment.entityType, record, write);
+    if (!access.allowed) {
+      return { success: false, statusCode: 403, message: 'Not authorized to access this comment', reason: access.reason };
+    }
+    return { success: true, comment, record };
+  }
+
+  /**
+   * List the threads on a record, oldest first, with their replies
+   * @param {Object} user - req.user
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Record id
+   * @param {Object} filters - { resolved, field, complianceCheck }
+   * @returns {Promise<Object>} { success, threads } or { success: false, statusCode, message }
+   */
+  async listThreads(user, entityType, entityId, filters = {}) {
+    if (!ENTITIES[entityType]) {
+      return { success: false, statusCode: 400, message: `entityType must be one of: ${Object.keys(ENTITIES).join(', ')}` };
+    }
+    const record = await this.loadEntity(entityType, entityId);
+    if (!record) {
+      return { success: false, statusCode: 404, message: 'Record not found' };
+    }
+    const access = await this.checkAccess(user, entityType, record);
+    if (!access.allowed) {
+      return { success: false, statusCode: 403, message: 'Not authorized to read these comments', reason: access.reason };
+    }
+
+    const query = { entityType, entityId: record._id, thread: null };
+    if (filters.resolved !== undefined) query.resolved = filters.resolved === 'true' || filters.resolved === true;
+    if (filters.field) query['anchor.field'] = filters.field;
+    if (filters.complianceCheck) query['anchor.complianceCheck'] = filters.complianceCheck;
+
+    const roots = await Comment.find(query)
+      .populate('author', 'name email role')
+      .populate('mentions', 'name email')
+      .populate('resolvedBy', 'name email')
+      .sort({ createdAt: 1 });
+    const replies = roots.length === 0 ? [] : await Comment.find({ thread: { $in: roots.map(root => root._id) } })
+      .populate('author', 'name email role')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: 1 });
+
+    const threads = roots.map(root => ({
+      ...this.serialize(root),
+      replies: replies.filter(reply => idOf(reply.thread) === idOf(root._id)).map(reply => this.serialize(reply))
+    }));
+
+    return { success: true, threads };
+  }
+
+  /**
+   * Change the body of a comment, keeping the previous body in its history.
+   * Only the author can edit; newly mentioned users are notified.
+   * @param {Object} user - req.user
+   * @param {Object} comment - Comment
+   * @param {Object} record - Commented record
+   * @param {Object} data - { body, mentions }
+   * @returns {Promise<Object>} { success, comment, notified, skippedMentions } or { success: false, statusCode, message }
+   */
+  async editComment(user, comment, record, { body, mentions } = {}) {
+    if (idOf(comment.author) !== user.id) {
+      return { success: false, statusCode: 403, message: 'Only the author can edit a comment' };
+    }
+    if (comment.deletedAt) {
+      return { success: false, statusCode: 400, message: 'Deleted comments cannot be edited' };
+    }
+    if (!body || !String(body).trim()) {
+      return { success: false, statusCode: 400, message: 'Comment body is required' };
+    }
+
+    const newBody = String(body).trim();
+    if (newBody === comment.body) {
+      return { success: true, comment, notified: 0, skippedMentions: [] };
+    }
+
+    const users = await this.findMentionedUsers(newBody, mentions);
+    const { mentioned, skipped } = await this.filterMentions(users, comment.entityType, record, user.id);
+    const alreadyMentioned = comment.mentions.map(idOf);
+    const newlyMentioned = mentioned.filter(mentionedUser => !alreadyMentioned.includes(idOf(mentionedUser)));
+
+    comment.editHistory.push({ body: comment.body, editedBy: user.id, editedAt: new Date() });
+    comment.body = newBody;
+    comment.editedAt = new Date();
+    comment.mentions = mentioned.map(mentionedUser => mentionedUser._id);
+    await comment.save();
+
+    const notified = await this.notifyMentions(comment, newlyMentioned, record, user);
+    return { success: true, comment, notified, skippedMentions: skipped };
+  }
+
+  /**
+   * Resolve or reopen a thread
+   * @param {Object} user - req.user
+   * @param {Object} comment - First comment of the thread
+   * @param {boolean} resolved - New state
+   * @returns {Promise<Object>} { success, comment } or { success: false, statusCode, message }
+   */
+  async setResolved(user, comment, resolved) {
+    if (comment.thread) {
+      return { success: false, statusCode: 400, message: 'Only threads can be resolved; use the first comment of the thread' };
+    }
+    if (comment.resolved !== resolved) {
+      comment.resolved = resolved;
+      comment.resolvedBy = resolved ? user.id : undefined;
+      comment.resolvedAt = resolved ? new Date() : undefined;
+      await comment.save();
+    }
+    return { success: true, comment };
+  }
+
+  /**
+   * Delete a comment. The comment stays as a placeholder so its thread
+   * keeps its shape; the text and history are no longer returned.
+   * @param {Object} user - req.user
+   * @param {Object} comment - Comment
+   * @returns {Promise<Object>} { success, comment } or { success: false, statusCode, message }
+   */
+  async deleteComment(user, comment) {
+    if (idOf(comment.author) !== user.id && user.role !== 'admin') {
+      return { success: false, statusCode: 403, message: 'Only the author or an admin can delete a comment' };
+    }
+    if (!comment.deletedAt) {
+      comment.deletedAt = new Date();
+      comment.deletedBy = user.id;
+      await comment.save();
+    }
+    return { success: true, comment };
+  }
+
+  /**
+   * Comment as returned by the API
+   * @param {Object} comment - Comment
+   * @returns {Object} Comment without the edit history
+   */
+  serialize(comment) {
+    const deleted = !!comment.deletedAt;
+    return {
+      id: comment._id,
+      entityType: comment.entityType,
+      entityId: comment.entityId,
+      thread: comment.thread || null,
+      anchor: comment.anchor && (comment.anchor.field || comment.anchor.complianceCheck) ? comment.anchor : null,
+      author: comment.author,
+      body: deleted ? null : comment.body,
+      mentions: deleted ? [] : comment.mentions,
+      resolved: comment.resolved,
+      resolvedBy: comment.resolvedBy,
+      resolvedAt: comment.resolvedAt,
+      edited: comment.editHistory.length > 0,
+      editedAt: comment.editedAt,
+      deleted,
+      createdAt: comment.createdAt
+    };
+  }
+}
+
+CommentService.ENTITY_TYPES = Object.keys(ENTITIES);
+
+module.exports = CommentService;
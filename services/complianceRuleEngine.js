@@ -0,0 +1,595 @@
+/**
+ * Compliance Rule Engine
+ *
+ * Evaluates the rules stored in the ComplianceRule collection against the
+ * structured data extracted from a document. Unlike the AI compliance step,
+ * the result only depends on the rules and the data, so the same document
+ * always produces the same checks.
+ *
+ * A rule is "triggered" when its conditions match. Conditions are combined
+ * left to right: each condition's logicalOperator (AND/OR) joins it to the
+ * result of the conditions before it.
+ */
+
+const { ComplianceRule, Document } = require('../schemas');
+
+// Document.documentType values that map to a different ComplianceRule.applicableTo value
+const DOCUMENT_TYPE_ALIASES = {
+  commercial_invoice: 'invoice'
+};
+
+// Severity reported on the compliance check for each action type
+const ACTION_SEVERITY = {
+  error: 'error',
+  block: 'error',
+  warning: 'warning',
+  flag: 'warning',
+  info: 'info',
+  auto_correct: 'info'
+};
+
+class ComplianceRuleEngine {
+  /**
+   * Load the rules that apply to a document at a point in time
+   * @param {Object} options - Lookup options
+   * @param {string} options.documentType - Document type (invoice, boe, ...)
+   * @param {string} [options.country] - Destination/origin country of the shipment
+   * @param {Date} [options.asOf] - Evaluation date (defaults to now)
+   * @returns {Promise<Array>} Active rules ordered by priority
+   */
+  async getApplicableRules({ documentType, country, asOf = new Date() } = {}) {
+    const ruleType = DOCUMENT_TYPE_ALIASES[documentType] || documentType;
+
+    const rules = await ComplianceRule.find({
+      status: 'active',
+      effectiveDate: { $lte: asOf },
+      $and: [
+        { $or: [{ expiryDate: null }, { expiryDate: { $gt: asOf } }] },
+        { $or: [{ applicableTo: { $in: [ruleType, 'all'] } }, { applicableTo: { $size: 0 } }] }
+      ]
+    })
+      .sort({ priority: -1, code: 1 })
+      .lean();
+
+    return rules.filter(rule => this.appliesToCountry(rule, country));
+  }
+
+  /**
+   * Check whether a rule applies to the given country.
+   * Rules without countries apply everywhere; country-specific rules are
+   * skipped when the country cannot be determined.
+   * @param {Object} rule - Compliance rule
+   * @param {string} country - Country name or code
+   * @returns {boolean} True if the rule applies
+   */
+  appliesToCountry(rule, country) {
+    if (!rule.countries || rule.countries.length === 0) {
+      return true;
+    }
+    if (!country) {
+      return false;
+    }
+    const normalized = String(country).trim().toLowerCase();
+    return rule.countries.some(c => String(c).trim().toLowerCase() === normalized);
+  }
+
+  /**
+   * Check whether a rule applies to a document type
+   * @param {Object} rule - Compliance rule
+   * @param {string} documentType - Document type
+   * @returns {boolean} True if the rule applies
+   */
+  appliesToDocumentType(rule, documentType) {
+    if (!rule.applicableTo || rule.applicableTo.length === 0) {
+      return true;
+    }
+    const ruleType = DOCUMENT_TYPE_ALIASES[documentType] || documentType;
+    return rule.applicableTo.includes('all') || rule.applicableTo.includes(ruleType);
+  }
+
+  /**
+   * Find the destination country in extracted document data
+   * @param {Object} data - Structured data
+   * @returns {string|null} Country if present
+   */
+  getCountryFromData(data = {}) {
+    return data.destinationCountry ||
+      data.destination?.country ||
+      data.buyer?.country ||
+      data.consignee?.country ||
+      null;
+  }
+
+  /**
+   * Resolve a dot-separated field path to the list of values it points at.
+   * Arrays along the path are expanded, so "items.hsCode" returns the HS code
+   * of every item.
+   * @param {Object} data - Structured data
+   * @param {string} fieldPath - Field path
+   * @returns {Array} Resolved values (missing values are omitted)
+   */
+  resolveValues(data, fieldPath) {
+    if (!fieldPath) {
+      return [];
+    }
+
+    let current = [data];
+    for (const key of fieldPath.split('.')) {
+      const next = [];
+      for (const value of current) {
+        if (value === null || value === undefined) continue;
+        const child = Array.isArray(value) ? value.map(v => v?.[key]) : [value[key]];
+        next.push(...child);
+      }
+      current = next;
+    }
+
+    return current
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== undefined && value !== null);
+  }
+
+  /**
+   * Parse a number from a value such as "1,200.00" or "$ 75000"
+   * @param {*} value - Raw value
+   * @returns {number|null} Parsed number
+   */
+  toNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const cleaned = value.replace(/[^0-9.-]/g, '');
+    if (cleaned === '' || cleaned === '-' || cleaned === '.') {
+      return null;
+    }
+    const parsed = Number(cleaned);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * Compare an extracted value with a rule value
+   * @param {*} actual - Extracted value
+   * @param {*} expected - Rule value
+   * @returns {boolean} True if equal
+   */
+  valuesEqual(actual, expected) {
+    if (Array.isArray(expected)) {
+      return expected.some(option => this.valuesEqual(actual, option));
+    }
+    if (typeof expected === 'number') {
+      return this.toNumber(actual) === expected;
+    }
+    if (typeof expected === 'boolean') {
+      return actual === expected || String(actual).toLowerCase() === String(expected);
+    }
+    return String(actual).trim().toLowerCase() === String(expected).trim().toLowerCase();
+  }
+
+  /**
+   * Check whether a value is present (non-empty)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if present
+   */
+  isPresent(value) {
+    if (typeof value === 'string') {
+      return value.trim() !== '';
+    }
+    if (typeof value === 'object') {
+      return Object.keys(value).length > 0;
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate a single condition
+   * @param {Object} condition - { field, operator, value }
+   * @param {Object} data - Structured data
+   * @returns {boolean} True if the condition matches
+   */
+  evaluateCondition(condition, data) {
+    const values = this.resolveValues(data, condition.field);
+    const expected = condition.value;
+
+    switch (condition.operator) {
+      case 'exists':
+        return values.some(v => this.isPresent(v));
+      case 'not_exists':
+        return !values.some(v => this.isPresent(v));
+      case 'equals':
+        return values.some(v => this.valuesEqual(v, expected));
+      case 'not_equals':
+        return values.every(v => !this.valuesEqual(v, expected));
+      case 'contains':
+        return values.some(v => String(v).toLowerCase().includes(String(expected).toLowerCase()));
+      case 'not_contains':
+        return values.every(v => !String(v).toLowerCase().includes(String(expected).toLowerCase()));
+      case 'greater_than':
+        return values.some(v => {
+          const number = this.toNumber(v);
+          return number !== null && number > this.toNumber(expected);
+        });
+      case 'less_than':
+        return values.some(v => {
+          const number = this.toNumber(v);
+          return number !== null && number < this.toNumber(expected);
+        });
+      default:
+        throw new Error(`Unsupported condition operator: ${condition.operator}`);
+    }
+  }
+
+  /**
+   * Evaluate all conditions of a rule
+   * @param {Array} conditions - Rule conditions
+   * @param {Object} data - Structured data
+   * @returns {boolean} True if the rule is triggered
+   */
+  evaluateConditions(conditions = [], data) {
+    if (conditions.length === 0) {
+      return false;
+    }
+
+    return conditions.reduce((result, condition, index) => {
+      const matched = this.evaluateCondition(condition, data);
+      if (index === 0) {
+        return matched;
+      }
+      return condition.logicalOperator === 'OR' ? result || matched : result && matched;
+    }, false);
+  }
+
+  /**
+   * Set a value at a dot-separated path, expanding arrays along the way
+   * @param {Object} data - Object to modify
+   * @param {string} fieldPath - Field path
+   * @param {*} value - Value to set
+   */
+  setValue(data, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+
+    let targets = [data];
+    for (const key of keys) {
+      targets = targets.flatMap(target => {
+        if (target[key] === undefined || target[key] === null) {
+          target[key] = {};
+        }
+        return Array.isArray(target[key]) ? target[key] : [target[key]];
+      });
+    }
+    targets.forEach(target => {
+      target[last] = value;
+    });
+  }
+
+  /**
+   * Evaluate a list of rules against structured data
+   * @param {Array} rules - Compliance rules
+   * @param {Object} structuredData - Data extracted from the document
+   * @returns {Object} Checks, errors, corrections, flags and blocking issues
+   */
+  evaluate(rules, structuredData = {}) {
+    const data = JSON.parse(JSON.stringify(structuredData || {}));
+    const result = {
+      checks: [],
+      errors: [],
+      corrections: [],
+      flags: [],
+      blockingIssues: [],
+      results: [],
+      structuredData: data,
+      blocked: false
+    };
+
+    for (const rule of rules) {
+      let triggered;
+      try {
+        triggered = this.evaluateConditions(rule.conditions, data);
+      } catch (error) {
+        console.warn(`⚠️  Compliance rule ${rule.code} could not be evaluated:`, error.message);
+        result.checks.push({
+          name: `[${rule.code}] ${rule.name}`,
+          passed: false,
+          message: `Rule could not be evaluated: ${error.message}`,
+          severity: 'warning',
+          requirement: rule.rule
+        });
+        result.results.push({ rule: rule._id, code: rule.code, version: rule.version, triggered: false, actions: [] });
+        continue;
+      }
+
+      const defaultField = rule.conditions?.[0]?.field || 'document';
+      const actions = triggered ? this.getActions(rule) : [];
+
+      result.results.push({
+        rule: rule._id,
+        code: rule.code,
+        version: rule.version,
+        triggered,
+        actions: actions.map(action => action.type)
+      });
+
+      if (!triggered) {
+        result.checks.push({
+          name: `[${rule.code}] ${rule.name}`,
+          passed: true,
+          message: rule.description,
+          severity: 'info',
+          field: defaultField,
+          requirement: rule.rule
+        });
+        continue;
+      }
+
+      for (const action of actions) {
+        const field = action.field || defaultField;
+        const message = action.message || rule.description;
+        const issue = { rule: rule._id, code: rule.code, message, field };
+
+        result.checks.push({
+          name: `[${rule.code}] ${rule.name}`,
+          passed: false,
+          message,
+          severity: ACTION_SEVERITY[action.type] || 'warning',
+          field,
+          requirement: rule.rule
+        });
+
+        switch (action.type) {
+          case 'error':
+          case 'warning':
+            result.errors.push({
+              type: 'rule_violation',
+              field,
+              message,
+              severity: action.type,
+              requirement: `${rule.code} v${rule.version}`
+            });
+            break;
+          case 'block':
+            result.blocked = true;
+            result.blockingIssues.push(issue);
+            result.errors.push({
+              type: 'rule_block',
+              field,
+              message,
+              severity: 'error',
+              requirement: `${rule.code} v${rule.version}`
+            });
+            break;
+          case 'flag':
+            result.flags.push(issue);
+            break;
+          case 'auto_correct':
+            if (action.field) {
+              this.setValue(data, action.field, action.value);
+              result.corrections.push({
+                type: 'auto_correct',
+                field: action.field,
+                message,
+                suggestion: `Set to ${JSON.stringify(action.value)}`,
+                priority: 'medium'
+              });
+            }
+            break;
+          default:
+            break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the actions to apply for a triggered rule.
+   * Rules without actions fall back to an error or warning based on severity.
+   * @param {Object} rule - Compliance rule
+   * @returns {Array} Actions
+   */
+  getActions(rule) {
+    if (rule.actions && rule.actions.length > 0) {
+      return rule.actions;
+    }
+    const type = ['high', 'critical'].includes(rule.severity) ? 'error' : 'warning';
+    return [{ type, message: rule.description }];
+  }
+
+  /**
+   * Update per-rule statistics after an evaluation
+   * @param {Array} results - Per-rule results from evaluate()
+   */
+  async recordStatistics(results) {
+    if (results.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await ComplianceRule.bulkWrite(results.map(result => ({
+      updateOne: {
+        filter: { _id: result.rule },
+        update: result.triggered
+          ? {
+            $inc: { 'statistics.totalChecks': 1, 'statistics.violations': 1 },
+            $set: { 'statistics.lastTriggered': now }
+          }
+          : { $inc: { 'statistics.totalChecks': 1 } }
+      }
+    })));
+  }
+
+  /**
+   * Evaluate the active rules against a document's structured data
+   * @param {Object} document - Document model instance
+   * @param {Object} options - Evaluation options
+   * @param {string} [options.country] - Country override
+   * @param {boolean} [options.recordStatistics] - Update rule statistics (default true)
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async evaluateDocument(document, options = {}) {
+    const structuredData = document.structuredData || {};
+    const country = options.country || this.getCountryFromData(structuredData);
+
+    const rules = await this.getApplicableRules({
+      documentType: document.documentType,
+      country
+    });
+
+    const result = this.evaluate(rules, structuredData);
+    result.rulesEvaluated = rules.length;
+
+    if (options.recordStatistics !== false) {
+      try {
+        await this.recordStatistics(result.results);
+      } catch (error) {
+        console.warn('⚠️  Failed to update compliance rule statistics:', error.message);
+      }
+    }
+
+    console.log(`📏 Compliance rules evaluated for ${document.originalName}: ${rules.length} rules, ${result.results.filter(r => r.triggered).length} triggered`);
+    return result;
+  }
+
+  /**
+   * Merge a rule evaluation into a Document's compliance fields
+   * @param {Object} document - Document model instance
+   * @param {Object} result - Result from evaluateDocument()
+   */
+  applyToDocument(document, result) {
+    const existingChecks = document.complianceAnalysis?.checks || [];
+    const existingErrors = document.complianceErrors || [];
+    const existingCorrections = document.complianceCorrections || [];
+
+    document.set('complianceAnalysis.checks', [...existingChecks, ...result.checks]);
+    document.complianceErrors = [...existingErrors, ...result.errors];
+    document.complianceCorrections = [...existingCorrections, ...result.corrections];
+
+    if (result.errors.some(error => error.severity === 'error')) {
+      document.set('complianceAnalysis.isValid', false);
+    }
+
+    const failedChecks = result.checks.filter(check => !check.passed);
+    const summary = document.complianceSummary || {};
+    document.complianceSummary = {
+      totalChecks: (summary.totalChecks || 0) + result.checks.length,
+      passedChecks: (summary.passedChecks || 0) + result.checks.length - failedChecks.length,
+      failedChecks: (summary.failedChecks || 0) + failedChecks.filter(check => check.severity === 'error').length,
+      warningsCount: (summary.warningsCount || 0) + failedChecks.filter(check => check.severity === 'warning').length,
+      criticalIssues: (summary.criticalIssues || 0) + result.blockingIssues.length
+    };
+
+    if (result.corrections.length > 0) {
+      document.structuredData = result.structuredData;
+    }
+
+    document.ruleEvaluation = {
+      evaluatedAt: new Date(),
+      rulesEvaluated: result.rulesEvaluated || result.results.length,
+      rulesTriggered: result.results.filter(r => r.triggered).length,
+      blocked: result.blocked,
+      results: result.results,
+      blockingIssues: result.blockingIssues,
+      flags: result.flags
+    };
+  }
+
+  /**
+   * Run a single rule (typically a draft) against existing documents without
+   * saving anything or touching rule statistics.
+   * @param {Object} rule - Compliance rule
+   * @param {Array} documents - Documents with documentType and structuredData
+   * @returns {Object} Per-document outcome and totals
+   */
+  dryRun(rule, documents) {
+    const results = documents.map(document => {
+      const base = {
+        document: document._id,
+        documentName: document.originalName,
+        documentType: document.documentType
+      };
+      const data = document.structuredData;
+
+      if (!data || Object.keys(data).length === 0) {
+        return { ...base, outcome: 'no_data', messages: [] };
+      }
+      if (!this.appliesToDocumentType(rule, document.documentType) ||
+          !this.appliesToCountry(rule, this.getCountryFromData(data))) {
+        return { ...base, outcome: 'not_applicable', messages: [] };
+      }
+
+      const evaluation = this.evaluate([rule], data);
+      const ruleResult = evaluation.results[0];
+      return {
+        ...base,
+        outcome: ruleResult.triggered ? 'fail' : 'pass',
+        actions: ruleResult.actions,
+        blocked: evaluation.blocked,
+        messages: evaluation.checks.filter(check => !check.passed).map(check => check.message),
+        corrections: evaluation.corrections
+      };
+    });
+
+    const count = outcome => results.filter(result => result.outcome === outcome).length;
+    return {
+      summary: {
+        total: results.length,
+        passed: count('pass'),
+        failed: count('fail'),
+        notApplicable: count('not_applicable'),
+        noData: count('no_data')
+      },
+      results
+    };
+  }
+
+  /**
+   * Re-evaluate the current rules against every document attached to a
+   * shipment order and collect the issues raised by "block" actions.
+   * @param {Object} order - ShipmentOrder model instance
+   * @returns {Promise<Array>} Blocking issues with the document they came from
+   */
+  async getOrderBlockingIssues(order) {
+    const documentIds = [
+      order.documents?.commercialInvoice,
+      order.documents?.packingList,
+      order.documents?.shippingBill,
+      ...(order.documents?.certificates || []),
+      ...(order.documents?.otherDocuments || [])
+    ].filter(Boolean);
+
+    if (documentIds.length === 0) {
+      return [];
+    }
+
+    const documents = await Document.find({ _id: { $in: documentIds } })
+      .select('originalName documentType structuredData');
+    const country = order.orderDetails?.destination?.country;
+    const rulesByType = {};
+    const blockingIssues = [];
+
+    for (const document of documents) {
+      if (!rulesByType[document.documentType]) {
+        rulesByType[document.documentType] = await this.getApplicableRules({
+          documentType: document.documentType,
+          country
+        });
+      }
+
+      const result = this.evaluate(rulesByType[document.documentType], document.structuredData || {});
+      result.blockingIssues.forEach(issue => {
+        blockingIssues.push({
+          ...issue,
+          document: document._id,
+          documentName: document.originalName
+        });
+      });
+    }
+
+    return blockingIssues;
+  }
+}
+
+module.exports = ComplianceRuleEngine;
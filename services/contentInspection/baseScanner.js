@@ -0,0 +1,21 @@
+/**
+ * Base class for virus scanners. A scanner checks one file on this server's
+ * disk and reports { clean, signature } (signature: name of what was found).
+ * Throw when the file could not be scanned.
+ */
+class VirusScanner {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Scan a file
+   * @param {string} filePath - Path
+   * @returns {Promise<Object>} { clean, signature }
+   */
+  async scan(filePath) {
+    throw new Error(`${this.name} scanner does not implement scan`);
+  }
+}
+
+module.exports = VirusScanner;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const net = require('net');
+const VirusScanner = require('./baseScanner');
+
+/**
+ * Streams files to a ClamAV daemon (clamd) with the INSTREAM command:
+ *   CLAMAV_SOCKET      Unix socket, e.g. /var/run/clamav/clamd.ctl
+ *   CLAMAV_HOST        TCP host when no socket is set (default 127.0.0.1)
+ *   CLAMAV_PORT        TCP port (default 3310)
+ *   CLAMAV_TIMEOUT_MS  Time allowed per scan (default 60000)
+ * Files larger than clamd's StreamMaxLength are reported as an error.
+ */
+class ClamAVScanner extends VirusScanner {
+  constructor(options = {}) {
+    super('clamav');
+    this.socketPath = options.socketPath || process.env.CLAMAV_SOCKET;
+    this.host = options.host || process.env.CLAMAV_HOST || '127.0.0.1';
+    this.port = parseInt(options.port || process.env.CLAMAV_PORT || '3310');
+    this.timeout = parseInt(options.timeout || process.env.CLAMAV_TIMEOUT_MS || '60000');
+  }
+
+  connect() {
+    return this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+  }
+
+  scan(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      let reply = '';
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        socket.destroy();
+        error ? reject(error) : resolve(result);
+      };
+
+      socket.setTimeout(this.timeout, () => finish(new Error(`ClamAV scan timed out after ${this.timeout}ms`)));
+      socket.on('error', error => finish(new Error(`ClamAV is unavailable: ${error.message}`)));
+      socket.on('data', chunk => { reply += chunk; });
+      socket.on('end', () => {
+        // "stream: OK", "stream: Eicar-Signature FOUND" or "... ERROR"
+        const text = reply.replace(/\0/g, '').trim();
+        const found = text.match(/^stream: (.+) FOUND$/);
+        if (found) {
+          finish(null, { clean: false, signature: found[1] });
+        } else if (text === 'stream: OK') {
+          finish(null, { clean: true, signature: null });
+        } else {
+          finish(new Error(`ClamAV could not scan the file: ${text || 'no reply'}`));
+        }
+      });
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          // Each chunk is sent with its length as a 4-byte big-endian prefix; length 0 ends the stream
+          for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 64 * 1024 })) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            if (!socket.write(chunk)) {
+              await new Promise(resume => {
+                socket.once('drain', resume);
+                socket.once('close', resume);
+              });
+            }
+            if (settled) {
+              return;
+            }
+          }
+          socket.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamAVScanner;
@@ -0,0 +1,389 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Bigger images are refused before decoding (decompression bombs)
+const MAX_IMAGE_PIXELS = 100 * 1000 * 1000;
+
+// Most bytes inflated from a PDF's object streams, for the same reason
+const MAX_OBJECT_STREAM_BYTES = 64 * 1024 * 1024;
+
+// A PDF header may only follow a byte order mark and whitespace
+const PDF_HEADER = /^(?:\xef\xbb\xbf)?[\0\t\n\f\r ]{0,16}%PDF-/;
+
+// Types uploads may have, by what the client declares
+const TYPES = {
+  pdf: { label: 'PDF', mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  png: { label: 'PNG image', mimeTypes: ['image/png'], extensions: ['.png'] },
+  jpeg: { label: 'JPEG image', mimeTypes: ['image/jpeg', 'image/jpg'], extensions: ['.jpg', '.jpeg'] },
+  doc: { label: 'Word document', mimeTypes: ['application/msword'], extensions: ['.doc'] },
+  docx: {
+    label: 'Word document',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  }
+};
+
+// Leading bytes of each format; executables and scripts are never accepted
+const SIGNATURES = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'doc', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'executable', bytes: [0x4d, 0x5a] }, // Windows PE (MZ)
+  { type: 'executable', bytes: [0x7f, 0x45, 0x4c, 0x46] }, // ELF
+  { type: 'executable', bytes: [0xcf, 0xfa, 0xed, 0xfe] }, // Mach-O
+  { type: 'executable', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: 'executable', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { type: 'script', bytes: [0x23, 0x21] } // #!
+];
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Read part of a file
+ * @param {string} filePath - Path
+ * @param {number} position - Offset (negative counts from the end)
+ * @param {number} length - Bytes
+ * @returns {Promise<Buffer>} Bytes read
+ */
+const readBytes = async (filePath, position, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const start = position < 0 ? Math.max(size + position, 0) : position;
+    const buffer = Buffer.alloc(Math.min(length, Math.max(size - start, 0)));
+    await handle.read(buffer, 0, buffer.length, start);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Identify a file by its leading bytes. Signatures are matched at offset 0
+ * first, so an executable with a PDF header further in (a polyglot) is
+ * still an executable.
+ * @param {Buffer} head - First bytes of the file (1 KB)
+ * @returns {string} pdf, png, jpeg, doc, zip, executable, script or unknown
+ */
+const detectType = (head) => {
+  const match = SIGNATURES.find(signature => signature.bytes.every((byte, index) => head[index] === byte));
+  if (match) {
+    return match.type;
+  }
+  return PDF_HEADER.test(head.toString('latin1', 0, 32)) ? 'pdf' : 'unknown';
+};
+
+/**
+ * The type a client declared, from its MIME type or else its file extension
+ * @param {string} mimeType - Declared MIME type
+ * @param {string} extension - Lower-case extension of the original name
+ * @returns {string|null} Key of TYPES
+ */
+const declaredType = (mimeType, extension) => {
+  const byMime = Object.keys(TYPES).find(type => TYPES[type].mimeTypes.includes(mimeType));
+  return byMime || Object.keys(TYPES).find(type => TYPES[type].extensions.includes(extension)) || null;
+};
+
+// Names may hide letters as #xx escapes (/J#61vaScript)
+const decodeNames = text => text.replace(/\/[^\s/<>[\]()%]*/g, name => name.replace(/#([0-9a-fA-F]{2})/g,
+  (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+const addPdfNames = (text, found) => {
+  const pattern = /\/(JavaScript|JS|Launch|EmbeddedFile|RichMedia|Encrypt|Root|ObjStm)(?![A-Za-z0-9])/g;
+  for (const match of decodeNames(text).matchAll(pattern)) {
+    found.add(match[1]);
+  }
+};
+
+/**
+ * Names a PDF uses anywhere in the file, outside compressed object streams
+ * (see findObjectStreamNames)
+ * @param {string} filePath - Path
+ * @returns {Promise<Set>} Names found, without the slash
+ */
+const findPdfNames = async (filePath) => {
+  const found = new Set();
+  let carry = '';
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'latin1', highWaterMark: 256 * 1024 })) {
+    addPdfNames(carry + chunk, found);
+    // Keep the end, so a name split across chunks is still found
+    carry = chunk.slice(-64);
+  }
+  return found;
+};
+
+/**
+ * Names inside a PDF's object streams (/Type /ObjStm), which keep
+ * dictionaries compressed and out of sight of findPdfNames. Streams that
+ * cannot be inflated (other filters, encryption, damage, too large) are
+ * counted as unreadable.
+ * @param {string} filePath - Path
+ * @returns {Promise<Object>} { names: Set, unreadable: number }
+ */
+const findObjectStreamNames = async (filePath) => {
+  const data = await fs.promises.readFile(filePath);
+  const text = data.toString('latin1');
+  const names = new Set();
+  let unreadable = 0;
+  let inflated = 0;
+
+  // Each indirect object with a stream: "<n> <g> obj << dictionary >> stream"
+  const objects = /\d+\s+\d+\s+obj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream(?:\r\n|\n|\r)/g;
+  for (const match of text.matchAll(objects)) {
+    const dictionary = decodeNames(match[1]);
+    if (!/\/Type\s*\/ObjStm(?![A-Za-z0-9])/.test(dictionary)) {
+      continue;
+    }
+
+    const start = match.index + match[0].length;
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dictionary);
+    const end = length ? start + parseInt(length[1]) : text.indexOf('endstream', start);
+    const filter = /\/Filter\s*(\[[^\]]*\]|\/[A-Za-z0-9]+)/.exec(dictionary);
+    const filters = filter ? filter[1].match(/\/[A-Za-z0-9]+/g) || [] : [];
+    // Only uncompressed and plain FlateDecode streams are read
+    if (end < start || filters.length > 1 || (filters.length === 1 && filters[0] !== '/FlateDecode')) {
+      unreadable++;
+      continue;
+    }
+
+    try {
+      const body = data.subarray(start, end);
+      const content = filters.length === 0
+        ? body
+        : zlib.inflateSync(body, {
+          maxOutputLength: Math.max(MAX_OBJECT_STREAM_BYTES - inflated, 1),
+          finishFlush: zlib.constants.Z_SYNC_FLUSH
+        });
+      inflated += content.length;
+      addPdfNames(content.toString('latin1'), names);
+    } catch (error) {
+      unreadable++;
+    }
+  }
+
+  return { names, unreadable };
+};
+
+/**
+ * Check the structure of a PDF and look for active content
+ * @param {string} filePath - Path
+ * @returns {Promise<Array>} Findings: { check, message, encrypted?, activeContent? }
+ */
+const checkPdf = async (filePath) => {
+  const findings = [];
+  const tail = (await readBytes(filePath, -1024, 1024)).toString('latin1');
+  const names = await findPdfNames(filePath);
+
+  if (names.has('ObjStm')) {
+    const objectStreams = await findObjectStreamNames(filePath);
+    objectStreams.names.forEach(name => names.add(name));
+    if (objectStreams.unreadable > 0) {
+      findings.push({
+        check: 'pdf_object_streams',
+        message: 'The PDF has compressed objects that could not be inspected',
+        activeContent: true
+      });
+    }
+  }
+
+  if (!tail.includes('%%EOF') || !tail.includes('startxref') || !names.has('Root')) {
+    findings.push({ check: 'pdf_structure', message: 'The PDF is damaged or incomplete (no cross-reference table, document catalog or end marker)' });
+  }
+  if (names.has('Encrypt')) {
+    findings.push({ check: 'pdf_encrypted', message: 'The PDF is encrypted or password protected', encrypted: true });
+  }
+  if (names.has('JavaScript') || names.has('JS')) {
+    findings.push({ check: 'pdf_javascript', message: 'The PDF contains JavaScript', activeContent: true });
+  }
+  if (names.has('Launch')) {
+    findings.push({ check: 'pdf_launch_action', message: 'The PDF contains an action that launches programs', activeContent: true });
+  }
+  if (names.has('EmbeddedFile') || names.has('RichMedia')) {
+    findings.push({ check: 'pdf_embedded_file', message: 'The PDF contains embedded files or media', activeContent: true });
+  }
+  return findings;
+};
+
+// Size of zlib data once inflated, without keeping it in memory
+const inflatedLength = (data, limit) => new Promise((resolve, reject) => {
+  let size = 0;
+  const inflate = zlib.createInflate();
+  inflate.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      inflate.destroy(new Error('Inflated data is larger than expected'));
+    }
+  });
+  inflate.on('end', () => resolve(size));
+  inflate.on('error', reject);
+  inflate.end(data);
+});
+
+/**
+ * Decode a PNG: chunk checksums, header, and the compressed image data,
+ * which must inflate to exactly the size the header describes
+ * @param {string} filePath - Path
+ * @returns {Promise<Array>} Findings: { check, message }
+ */
+const checkPng = async (filePath) => {
+  const data = await fs.promises.readFile(filePath);
+  const fail = message => [{ check: 'image_decode', message: `The PNG image cannot be decoded: ${message}` }];
+
+  let offset = 8;
+  let header = null;
+  let ended = false;
+  const idat = [];
+  while (offset + 12 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > data.length) {
+      return fail(`chunk ${type} is truncated`);
+    }
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (crc32(data.subarray(offset + 4, offset + 8 + length)) !== data.readUInt32BE(offset + 8 + length)) {
+      return fail(`chunk ${type} is corrupt`);
+    }
+
+    if (!header && (type !== 'IHDR' || length !== 13)) {
+      return fail('the header is missing');
+    }
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlaced: body[12] === 1
+      };
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      ended = true;
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || !ended || idat.length === 0) {
+    return fail('the file is incomplete');
+  }
+  if (!header.width || !header.height) {
+    return fail('the image has no size');
+  }
+  if (header.width * header.height > MAX_IMAGE_PIXELS) {
+    return [{ check: 'image_size', message: `The image is too large (${header.width}x${header.height} pixels)` }];
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels) {
+    return fail('unknown color type');
+  }
+  // Each row is a filter byte plus the packed pixels; interlaced images are stored in seven passes
+  const expected = header.height * (1 + Math.ceil(header.width * channels * header.bitDepth / 8));
+  let inflatedSize;
+  try {
+    inflatedSize = await inflatedLength(Buffer.concat(idat), header.interlaced ? expected * 2 : expected);
+  } catch (error) {
+    return fail('the image data is corrupt');
+  }
+  if (!header.interlaced && inflatedSize !== expected) {
+    return fail('the image data does not match its size');
+  }
+  return [];
+};
+
+/**
+ * Walk the segments of a JPEG: it needs a frame header with a size, a scan,
+ * and an end marker after the scan
+ * @param {string} filePath - Path
+ * @returns {Promise<Array>} Findings: { check, message }
+ */
+const checkJpeg = async (filePath) => {
+  const data = await fs.promises.readFile(filePath);
+  const fail = message => [{ check: 'image_decode', message: `The JPEG image cannot be decoded: ${message}` }];
+
+  let offset = 2;
+  let frame = null;
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) {
+      return fail('a segment is corrupt');
+    }
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = data.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > data.length) {
+      return fail('a segment is truncated');
+    }
+
+    // Start of frame (baseline, progressive, ...), which holds the size
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      frame = { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    // Start of scan: compressed data follows up to the end marker
+    if (marker === 0xda) {
+      if (!frame || !frame.width || !frame.height) {
+        return fail('the frame header is missing');
+      }
+      if (frame.width * frame.height > MAX_IMAGE_PIXELS) {
+        return [{ check: 'image_size', message: `The image is too large (${frame.width}x${frame.height} pixels)` }];
+      }
+      const end = data.lastIndexOf(Buffer.from([0xff, 0xd9]));
+      return end > offset ? [] : fail('the file is incomplete');
+    }
+    offset += 2 + length;
+  }
+  return fail('the file is incomplete');
+};
+
+/**
+ * Check a Word file: .docx must be an Office package, and macros are flagged
+ * @param {string} filePath - Path
+ * @param {string} type - doc or docx
+ * @returns {Promise<Array>} Findings: { check, message, activeContent? }
+ */
+const checkWord = async (filePath, type) => {
+  const data = await fs.promises.readFile(filePath);
+  if (type === 'docx') {
+    // File names are stored in clear in the zip directory
+    if (data.indexOf('[Content_Types].xml') === -1 || data.indexOf('word/') === -1) {
+      return [{ check: 'office_structure', message: 'The file is a zip archive, not a Word document' }];
+    }
+    return data.indexOf('vbaProject.bin') !== -1
+      ? [{ check: 'office_macros', message: 'The Word document contains macros', activeContent: true }]
+      : [];
+  }
+  // .doc keeps macros in storages named Macros / VBA (UTF-16 names)
+  return data.indexOf(Buffer.from('Macros', 'utf16le')) !== -1 || data.indexOf(Buffer.from('_VBA_PROJECT', 'utf16le')) !== -1
+    ? [{ check: 'office_macros', message: 'The Word document contains macros', activeContent: true }]
+    : [];
+};
+
+module.exports = {
+  TYPES,
+  readBytes,
+  detectType,
+  declaredType,
+  checkPdf,
+  checkPng,
+  checkJpeg,
+  checkWord
+};
@@ -0,0 +1,217 @@
+/**
+ * Content Inspection
+ *
+ * Checks uploaded files before they are stored, since the MIME type a client
+ * sends proves nothing:
+ *   - the leading bytes must match the declared type (executables and
+ *     scripts are refused)
+ *   - PDFs must be well formed; encrypted PDFs and PDFs with JavaScript,
+ *     launch actions or embedded files are refused or quarantined
+ *   - images must decode; Word files with macros are quarantined
+ *   - the virus scanner must find nothing
+ *
+ * A file is clean, quarantined (stored, but AI processing and downloads wait
+ * until an admin releases it, see services/quarantineService.js) or rejected
+ * (not stored):
+ *   VIRUS_SCANNER              none or clamav (default none)
+ *   PDF_ENCRYPTED_ACTION       reject or quarantine (default reject: encrypted PDFs cannot be read)
+ *   PDF_ACTIVE_CONTENT_ACTION  reject or quarantine (default quarantine), also applies to Word macros
+ *   VIRUS_SCAN_FAILURE_ACTION  quarantine, reject or allow when the scanner fails (default quarantine)
+ */
+
+const path = require('path');
+const VirusScanner = require('./baseScanner');
+const fileTypes = require('./fileTypes');
+
+const factories = {
+  none: () => new (require('./noneScanner'))(),
+  clamav: () => new (require('./clamavScanner'))()
+};
+
+const instances = {};
+
+/**
+ * Register a virus scanner implementation
+ * @param {string} name - Scanner name used in configuration
+ * @param {Function} factory - Returns a VirusScanner instance
+ */
+const registerScanner = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Get the configured virus scanner (instances are shared)
+ * @returns {VirusScanner} Scanner
+ */
+const getScanner = () => {
+  const name = process.env.VIRUS_SCANNER || 'none';
+  if (!factories[name]) {
+    throw new Error(`Unknown virus scanner: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+const action = (name, fallback, allowed) => {
+  const value = process.env[name];
+  return allowed.includes(value) ? value : fallback;
+};
+
+// How much a structure check finding weighs
+const severityOf = (finding) => {
+  if (finding.encrypted) {
+    return action('PDF_ENCRYPTED_ACTION', 'reject', ['reject', 'quarantine']);
+  }
+  if (finding.activeContent) {
+    return action('PDF_ACTIVE_CONTENT_ACTION', 'quarantine', ['reject', 'quarantine']);
+  }
+  return 'reject';
+};
+
+const STRUCTURE_CHECKS = {
+  pdf: filePath => fileTypes.checkPdf(filePath),
+  png: filePath => fileTypes.checkPng(filePath),
+  jpeg: filePath => fileTypes.checkJpeg(filePath),
+  doc: filePath => fileTypes.checkWord(filePath, 'doc'),
+  docx: filePath => fileTypes.checkWord(filePath, 'docx')
+};
+
+const describe = (type) => {
+  if (fileTypes.TYPES[type]) return `a ${fileTypes.TYPES[type].label}`;
+  if (type === 'executable') return 'an executable program';
+  if (type === 'script') return 'a script';
+  if (type === 'zip') return 'a zip archive';
+  return 'not a recognised document or image';
+};
+
+/**
+ * Inspect a file on this server's disk
+ * @param {string} filePath - Path
+ * @param {Object} declared - { mimeType, originalName } as sent by the client
+ * @returns {Promise<Object>} { verdict: clean|quarantine|reject, detectedType, issues, scanner, signature, inspectedAt }
+ */
+const inspectFile = async (filePath, declared = {}) => {
+  const issues = [];
+  const result = { verdict: 'clean', detectedType: null, issues, scanner: null, signature: null, inspectedAt: new Date() };
+  const finish = () => {
+    const severities = issues.map(issue => issue.severity);
+    result.verdict = severities.includes('reject') ? 'reject' : severities.includes('quarantine') ? 'quarantine' : 'clean';
+    return result;
+  };
+
+  const head = await fileTypes.readBytes(filePath, 0, 1024);
+  if (head.length === 0) {
+    issues.push({ check: 'file_type', severity: 'reject', message: 'The file is empty' });
+    return finish();
+  }
+
+  const detected = fileTypes.detectType(head);
+  const expected = fileTypes.declaredType(declared.mimeType, path.extname(declared.originalName || '').toLowerCase());
+  result.detectedType = detected === 'zip' && expected === 'docx' ? 'docx' : detected;
+
+  if (!expected) {
+    issues.push({ check: 'file_type', severity: 'reject', message: `The file type ${declared.mimeType || 'unknown'} is not allowed` });
+    return finish();
+  }
+  if (result.detectedType !== expected) {
+    issues.push({
+      check: 'file_type',
+      severity: 'reject',
+      message: `The file is ${describe(detected)}, not ${describe(expected)} as its type says`
+    });
+    return finish();
+  }
+
+  for (const finding of await STRUCTURE_CHECKS[expected](filePath)) {
+    issues.push({ check: finding.check, severity: severityOf(finding), message: finding.message });
+  }
+  if (issues.some(issue => issue.severity === 'reject')) {
+    return finish();
+  }
+
+  const scanner = getScanner();
+  result.scanner = scanner.name;
+  try {
+    const scan = await scanner.scan(filePath);
+    if (!scan.clean) {
+      result.signature = scan.signature;
+      issues.push({ check: 'virus', severity: 'quarantine', message: `The virus scanner found ${scan.signature}` });
+    }
+  } catch (error) {
+    const failure = action('VIRUS_SCAN_FAILURE_ACTION', 'quarantine', ['quarantine', 'reject', 'allow']);
+    console.error(`❌ Virus scan failed (${failure}):`, error.message);
+    if (failure !== 'allow') {
+      issues.push({ check: 'virus_scan_failed', severity: failure, message: 'The file could not be scanned for viruses' });
+    }
+  }
+
+  return finish();
+};
+
+/**
+ * Inspect an upload for the storage engine (see services/storage
+ * multerStorage): rejected files fail the upload with a 422 error
+ * (code CONTENT_REJECTED, issues), anything else is stored.
+ * @param {string} filePath - Temporary file
+ * @param {Object} file - Multer file ({ mimetype, originalname })
+ * @returns {Promise<Object>} Inspection result, as req.file.inspection
+ */
+const inspectUpload = async (filePath, file) => {
+  const inspection = await inspectFile(filePath, { mimeType: file.mimetype, originalName: file.originalname });
+  if (inspection.verdict === 'reject') {
+    const error = new Error(`The file was rejected: ${inspection.issues.filter(issue => issue.severity === 'reject').map(issue => issue.message).join('; ')}`);
+    error.code = 'CONTENT_REJECTED';
+    error.statusCode = 422;
+    error.issues = inspection.issues;
+    throw error;
+  }
+  if (inspection.verdict === 'quarantine') {
+    console.warn(`☣️  Upload ${file.originalname} quarantined: ${inspection.issues.map(issue => issue.check).join(', ')}`);
+  }
+  return inspection;
+};
+
+/**
+ * Record an inspection on a Document or ImportDocument, quarantining it
+ * when the file was flagged (the caller saves)
+ * @param {Object} document - Document or ImportDocument
+ * @param {Object} inspection - inspectFile result
+ * @returns {boolean} Whether the document is quarantined
+ */
+const applyInspection = (document, inspection) => {
+  if (!inspection) {
+    return false;
+  }
+
+  document.contentInspection = {
+    verdict: inspection.verdict,
+    detectedType: inspection.detectedType,
+    issues: inspection.issues,
+    scanner: inspection.scanner,
+    signature: inspection.signature,
+    inspectedAt: inspection.inspectedAt
+  };
+
+  if (inspection.verdict !== 'quarantine') {
+    return false;
+  }
+  document.quarantine = {
+    active: true,
+    reason: inspection.issues.map(issue => issue.message).join('; '),
+    quarantinedAt: new Date()
+  };
+  document.status = 'quarantined';
+  return true;
+};
+
+module.exports = {
+  VirusScanner,
+  registerScanner,
+  getScanner,
+  inspectFile,
+  inspectUpload,
+  applyInspection
+};
@@ -0,0 +1,17 @@
+const VirusScanner = require('./baseScanner');
+
+/**
+ * Reports every file as clean (local development, or when uploads are
+ * scanned elsewhere). The file type and structure checks still run.
+ */
+class NoneScanner extends VirusScanner {
+  constructor() {
+    super('none');
+  }
+
+  async scan() {
+    return { clean: true, signature: null };
+  }
+}
+
+module.exports = NoneScanner;
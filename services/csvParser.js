@@ -0,0 +1,65 @@
+/**
+ * Minimal CSV parser for data import files (tariff schedules, exchange rates).
+ * Handles quoted fields, escaped quotes and CRLF line endings.
+ */
+
+/**
+ * Parse CSV text into row objects keyed by lower-case header
+ * @param {string} content - CSV file content
+ * @returns {Array<Object>} Rows
+ */
+const parseCSV = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(values => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = (values[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  parseCSV
+};
@@ -0,0 +1,195 @@
+/**
+ * Document Processing Jobs
+ *
+ * Registers the AI document processing handlers on a shared JobQueue and
+ * recovers documents that were left mid-processing by a restart.
+ */
+
+const { Document, ProcessingJob } = require('../schemas');
+const ImportDocument = require('../schemas/ImportDocument');
+const JobQueue = require('./jobQueue');
+const AIProcessor = require('./aiProcessor');
+const { processImportDocument } = require('./importDocumentProcessor');
+const { getProvider } = require('./aiProviders');
+
+const DOCUMENT_PROCESSING = 'document_processing';
+const IMPORT_DOCUMENT_PROCESSING = 'import_document_processing';
+
+// Uploads younger than this may still be enqueueing and are not orphans
+const ORPHAN_GRACE_PERIOD_MS = 60 * 1000;
+
+// Jobs count against the cap of the provider that reads the file, as
+// configured when they are queued (AI_PROVIDER, AI_OCR_PROVIDER)
+const ocrProvider = () => getProvider('ocr').name;
+
+const jobQueue = new JobQueue();
+const aiProcessor = new AIProcessor();
+
+jobQueue.registerHandler(DOCUMENT_PROCESSING, async (job) => {
+  const { documentId, reprocess } = job.payload;
+  const result = reprocess
+    ? await aiProcessor.reprocessDocument(documentId)
+    : await aiProcessor.processDocument(documentId);
+
+  // Released documents are queued again by the admin who releases them
+  if (result.quarantined) {
+    return { documentId, skipped: 'quarantined' };
+  }
+  if (!result.success) {
+    throw new Error(result.error || 'Document processing failed');
+  }
+
+  return {
+    documentId,
+    processingTime: result.processingTime,
+    finalStatus: result.results?.finalStatus
+  };
+}, {
+  provider: ocrProvider,
+  onFailure: async (job, error, willRetry) => {
+    // AIProcessor marks the document failed; show it as waiting while a retry is pending
+    if (willRetry) {
+      await Document.updateOne({ _id: job.payload.documentId }, { $set: { status: 'queued' } });
+    }
+  }
+});
+
+jobQueue.registerHandler(IMPORT_DOCUMENT_PROCESSING, async (job) => {
+  return processImportDocument(job.payload.documentId);
+}, {
+  provider: ocrProvider,
+  onFailure: async (job, error, willRetry) => {
+    const update = willRetry
+      ? { 'aiProcessing.status': 'pending' }
+      : { 'aiProcessing.status': 'failed', 'aiProcessing.errors': [error.message], status: 'rejected' };
+    await ImportDocument.updateOne({ _id: job.payload.documentId }, { $set: update });
+  }
+});
+
+/**
+ * Queue AI processing for a Document
+ * @param {string} documentId - Document ID
+ * @param {Object} options - { reprocess, createdBy }
+ * @returns {Promise<Object>} Queued job
+ */
+const enqueueDocumentProcessing = (documentId, options = {}) => {
+  return jobQueue.enqueue(DOCUMENT_PROCESSING, {
+    documentId: documentId.toString(),
+    reprocess: !!options.reprocess
+  }, {
+    dedupeKey: `document:${documentId}`,
+    // A reprocess request is not lost when processing is already pending
+    mergePayload: options.reprocess ? { reprocess: true } : undefined,
+    createdBy: options.createdBy
+  });
+};
+
+/**
+ * Queue AI processing for an ImportDocument
+ * @param {string} documentId - ImportDocument ID
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} Queued job
+ */
+const enqueueImportDocumentProcessing = (documentId, options = {}) => {
+  return jobQueue.enqueue(IMPORT_DOCUMENT_PROCESSING, {
+    documentId: documentId.toString()
+  }, {
+    dedupeKey: `import-document:${documentId}`,
+    createdBy: options.createdBy
+  });
+};
+
+/**
+ * Queue documents left in processing (or never queued) by a previous run
+ * @returns {Promise<Object>} Number of recovered documents per type
+ */
+const recoverOrphanedDocuments = async () => {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_PERIOD_MS);
+  const pendingJobs = await ProcessingJob.find({
+    type: { $in: [DOCUMENT_PROCESSING, IMPORT_DOCUMENT_PROCESSING] },
+    status: { $in: ['queued', 'running'] }
+  }).select('payload.documentId').lean();
+  const pendingIds = pendingJobs.map(job => job.payload?.documentId).filter(Boolean);
+
+  const documents = await Document.find({
+    _id: { $nin: pendingIds },
+    $or: [
+      { status: { $in: ['processing', 'queued'] } },
+      { status: 'uploading', createdAt: { $lt: cutoff } }
+    ]
+  }).select('_id uploadedBy').lean();
+
+  for (const document of documents) {
+    await Document.updateOne({ _id: document._id }, { $set: { status: 'queued' } });
+    await enqueueDocumentProcessing(document._id, { createdBy: document.uploadedBy });
+  }
+
+  const importDocuments = await ImportDocument.find({
+    _id: { $nin: pendingIds },
+    $or: [
+      { 'aiProcessing.status': 'processing' },
+      { 'aiProcessing.status': 'pending', status: { $in: ['uploaded', 'processing'] }, createdAt: { $lt: cutoff } }
+    ]
+  }).select('_id createdBy').lean();
+
+  for (const document of importDocuments) {
+    await enqueueImportDocumentProcessing(document._id, { createdBy: document.createdBy });
+  }
+
+  if (documents.length || importDocuments.length) {
+    console.log(`♻️  Recovered ${documents.length} documents and ${importDocuments.length} import documents for processing`);
+  }
+
+  return {
+    documents: documents.length,
+    importDocuments: importDocuments.length
+  };
+};
+
+/**
+ * Requeue a dead-letter job and reset the status of the document it processes
+ * @param {string} jobId - ProcessingJob ID
+ * @returns {Promise<Object|null>} Requeued job, or null if it cannot be retried
+ */
+const retryJob = async (jobId) => {
+  const job = await jobQueue.retry(jobId);
+  if (!job) {
+    return null;
+  }
+
+  // Quarantined documents keep their status; the job skips them
+  if (job.type === DOCUMENT_PROCESSING) {
+    await Document.updateOne(
+      { _id: job.payload.documentId, 'quarantine.active': { $ne: true } },
+      { $set: { status: 'queued' } }
+    );
+  } else if (job.type === IMPORT_DOCUMENT_PROCESSING) {
+    await ImportDocument.updateOne(
+      { _id: job.payload.documentId, 'quarantine.active': { $ne: true } },
+      { $set: { 'aiProcessing.status': 'pending', status: 'uploaded' } }
+    );
+  }
+
+  return job;
+};
+
+/**
+ * Recover orphaned documents and start the processing worker
+ */
+const startDocumentWorker = async () => {
+  try {
+    await recoverOrphanedDocuments();
+  } catch (error) {
+    console.error('❌ Error recovering orphaned documents:', error.message);
+  }
+  jobQueue.start();
+};
+
+module.exports = {
+  jobQueue,
+  enqueueDocumentProcessing,
+  enqueueImportDocumentProcessing,
+  recoverOrphanedDocuments,
+  retryJob,
+  startDocumentWorker
+};
@@ -0,0 +1,369 @@
+/**
+ * Document Version Service
+ *
+ * Versioned uploads for Document and ImportDocument. Uploading a new version
+ * moves the current file, together with the data extracted from it, into
+ * previousVersions (files are kept on disk) and queues the new file for AI
+ * processing. Any two versions can be compared field by field:
+ *   document        structuredData, complianceAnalysis
+ *   importDocument  extractedData, validation
+ */
+
+const { applyInspection } = require('./contentInspection');
+
+// Per-model file fields and the data kept with every version
+const RESOURCES = {
+  document: {
+    fileFields: ['fileName', 'originalName', 'fileType', 'fileSize', 'filePath'],
+    owner: (document) => document.uploadedBy,
+    snapshot: (document) => ({
+      status: document.status,
+      validationStatus: document.validationStatus,
+      structuredData: document.structuredData,
+      complianceAnalysis: document.complianceAnalysis
+        ? {
+          isValid: document.complianceAnalysis.isValid,
+          score: document.complianceAnalysis.score,
+          checks: document.complianceAnalysis.checks,
+          summary: document.complianceSummary,
+          errors: document.complianceErrors
+        }
+        : null
+    }),
+    sections: ['structuredData', 'complianceAnalysis'],
+    // Results of the previous file no longer apply to the new one
+    reset: (document) => {
+      document.status = 'queued';
+      document.validationStatus = 'pending';
+      document.validatedBy = undefined;
+      document.validationNotes = undefined;
+      document.processingError = null;
+      document.extractedText = '';
+      document.entities = [];
+      document.confidence = 0;
+      document.structuredData = undefined;
+      document.ocrMetadata = undefined;
+      document.complianceAnalysis = null;
+      document.complianceErrors = [];
+      document.complianceCorrections = [];
+      document.complianceSummary = undefined;
+      document.complianceRecommendations = [];
+      document.complianceMetadata = undefined;
+      document.ruleEvaluation = undefined;
+      document.aiProcessingResults = undefined;
+    },
+    applyFile: (document, file) => {
+      document.fileName = file.filename;
+      document.originalName = file.originalname;
+      document.fileType = file.mimetype;
+      document.fileSize = file.size;
+      document.filePath = file.path;
+    },
+    isProcessing: (document) => ['queued', 'processing'].includes(document.status)
+  },
+  importDocument: {
+    fileFields: ['fileName', 'originalName', 'mimeType', 'fileSize', 'filePath'],
+    owner: (document) => document.importer,
+    snapshot: (document) => ({
+      status: document.status,
+      extractedData: document.aiProcessing?.extractedData,
+      validation: document.validation
+        ? {
+          status: document.validation.status,
+          complianceScore: document.validation.complianceScore,
+          issues: document.validation.issues
+        }
+        : null
+    }),
+    sections: ['extractedData', 'validation'],
+    reset: (document) => {
+      document.status = 'uploaded';
+      document.aiProcessing = { status: 'pending' };
+      document.validation = { status: 'pending' };
+    },
+    applyFile: (document, file) => {
+      document.fileName = file.filename;
+      document.originalName = file.originalname;
+      document.mimeType = file.mimetype;
+      document.fileSize = file.size;
+      document.filePath = file.path;
+    },
+    isProcessing: (document) => document.status === 'processing' || document.aiProcessing?.status === 'processing'
+  }
+};
+
+// Plain JSON copy, so Mongoose documents, ObjectIds and Dates compare by value
+const toPlain = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '(empty)';
+  if (typeof value === 'number') return value.toLocaleString('en-US');
+  return String(value);
+};
+
+class DocumentVersionService {
+  /**
+   * Get the version handling for a resource type
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Object} Resource definition
+   */
+  getResource(resourceType) {
+    const resource = RESOURCES[resourceType];
+    if (!resource) {
+      throw new Error(`Unknown versioned resource: ${resourceType}`);
+    }
+    return resource;
+  }
+
+  /**
+   * Describe the current version of a document
+   * @param {Object} document - Document or ImportDocument
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Object} Version entry
+   */
+  currentVersion(document, resourceType = 'document') {
+    const resource = this.getResource(resourceType);
+    const entry = {
+      version: document.version || 1,
+      uploadedAt: document.versionInfo?.uploadedAt || document.createdAt,
+      uploadedBy: document.versionInfo?.uploadedBy || resource.owner(document),
+      changeNote: document.versionInfo?.changeNote
+    };
+    resource.fileFields.forEach(field => {
+      entry[field] = document[field];
+    });
+    return { ...entry, ...resource.snapshot(document) };
+  }
+
+  /**
+   * Find a version of a document
+   * @param {Object} document - Document or ImportDocument
+   * @param {number} version - Version number
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Object|null} Version entry
+   */
+  getVersion(document, version, resourceType = 'document') {
+    const number = parseInt(version);
+    if ((document.version || 1) === number) {
+      return this.currentVersion(document, resourceType);
+    }
+    const previous = (document.previousVersions || []).find(entry => entry.version === number);
+    return previous ? (previous.toObject ? previous.toObject() : previous) : null;
+  }
+
+  /**
+   * Find the version that was current at a point in time
+   * @param {Object} document - Document or ImportDocument
+   * @param {Date} date - Point in time
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Object|null} Version entry, or null if the document did not exist yet
+   */
+  versionAt(document, date, resourceType = 'document') {
+    const time = new Date(date).getTime();
+    const versions = [
+      this.currentVersion(document, resourceType),
+      ...(document.previousVersions || []).map(entry => (entry.toObject ? entry.toObject() : entry))
+    ];
+    return versions
+      .filter(entry => entry.uploadedAt && new Date(entry.uploadedAt).getTime() <= time)
+      .sort((a, b) => b.version - a.version)[0] || null;
+  }
+
+  /**
+   * List every version of a document, newest first, without the extracted data
+   * @param {Object} document - Document or ImportDocument
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Array} Version summaries
+   */
+  listVersions(document, resourceType = 'document') {
+    const resource = this.getResource(resourceType);
+    const summarize = (entry, current) => {
+      const summary = {
+        version: entry.version,
+        current,
+        uploadedAt: entry.uploadedAt,
+        uploadedBy: entry.uploadedBy,
+        changeNote: entry.changeNote,
+        status: entry.status
+      };
+      resource.fileFields.filter(field => field !== 'filePath').forEach(field => {
+        summary[field] = entry[field];
+      });
+      return summary;
+    };
+
+    return [
+      summarize(this.currentVersion(document, resourceType), true),
+      ...(document.previousVersions || [])
+        .slice()
+        .sort((a, b) => b.version - a.version)
+        .map(entry => summarize(entry, false))
+    ];
+  }
+
+  /**
+   * Replace the file of a document with a new version. The current file and
+   * its results move to previousVersions; the caller queues processing
+   * unless the new file was quarantined.
+   * @param {Object} document - Document or ImportDocument
+   * @param {Object} file - Uploaded file (multer)
+   * @param {Object} user - req.user
+   * @param {Object} options - { resourceType, changeNote }
+   * @returns {Promise<Object>} { success, document, version, quarantined } or { success: false, statusCode, message }
+   */
+  async addVersion(document, file, user, { resourceType = 'document', changeNote } = {}) {
+    const resource = this.getResource(resourceType);
+    if (document.quarantine?.active) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'The document is quarantined. An administrator has to release it before a new version can be uploaded.'
+      };
+    }
+    if (resource.isProcessing(document)) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'The current version is still being processed. Upload the new version once processing has finished.'
+      };
+    }
+
+    const previous = this.currentVersion(document, resourceType);
+    const entry = { ...previous, replacedAt: new Date() };
+    resource.sections.forEach(section => {
+      entry[section] = toPlain(previous[section]);
+    });
+    document.previousVersions.push(entry);
+
+    resource.applyFile(document, file);
+    resource.reset(document);
+    // A flagged file quarantines the document (see services/contentInspection)
+    const quarantined = applyInspection(document, file.inspection);
+    document.version = previous.version + 1;
+    document.versionInfo = {
+      uploadedAt: new Date(),
+      uploadedBy: user.id,
+      changeNote
+    };
+    await document.save();
+
+    console.log(`🗂️ ${resourceType} ${document._id} updated to version ${document.version} by user ${user.id}`);
+    return { success: true, document, version: document.version, quarantined };
+  }
+
+  /**
+   * Flatten a value into paths, descending into objects and arrays
+   * (e.g. lineItems[1].quantity)
+   * @param {*} value - Value to flatten
+   * @param {string} prefix - Path prefix
+   * @param {Object} result - Accumulator
+   * @returns {Object} Map of path to leaf value
+   */
+  flatten(value, prefix = '', result = {}) {
+    if (Array.isArray(value)) {
+      if (value.length === 0 && prefix) {
+        result[prefix] = [];
+      }
+      value.forEach((item, index) => this.flatten(item, `${prefix}[${index}]`, result));
+    } else if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => key !== '_id');
+      if (keys.length === 0 && prefix) {
+        result[prefix] = {};
+      }
+      keys.forEach(key => this.flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+    } else if (prefix) {
+      result[prefix] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Compare two values field by field
+   * @param {*} before - Older value
+   * @param {*} after - Newer value
+   * @param {string} section - Name prefixed to every field
+   * @returns {Array} Changes as { field, change, before, after, summary }
+   */
+  diffValues(before, after, section) {
+    const flatBefore = this.flatten(toPlain(before) || {}, section);
+    const flatAfter = this.flatten(toPlain(after) || {}, section);
+    const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+    return fields
+      .filter(field => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+      .map(field => {
+        const hadValue = field in flatBefore && flatBefore[field] !== null;
+        const hasValue = field in flatAfter && flatAfter[field] !== null;
+        const change = !hadValue ? 'added' : !hasValue ? 'removed' : 'modified';
+        return {
+          field,
+          change,
+          before: hadValue ? flatBefore[field] : null,
+          after: hasValue ? flatAfter[field] : null,
+          summary: `${field}: ${formatValue(flatBefore[field])} → ${formatValue(flatAfter[field])}`
+        };
+      });
+  }
+
+  /**
+   * Field-level diff of the extracted data of two versions
+   * @param {Object} document - Document or ImportDocument
+   * @param {number} fromVersion - Older version (default: the one before toVersion)
+   * @param {number} toVersion - Newer version (default: current)
+   * @param {string} resourceType - 'document' or 'importDocument'
+   * @returns {Object} { success, from, to, file, changes, summary } or { success: false, statusCode, message }
+   */
+  diff(document, fromVersion, toVersion, resourceType = 'document') {
+    const resource = this.getResource(resourceType);
+    const to = toVersion === undefined ? (document.version || 1) : parseInt(toVersion);
+    const from = fromVersion === undefined ? to - 1 : parseInt(fromVersion);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return { success: false, statusCode: 400, message: 'from and to must be version numbers' };
+    }
+
+    const older = this.getVersion(document, from, resourceType);
+    const newer = this.getVersion(document, to, resourceType);
+    if (!older || !newer) {
+      return {
+        success: false,
+        statusCode: 404,
+        message: `Version ${!older ? from : to} not found (document has versions 1-${document.version || 1})`
+      };
+    }
+
+    const file = resource.fileFields
+      .filter(field => field !== 'filePath' && older[field] !== newer[field])
+      .map(field => ({ field, before: older[field], after: newer[field] }));
+
+    const changes = resource.sections.reduce(
+      (all, section) => all.concat(this.diffValues(older[section], newer[section], section)),
+      []
+    );
+
+    return {
+      success: true,
+      from: { version: older.version, uploadedAt: older.uploadedAt, uploadedBy: older.uploadedBy, changeNote: older.changeNote, status: older.status },
+      to: { version: newer.version, uploadedAt: newer.uploadedAt, uploadedBy: newer.uploadedBy, changeNote: newer.changeNote, status: newer.status },
+      file,
+      changes,
+      summary: {
+        total: changes.length,
+        added: changes.filter(change => change.change === 'added').length,
+        removed: changes.filter(change => change.change === 'removed').length,
+        modified: changes.filter(change => change.change === 'modified').length
+      }
+    };
+  }
+
+  /**
+   * Paths of every file a document has, for cleanup on delete
+   * @param {Object} document - Document or ImportDocument
+   * @returns {Array} File paths
+   */
+  getFilePaths(document) {
+    return [document.filePath, ...(document.previousVersions || []).map(entry => entry.filePath)]
+      .filter(Boolean);
+  }
+}
+
+module.exports = DocumentVersionService;
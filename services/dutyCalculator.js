@@ -0,0 +1,535 @@
+/**
+ * Duty Calculator
+ *
+ * Computes Indian customs duty and import taxes per tariff line:
+ *
+ *   Assessable value (AV) = CIF + landing charges
+ *   BCD                   = AV x BCD rate (FTA preferential rate when the origin qualifies)
+ *   SWS                   = BCD x SWS rate (10% unless the tariff line says otherwise)
+ *   Trade remedies        = anti-dumping / countervailing / safeguard duty, ad valorem on AV
+ *                           or specific per unit of quantity
+ *   IGST                  = (AV + BCD + SWS + trade remedies) x IGST rate
+ *   Compensation cess     = same base as IGST x cess rate
+ *
+ * Rates come from TariffCode (see services/tariffService.js), TradeAgreementRate
+ * and TradeRemedyDuty. Freight and insurance are apportioned across lines by value.
+ * Values in a foreign currency are converted to INR at the CBIC customs import
+ * exchange rate in force on the assessment date.
+ */
+
+const { TradeAgreementRate, TradeRemedyDuty } = require('../schemas');
+const TariffService = require('./tariffService');
+const ExchangeRateService = require('./exchangeRateService');
+
+// Customs Valuation Rules: freight is taken as 20% of FOB and insurance as
+// 1.125% of FOB when the actual amounts are not known
+const DEFAULT_FREIGHT_RATE = 20;
+const DEFAULT_INSURANCE_RATE = 1.125;
+const DEFAULT_SWS_RATE = 10;
+const ASSESSMENT_CURRENCY = ExchangeRateService.BASE_CURRENCY;
+
+const REMEDY_FIELDS = {
+  anti_dumping: 'antiDumpingDuty',
+  countervailing: 'countervailingDuty',
+  safeguard: 'safeguardDuty'
+};
+
+// Country names that are commonly written differently from the ISO code
+const COUNTRY_ALIASES = {
+  'india': 'IN',
+  'china': 'CN',
+  "people's republic of china": 'CN',
+  'prc': 'CN',
+  'japan': 'JP',
+  'south korea': 'KR',
+  'korea': 'KR',
+  'republic of korea': 'KR',
+  'singapore': 'SG',
+  'malaysia': 'MY',
+  'thailand': 'TH',
+  'vietnam': 'VN',
+  'viet nam': 'VN',
+  'indonesia': 'ID',
+  'philippines': 'PH',
+  'australia': 'AU',
+  'united arab emirates': 'AE',
+  'uae': 'AE',
+  'sri lanka': 'LK',
+  'bangladesh': 'BD',
+  'nepal': 'NP',
+  'bhutan': 'BT',
+  'united states': 'US',
+  'united states of america': 'US',
+  'usa': 'US',
+  'united kingdom': 'GB',
+  'uk': 'GB',
+  'germany': 'DE',
+  'taiwan': 'TW'
+};
+
+class DutyCalculator {
+  constructor() {
+    this.tariffService = new TariffService();
+    this.exchangeRateService = new ExchangeRateService();
+    this.landingChargesRate = parseFloat(process.env.DUTY_LANDING_CHARGES_RATE || '0');
+  }
+
+  /**
+   * Normalize a country name or code for comparison
+   * @param {string} country - Country name or ISO code
+   * @returns {string} ISO code when known, otherwise the upper-cased name
+   */
+  normalizeCountry(country) {
+    const value = String(country || '').trim();
+    return COUNTRY_ALIASES[value.toLowerCase()] || value.toUpperCase();
+  }
+
+  /**
+   * Check whether a country list includes a country
+   * @param {Array<string>} countries - Country names or codes
+   * @param {string} country - Normalized country
+   * @returns {boolean} True when listed
+   */
+  includesCountry(countries, country) {
+    return (countries || []).some(listed => this.normalizeCountry(listed) === country);
+  }
+
+  /**
+   * Round to 2 decimals
+   * @param {number} value - Amount
+   * @returns {number} Rounded amount
+   */
+  round(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Get the code prefixes a rule may be stored under for a tariff code
+   * @param {string} code - Digits-only code
+   * @returns {Array<string>} Prefixes from 8 down to 2 digits
+   */
+  getCodePrefixes(code) {
+    const prefixes = [];
+    for (let prefix = code.slice(0, 8); prefix.length >= 2; prefix = prefix.slice(0, -2)) {
+      if (prefix.length % 2 === 0) prefixes.push(prefix);
+    }
+    return prefixes;
+  }
+
+  /**
+   * Filter for rules in force on a date
+   * @param {Array<string>} prefixes - Code prefixes
+   * @param {Date} asOf - Date of assessment
+   * @returns {Object} Mongo filter
+   */
+  activeRuleFilter(prefixes, asOf) {
+    return {
+      hsCode: { $in: prefixes },
+      isActive: true,
+      effectiveDate: { $lte: asOf },
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: asOf } }]
+    };
+  }
+
+  /**
+   * Find the best FTA preferential rate for a code and origin
+   * @param {string} code - Digits-only code
+   * @param {string} origin - Normalized origin country
+   * @param {Date} asOf - Date of assessment
+   * @param {string} [agreement] - Restrict to one agreement (e.g. AIFTA)
+   * @returns {Promise<Object|null>} TradeAgreementRate record
+   */
+  async findPreferentialRate(code, origin, asOf, agreement) {
+    if (!origin) {
+      return null;
+    }
+
+    const filter = this.activeRuleFilter(this.getCodePrefixes(code), asOf);
+    if (agreement) filter.agreement = String(agreement).toUpperCase();
+
+    const rates = await TradeAgreementRate.find(filter).lean();
+    const applicable = rates.filter(rate => this.includesCountry(rate.countries, origin));
+
+    // Most specific code first, then the lowest rate
+    applicable.sort((a, b) => b.hsCode.length - a.hsCode.length || a.rate - b.rate);
+    return applicable[0] || null;
+  }
+
+  /**
+   * Find the trade remedy duties that apply to a code and origin
+   * @param {string} code - Digits-only code
+   * @param {string} origin - Normalized origin country
+   * @param {Date} asOf - Date of assessment
+   * @param {string} [exporter] - Producer/exporter name
+   * @returns {Promise<Array>} TradeRemedyDuty records, one per type
+   */
+  async findTradeRemedies(code, origin, asOf, exporter) {
+    const remedies = await TradeRemedyDuty.find(this.activeRuleFilter(this.getCodePrefixes(code), asOf)).lean();
+
+    const applicable = remedies.filter(remedy => {
+      if (remedy.countries && remedy.countries.length > 0 && !this.includesCountry(remedy.countries, origin)) {
+        return false;
+      }
+      if (remedy.exporter && (!exporter || remedy.exporter.toLowerCase() !== String(exporter).toLowerCase())) {
+        return false;
+      }
+      return true;
+    });
+
+    // Exporter-specific and more specific codes take precedence over general entries
+    applicable.sort((a, b) => (b.exporter ? 1 : 0) - (a.exporter ? 1 : 0) || b.hsCode.length - a.hsCode.length);
+    const byType = {};
+    applicable.forEach(remedy => {
+      if (!byType[remedy.type]) byType[remedy.type] = remedy;
+    });
+    return Object.values(byType);
+  }
+
+  /**
+   * Normalize the request body into line items
+   * @param {Object} input - Request body
+   * @returns {Array<Object>} Line items
+   */
+  getItems(input) {
+    if (Array.isArray(input.items) && input.items.length > 0) {
+      return input.items;
+    }
+    // Single-line request: { goodsValue, hsCode }
+    return [{
+      hsCode: input.hsCode,
+      value: input.goodsValue,
+      quantity: input.quantity,
+      unit: input.unit,
+      description: input.description
+    }];
+  }
+
+  /**
+   * Validate a calculation request
+   * @param {Object} input - Request body
+   * @returns {Array<string>} Validation errors
+   */
+  validate(input = {}) {
+    const errors = [];
+
+    const destination = input.destinationCountry && this.normalizeCountry(input.destinationCountry);
+    if (destination && destination !== 'IN') {
+      errors.push(`Duty rates are only available for imports into India, not ${input.destinationCountry}`);
+    }
+
+    this.getItems(input).forEach((item, index) => {
+      const label = `Line ${index + 1}`;
+      const value = Number(item.value);
+      if (item.value === undefined || item.value === null || isNaN(value) || value < 0) {
+        errors.push(`${label}: value must be a non-negative number`);
+      }
+      if (!item.hsCode && item.bcdRate === undefined) {
+        errors.push(`${label}: hsCode is required`);
+      }
+    });
+
+    ['freight', 'insurance', 'landingCharges'].forEach(field => {
+      if (input[field] !== undefined && (isNaN(Number(input[field])) || Number(input[field]) < 0)) {
+        errors.push(`${field} must be a non-negative number`);
+      }
+    });
+    // A zero or negative rate would zero or invert every duty
+    if (input.exchangeRate !== undefined && !(Number(input.exchangeRate) > 0)) {
+      errors.push('exchangeRate must be a positive number');
+    }
+    if (input.assessmentDate && isNaN(new Date(input.assessmentDate).getTime())) {
+      errors.push('assessmentDate must be a valid date');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Calculate the rate for an optional override, falling back to the tariff
+   * @param {*} override - Rate given on the line item
+   * @param {*} tariffRate - Rate from the tariff line
+   * @param {number} fallback - Rate when neither is set
+   * @returns {number} Rate in percent
+   */
+  pickRate(override, tariffRate, fallback) {
+    if (override !== undefined && override !== null && override !== '') return Number(override);
+    if (tariffRate !== undefined && tariffRate !== null) return tariffRate;
+    return fallback;
+  }
+
+  /**
+   * Calculate one tariff line
+   * @param {Object} item - Line item
+   * @param {Object} context - { origin, asOf, agreement, exporter, freight, insurance, landingCharges } (amounts in INR)
+   * @returns {Promise<Object>} Line breakdown
+   */
+  async calculateLine(item, context) {
+    const code = this.tariffService.normalizeCode(item.hsCode);
+    const tariff = code ? await this.tariffService.lookup(code) : null;
+    if (!tariff && item.bcdRate === undefined) {
+      return { error: `HS code ${item.hsCode} not found in the tariff database` };
+    }
+
+    const warnings = [];
+    if (tariff && code.length > tariff.code.length) {
+      warnings.push(`HS code ${item.hsCode} assessed at ${tariff.displayCode}`);
+    }
+
+    const value = Number(item.value);
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : undefined;
+    const cif = value + context.freight + context.insurance;
+    const assessableValue = cif + context.landingCharges;
+
+    // Basic Customs Duty, with the FTA preferential rate when it is lower
+    const standardBcdRate = this.pickRate(item.bcdRate, tariff?.bcdRate, 0);
+    let bcdRate = standardBcdRate;
+    let preference = null;
+    const preferential = code ? await this.findPreferentialRate(code, context.origin, context.asOf, context.agreement) : null;
+    if (preferential && preferential.rate < standardBcdRate && item.bcdRate === undefined) {
+      bcdRate = preferential.rate;
+      preference = {
+        agreement: preferential.agreement,
+        name: preferential.name,
+        hsCode: preferential.hsCode,
+        rate: preferential.rate,
+        standardRate: standardBcdRate,
+        requiresCertificateOfOrigin: preferential.requiresCertificateOfOrigin
+      };
+      if (preferential.requiresCertificateOfOrigin) {
+        warnings.push(`${preferential.agreement} preferential rate requires a certificate of origin`);
+      }
+    }
+    const basicDuty = assessableValue * bcdRate / 100;
+
+    const swsRate = this.pickRate(item.swsRate, tariff?.swsRate, DEFAULT_SWS_RATE);
+    const socialWelfareSurcharge = basicDuty * swsRate / 100;
+
+    // Trade remedy duties
+    const remedies = { antiDumpingDuty: 0, countervailingDuty: 0, safeguardDuty: 0 };
+    const remedyDetails = [];
+    const applicableRemedies = code ? await this.findTradeRemedies(code, context.origin, context.asOf, context.exporter) : [];
+    for (const remedy of applicableRemedies) {
+      let amount = 0;
+      if (remedy.rateType === 'specific') {
+        if (quantity === undefined || isNaN(quantity)) {
+          warnings.push(`${remedy.type} duty of ${remedy.amount} ${remedy.currency || ''} per ${remedy.unit || 'unit'} not applied: quantity missing`);
+          continue;
+        }
+        // Specific duties are usually notified in USD per unit
+        const conversion = await this.exchangeRateService.getRate(remedy.currency, ASSESSMENT_CURRENCY, {
+          date: context.asOf,
+          rateType: 'customs_import'
+        });
+        if (!conversion) {
+          warnings.push(`${remedy.type} duty is fixed in ${remedy.currency} and no exchange rate to ${ASSESSMENT_CURRENCY} was found`);
+          continue;
+        }
+        amount = quantity * (remedy.amount || 0) * conversion.rate;
+      } else {
+        amount = assessableValue * (remedy.rate || 0) / 100;
+      }
+
+      remedies[REMEDY_FIELDS[remedy.type]] += amount;
+      remedyDetails.push({
+        type: remedy.type,
+        hsCode: remedy.hsCode,
+        rateType: remedy.rateType,
+        rate: remedy.rate,
+        amount: remedy.amount,
+        unit: remedy.unit,
+        notificationNumber: remedy.notificationNumber,
+        duty: this.round(amount)
+      });
+    }
+    const tradeRemedyTotal = remedies.antiDumpingDuty + remedies.countervailingDuty + remedies.safeguardDuty;
+
+    // IGST and compensation cess are levied on the value plus all customs duties
+    const igstBase = assessableValue + basicDuty + socialWelfareSurcharge + tradeRemedyTotal;
+    const igstRate = this.pickRate(item.igstRate, tariff?.igstRate, 0);
+    const igst = igstBase * igstRate / 100;
+    const cessRate = this.pickRate(item.cessRate, tariff?.cessRate, 0);
+    const cess = igstBase * cessRate / 100;
+
+    const totalDuty = basicDuty + socialWelfareSurcharge + tradeRemedyTotal;
+    const totalTax = igst + cess;
+
+    return {
+      hsCode: tariff ? tariff.code : code,
+      displayCode: tariff ? tariff.displayCode : code,
+      description: item.description || tariff?.description,
+      quantity,
+      unit: item.unit || tariff?.unit,
+      valuation: {
+        goodsValue: this.round(value),
+        freight: this.round(context.freight),
+        insurance: this.round(context.insurance),
+        cif: this.round(cif),
+        landingCharges: this.round(context.landingCharges),
+        assessableValue: this.round(assessableValue)
+      },
+      rates: {
+        bcdRate,
+        swsRate,
+        igstRate,
+        cessRate
+      },
+      preference,
+      duties: {
+        basicDuty: this.round(basicDuty),
+        socialWelfareSurcharge: this.round(socialWelfareSurcharge),
+        antiDumpingDuty: this.round(remedies.antiDumpingDuty),
+        countervailingDuty: this.round(remedies.countervailingDuty),
+        safeguardDuty: this.round(remedies.safeguardDuty),
+        totalDuty: this.round(totalDuty)
+      },
+      tradeRemedies: remedyDetails,
+      taxes: {
+        igstBase: this.round(igstBase),
+        igst: this.round(igst),
+        cess: this.round(cess),
+        totalTax: this.round(totalTax)
+      },
+      totalDutyTax: this.round(totalDuty + totalTax),
+      warnings
+    };
+  }
+
+  /**
+   * Calculate duties and taxes for a shipment
+   * @param {Object} input - { items | goodsValue + hsCode, originCountry, destinationCountry,
+   *   currency, exchangeRate, freight, insurance, landingCharges, agreement, exporter, assessmentDate }
+   * @returns {Promise<Object>} { success, calculation } or { success: false, errors }
+   */
+  async calculate(input = {}) {
+    const errors = this.validate(input);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const items = this.getItems(input);
+    const origin = input.originCountry ? this.normalizeCountry(input.originCountry) : null;
+    const asOf = input.assessmentDate ? new Date(input.assessmentDate) : new Date();
+    const fob = items.reduce((sum, item) => sum + Number(item.value), 0);
+    const warnings = [];
+
+    let freight = Number(input.freight);
+    if (input.freight === undefined) {
+      freight = fob * DEFAULT_FREIGHT_RATE / 100;
+      warnings.push(`Freight not provided; ${DEFAULT_FREIGHT_RATE}% of FOB used`);
+    }
+    let insurance = Number(input.insurance);
+    if (input.insurance === undefined) {
+      insurance = fob * DEFAULT_INSURANCE_RATE / 100;
+      warnings.push(`Insurance not provided; ${DEFAULT_INSURANCE_RATE}% of FOB used`);
+    }
+    const totalLandingCharges = input.landingCharges !== undefined
+      ? Number(input.landingCharges)
+      : (fob + freight + insurance) * this.landingChargesRate / 100;
+
+    // Duty is assessed in INR; invoice amounts are converted at the customs rate
+    const currency = this.exchangeRateService.normalizeCurrency(input.currency);
+    let exchangeRate = { currency, rate: 1 };
+    if (currency !== ASSESSMENT_CURRENCY) {
+      if (input.exchangeRate !== undefined) {
+        exchangeRate = { currency, rate: Number(input.exchangeRate), source: 'request' };
+      } else {
+        const conversion = await this.exchangeRateService.getRate(currency, ASSESSMENT_CURRENCY, {
+          date: asOf,
+          rateType: 'customs_import'
+        });
+        if (!conversion) {
+          return {
+            success: false,
+            errors: [`No customs exchange rate for ${currency} on ${asOf.toISOString().slice(0, 10)}; import the notified rates or pass exchangeRate`]
+          };
+        }
+        exchangeRate = { currency, rate: conversion.rate, ...conversion.sources[0] };
+      }
+    }
+    const rate = exchangeRate.rate;
+
+    const lines = [];
+    for (const item of items) {
+      // Apportion shipment-level charges by line value
+      const share = fob > 0 ? Number(item.value) / fob : 1 / items.length;
+      const line = await this.calculateLine({ ...item, value: Number(item.value) * rate }, {
+        origin,
+        asOf,
+        agreement: input.agreement,
+        exporter: input.exporter,
+        freight: freight * share * rate,
+        insurance: insurance * share * rate,
+        landingCharges: totalLandingCharges * share * rate
+      });
+      if (line.error) {
+        errors.push(`Line ${lines.length + 1}: ${line.error}`);
+      }
+      lines.push(line);
+    }
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const sum = (group, field) => this.round(lines.reduce((total, line) => total + line[group][field], 0));
+    const duties = {
+      basicDuty: sum('duties', 'basicDuty'),
+      socialWelfareSurcharge: sum('duties', 'socialWelfareSurcharge'),
+      antiDumpingDuty: sum('duties', 'antiDumpingDuty'),
+      countervailingDuty: sum('duties', 'countervailingDuty'),
+      safeguardDuty: sum('duties', 'safeguardDuty'),
+      totalDuty: sum('duties', 'totalDuty')
+    };
+    const igst = sum('taxes', 'igst');
+    const taxes = {
+      igst,
+      gst: igst,
+      cess: sum('taxes', 'cess'),
+      totalTax: sum('taxes', 'totalTax')
+    };
+    const valuation = {
+      goodsValue: this.round(fob * rate),
+      freight: this.round(freight * rate),
+      insurance: this.round(insurance * rate),
+      cif: this.round((fob + freight + insurance) * rate),
+      landingCharges: this.round(totalLandingCharges * rate),
+      assessableValue: sum('valuation', 'assessableValue')
+    };
+    const totalDutyTax = this.round(duties.totalDuty + taxes.totalTax);
+
+    lines.forEach((line, index) => {
+      line.warnings.forEach(warning => warnings.push(`Line ${index + 1}: ${warning}`));
+    });
+
+    return {
+      success: true,
+      calculation: {
+        goodsValue: valuation.goodsValue,
+        currency: ASSESSMENT_CURRENCY,
+        invoiceCurrency: currency,
+        invoiceValue: this.round(fob),
+        exchangeRate,
+        originCountry: input.originCountry,
+        destinationCountry: input.destinationCountry || 'India',
+        valuation,
+        lines,
+        duties,
+        taxes,
+        totals: {
+          totalDutyTax,
+          grandTotal: this.round(valuation.cif + totalDutyTax)
+        },
+        // Effective rates over the assessable value
+        rates: {
+          dutyRate: valuation.assessableValue > 0 ? this.round(duties.totalDuty / valuation.assessableValue * 100) : 0,
+          taxRate: valuation.assessableValue > 0 ? this.round(taxes.totalTax / valuation.assessableValue * 100) : 0,
+          totalRate: valuation.assessableValue > 0 ? this.round(totalDutyTax / valuation.assessableValue * 100) : 0
+        },
+        assessmentDate: asOf,
+        warnings
+      }
+    };
+  }
+}
+
+module.exports = DutyCalculator;
@@ -0,0 +1,402 @@
+/**
+ * Exchange Rate Service
+ *
+ * Dated exchange rates stored in the ExchangeRate collection, quoted as INR per
+ * unit of foreign currency. Conversions between two foreign currencies go
+ * through INR. The rate used for a date is the most recent one whose
+ * effectiveDate is on or before it (CBIC customs rates change fortnightly).
+ */
+
+const { ExchangeRate, UserSettings } = require('../schemas');
+const { parseCSV } = require('./csvParser');
+
+const BASE_CURRENCY = 'INR';
+
+// Rate types tried, in order, for each requested type
+const RATE_TYPE_FALLBACKS = {
+  customs_import: ['customs_import', 'market'],
+  customs_export: ['customs_export', 'market'],
+  market: ['market', 'customs_import', 'customs_export']
+};
+
+// Accepted column names in rate files
+const COLUMN_ALIASES = {
+  currency: ['currency', 'currency_code', 'code', 'foreign_currency'],
+  rate: ['rate', 'exchange_rate', 'rate_inr', 'inr'],
+  importRate: ['import', 'import_rate', 'imports', 'imported_goods'],
+  exportRate: ['export', 'export_rate', 'exports', 'exported_goods'],
+  unit: ['unit', 'units', 'per', 'per_units'],
+  rateType: ['rate_type', 'type'],
+  effectiveDate: ['effective_date', 'effective_from', 'date'],
+  expiryDate: ['expiry_date', 'effective_to', 'valid_to'],
+  notificationNumber: ['notification', 'notification_number', 'notification_no']
+};
+
+// Lookups shared by every instance, so an import is visible everywhere at once
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+class ExchangeRateService {
+  /**
+   * Normalize a currency code
+   * @param {string} currency - Currency code
+   * @returns {string} Upper-case code, INR when empty
+   */
+  normalizeCurrency(currency) {
+    return String(currency || BASE_CURRENCY).trim().toUpperCase();
+  }
+
+  /**
+   * Drop cached lookups (after rates are added or removed)
+   */
+  clearCache() {
+    cache.clear();
+  }
+
+  /**
+   * Find the INR rate for one unit of a currency on a date
+   * @param {string} currency - Currency code
+   * @param {Object} options - { date, rateType }
+   * @returns {Promise<Object|null>} ExchangeRate record
+   */
+  async findRate(currency, { date = new Date(), rateType = 'market' } = {}) {
+    const code = this.normalizeCurrency(currency);
+    const asOf = new Date(date);
+    const types = RATE_TYPE_FALLBACKS[rateType] || [rateType];
+
+    const key = `${code}|${rateType}|${asOf.toISOString().slice(0, 10)}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.record;
+    }
+
+    // End of day, so rates effective later on the same date still apply
+    const endOfDay = new Date(asOf);
+    endOfDay.setUTCHours(23, 59, 59, 999);
+
+    let record = null;
+    for (const type of types) {
+      record = await ExchangeRate.findOne({
+        currency: code,
+        rateType: type,
+        effectiveDate: { $lte: endOfDay },
+        $or: [{ expiryDate: null }, { expiryDate: { $gt: asOf } }]
+      })
+        .sort({ effectiveDate: -1 })
+        .lean();
+      if (record) break;
+    }
+
+    if (cache.size > 1000) {
+      cache.clear();
+    }
+    cache.set(key, { record, expiresAt: Date.now() + CACHE_TTL_MS });
+    return record;
+  }
+
+  /**
+   * Get the rate to convert one currency into another on a date
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Object} options - { date, rateType }
+   * @returns {Promise<Object|null>} { from, to, rate, date, rateType, sources } or null when a rate is missing
+   */
+  async getRate(from, to, options = {}) {
+    const source = this.normalizeCurrency(from);
+    const target = this.normalizeCurrency(to);
+    const date = options.date ? new Date(options.date) : new Date();
+    const result = { from: source, to: target, rate: 1, date, rateType: options.rateType || 'market', sources: [] };
+
+    if (source === target) {
+      return result;
+    }
+
+    const describe = (record) => ({
+      currency: record.currency,
+      rate: record.rate,
+      rateType: record.rateType,
+      effectiveDate: record.effectiveDate,
+      source: record.source,
+      notificationNumber: record.notificationNumber
+    });
+
+    let rate = 1;
+    if (source !== BASE_CURRENCY) {
+      const record = await this.findRate(source, { ...options, date });
+      if (!record) return null;
+      rate *= record.rate;
+      result.sources.push(describe(record));
+    }
+    if (target !== BASE_CURRENCY) {
+      const record = await this.findRate(target, { ...options, date });
+      if (!record) return null;
+      rate /= record.rate;
+      result.sources.push(describe(record));
+    }
+
+    result.rate = rate;
+    return result;
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Object} options - { date, rateType }
+   * @returns {Promise<Object|null>} Rate details with converted amount, or null when a rate is missing
+   */
+  async convert(amount, from, to, options = {}) {
+    const rate = await this.getRate(from, to, options);
+    if (!rate) {
+      return null;
+    }
+    return {
+      ...rate,
+      originalAmount: amount,
+      amount: Math.round(amount * rate.rate * 100) / 100
+    };
+  }
+
+  /**
+   * Load every rate of a currency in force at some point between two dates,
+   * so many dates can be looked up without a query each
+   * @param {string} currency - Currency code
+   * @param {Date} from - Earliest date
+   * @param {Date} to - Latest date
+   * @param {string} rateType - Requested rate type
+   * @returns {Promise<Function>} (date) => ExchangeRate record or null, as findRate
+   */
+  async loadRateHistory(currency, from, to, rateType = 'market') {
+    const code = this.normalizeCurrency(currency);
+    const types = RATE_TYPE_FALLBACKS[rateType] || [rateType];
+    const latest = new Date(to);
+    latest.setUTCHours(23, 59, 59, 999);
+
+    const records = await ExchangeRate.find({
+      currency: code,
+      rateType: { $in: types },
+      effectiveDate: { $lte: latest },
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date(from) } }]
+    })
+      .sort({ effectiveDate: -1 })
+      .lean();
+
+    return (date) => {
+      const asOf = new Date(date);
+      const endOfDay = new Date(asOf);
+      endOfDay.setUTCHours(23, 59, 59, 999);
+
+      for (const type of types) {
+        const record = records.find(candidate => candidate.rateType === type &&
+          candidate.effectiveDate <= endOfDay &&
+          (!candidate.expiryDate || candidate.expiryDate > asOf));
+        if (record) return record;
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Convert and sum amounts recorded in different currencies on different
+   * dates. The rates of each currency are loaded once for the whole period.
+   * @param {Array<Object>} entries - [{ amount, currency, date }]
+   * @param {string} to - Reporting currency
+   * @param {Object} options - { rateType, groupBy: (entry) => key for subtotals }
+   * @returns {Promise<Object>} { currency, total, byCurrency, unconverted, groups? }
+   *   with groups as { key: { total, unconverted } }
+   */
+  async sumInCurrency(entries, to, options = {}) {
+    const target = this.normalizeCurrency(to);
+    const rateType = options.rateType || 'market';
+    const byCurrency = {};
+    const unconverted = {};
+    const groups = {};
+    let total = 0;
+
+    const dates = entries.map(entry => (entry.date ? new Date(entry.date) : new Date()));
+    const from = new Date(Math.min(...dates));
+    const until = new Date(Math.max(...dates));
+
+    const histories = {};
+    const rateOn = async (currency, date) => {
+      if (currency === BASE_CURRENCY) return 1;
+      if (!histories[currency]) {
+        histories[currency] = await this.loadRateHistory(currency, from, until, rateType);
+      }
+      const record = histories[currency](date);
+      return record ? record.rate : null;
+    };
+
+    for (const [index, entry] of entries.entries()) {
+      const currency = this.normalizeCurrency(entry.currency);
+      const amount = entry.amount || 0;
+      byCurrency[currency] = (byCurrency[currency] || 0) + amount;
+
+      const group = options.groupBy
+        ? (groups[options.groupBy(entry)] = groups[options.groupBy(entry)] || { total: 0, unconverted: {} })
+        : null;
+
+      const sourceRate = currency === target ? 1 : await rateOn(currency, dates[index]);
+      const targetRate = currency === target ? 1 : await rateOn(target, dates[index]);
+      if (sourceRate && targetRate) {
+        const converted = Math.round(amount * (sourceRate / targetRate) * 100) / 100;
+        total += converted;
+        if (group) group.total += converted;
+      } else {
+        unconverted[currency] = (unconverted[currency] || 0) + amount;
+        if (group) group.unconverted[currency] = (group.unconverted[currency] || 0) + amount;
+      }
+    }
+
+    Object.values(groups).forEach(group => {
+      group.total = Math.round(group.total * 100) / 100;
+    });
+
+    return {
+      currency: target,
+      total: Math.round(total * 100) / 100,
+      byCurrency,
+      unconverted,
+      ...(options.groupBy ? { groups } : {})
+    };
+  }
+
+  /**
+   * Get the currency a user reports in (UserSettings.profile.currency)
+   * @param {string} userId - User ID
+   * @param {string} [override] - Currency requested explicitly (e.g. ?currency=USD)
+   * @returns {Promise<string>} Currency code
+   */
+  async getReportingCurrency(userId, override) {
+    if (override) {
+      return this.normalizeCurrency(override);
+    }
+    const settings = userId ? await UserSettings.findOne({ user: userId }).select('profile.currency').lean() : null;
+    return this.normalizeCurrency(settings?.profile?.currency);
+  }
+
+  /**
+   * Parse a rate file (CSV or JSON array)
+   * @param {string} content - File content
+   * @param {string} [fileName] - File name, used to detect JSON
+   * @returns {Array<Object>} Rows
+   */
+  parseFile(content, fileName = '') {
+    const text = String(content).trim();
+    if (fileName.toLowerCase().endsWith('.json') || text.startsWith('[') || text.startsWith('{')) {
+      const data = JSON.parse(text);
+      return Array.isArray(data) ? data : data.rates || [];
+    }
+    return parseCSV(text);
+  }
+
+  /**
+   * Map a row from a rate file onto ExchangeRate records. A row with both
+   * import and export columns (CBIC schedule) produces two records.
+   * @param {Object} row - Row with any supported column names
+   * @param {Object} defaults - { rateType, effectiveDate, expiryDate, source, notificationNumber }
+   * @returns {Array<Object>} ExchangeRate fields
+   */
+  normalizeRecord(row, defaults = {}) {
+    const keys = Object.keys(row);
+    const get = (field) => {
+      const key = keys.find(name => COLUMN_ALIASES[field].includes(name.toLowerCase().replace(/[\s-]+/g, '_')));
+      return key === undefined || row[key] === '' ? undefined : row[key];
+    };
+
+    const currency = this.normalizeCurrency(get('currency') || '');
+    if (!/^[A-Z]{3}$/.test(currency) || currency === BASE_CURRENCY) {
+      throw new Error(`Invalid currency: ${get('currency') || '(empty)'}`);
+    }
+
+    // CBIC quotes some currencies (JPY, KRW, ...) per 100 units
+    const unit = parseFloat(get('unit')) || 1;
+    const effectiveDate = new Date(get('effectiveDate') || defaults.effectiveDate);
+    if (isNaN(effectiveDate.getTime())) {
+      throw new Error(`Missing or invalid effective date for ${currency}`);
+    }
+    const expiry = get('expiryDate') || defaults.expiryDate;
+
+    const base = {
+      currency,
+      effectiveDate,
+      source: defaults.source || 'import'
+    };
+    if (expiry) base.expiryDate = new Date(expiry);
+    const notificationNumber = get('notificationNumber') || defaults.notificationNumber;
+    if (notificationNumber) base.notificationNumber = notificationNumber;
+
+    const rates = [];
+    const addRate = (value, rateType) => {
+      if (value === undefined) return;
+      const rate = parseFloat(value);
+      if (isNaN(rate) || rate <= 0) {
+        throw new Error(`Invalid ${rateType} rate for ${currency}: ${value}`);
+      }
+      rates.push({ ...base, rateType, rate: rate / unit });
+    };
+
+    addRate(get('importRate'), 'customs_import');
+    addRate(get('exportRate'), 'customs_export');
+    addRate(get('rate'), get('rateType') || defaults.rateType || 'market');
+
+    if (rates.length === 0) {
+      throw new Error(`No rate for ${currency}`);
+    }
+    rates.forEach(rate => {
+      if (!RATE_TYPE_FALLBACKS[rate.rateType]) {
+        throw new Error(`Invalid rate type for ${currency}: ${rate.rateType}`);
+      }
+    });
+    return rates;
+  }
+
+  /**
+   * Import exchange rates, upserting by currency, rate type and effective date
+   * @param {Array<Object>} rows - Rows from a rate file
+   * @param {Object} options - { rateType, effectiveDate, expiryDate, source, notificationNumber, createdBy }
+   * @returns {Promise<Object>} Import summary
+   */
+  async importRates(rows, options = {}) {
+    const records = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      try {
+        records.push(...this.normalizeRecord(row, options));
+      } catch (error) {
+        errors.push({ row: index + 1, message: error.message });
+      }
+    });
+
+    let inserted = 0;
+    let updated = 0;
+    if (records.length > 0) {
+      const result = await ExchangeRate.bulkWrite(records.map(record => ({
+        updateOne: {
+          filter: { currency: record.currency, rateType: record.rateType, effectiveDate: record.effectiveDate },
+          update: { $set: { ...record, createdBy: options.createdBy } },
+          upsert: true
+        }
+      })));
+      inserted = result.upsertedCount || 0;
+      updated = result.modifiedCount || 0;
+    }
+
+    this.clearCache();
+
+    return {
+      total: rows.length,
+      imported: records.length,
+      inserted,
+      updated,
+      currencies: [...new Set(records.map(record => record.currency))],
+      errors
+    };
+  }
+}
+
+ExchangeRateService.BASE_CURRENCY = BASE_CURRENCY;
+
+module.exports = ExchangeRateService;
@@ -1,8 +1,16 @@
 const ForwarderAssignment = require('../schemas/ForwarderAssignment');
 const ForwarderProfile = require('../schemas/ForwarderProfile');
 const ShipmentOrder = require('../schemas/ShipmentOrder');
-const Notification = require('../schemas/Notification');
 const User = require('../schemas/User');
+const ShipmentOrderWorkflow = require('./shipmentOrderWorkflow');
+const NotificationService = require('./notificationService');
+const realtime = require('./realtime');
+const { getMachine } = require('./stateMachines');
+
+const shipmentOrderWorkflow = new ShipmentOrderWorkflow();
+const notificationService = new NotificationService();
+const stageMachine = getMachine('forwarderStage');
+const assignmentMachine = getMachine('forwarderAssignment');
 
 class ForwarderAssignmentService {
   // Create forwarder assignment for a shipment order
@@ -19,7 +27,7 @@ class ForwarderAssignmentService {
         throw new Error('Shipment order not found');
       }
 
-      if (order.status !== 'approved') {
+      if (!shipmentOrderWorkflow.canTransition(order.status, 'assigned_to_forwarder').allowed) {
         throw new Error('Order must be approved before forwarder assignment');
       }
 
@@ -70,13 +78,10 @@ class ForwarderAssignmentService {
       await assignment.save();
 
       // Update order status
-      order.status = 'forwarder_assigned';
-      order.auditTrail.push({
-        action: 'Assigned to Forwarder',
+      shipmentOrderWorkflow.transition(order, 'assigned_to_forwarder', {
         performedBy: null,
-        details: 'Order assigned to forwarder for processing',
-        previousStatus: 'approved',
-        newStatus: 'forwarder_assigned'
+        action: 'Assigned to Forwarder',
+        details: 'Order assigned to forwarder for processing'
       });
       await order.save();
 
@@ -252,47 +257,59 @@ class ForwarderAssignmentService {
       for (const forwarderAssignment of assignment.assignedForwarders) {
         if (forwarderAssignment.forwarderId) {
           // Create notification for forwarder
-          const notification = new Notification({
+          await notificationService.createNotification({
             user: forwarderAssignment.forwarderId,
             type: 'alert',
-            category: 'shipment',
+            category: 'general',
+            event: 'forwarderAssignment',
             title: 'New Shipment Assignment',
             message: `You have been assigned to handle ${forwarderAssignment.stage} stage for order ${order.orderNumber}`,
             priority: 'high',
             actionUrl: `/forwarder-assignments/${assignment._id}`,
             actionText: 'View Assignment',
             metadata: {
-              assignmentId: assignment._id,
-              orderId: order._id,
-              stage: forwarderAssignment.stage
+              customData: {
+                assignmentId: assignment._id,
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                stage: forwarderAssignment.stage
+              }
             },
             tags: ['forwarder_assignment', forwarderAssignment.stage]
           });
 
-          await notification.save();
+          await realtime.publish(forwarderAssignment.forwarderId, 'forwarder.assignment', {
+            assignmentId: assignment._id,
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            stage: forwarderAssignment.stage,
+            status: forwarderAssignment.status
+          });
           console.log(`📧 Notification sent to forwarder for ${forwarderAssignment.stage} stage`);
         }
       }
 
       // Notify exporter about forwarder assignment
       if (order.exporter) {
-        const exporterNotification = new Notification({
+        await notificationService.createNotification({
           user: order.exporter._id,
           type: 'info',
-          category: 'shipment',
+          category: 'general',
+          event: 'orderStatus',
           title: 'Forwarder Assigned',
           message: `Your order ${order.orderNumber} has been assigned to forwarders for processing`,
           priority: 'medium',
           actionUrl: `/shipment-orders/${order._id}`,
           actionText: 'View Order',
           metadata: {
-            orderId: order._id,
-            assignmentId: assignment._id
+            customData: {
+              orderId: order._id,
+              orderNumber: order.orderNumber,
+              assignmentId: assignment._id
+            }
           },
           tags: ['forwarder_assignment', 'exporter']
         });
-
-        await exporterNotification.save();
         console.log('📧 Notification sent to exporter about forwarder assignment');
       }
 
@@ -301,6 +318,41 @@ class ForwarderAssignmentService {
     }
   }
 
+  /**
+   * Push the current stage statuses and latest tracking entry of an
+   * assignment to the order's exporter and its forwarders
+   * @param {Object} assignment - Saved ForwarderAssignment document
+   * @returns {Promise<Object>} { published, delivered } counts of users
+   */
+  async broadcastTracking(assignment) {
+    try {
+      const order = await ShipmentOrder.findById(assignment.orderId).select('orderNumber exporter status');
+      const recipients = assignment.assignedForwarders.map(f => f.forwarderId);
+      if (order) {
+        recipients.push(order.exporter);
+      }
+
+      const latest = assignment.tracking.length > 0 ? assignment.tracking[assignment.tracking.length - 1] : null;
+      return await realtime.publish(recipients, 'forwarder.tracking', {
+        assignmentId: assignment._id,
+        orderId: assignment.orderId,
+        orderNumber: order ? order.orderNumber : null,
+        orderStatus: order ? order.status : null,
+        status: assignment.status,
+        currentStage: assignment.currentStage,
+        stages: assignment.assignedForwarders.map(f => ({
+          stage: f.stage,
+          status: f.status,
+          forwarderId: f.forwarderId
+        })),
+        latest
+      });
+    } catch (error) {
+      console.error('❌ Error broadcasting forwarder tracking:', error);
+      return { published: 0, delivered: 0 };
+    }
+  }
+
   // Get assignment statistics
   async getAssignmentStats() {
     try {
@@ -332,6 +384,77 @@ class ForwarderAssignmentService {
     }
   }
 
+  /**
+   * Move one forwarder's stage to a new status (not saved). The assignment
+   * starts with its first stage and completes when every stage has.
+   * @param {Object} assignment - ForwarderAssignment document
+   * @param {Object} forwarderAssignment - Stage entry in assignedForwarders
+   * @param {string} status - New stage status
+   * @param {Object} options - { user, action, details }
+   * @returns {Object} Transition result of the stage
+   */
+  updateStageStatus(assignment, forwarderAssignment, status, options = {}) {
+    const result = stageMachine.transition(forwarderAssignment, status, {
+      action: 'Status Updated',
+      details: `${forwarderAssignment.stage} stage status updated to ${status}`,
+      ...options,
+      owner: assignment
+    });
+    if (!result.changed) {
+      return result;
+    }
+
+    const active = assignment.assignedForwarders.filter(f => f.status !== 'cancelled');
+    if (active.length > 0 && active.every(f => f.status === 'completed')) {
+      assignmentMachine.transition(assignment, 'completed', {
+        performedBy: result.change.performedBy,
+        action: 'Assignment Completed',
+        details: 'All stages completed'
+      });
+    } else if (status === 'in_progress' && assignment.status === 'assigned') {
+      assignmentMachine.transition(assignment, 'in_progress', {
+        performedBy: result.change.performedBy,
+        action: 'Assignment Started',
+        details: `${forwarderAssignment.stage} stage started`
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Move the shipment order along with its forwarder stages: in transit once a
+   * stage has started, completed once every stage has.
+   * @param {Object} assignment - Saved ForwarderAssignment document
+   * @returns {Promise<Object|null>} Updated order, or null when unchanged
+   */
+  async syncOrderStatus(assignment) {
+    try {
+      const order = await ShipmentOrder.findById(assignment.orderId);
+      if (!order) return null;
+
+      const target = assignment.status === 'completed' ? 'completed'
+        : assignment.status === 'in_progress' ? 'in_transit'
+          : null;
+      if (!target || !shipmentOrderWorkflow.canTransition(order.status, target).allowed) {
+        return null;
+      }
+
+      const result = shipmentOrderWorkflow.transition(order, target, {
+        action: target === 'completed' ? 'Forwarding completed' : 'Forwarding started',
+        details: target === 'completed' ? 'All forwarder stages completed' : 'A forwarder stage has started'
+      });
+      await order.save();
+      await shipmentOrderWorkflow.runSideEffects(order, result);
+
+      console.log(`✅ Order ${order.orderNumber} status updated to ${target}`);
+      return order;
+    } catch (error) {
+      console.error('❌ Error updating shipment order status:', error);
+      return null;
+    }
+  }
+
   // Update assignment stage
   async updateStage(assignmentId, newStage, forwarderId) {
     try {
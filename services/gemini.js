@@ -2,6 +2,7 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
 const path = require('path');
 const QuotaManager = require('./quotaManager');
+const { getExtractionPrompt } = require('./aiProviders/prompts');
 
 class GeminiService {
   constructor() {
@@ -132,119 +133,30 @@ class GeminiService {
    * @returns {string} Tailored prompt for the document type
    */
   getExtractionPrompt(documentType) {
-    const basePrompt = `Extract all text and data from this document and structure it as JSON. Focus on accuracy and completeness.`;
-    
-    const documentPrompts = {
-      'invoice': `${basePrompt}
-      
-      For this INVOICE document, extract:
-      {
-        "documentType": "invoice",
-        "invoiceNumber": "string",
-        "invoiceDate": "YYYY-MM-DD",
-        "dueDate": "YYYY-MM-DD",
-        "supplier": {
-          "name": "string",
-          "address": "string",
-          "taxId": "string",
-          "email": "string",
-          "phone": "string"
-        },
-        "buyer": {
-          "name": "string",
-          "address": "string",
-          "taxId": "string"
-        },
-        "items": [
-          {
-            "description": "string",
-            "quantity": number,
-            "unitPrice": number,
-            "totalPrice": number,
-            "hsCode": "string"
-          }
-        ],
-        "totals": {
-          "subtotal": number,
-          "tax": number,
-          "total": number,
-          "currency": "string"
-        },
-        "entities": [
-          {
-            "type": "string",
-            "value": "string",
-            "confidence": number
-          }
-        ],
-        "confidence": number
-      }`,
-
-      'boe': `${basePrompt}
-      
-      For this BILL OF ENTRY (BOE) document, extract:
-      {
-        "documentType": "boe",
-        "boeNumber": "string",
-        "boeDate": "YYYY-MM-DD",
-        "portCode": "string",
-        "importerDetails": {
-          "name": "string",
-          "address": "string",
-          "iecCode": "string"
-        },
-        "shipmentDetails": {
-          "billOfLading": "string",
-          "vessel": "string",
-          "portOfLoading": "string",
-          "portOfDischarge": "string"
-        },
-        "items": [
-          {
-            "description": "string",
-            "hsCode": "string",
-            "quantity": number,
-            "unit": "string",
-            "unitPrice": number,
-            "totalValue": number,
-            "dutyRate": "string",
-            "dutyAmount": number
-          }
-        ],
-        "totals": {
-          "assessableValue": number,
-          "totalDuty": number,
-          "totalValue": number,
-          "currency": "string"
-        },
-        "entities": [
-          {
-            "type": "string",
-            "value": "string",
-            "confidence": number
-          }
-        ],
-        "confidence": number
-      }`,
+    return getExtractionPrompt(documentType);
+  }
 
-      'default': `${basePrompt}
-      
-      Extract all visible text and structure it as:
-      {
-        "documentType": "general",
-        "extractedText": "string",
-        "entities": [
-          {
-            "type": "string",
-            "value": "string",
-            "confidence": number
-          }
-        ],
-        "confidence": number
-      }`
-    };
+  /**
+   * Generate a text response with Gemini 1.5 Pro
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Model response
+   */
+  async generateText(prompt) {
+    if (!this.model) {
+      throw new Error('❌ Gemini not configured. Please set GEMINI_API_KEY in your .env file');
+    }
 
-    return documentPrompts[documentType] || documentPrompts['default'];
+    try {
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      this.quotaManager.resetServiceQuota('gemini');
+      return response.text();
+    } catch (error) {
+      if (error.message && error.message.includes('429')) {
+        this.quotaManager.handleQuotaExceeded('gemini', error);
+      }
+      throw error;
+    }
   }
 
   /**
@@ -0,0 +1,431 @@
+/**
+ * Job Queue Service
+ *
+ * A MongoDB-backed background job queue (ProcessingJob collection). Jobs are
+ * claimed atomically, retried with exponential backoff and moved to
+ * "dead_letter" once they run out of attempts. The number of running jobs
+ * per AI provider is capped so bulk uploads cannot exhaust a provider quota.
+ */
+
+const os = require('os');
+const { ProcessingJob } = require('../schemas');
+
+const DEFAULT_CONCURRENCY = {
+  gemini: 2,
+  openai: 4,
+  anthropic: 4,
+  default: 2
+};
+
+// Tries to queue a deduplicated job while other workers race for its key
+const ENQUEUE_ATTEMPTS = 3;
+
+class JobQueue {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.lockTimeout = options.lockTimeout || parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+    this.backoffBase = options.backoffBase || parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+    this.backoffMax = options.backoffMax || parseInt(process.env.JOB_BACKOFF_MAX_MS) || 30 * 60 * 1000;
+    this.defaultMaxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+
+    this.handlers = {};
+    this.running = {};
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Get the concurrency cap for a provider (JOB_CONCURRENCY_<PROVIDER> overrides the default)
+   * @param {string} provider - Provider name
+   * @returns {number} Maximum running jobs
+   */
+  getConcurrency(provider) {
+    const configured = parseInt(process.env[`JOB_CONCURRENCY_${provider.toUpperCase()}`]);
+    return configured || DEFAULT_CONCURRENCY[provider] || DEFAULT_CONCURRENCY.default;
+  }
+
+  /**
+   * Add a job to the queue. If a job with the same dedupe key is already
+   * queued, that job is returned instead, with mergePayload written into its
+   * payload. If one is running, it has already read its payload: it is
+   * flagged to run again (with mergePayload) once it ends. A unique index on
+   * queued jobs' dedupeKey keeps concurrent enqueues from queueing twice.
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @param {Object} options - { provider, priority, maxAttempts, dedupeKey, mergePayload, runAt, createdBy }
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      if (options.dedupeKey) {
+        const existingJob = await this.findPending(options.dedupeKey, options.mergePayload);
+        if (existingJob) {
+          return existingJob;
+        }
+      }
+
+      const job = new ProcessingJob({
+        type,
+        payload,
+        provider: options.provider || this.getProvider(type),
+        priority: options.priority || 0,
+        maxAttempts: options.maxAttempts || this.defaultMaxAttempts,
+        dedupeKey: options.dedupeKey,
+        runAt: options.runAt || new Date(),
+        createdBy: options.createdBy
+      });
+
+      try {
+        await job.save();
+        console.log(`📋 Job queued: ${type} (${job._id})`);
+        return job;
+      } catch (error) {
+        // Another enqueue queued the same key first: merge into that job
+        if (error.code !== 11000 || !options.dedupeKey || attempt >= ENQUEUE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the pending job for a dedupe key: a queued job gets mergePayload
+   * written into its payload, a running job is flagged to run again
+   * @param {string} dedupeKey - Dedupe key
+   * @param {Object} [mergePayload] - Payload fields the request adds
+   * @returns {Promise<Object|null>} Pending job, or null when there is none
+   */
+  async findPending(dedupeKey, mergePayload = {}) {
+    const merge = Object.entries(mergePayload)
+      .reduce((fields, [key, value]) => ({ ...fields, [`payload.${key}`]: value }), {});
+
+    const queuedJob = Object.keys(merge).length
+      ? await ProcessingJob.findOneAndUpdate({ dedupeKey, status: 'queued' }, { $set: merge }, { new: true })
+      : await ProcessingJob.findOne({ dedupeKey, status: 'queued' });
+    if (queuedJob) {
+      console.log(`📋 Job already queued for ${dedupeKey}: ${queuedJob._id}`);
+      return queuedJob;
+    }
+
+    const runningJob = await ProcessingJob.findOneAndUpdate(
+      { dedupeKey, status: 'running' },
+      { $set: { ...merge, rerun: true } },
+      { new: true }
+    );
+    if (runningJob) {
+      console.log(`📋 Job running for ${dedupeKey}: ${runningJob._id} will run again when it ends`);
+    }
+    return runningJob;
+  }
+
+  /**
+   * Provider a new job of a type consumes
+   * @param {string} type - Job type
+   * @returns {string} Provider name
+   */
+  getProvider(type) {
+    const provider = this.handlers[type]?.provider || 'default';
+    return typeof provider === 'function' ? provider() : provider;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handle - async (job) => result; throw to fail the attempt
+   * @param {Object} options - { provider (name, or a function returning it when
+   *   a job is queued), onFailure(job, error, willRetry) }
+   */
+  registerHandler(type, handle, options = {}) {
+    this.handlers[type] = {
+      handle,
+      provider: options.provider || 'default',
+      onFailure: options.onFailure
+    };
+  }
+
+  /**
+   * Delay before the next attempt: backoffBase * 2^(attempt - 1), capped at backoffMax
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.backoffBase * Math.pow(2, Math.max(attempts - 1, 0)), this.backoffMax);
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    console.log(`✅ Job queue worker started (${this.workerId}) for: ${Object.keys(this.handlers).join(', ')}`);
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+  }
+
+  /**
+   * Stop polling. Jobs already running are left to finish.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One polling cycle: recover stale jobs, then claim as many jobs as the
+   * provider caps allow
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      await this.recoverStaleJobs();
+
+      const types = Object.keys(this.handlers);
+      const providers = await ProcessingJob.distinct('provider', {
+        status: 'queued',
+        type: { $in: types },
+        runAt: { $lte: new Date() }
+      });
+      for (const provider of providers) {
+        // Slots are shared by every worker, not just this process
+        const taken = await ProcessingJob.distinct('slot', { provider, status: 'running' });
+        for (let slot = 0; slot < this.getConcurrency(provider); slot++) {
+          if (taken.includes(slot)) continue;
+          const job = await this.claim(provider, types, slot);
+          if (job === undefined) continue;
+          if (!job) break;
+          this.run(job);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due job for a provider into a concurrency
+   * slot. A unique index on running jobs' { provider, slot } keeps two
+   * workers from filling the same slot, so the cap holds across workers.
+   * @param {string} provider - Provider name
+   * @param {Array<string>} types - Job types this worker can run
+   * @param {number} slot - Free slot, below the provider's cap
+   * @returns {Promise<Object|null|undefined>} Claimed job, null when none is
+   *   due, undefined when another worker took the slot first
+   */
+  async claim(provider, types, slot) {
+    const now = new Date();
+    try {
+      return await ProcessingJob.findOneAndUpdate(
+        {
+          status: 'queued',
+          provider,
+          type: { $in: types },
+          runAt: { $lte: now }
+        },
+        {
+          $set: {
+            status: 'running',
+            slot,
+            lockedAt: now,
+            lockedBy: this.workerId,
+            startedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        {
+          sort: { priority: -1, runAt: 1 },
+          new: true
+        }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job
+   */
+  async run(job) {
+    const handler = this.handlers[job.type];
+    this.running[job._id] = true;
+
+    // Keep the lock fresh so long-running jobs are not treated as stale
+    const heartbeat = setInterval(() => {
+      ProcessingJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => console.error('❌ Job heartbeat error:', error.message));
+    }, Math.max(this.lockTimeout / 3, 1000));
+
+    try {
+      console.log(`⚙️  Running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}`);
+      const result = await handler.handle(job);
+
+      const finished = await this.finish(job, {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          result,
+          lastError: null
+        },
+        $unset: { lockedAt: '', lockedBy: '', slot: '' }
+      });
+      if (finished) {
+        console.log(`✅ Job completed: ${job.type} (${job._id})`);
+      }
+    } catch (error) {
+      await this.fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      delete this.running[job._id];
+    }
+  }
+
+  /**
+   * Record a failed attempt: schedule a retry or move to dead letter
+   * @param {Object} job - Job that failed
+   * @param {Error} error - Failure reason
+   */
+  async fail(job, error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    const update = {
+      $set: {
+        lastError: error.message,
+        status: willRetry ? 'queued' : 'dead_letter'
+      },
+      $unset: { lockedAt: '', lockedBy: '', slot: '' },
+      $push: {
+        errorHistory: {
+          attempt: job.attempts,
+          message: error.message,
+          occurredAt: new Date()
+        }
+      }
+    };
+
+    if (willRetry) {
+      const delay = this.getBackoffDelay(job.attempts);
+      update.$set.runAt = new Date(Date.now() + delay);
+      console.warn(`⚠️  Job ${job.type} (${job._id}) failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+      update.$set.completedAt = new Date();
+      console.error(`❌ Job ${job.type} (${job._id}) moved to dead letter after ${job.attempts} attempts: ${error.message}`);
+    }
+
+    let rerun = false;
+    try {
+      rerun = !(await this.finish(job, update));
+    } catch (updateError) {
+      console.error('❌ Error recording job failure:', updateError.message);
+    }
+
+    const handler = this.handlers[job.type];
+    if (handler?.onFailure) {
+      try {
+        await handler.onFailure(job, error, willRetry || rerun);
+      } catch (hookError) {
+        console.error('❌ Job failure hook error:', hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Record the end of a run, unless the job was flagged to run again
+   * meanwhile: then it is queued again straight away with fresh attempts
+   * @param {Object} job - Job that ran
+   * @param {Object} update - Update recording the outcome
+   * @returns {Promise<boolean>} Whether the outcome was recorded (false when queued again)
+   */
+  async finish(job, update) {
+    const recorded = await ProcessingJob.updateOne({ _id: job._id, rerun: { $ne: true } }, update);
+    if (recorded.matchedCount > 0) {
+      return true;
+    }
+
+    const unlock = { $unset: { lockedAt: '', lockedBy: '', slot: '' } };
+    try {
+      await ProcessingJob.updateOne({ _id: job._id, rerun: true }, {
+        $set: { status: 'queued', rerun: false, runAt: new Date(), attempts: 0, lastError: null },
+        ...unlock
+      });
+      console.log(`🔁 Job ${job.type} (${job._id}) queued again: it was requested while running`);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Another job of the same key is already queued and does the work
+      await ProcessingJob.updateOne({ _id: job._id }, {
+        $set: { status: 'cancelled', rerun: false, completedAt: new Date() },
+        ...unlock
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Fail running jobs whose lock expired (their worker died or hung)
+   */
+  async recoverStaleJobs() {
+    // Only jobs this worker could run; other queues recover their own
+    const staleJobs = await ProcessingJob.find({
+      status: 'running',
+      type: { $in: Object.keys(this.handlers) },
+      lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) }
+    });
+
+    for (const job of staleJobs) {
+      if (this.running[job._id]) continue;
+      await this.fail(job, new Error(`Job lock expired (worker ${job.lockedBy} stopped responding)`));
+    }
+  }
+
+  /**
+   * Put a dead-letter job back in the queue. When the same work is already
+   * pending under the job's dedupe key, the pending job is returned instead.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Requeued job
+   */
+  async retry(jobId) {
+    const job = await ProcessingJob.findOne({ _id: jobId, status: { $in: ['dead_letter', 'cancelled'] } });
+    if (!job) {
+      return null;
+    }
+
+    const pendingJob = job.dedupeKey && await this.findPending(job.dedupeKey);
+    if (pendingJob) {
+      return pendingJob;
+    }
+
+    try {
+      return await ProcessingJob.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['dead_letter', 'cancelled'] } },
+        {
+          $set: { status: 'queued', runAt: new Date(), attempts: 0, completedAt: null }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      // Queued under the same key meanwhile
+      if (error.code === 11000) {
+        return this.findPending(job.dedupeKey);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,20 @@
+/**
+ * Base class for mail transports. A transport delivers one rendered
+ * message: { from, to, subject, text, html }.
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const MailTransport = require('./baseTransport');
+
+/**
+ * Prints mail to the console instead of sending it (local development).
+ */
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MailTransport = require('./baseTransport');
+
+/**
+ * Writes each message to a JSON file in MAIL_FILE_DIR (default ./mail-outbox)
+ * so local development and test runs can read the emails that would be sent.
+ */
+class FileTransport extends MailTransport {
+  constructor(options = {}) {
+    super('file');
+    this.directory = options.directory || process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@file>`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+    const filePath = path.join(this.directory, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
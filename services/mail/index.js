@@ -0,0 +1,101 @@
+/**
+ * Mail
+ *
+ * Renders templated emails and delivers them through the configured transport:
+ *   MAIL_TRANSPORT  smtp, file or console (default: smtp when SMTP_HOST is set, otherwise console)
+ *   MAIL_FROM       Sender address
+ *
+ * Templates live in ./templates and contain {{placeholders}}; values are
+ * HTML-escaped in the html part.
+ */
+
+const path = require('path');
+const MailTransport = require('./baseTransport');
+
+const factories = {
+  smtp: () => new (require('./smtpTransport'))(),
+  file: () => new (require('./fileTransport'))(),
+  console: () => new (require('./consoleTransport'))()
+};
+
+const instances = {};
+
+/**
+ * Register a transport implementation
+ * @param {string} name - Transport name used in configuration
+ * @param {Function} factory - Returns a MailTransport instance
+ */
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Get the configured transport (instances are shared)
+ * @returns {MailTransport} Transport
+ */
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (!factories[name]) {
+    throw new Error(`Unknown mail transport: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const interpolate = (template, data, escape) => template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+  const value = data[key] === undefined || data[key] === null ? '' : data[key];
+  return escape ? escapeHtml(value) : String(value);
+});
+
+/**
+ * Render a template
+ * @param {string} name - Template name (file in ./templates)
+ * @param {Object} data - Placeholder values
+ * @returns {Object} { subject, text, html }
+ */
+const renderTemplate = (name, data = {}) => {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid mail template name: ${name}`);
+  }
+  const template = require(path.join(__dirname, 'templates', name));
+  return {
+    subject: interpolate(template.subject, data, false),
+    text: interpolate(template.text, data, false),
+    html: template.html ? interpolate(template.html, data, true) : undefined
+  };
+};
+
+/**
+ * Render a template and send it
+ * @param {Object} options - { to, template, data }
+ * @returns {Promise<Object>} { messageId, transport }
+ */
+const sendTemplate = async ({ to, template, data }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'AI Export Management <no-reply@localhost>',
+    to,
+    ...renderTemplate(template, data)
+  };
+
+  const transport = getTransport();
+  const result = await transport.send(message);
+  return { ...result, transport: transport.name };
+};
+
+module.exports = {
+  MailTransport,
+  registerTransport,
+  getTransport,
+  renderTemplate,
+  sendTemplate
+};
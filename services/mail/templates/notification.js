@@ -0,0 +1,14 @@
+module.exports = {
+  subject: '{{subject}}',
+  text: `Hello {{name}},
+
+{{text}}
+
+{{actionText}}: {{actionUrl}}
+
+You can choose which notifications you receive by email in your settings.`,
+  html: `<p>Hello {{name}},</p>
+<p>{{text}}</p>
+<p><a href="{{actionUrl}}">{{actionText}}</a></p>
+<p>You can choose which notifications you receive by email in your settings.</p>`
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  subject: 'Your password was changed',
+  text: `Hello {{name}},
+
+The password for your account was changed on {{changedAt}}.
+
+If you did not make this change, reset your password immediately and contact your administrator.`,
+  html: `<p>Hello {{name}},</p>
+<p>The password for your account was changed on {{changedAt}}.</p>
+<p>If you did not make this change, reset your password immediately and contact your administrator.</p>`
+};
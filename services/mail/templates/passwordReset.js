@@ -0,0 +1,17 @@
+module.exports = {
+  subject: 'Reset your password',
+  text: `Hello {{name}},
+
+We received a request to reset the password for your account.
+
+Open the link below to choose a new password. The link can be used once and expires in {{expiresInMinutes}} minutes.
+
+{{resetUrl}}
+
+If you did not request a password reset, you can ignore this email; your password will not change.`,
+  html: `<p>Hello {{name}},</p>
+<p>We received a request to reset the password for your account.</p>
+<p><a href="{{resetUrl}}">Choose a new password</a></p>
+<p>The link can be used once and expires in {{expiresInMinutes}} minutes.</p>
+<p>If you did not request a password reset, you can ignore this email; your password will not change.</p>`
+};
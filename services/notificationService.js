@@ -1,4 +1,6 @@
 const { Notification, User } = require('../schemas');
+const realtime = require('./realtime');
+const notifications = require('./notifications');
 
 class NotificationService {
   constructor() {
@@ -6,8 +8,11 @@ class NotificationService {
   }
 
   /**
-   * Create a new notification
-   * @param {Object} notificationData - Notification data
+   * Create a new notification, send it to the user's event streams and
+   * queue it for the email, SMS and push channels the user has switched on
+   * (see services/notifications)
+   * @param {Object} notificationData - Notification data; event picks the message
+   *   template and sentVia limits the channels tried
    * @returns {Promise<Object>} Created notification
    */
   async createNotification(notificationData) {
@@ -16,13 +21,14 @@ class NotificationService {
         user,
         type = 'info',
         category = 'general',
+        event = 'default',
         title,
         message,
         priority = 'medium',
         actionUrl,
         actionText,
         metadata = {},
-        sentVia = ['in_app'],
+        sentVia,
         tags = []
       } = notificationData;
 
@@ -31,35 +37,24 @@ class NotificationService {
         throw new Error('User, title, and message are required');
       }
 
-      // Create notification object
+      // Create notification object; the dispatcher records the other channels
       const notification = new Notification({
         user,
         type,
         category,
+        event,
         title,
         message,
         priority,
         actionUrl,
         actionText,
         metadata,
-        sentVia,
+        sentVia: ['in_app'],
         tags,
         deliveryStatus: {
           in_app: {
-            sent: sentVia.includes('in_app'),
-            deliveredAt: sentVia.includes('in_app') ? new Date() : null
-          },
-          email: {
-            sent: sentVia.includes('email'),
-            deliveredAt: sentVia.includes('email') ? new Date() : null
-          },
-          sms: {
-            sent: sentVia.includes('sms'),
-            deliveredAt: sentVia.includes('sms') ? new Date() : null
-          },
-          push: {
-            sent: sentVia.includes('push'),
-            deliveredAt: sentVia.includes('push') ? new Date() : null
+            sent: true,
+            deliveredAt: new Date()
           }
         }
       });
@@ -67,6 +62,10 @@ class NotificationService {
       await notification.save();
       console.log(`✅ Notification created for user ${user}: ${title}`);
 
+      // The in-app list updates live; the other channels are sent in the background
+      await realtime.publish(user, 'notification', { notification: notification.toObject() });
+      await notifications.queueDispatch(notification, { channels: sentVia });
+
       return notification;
     } catch (error) {
       console.error('❌ Error creating notification:', error);
@@ -88,6 +87,7 @@ class NotificationService {
         user: caUserId,
         type: 'alert',
         category: 'document',
+        event: 'documentReview',
         title: 'New Document Review Assignment',
         message: `You have been assigned to review a ${documentType} document for ${clientName}. Please review it as soon as possible.`,
         priority: 'high',
@@ -95,9 +95,11 @@ class NotificationService {
         actionText: 'Review Document',
         metadata: {
           documentId,
-          clientName,
-          documentType,
-          reviewType: 'document_assignment'
+          customData: {
+            clientName,
+            documentType,
+            reviewType: 'document_assignment'
+          }
         },
         tags: ['document_review', 'assignment', 'urgent']
       });
@@ -123,15 +125,18 @@ class NotificationService {
         user: caUserId,
         type: 'alert',
         category: 'document',
+        event: 'orderSubmitted',
         title: 'New Shipment Order for Review',
         message: `A new shipment order from ${clientName} has been submitted for your review. Please process it as soon as possible.`,
         priority: 'high',
         actionUrl: `/shipment-orders/${orderId}`,
         actionText: 'Review Order',
         metadata: {
-          orderId,
-          clientName,
-          reviewType: 'shipment_order'
+          customData: {
+            orderId,
+            clientName,
+            reviewType: 'shipment_order'
+          }
         },
         tags: ['shipment_order', 'review', 'urgent']
       });
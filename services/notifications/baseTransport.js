@@ -0,0 +1,37 @@
+/**
+ * Base class for notification transports. A transport delivers one rendered
+ * message on one channel (email, sms or push) to one recipient:
+ *   recipient  { id, name, email, phone }
+ *   message    { subject, text, sms, actionUrl, actionText, notification }
+ *
+ * Throw to report a failure. Errors are retried unless error.retryable is false.
+ */
+class NotificationTransport {
+  constructor(channel, name) {
+    this.channel = channel;
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} recipient - { id, name, email, phone }
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} { messageId, pending } (pending: accepted but not yet delivered)
+   */
+  async send(recipient, message) {
+    throw new Error(`${this.name} ${this.channel} transport does not implement send`);
+  }
+
+  /**
+   * Build an error that is not worth retrying (bad address, rejected request)
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   */
+  static permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = NotificationTransport;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const NotificationTransport = require('./baseTransport');
+
+/**
+ * Prints SMS and push notifications to the console instead of sending them
+ * (local development).
+ */
+class ConsoleTransport extends NotificationTransport {
+  constructor(channel) {
+    super(channel, 'console');
+  }
+
+  async send(recipient, message) {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    const to = this.channel === 'sms' ? recipient.phone : recipient.id;
+    console.log(`📨 ${this.channel.toUpperCase()} to ${to}: ${message.subject}\n${message.sms}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NotificationTransport = require('./baseTransport');
+
+/**
+ * Writes each SMS or push notification to a JSON file in
+ * NOTIFICATION_FILE_DIR/<channel> (default ./notification-outbox) so local
+ * development and test runs can read what would be sent.
+ */
+class FileTransport extends NotificationTransport {
+  constructor(channel, options = {}) {
+    super(channel, 'file');
+    const root = options.directory || process.env.NOTIFICATION_FILE_DIR || path.join(process.cwd(), 'notification-outbox');
+    this.directory = path.join(root, channel);
+  }
+
+  async send(recipient, message) {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@file>`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+    const filePath = path.join(this.directory, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      messageId,
+      date: new Date(),
+      to: this.channel === 'sms' ? recipient.phone : recipient.id,
+      subject: message.subject,
+      text: message.sms,
+      actionUrl: message.actionUrl,
+      notificationId: message.notification._id
+    }, null, 2));
+
+    console.log(`📨 ${this.channel.toUpperCase()} to ${recipient.id} written to ${filePath}`);
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
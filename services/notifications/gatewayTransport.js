@@ -0,0 +1,63 @@
+const axios = require('axios');
+const NotificationTransport = require('./baseTransport');
+
+const TIMEOUT_MS = parseInt(process.env.NOTIFICATION_HTTP_TIMEOUT_MS || '10000');
+
+// Request body per channel
+const BODIES = {
+  sms: (recipient, message) => ({
+    to: recipient.phone,
+    from: process.env.SMS_SENDER_ID || undefined,
+    message: message.sms
+  }),
+  push: (recipient, message) => ({
+    userId: recipient.id,
+    title: message.subject,
+    body: message.sms,
+    url: message.actionUrl,
+    data: {
+      notificationId: message.notification._id.toString(),
+      category: message.notification.category,
+      priority: message.notification.priority
+    }
+  })
+};
+
+/**
+ * POSTs SMS or push notifications as JSON to an HTTP gateway:
+ *   sms   SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_SENDER_ID
+ *   push  PUSH_GATEWAY_URL, PUSH_GATEWAY_API_KEY (a web push relay that holds
+ *         the browser and device subscriptions of each user)
+ * The API key is sent as a bearer token. 4xx responses are not retried.
+ */
+class GatewayTransport extends NotificationTransport {
+  constructor(channel) {
+    super(channel, 'http');
+    const prefix = channel.toUpperCase();
+    this.url = process.env[`${prefix}_GATEWAY_URL`];
+    this.apiKey = process.env[`${prefix}_GATEWAY_API_KEY`];
+    if (!this.url) {
+      throw new Error(`${prefix}_GATEWAY_URL is not configured`);
+    }
+  }
+
+  async send(recipient, message) {
+    try {
+      const response = await axios.post(this.url, BODIES[this.channel](recipient, message), {
+        timeout: TIMEOUT_MS,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+      });
+      const data = response.data || {};
+      return { messageId: data.messageId || data.id };
+    } catch (error) {
+      const status = error.response?.status;
+      const reason = error.response?.data?.message || error.message;
+      if (status && status >= 400 && status < 500 && status !== 429) {
+        throw NotificationTransport.permanentError(`${this.channel} gateway rejected the message (${status}): ${reason}`);
+      }
+      throw new Error(`${this.channel} gateway error${status ? ` (${status})` : ''}: ${reason}`);
+    }
+  }
+}
+
+module.exports = GatewayTransport;
@@ -0,0 +1,398 @@
+/**
+ * Notification Dispatcher
+ *
+ * Delivers notifications beyond the in-app list, on the channels each user
+ * has switched on:
+ *   email  mail (MAIL_TRANSPORT decides smtp, file or console)
+ *   sms    SMS_TRANSPORT: http, file or console (default: http when SMS_GATEWAY_URL is set, otherwise console)
+ *   push   PUSH_TRANSPORT: realtime, http, file or console (default: http when PUSH_GATEWAY_URL is set,
+ *          otherwise realtime, the user's open event streams)
+ *
+ * Routing follows UserSettings.notifications (schema defaults when the user
+ * has none). For forwarders with a profile, the on/off switch of each channel
+ * comes from ForwarderProfile.communication.notificationPreferences instead.
+ * SMS is only sent for high and urgent notifications.
+ *
+ * New notifications are queued (queueDispatch) and sent by the notification
+ * worker. Messages are rendered from ./templates/<notification.event>.js (falling back
+ * to default.js); placeholders are filled from the notification and its
+ * metadata.customData. Each attempt is recorded in deliveryStatus.<channel>;
+ * failed channels are retried on a background queue with exponential backoff,
+ * up to NOTIFICATION_MAX_ATTEMPTS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Notification, ProcessingJob, User, UserSettings, ForwarderProfile } = require('../../schemas');
+const JobQueue = require('../jobQueue');
+const NotificationTransport = require('./baseTransport');
+
+const CHANNELS = ['email', 'sms', 'push'];
+const NOTIFICATION_DISPATCH = 'notification_dispatch';
+const NOTIFICATION_DELIVERY = 'notification_delivery';
+const URGENT_PRIORITIES = ['high', 'urgent'];
+
+// Setting that must also be on for a category, per channel
+const CATEGORY_SETTINGS = {
+  email: { document: 'validationResults', compliance: 'complianceAlerts', system: 'systemUpdates' },
+  sms: {},
+  push: { document: 'documentStatus', compliance: 'complianceIssues' }
+};
+
+const factories = {
+  email: {
+    mail: () => new (require('./mailTransport'))()
+  },
+  sms: {
+    http: () => new (require('./gatewayTransport'))('sms'),
+    file: () => new (require('./fileTransport'))('sms'),
+    console: () => new (require('./consoleTransport'))('sms')
+  },
+  push: {
+    realtime: () => new (require('./realtimeTransport'))(),
+    http: () => new (require('./gatewayTransport'))('push'),
+    file: () => new (require('./fileTransport'))('push'),
+    console: () => new (require('./consoleTransport'))('push')
+  }
+};
+
+const configuredTransport = {
+  email: () => 'mail',
+  sms: () => process.env.SMS_TRANSPORT || (process.env.SMS_GATEWAY_URL ? 'http' : 'console'),
+  push: () => process.env.PUSH_TRANSPORT || (process.env.PUSH_GATEWAY_URL ? 'http' : 'realtime')
+};
+
+const instances = {};
+
+const jobQueue = new JobQueue({
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+});
+
+/**
+ * Register a transport implementation
+ * @param {string} channel - email, sms or push
+ * @param {string} name - Transport name used in configuration
+ * @param {Function} factory - Returns a NotificationTransport instance
+ */
+const registerTransport = (channel, name, factory) => {
+  if (!factories[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  factories[channel][name] = factory;
+  delete instances[`${channel}:${name}`];
+};
+
+/**
+ * Get the configured transport of a channel (instances are shared)
+ * @param {string} channel - email, sms or push
+ * @returns {NotificationTransport} Transport
+ */
+const getTransport = (channel) => {
+  const name = configuredTransport[channel]();
+  if (!factories[channel][name]) {
+    throw new Error(`Unknown ${channel} transport: ${name}. Available: ${Object.keys(factories[channel]).join(', ')}`);
+  }
+  const key = `${channel}:${name}`;
+  if (!instances[key]) {
+    instances[key] = factories[channel][name]();
+  }
+  return instances[key];
+};
+
+/**
+ * Load a user with their notification settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { recipient, settings, forwarderPreferences }
+ */
+const loadRecipient = async (userId) => {
+  const user = await User.findById(userId).select('name email phone role').lean();
+  if (!user) {
+    return null;
+  }
+
+  const settings = await UserSettings.findOne({ user: user._id }) || new UserSettings({ user: user._id });
+  const profile = user.role === 'forwarder'
+    ? await ForwarderProfile.findOne({ userId: user._id }).select('communication.notificationPreferences').lean()
+    : null;
+
+  return {
+    recipient: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      phone: user.phone
+    },
+    settings: settings.notifications,
+    forwarderPreferences: profile?.communication?.notificationPreferences || null
+  };
+};
+
+/**
+ * Channels a notification goes out on for a user
+ * @param {Object} notification - Notification
+ * @param {Object} loaded - Result of loadRecipient
+ * @returns {Array<string>} Channels
+ */
+const resolveChannels = (notification, { recipient, settings, forwarderPreferences }) => {
+  return CHANNELS.filter(channel => {
+    const preferences = settings[channel] || {};
+    const enabled = forwarderPreferences ? forwarderPreferences[channel] : preferences.enabled;
+    if (!enabled) {
+      return false;
+    }
+
+    const setting = CATEGORY_SETTINGS[channel][notification.category];
+    if (setting && preferences[setting] === false) {
+      return false;
+    }
+
+    if (channel === 'email') {
+      return !!recipient.email;
+    }
+    if (channel === 'sms') {
+      return !!recipient.phone && preferences.urgentAlerts !== false && URGENT_PRIORITIES.includes(notification.priority);
+    }
+    return true;
+  });
+};
+
+const interpolate = (template, data) => template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+  return data[key] === undefined || data[key] === null ? '' : String(data[key]);
+});
+
+const loadTemplate = (event) => {
+  const name = /^\w+$/.test(event || '') && fs.existsSync(path.join(__dirname, 'templates', `${event}.js`))
+    ? event
+    : 'default';
+  return require(path.join(__dirname, 'templates', name));
+};
+
+/**
+ * Render the email, SMS and push text of a notification
+ * @param {Object} notification - Notification
+ * @param {Object} recipient - { id, name, email, phone }
+ * @returns {Object} { subject, text, sms, actionUrl, actionText, notification }
+ */
+const renderMessage = (notification, recipient) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const actionPath = notification.actionUrl || '/notifications';
+  const data = {
+    ...(notification.metadata?.customData || {}),
+    name: recipient.name,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    actionText: notification.actionText || 'View notification',
+    actionUrl: /^https?:\/\//.test(actionPath) ? actionPath : `${baseUrl}${actionPath}`
+  };
+
+  const template = loadTemplate(notification.event);
+  return {
+    subject: interpolate(template.subject, data),
+    text: interpolate(template.text, data),
+    sms: interpolate(template.sms, data),
+    actionUrl: data.actionUrl,
+    actionText: data.actionText,
+    notification
+  };
+};
+
+/**
+ * Send a notification on some channels and record each attempt
+ * @param {Object} notification - Saved notification
+ * @param {Array<string>} channels - Channels to send on
+ * @param {Object} recipient - { id, name, email, phone }
+ * @returns {Promise<Array>} [{ channel, sent, pending, error, retryable }]
+ */
+const deliver = async (notification, channels, recipient) => {
+  const message = renderMessage(notification, recipient);
+  const results = [];
+
+  for (const channel of channels) {
+    const attemptedAt = new Date();
+    const update = {
+      [`deliveryStatus.${channel}.lastAttemptAt`]: attemptedAt
+    };
+    let result;
+
+    try {
+      const transport = getTransport(channel);
+      update[`deliveryStatus.${channel}.transport`] = transport.name;
+      const sent = await transport.send(recipient, message) || {};
+
+      result = { channel, sent: !sent.pending, pending: !!sent.pending };
+      update[`deliveryStatus.${channel}.sent`] = result.sent;
+      update[`deliveryStatus.${channel}.deliveredAt`] = result.sent ? attemptedAt : null;
+      update[`deliveryStatus.${channel}.error`] = null;
+      if (sent.messageId) {
+        update[`deliveryStatus.${channel}.messageId`] = sent.messageId;
+      }
+      console.log(`📨 Notification ${notification._id} ${result.pending ? 'queued' : 'sent'} by ${channel} (${transport.name})`);
+    } catch (error) {
+      result = { channel, sent: false, error: error.message, retryable: error.retryable !== false };
+      update[`deliveryStatus.${channel}.sent`] = false;
+      update[`deliveryStatus.${channel}.error`] = error.message;
+      console.error(`❌ Notification ${notification._id} ${channel} delivery failed:`, error.message);
+    }
+
+    await Notification.updateOne({ _id: notification._id }, {
+      $set: update,
+      $inc: { [`deliveryStatus.${channel}.attempts`]: 1 }
+    });
+    if (notification.deliveryStatus?.[channel]) {
+      Object.assign(notification.deliveryStatus[channel], {
+        sent: result.sent,
+        deliveredAt: result.sent ? attemptedAt : notification.deliveryStatus[channel].deliveredAt,
+        error: result.error || null,
+        attempts: (notification.deliveryStatus[channel].attempts || 0) + 1,
+        lastAttemptAt: attemptedAt
+      });
+    }
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * Queue another attempt for channels that failed
+ * @param {Object} notification - Notification
+ * @param {Array<string>} channels - Channels to retry
+ * @returns {Promise<Object>} Queued job
+ */
+const enqueueRetry = (notification, channels) => {
+  return jobQueue.enqueue(NOTIFICATION_DELIVERY, {
+    notificationId: notification._id.toString(),
+    channels
+  }, {
+    dedupeKey: `notification:${notification._id}`,
+    // The first attempt was made when the notification was created
+    runAt: new Date(Date.now() + jobQueue.getBackoffDelay(1))
+  });
+};
+
+/**
+ * Send a new notification on the channels its user has switched on. Never
+ * throws: a failed delivery must not fail the work that created it.
+ * @param {Object} notification - Saved notification
+ * @param {Object} options - { channels } to limit the channels tried
+ * @returns {Promise<Object>} { channels, results }
+ */
+const dispatch = async (notification, options = {}) => {
+  try {
+    const loaded = await loadRecipient(notification.user);
+    if (!loaded) {
+      return { channels: [], results: [] };
+    }
+
+    // Channels already sent are skipped when a queued dispatch runs again
+    const channels = resolveChannels(notification, loaded)
+      .filter(channel => !options.channels || options.channels.includes(channel))
+      .filter(channel => !notification.deliveryStatus?.[channel]?.sent);
+    if (channels.length === 0) {
+      return { channels, results: [] };
+    }
+
+    await Notification.updateOne({ _id: notification._id }, { $addToSet: { sentVia: { $each: channels } } });
+    notification.sentVia = [...new Set([...(notification.sentVia || []), ...channels])];
+
+    const results = await deliver(notification, channels, loaded.recipient);
+    const retry = results.filter(result => result.retryable).map(result => result.channel);
+    if (retry.length > 0) {
+      await enqueueRetry(notification, retry);
+    }
+
+    return { channels, results };
+  } catch (error) {
+    console.error(`❌ Error dispatching notification ${notification._id}:`, error.message);
+    return { channels: [], results: [], error: error.message };
+  }
+};
+
+/**
+ * Queue a new notification for dispatch by the notification worker, so the
+ * work that created it does not wait for mail or gateways. Never throws.
+ * @param {Object} notification - Saved notification
+ * @param {Object} options - { channels } to limit the channels tried
+ * @returns {Promise<Object|null>} Queued job, null when it could not be queued
+ */
+const queueDispatch = async (notification, options = {}) => {
+  try {
+    return await jobQueue.enqueue(NOTIFICATION_DISPATCH, {
+      notificationId: notification._id.toString(),
+      channels: options.channels || null
+    }, {
+      dedupeKey: `notification-dispatch:${notification._id}`
+    });
+  } catch (error) {
+    console.error(`❌ Error queueing notification ${notification._id}:`, error.message);
+    return null;
+  }
+};
+
+jobQueue.registerHandler(NOTIFICATION_DISPATCH, async (job) => {
+  const { notificationId } = job.payload;
+  const notification = await Notification.findById(notificationId);
+  if (!notification) {
+    return { notificationId, skipped: 'Notification no longer exists' };
+  }
+
+  const { channels, results, error } = await dispatch(notification, { channels: job.payload.channels || undefined });
+  if (error) {
+    throw new Error(error);
+  }
+  return {
+    notificationId,
+    channels,
+    sent: results.filter(result => result.sent).map(result => result.channel)
+  };
+}, {
+  provider: 'notifications'
+});
+
+jobQueue.registerHandler(NOTIFICATION_DELIVERY, async (job) => {
+  const { notificationId } = job.payload;
+  const notification = await Notification.findById(notificationId);
+  const loaded = notification ? await loadRecipient(notification.user) : null;
+  if (!loaded) {
+    return { notificationId, skipped: 'Notification or user no longer exists' };
+  }
+
+  const channels = job.payload.channels.filter(channel => !notification.deliveryStatus[channel]?.sent);
+  const results = await deliver(notification, channels, loaded.recipient);
+
+  const failed = results.filter(result => result.retryable);
+  if (failed.length > 0) {
+    // Later attempts only retry what can still succeed
+    await ProcessingJob.updateOne({ _id: job._id }, { $set: { 'payload.channels': failed.map(result => result.channel) } });
+    throw new Error(failed.map(result => `${result.channel}: ${result.error}`).join('; '));
+  }
+
+  return {
+    notificationId,
+    sent: results.filter(result => result.sent).map(result => result.channel),
+    failed: results.filter(result => result.error).map(result => result.channel)
+  };
+}, {
+  provider: 'notifications'
+});
+
+/**
+ * Start sending queued notifications and retrying failed deliveries in the background
+ */
+const startNotificationWorker = () => {
+  jobQueue.start();
+};
+
+module.exports = {
+  NotificationTransport,
+  CHANNELS,
+  jobQueue,
+  registerTransport,
+  getTransport,
+  resolveChannels,
+  renderMessage,
+  dispatch,
+  queueDispatch,
+  startNotificationWorker
+};
@@ -0,0 +1,29 @@
+const mail = require('../mail');
+const NotificationTransport = require('./baseTransport');
+
+/**
+ * Sends email notifications through the mail service, so MAIL_TRANSPORT
+ * (smtp, file or console) decides how they leave the system.
+ */
+class MailNotificationTransport extends NotificationTransport {
+  constructor() {
+    super('email', 'mail');
+  }
+
+  async send(recipient, message) {
+    const result = await mail.sendTemplate({
+      to: recipient.email,
+      template: 'notification',
+      data: {
+        name: recipient.name,
+        subject: message.subject,
+        text: message.text,
+        actionUrl: message.actionUrl,
+        actionText: message.actionText
+      }
+    });
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = MailNotificationTransport;
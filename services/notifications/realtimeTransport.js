@@ -0,0 +1,21 @@
+const realtime = require('../realtime');
+const NotificationTransport = require('./baseTransport');
+
+/**
+ * Push by the user's open event streams (GET /api/events/stream). Every
+ * notification is already published to the streams when it is created
+ * (NotificationService.createNotification), so nothing is sent again; the
+ * push is pending until the user has a stream open, as they receive the
+ * event on reconnect.
+ */
+class RealtimeTransport extends NotificationTransport {
+  constructor() {
+    super('push', 'realtime');
+  }
+
+  async send(recipient) {
+    return { pending: realtime.getConnectionCount(recipient.id) === 0 };
+  }
+}
+
+module.exports = RealtimeTransport;
@@ -0,0 +1,5 @@
+module.exports = {
+  subject: '{{authorName}} mentioned you on {{entityLabel}}',
+  text: '{{message}}',
+  sms: '{{authorName}} mentioned you on {{entityLabel}}: {{actionUrl}}'
+};
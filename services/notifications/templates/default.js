@@ -0,0 +1,6 @@
+// Used when a notification has no event of its own
+module.exports = {
+  subject: '{{title}}',
+  text: '{{message}}',
+  sms: '{{title}}: {{message}}'
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'Document review: {{documentType}} for {{clientName}}',
+  text: '{{message}}',
+  sms: 'New {{documentType}} to review for {{clientName}}: {{actionUrl}}'
+};
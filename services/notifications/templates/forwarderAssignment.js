@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'New {{stage}} assignment for order {{orderNumber}}',
+  text: '{{message}}',
+  sms: 'You are assigned the {{stage}} stage of order {{orderNumber}}: {{actionUrl}}'
+};
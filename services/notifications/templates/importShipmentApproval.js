@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'Import shipment {{shipmentNumber}} awaiting approval',
+  text: '{{message}}',
+  sms: '{{importerName}} submitted import shipment {{shipmentNumber}} for approval: {{actionUrl}}'
+};
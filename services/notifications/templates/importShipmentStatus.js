@@ -0,0 +1,5 @@
+module.exports = {
+  subject: '{{title}}: {{shipmentNumber}}',
+  text: '{{message}}',
+  sms: '{{message}}'
+};
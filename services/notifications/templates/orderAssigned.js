@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'Order {{orderNumber}} assigned to you',
+  text: '{{message}}',
+  sms: 'Order {{orderNumber}} has been assigned to you: {{actionUrl}}'
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  subject: '{{title}}: order {{orderNumber}}',
+  text: `The review of shipment order {{orderNumber}} is complete.
+
+{{message}}`,
+  sms: '{{title}} for order {{orderNumber}}.'
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'Order {{orderNumber}}: {{title}}',
+  text: '{{message}}',
+  sms: '{{message}}'
+};
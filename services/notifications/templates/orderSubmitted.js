@@ -0,0 +1,5 @@
+module.exports = {
+  subject: 'Shipment order from {{clientName}} awaiting review',
+  text: '{{message}}',
+  sms: 'A shipment order from {{clientName}} is waiting for your review: {{actionUrl}}'
+};
@@ -0,0 +1,507 @@
+/**
+ * Order Consistency Service
+ *
+ * Cross-checks a shipment order against the documents attached to it: the
+ * commercial invoice, packing list and shipping bill. Consignee, invoice
+ * number, currency, total value, total quantity, gross and net weight and
+ * package count are compared across every source that states them, and the
+ * order's products are paired with each document's line items (see
+ * ReconciliationEngine) to compare quantities and HS codes per line.
+ *
+ * Tolerances are the RECON_* settings of the reconciliation engine, plus
+ *   ORDER_CHECK_WEIGHT_TOLERANCE_PERCENT  Percent weight difference allowed (default 0.5)
+ *
+ * Product weights on the order are taken as net weights.
+ */
+
+const Document = require('../schemas/Document');
+const ReconciliationEngine = require('./reconciliationEngine');
+
+const SOURCE_LABELS = {
+  order: 'Order',
+  commercial_invoice: 'Commercial Invoice',
+  packing_list: 'Packing List',
+  shipping_bill: 'Shipping Bill'
+};
+
+// Order slots holding each document, and document types looked for among other documents
+const DOCUMENT_SLOTS = {
+  commercial_invoice: { slot: 'commercialInvoice', types: ['commercial_invoice', 'invoice'] },
+  packing_list: { slot: 'packingList', types: ['packing_list'] },
+  shipping_bill: { slot: 'shippingBill', types: ['shipping_bill'] }
+};
+
+// Kilograms per unit
+const WEIGHT_UNITS = {
+  kg: 1,
+  kgs: 1,
+  kilo: 1,
+  kilos: 1,
+  kilogram: 1,
+  kilograms: 1,
+  g: 0.001,
+  gm: 0.001,
+  gms: 0.001,
+  gram: 0.001,
+  grams: 0.001,
+  lb: 0.45359237,
+  lbs: 0.45359237,
+  pound: 0.45359237,
+  pounds: 0.45359237,
+  mt: 1000,
+  t: 1000,
+  ton: 1000,
+  tons: 1000,
+  tonne: 1000,
+  tonnes: 1000
+};
+
+const round = (value, places = 3) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+class OrderConsistencyService {
+  constructor() {
+    this.engine = new ReconciliationEngine();
+    this.weightTolerancePercent = parseFloat(process.env.ORDER_CHECK_WEIGHT_TOLERANCE_PERCENT || '0.5');
+  }
+
+  /**
+   * Convert a weight to kilograms
+   * @param {*} value - Weight
+   * @param {string} [unit] - Weight unit (kg when not given)
+   * @returns {number|null} Kilograms
+   */
+  normalizeWeight(value, unit) {
+    const amount = this.engine.normalizeAmount(value);
+    if (amount === null) {
+      return null;
+    }
+    // The unit can be part of the value ("1,250 KGS")
+    const unitText = unit || (typeof value === 'string' ? value.replace(/[\d.,\s-]/g, '') : '');
+    const factor = WEIGHT_UNITS[String(unitText || 'kg').trim().toLowerCase().replace(/\.$/, '')];
+    return factor ? round(amount * factor) : null;
+  }
+
+  /**
+   * Sum a numeric field over line items
+   * @returns {number|null} Total, or null when no line states it
+   */
+  sumItems(items, read) {
+    const values = items.map(read).filter(value => value !== null && value !== undefined);
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0)) : null;
+  }
+
+  /**
+   * Map the order onto the fields compared
+   * @param {Object} order - ShipmentOrder document
+   * @returns {Object} Comparable fields
+   */
+  extractOrder(order) {
+    const products = order.products || [];
+    const items = products.map(product => {
+      const quantity = this.engine.normalizeAmount(product.quantity);
+      const totalValue = this.engine.normalizeAmount(product.value);
+      return {
+        description: [product.name, product.description].filter(Boolean).join(' '),
+        hsCode: product.hsCode || '',
+        quantity,
+        unitValue: quantity && totalValue !== null ? totalValue / quantity : null,
+        totalValue
+      };
+    });
+
+    return {
+      consignee: order.orderDetails?.consignee?.name,
+      currency: this.engine.normalizeCurrency(order.financial?.currency),
+      totalValue: this.sumItems(items, item => item.totalValue),
+      totalQuantity: this.sumItems(items, item => item.quantity),
+      netWeight: this.sumItems(products, product => this.normalizeWeight(product.weight)),
+      items
+    };
+  }
+
+  /**
+   * Map a document's structured data onto the fields compared
+   * @param {string} source - commercial_invoice, packing_list or shipping_bill
+   * @param {Object} data - Structured data extracted from the document
+   * @returns {Object} Comparable fields
+   */
+  extractDocument(source, data = {}) {
+    const totals = data.totals || {};
+    const shipment = data.shipment || {};
+    const invoiceDetails = data.invoiceDetails || {};
+    const weightUnit = totals.weightUnit || shipment.weightUnit || data.weightUnit;
+    const rawItems = Array.isArray(data.items) ? data.items : [];
+
+    const items = rawItems.map(item => ({
+      ...this.engine.readLine(item, 1),
+      netWeight: this.normalizeWeight(item.netWeight, item.weightUnit || weightUnit),
+      grossWeight: this.normalizeWeight(item.grossWeight, item.weightUnit || weightUnit),
+      packages: this.engine.normalizeAmount(item.packages)
+    }));
+
+    const fields = {
+      consignee: data.consignee?.name || data.buyer?.name || (typeof data.consignee === 'string' ? data.consignee : undefined),
+      invoiceNumber: source === 'commercial_invoice'
+        ? data.invoiceNumber
+        : invoiceDetails.invoiceNumber || data.invoiceNumber,
+      currency: this.engine.normalizeCurrency(totals.currency || invoiceDetails.currency || data.currency),
+      totalQuantity: this.sumItems(items, item => item.quantity),
+      packages: this.engine.normalizeAmount(totals.packages ?? shipment.packages ?? data.packages)
+        ?? this.sumItems(items, item => item.packages),
+      grossWeight: this.normalizeWeight(totals.grossWeight ?? shipment.grossWeight ?? data.grossWeight, weightUnit)
+        ?? this.sumItems(items, item => item.grossWeight),
+      netWeight: this.normalizeWeight(totals.netWeight ?? shipment.netWeight ?? data.netWeight, weightUnit)
+        ?? this.sumItems(items, item => item.netWeight),
+      items
+    };
+
+    if (source === 'commercial_invoice') {
+      fields.totalValue = this.engine.normalizeAmount(totals.total ?? data.total);
+    } else if (source === 'shipping_bill') {
+      fields.totalValue = this.engine.normalizeAmount(invoiceDetails.invoiceValue);
+      fields.currency = this.engine.normalizeCurrency(invoiceDetails.currency) || fields.currency;
+    }
+    return fields;
+  }
+
+  /**
+   * Find the documents to compare: the order's document slots first, then
+   * other documents of the same type
+   * @param {Object} order - ShipmentOrder document
+   * @returns {Promise<Object>} Documents keyed by source
+   */
+  async loadDocuments(order) {
+    const documents = order.documents || {};
+    const ids = [
+      ...Object.values(DOCUMENT_SLOTS).map(({ slot }) => documents[slot]),
+      ...(documents.otherDocuments || [])
+    ].filter(Boolean);
+
+    if (ids.length === 0) {
+      return {};
+    }
+
+    const found = await Document.find({ _id: { $in: ids } })
+      .select('originalName fileName documentType status structuredData');
+    const byId = new Map(found.map(document => [String(document._id), document]));
+
+    const result = {};
+    Object.entries(DOCUMENT_SLOTS).forEach(([source, { slot, types }]) => {
+      const assigned = documents[slot] && byId.get(String(documents[slot]));
+      const other = (documents.otherDocuments || [])
+        .map(id => byId.get(String(id)))
+        .find(document => document && types.includes(document.documentType));
+      if (assigned || other) {
+        result[source] = assigned || other;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Compare one field across sources against the first source that states it
+   * @param {Object} options - { field, label, values: [{ source, value }], compare, format }
+   * @returns {Object} Check
+   */
+  compareAcross({ field, label, values, compare, format = value => String(value) }) {
+    const stated = values.filter(entry => entry.value !== null && entry.value !== undefined && entry.value !== '');
+    const check = {
+      field,
+      label,
+      values: values.map(entry => ({
+        source: entry.source,
+        value: entry.value === null || entry.value === undefined || entry.value === '' ? 'N/A' : format(entry.value)
+      }))
+    };
+
+    if (stated.length < 2) {
+      return {
+        ...check,
+        status: 'not_compared',
+        severity: 'info',
+        message: stated.length === 0 ? `${label} is not stated on any document` : `${label} is only stated on the ${SOURCE_LABELS[stated[0].source]}`
+      };
+    }
+
+    const reference = stated[0];
+    const outcomes = stated.slice(1).map(entry => ({ entry, ...compare(reference.value, entry.value) }));
+    const mismatches = outcomes.filter(outcome => outcome.status === 'mismatch');
+
+    if (mismatches.length > 0) {
+      return {
+        ...check,
+        status: 'mismatch',
+        severity: 'error',
+        message: mismatches
+          .map(({ entry, detail }) => `${SOURCE_LABELS[entry.source]} (${format(entry.value)}) differs from ${SOURCE_LABELS[reference.source]} (${format(reference.value)})${detail ? `: ${detail}` : ''}`)
+          .join('; ')
+      };
+    }
+
+    const withinTolerance = outcomes.some(outcome => outcome.status === 'within_tolerance');
+    return {
+      ...check,
+      status: withinTolerance ? 'within_tolerance' : 'match',
+      severity: 'info',
+      message: withinTolerance ? `${label} agrees within tolerance` : `${label} agrees`
+    };
+  }
+
+  /**
+   * Numeric comparison with a percent tolerance (and an optional absolute floor)
+   */
+  numberComparer(percent, absolute = 0) {
+    return (reference, value) => {
+      const allowed = Math.max(absolute, (Math.abs(reference) * percent) / 100);
+      const comparison = this.engine.compareNumbers(reference, value, allowed);
+      return {
+        status: comparison.status,
+        detail: comparison.status === 'mismatch' ? `${comparison.difference > 0 ? '+' : ''}${comparison.difference} (${comparison.variancePercent}%)` : ''
+      };
+    };
+  }
+
+  /**
+   * Pair the order's products with a document's lines and compare quantity and HS code
+   * @returns {Array<Object>} Checks
+   */
+  compareLines(source, orderItems, documentItems, tolerances) {
+    const checks = [];
+    const label = SOURCE_LABELS[source];
+    const pairs = this.engine.pairLines(orderItems, documentItems, tolerances);
+    const pairedOrder = new Set(pairs.map(pair => pair.invoiceIndex));
+    const pairedDocument = new Set(pairs.map(pair => pair.boeIndex));
+    const compareQuantity = this.numberComparer(tolerances.quantityPercent);
+
+    pairs.forEach(({ invoiceIndex, boeIndex }) => {
+      const product = orderItems[invoiceIndex];
+      const line = documentItems[boeIndex];
+      const name = `product ${invoiceIndex + 1} (${product.description})`;
+
+      checks.push(this.compareAcross({
+        field: `products.${invoiceIndex}.quantity`,
+        label: `Quantity of ${name} on the ${label}`,
+        values: [{ source: 'order', value: product.quantity }, { source, value: line.quantity }],
+        compare: compareQuantity
+      }));
+
+      checks.push(this.compareAcross({
+        field: `products.${invoiceIndex}.hsCode`,
+        label: `HS code of ${name} on the ${label}`,
+        values: [{ source: 'order', value: product.hsCode }, { source, value: line.hsCode }],
+        compare: (reference, value) => {
+          const hs = this.engine.compareHsCodes(reference, value);
+          return hs && hs.digits === hs.compared
+            ? { status: 'match' }
+            : { status: 'mismatch', detail: hs ? `same up to ${hs.digits} digit(s)` : '' };
+        }
+      }));
+    });
+
+    orderItems.forEach((product, index) => {
+      if (!pairedOrder.has(index)) {
+        checks.push({
+          field: `products.${index}`,
+          label: `Product ${index + 1} on the ${label}`,
+          status: 'mismatch',
+          severity: 'error',
+          message: `${product.description} is not listed on the ${label}`,
+          values: [{ source: 'order', value: product.description }]
+        });
+      }
+    });
+    documentItems.forEach((line, index) => {
+      if (!pairedDocument.has(index)) {
+        checks.push({
+          field: `${source}.items.${index}`,
+          label: `${label} line ${index + 1}`,
+          status: 'mismatch',
+          severity: 'error',
+          message: `${line.description || `Line ${index + 1}`} on the ${label} is not one of the order's products`,
+          values: [{ source, value: line.description || 'N/A' }]
+        });
+      }
+    });
+
+    return checks;
+  }
+
+  /**
+   * Run the consistency check for an order
+   * @param {Object} order - ShipmentOrder document
+   * @returns {Promise<Object>} Report: { status, checkedAt, documents, checks, summary }
+   */
+  async check(order) {
+    const tolerances = this.engine.getTolerances();
+    const documents = await this.loadDocuments(order);
+    const checks = [];
+
+    const sources = { order: this.extractOrder(order) };
+    const documentSummaries = [];
+
+    Object.keys(DOCUMENT_SLOTS).forEach(source => {
+      const document = documents[source];
+      if (!document) {
+        checks.push({
+          field: source,
+          label: SOURCE_LABELS[source],
+          status: 'not_compared',
+          severity: source === 'shipping_bill' ? 'info' : 'warning',
+          message: `No ${SOURCE_LABELS[source]} attached to the order`,
+          values: []
+        });
+        return;
+      }
+
+      const processed = document.status === 'completed' && !!document.structuredData;
+      documentSummaries.push({
+        source,
+        document: document._id,
+        name: document.originalName || document.fileName,
+        processed
+      });
+      if (!processed) {
+        checks.push({
+          field: source,
+          label: SOURCE_LABELS[source],
+          status: 'not_compared',
+          severity: 'warning',
+          message: `${SOURCE_LABELS[source]} has not been processed yet, so it was not compared`,
+          values: []
+        });
+        return;
+      }
+      sources[source] = this.extractDocument(source, document.structuredData);
+    });
+
+    const valuesOf = (key, only) => Object.entries(sources)
+      .filter(([source]) => !only || only.includes(source))
+      .map(([source, fields]) => ({ source, value: fields[key] }));
+
+    // Reference order: the invoice for commercial fields, the packing list for weights and packages
+    const invoiceFirst = ['commercial_invoice', 'order', 'packing_list', 'shipping_bill'];
+    const packingFirst = ['packing_list', 'commercial_invoice', 'shipping_bill', 'order'];
+    const ordered = (key, priority) => valuesOf(key)
+      .sort((a, b) => priority.indexOf(a.source) - priority.indexOf(b.source));
+
+    checks.push(this.compareAcross({
+      field: 'consignee',
+      label: 'Consignee',
+      values: valuesOf('consignee'),
+      compare: (reference, value) => {
+        const similarity = this.engine.partyNameSimilarity(reference, value);
+        return {
+          status: similarity === 1 ? 'match' : (similarity >= tolerances.nameSimilarity ? 'within_tolerance' : 'mismatch'),
+          detail: `${Math.round(similarity * 100)}% similar`
+        };
+      }
+    }));
+
+    checks.push(this.compareAcross({
+      field: 'invoiceNumber',
+      label: 'Invoice number',
+      values: ordered('invoiceNumber', invoiceFirst).filter(entry => entry.source !== 'order'),
+      compare: (reference, value) => {
+        const result = this.engine.compareReference('Invoice number', reference, value);
+        return { status: result.status };
+      }
+    }));
+
+    const currencies = ordered('currency', invoiceFirst);
+    checks.push(this.compareAcross({
+      field: 'currency',
+      label: 'Currency',
+      values: currencies,
+      compare: (reference, value) => ({ status: reference === value ? 'match' : 'mismatch' })
+    }));
+
+    // Values are only comparable between sources in the same currency
+    const referenceCurrency = currencies.find(entry => entry.value)?.value;
+    checks.push(this.compareAcross({
+      field: 'totalValue',
+      label: 'Total value',
+      values: ordered('totalValue', invoiceFirst)
+        .filter(entry => !referenceCurrency || !sources[entry.source].currency || sources[entry.source].currency === referenceCurrency),
+      compare: this.numberComparer(tolerances.amountPercent, tolerances.amountAbsolute)
+    }));
+
+    checks.push(this.compareAcross({
+      field: 'totalQuantity',
+      label: 'Total quantity',
+      values: ordered('totalQuantity', invoiceFirst),
+      compare: this.numberComparer(tolerances.quantityPercent)
+    }));
+
+    checks.push(this.compareAcross({
+      field: 'packages',
+      label: 'Number of packages',
+      values: ordered('packages', packingFirst).filter(entry => entry.source !== 'order'),
+      compare: (reference, value) => ({ status: reference === value ? 'match' : 'mismatch' })
+    }));
+
+    const kg = value => `${value} kg`;
+    checks.push(this.compareAcross({
+      field: 'grossWeight',
+      label: 'Gross weight',
+      values: ordered('grossWeight', packingFirst).filter(entry => entry.source !== 'order'),
+      compare: this.numberComparer(this.weightTolerancePercent),
+      format: kg
+    }));
+
+    checks.push(this.compareAcross({
+      field: 'netWeight',
+      label: 'Net weight',
+      values: ordered('netWeight', packingFirst),
+      compare: this.numberComparer(this.weightTolerancePercent),
+      format: kg
+    }));
+
+    Object.entries(sources).forEach(([source, fields]) => {
+      if (fields.grossWeight !== undefined && fields.grossWeight !== null &&
+          fields.netWeight !== undefined && fields.netWeight !== null &&
+          fields.grossWeight < fields.netWeight) {
+        checks.push({
+          field: `${source}.grossWeight`,
+          label: `Gross weight on the ${SOURCE_LABELS[source]}`,
+          status: 'mismatch',
+          severity: 'error',
+          message: `Gross weight (${fields.grossWeight} kg) is less than net weight (${fields.netWeight} kg) on the ${SOURCE_LABELS[source]}`,
+          values: [{ source, value: `${fields.grossWeight} kg` }]
+        });
+      }
+    });
+
+    Object.keys(DOCUMENT_SLOTS).forEach(source => {
+      if (sources[source] && sources.order.items.length > 0 && sources[source].items.length > 0) {
+        // Unit values only help pair lines when both are in the same currency
+        const sameCurrency = !sources[source].currency || !sources.order.currency ||
+          sources[source].currency === sources.order.currency;
+        const documentItems = sameCurrency
+          ? sources[source].items
+          : sources[source].items.map(item => ({ ...item, unitValue: null }));
+        checks.push(...this.compareLines(source, sources.order.items, documentItems, tolerances));
+      }
+    });
+
+    const errors = checks.filter(check => check.severity === 'error').length;
+    const warnings = checks.filter(check => check.severity === 'warning').length;
+
+    return {
+      status: errors > 0 ? 'failed' : (warnings > 0 ? 'warning' : 'passed'),
+      checkedAt: new Date(),
+      documents: documentSummaries,
+      checks,
+      summary: {
+        checks: checks.length,
+        passed: checks.filter(check => check.status === 'match' || check.status === 'within_tolerance').length,
+        errors,
+        warnings
+      }
+    };
+  }
+}
+
+module.exports = OrderConsistencyService;
@@ -0,0 +1,112 @@
+/**
+ * Password Reset Service
+ *
+ * Issues single-use reset tokens. Only a SHA-256 hash of the token is stored
+ * on the user, with an expiry; the token itself is only sent by email.
+ * Tokens are consumed atomically, and any password change clears them
+ * (see the User pre-save hook).
+ */
+
+const crypto = require('crypto');
+const { User } = require('../schemas');
+const { sendTemplate } = require('./mail');
+
+class PasswordResetService {
+  constructor() {
+    this.tokenTtlMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '60');
+  }
+
+  /**
+   * Hash a reset token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Build the frontend link for a reset token
+   * @param {string} token - Raw token
+   * @returns {string} Reset URL
+   */
+  buildResetUrl(token) {
+    const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password`;
+    return `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${token}`;
+  }
+
+  /**
+   * Start a reset for an email address. Does nothing for unknown or inactive
+   * accounts, so callers can answer the same way either way.
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} True if a reset email was sent
+   */
+  async requestReset(email) {
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+    if (!user || user.status !== 'active') {
+      return false;
+    }
+
+    // A new request replaces any earlier token
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = this.hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + this.tokenTtlMinutes * 60 * 1000);
+    await user.save();
+
+    await sendTemplate({
+      to: user.email,
+      template: 'passwordReset',
+      data: {
+        name: user.name,
+        resetUrl: this.buildResetUrl(token),
+        expiresInMinutes: this.tokenTtlMinutes
+      }
+    });
+
+    console.log(`🔑 Password reset requested for user ${user.id}`);
+    return true;
+  }
+
+  /**
+   * Consume a reset token. The token is cleared in the same update that finds
+   * it, so it cannot be used twice.
+   * @param {string} token - Raw token from the reset link
+   * @returns {Promise<Object|null>} User, or null if the token is invalid or expired
+   */
+  async consumeToken(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    return User.findOneAndUpdate(
+      {
+        passwordResetToken: this.hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Tell a user their password was changed. Failures are logged, not thrown,
+   * because the change itself already succeeded.
+   * @param {Object} user - User document
+   */
+  async notifyPasswordChanged(user) {
+    try {
+      await sendTemplate({
+        to: user.email,
+        template: 'passwordChanged',
+        data: {
+          name: user.name,
+          changedAt: new Date().toUTCString()
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error sending password change email:', error.message);
+    }
+  }
+}
+
+module.exports = PasswordResetService;
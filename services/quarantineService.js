@@ -0,0 +1,100 @@
+/**
+ * Quarantine Service
+ *
+ * Documents and import documents whose file was flagged by the upload
+ * content check (services/contentInspection) are quarantined: they are not
+ * processed and their files cannot be downloaded. Admins review them here;
+ * releasing one queues the AI processing it skipped.
+ */
+
+const mongoose = require('mongoose');
+const { Document, ImportDocument } = require('../schemas');
+const { enqueueDocumentProcessing, enqueueImportDocumentProcessing } = require('./documentJobs');
+
+const TARGETS = {
+  document: {
+    model: Document,
+    owner: 'uploadedBy',
+    released: { status: 'queued' },
+    enqueue: enqueueDocumentProcessing
+  },
+  import_document: {
+    model: ImportDocument,
+    owner: 'importer',
+    released: { status: 'uploaded', 'aiProcessing.status': 'pending' },
+    enqueue: enqueueImportDocumentProcessing
+  }
+};
+
+const SUMMARY_FIELDS = 'originalName documentType status fileSize contentInspection quarantine createdAt';
+
+class QuarantineService {
+  /**
+   * Quarantined records
+   * @param {string} target - document or import_document (default both)
+   * @returns {Promise<Object>} Records per target
+   */
+  async list(target) {
+    const targets = target ? [target] : Object.keys(TARGETS);
+    const records = {};
+    for (const name of targets) {
+      const config = TARGETS[name];
+      if (!config) {
+        throw new Error(`Unknown quarantine target: ${name}`);
+      }
+      records[name] = await config.model.find({ 'quarantine.active': true })
+        .select(`${SUMMARY_FIELDS} ${config.owner}`)
+        .populate(config.owner, 'name email')
+        .sort({ 'quarantine.quarantinedAt': -1 })
+        .lean();
+    }
+    return records;
+  }
+
+  /**
+   * Release a quarantined record and queue its AI processing
+   * @param {string} target - document or import_document
+   * @param {string} id - Record ID
+   * @param {string} userId - Admin
+   * @param {string} note - Why the file is considered safe
+   * @returns {Promise<Object>} { success, statusCode, message, record, job }
+   */
+  async release(target, id, userId, note) {
+    const config = TARGETS[target];
+    if (!config) {
+      return { success: false, statusCode: 400, message: 'Quarantine applies to document and import_document' };
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return { success: false, statusCode: 400, message: 'Invalid record ID' };
+    }
+
+    const record = await config.model.findOneAndUpdate(
+      { _id: id, 'quarantine.active': true },
+      {
+        $set: {
+          'quarantine.active': false,
+          'quarantine.releasedBy': userId,
+          'quarantine.releasedAt': new Date(),
+          'quarantine.releaseNote': note ? String(note).trim() : undefined,
+          ...config.released
+        }
+      },
+      { new: true }
+    ).select(SUMMARY_FIELDS);
+
+    if (!record) {
+      const exists = await config.model.exists({ _id: id });
+      return exists
+        ? { success: false, statusCode: 409, message: 'The record is not quarantined' }
+        : { success: false, statusCode: 404, message: 'Record not found' };
+    }
+
+    const job = await config.enqueue(record._id, { createdBy: userId });
+    console.log(`☣️  Quarantine released for ${target} ${id} by user ${userId}`);
+    return { success: true, record, job };
+  }
+}
+
+QuarantineService.TARGETS = Object.keys(TARGETS);
+
+module.exports = QuarantineService;
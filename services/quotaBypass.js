@@ -1,10 +1,9 @@
-const GeminiService = require('./gemini');
-const ComplianceService = require('./compliance');
+const { getProvider } = require('./aiProviders');
 
 class QuotaBypass {
   constructor() {
-    this.geminiService = new GeminiService();
-    this.complianceService = new ComplianceService();
+    this.ocrProvider = getProvider('ocr');
+    this.complianceProvider = getProvider('compliance');
     this.retryAttempts = 3;
     this.retryDelay = 5000; // 5 seconds
   }
@@ -111,7 +110,7 @@ class QuotaBypass {
   async testGeminiAvailability() {
     try {
       // Simple test call
-      const result = await this.geminiService.extractTextFromDocument(
+      const result = await this.ocrProvider.extractText(
         'test', 'text/plain', 'test'
       );
       return result.success && !result.metadata?.fallback;
@@ -125,7 +124,7 @@ class QuotaBypass {
    */
   async testOpenAIAvailability() {
     try {
-      const result = await this.complianceService.analyzeCompliance(
+      const result = await this.complianceProvider.analyzeCompliance(
         { extractedText: 'test' }, 'test'
       );
       return result.success && !result.metadata?.fallback;
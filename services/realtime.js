@@ -0,0 +1,120 @@
+/**
+ * Realtime Events
+ *
+ * Pushes events to users connected to GET /api/events/stream (Server-Sent
+ * Events). Every event is stored in the RealtimeEvent collection first, so a
+ * client that reconnects with Last-Event-ID receives what it missed. Event
+ * ids are per-user numbers from RealtimeSequence, so replay does not depend
+ * on clocks agreeing across instances:
+ *   notification                a Notification was created for the user
+ *   document.progress           AI processing of one of the user's documents moved on
+ *   forwarder.assignment        the user was assigned a forwarding stage
+ *   forwarder.tracking          a stage of a forwarder assignment the user is on changed
+ *   shipment.tracking           one of the user's shipments changed status
+ *
+ * Live delivery reaches the connections of this process; with several API
+ * instances, clients on other instances receive the event on reconnect.
+ *
+ * Configuration:
+ *   REALTIME_EVENT_RETENTION_HOURS  How long events can be replayed (default 24)
+ *   REALTIME_MAX_REPLAY             Most events replayed on one reconnect (default 500)
+ */
+
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const { RealtimeEvent, RealtimeSequence } = require('../schemas');
+
+const MAX_REPLAY = parseInt(process.env.REALTIME_MAX_REPLAY || '500');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const channel = (userId) => `user:${userId}`;
+
+// Shape sent to clients; ids are the user's event numbers
+const toMessage = (event) => ({
+  id: String(event.seq),
+  type: event.type,
+  data: event.data,
+  createdAt: event.createdAt
+});
+
+/**
+ * Store an event for each user and push it to their open connections.
+ * Never throws: a failed push must not fail the work that triggered it.
+ * @param {Array|string} userIds - Recipients
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object>} { published, delivered } counts of users
+ */
+const publish = async (userIds, type, data = {}) => {
+  const recipients = [...new Set([].concat(userIds || [])
+    .filter(Boolean)
+    .map(id => (id._id || id).toString())
+    .filter(id => mongoose.isValidObjectId(id)))];
+
+  let published = 0;
+  let delivered = 0;
+  for (const userId of recipients) {
+    try {
+      const { seq } = await RealtimeSequence.findOneAndUpdate(
+        { user: userId },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      const event = await RealtimeEvent.create({ user: userId, seq, type, data });
+      published++;
+      if (bus.listenerCount(channel(userId)) > 0) {
+        bus.emit(channel(userId), toMessage(event));
+        delivered++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to publish ${type} event to user ${userId}:`, error.message);
+    }
+  }
+  return { published, delivered };
+};
+
+/**
+ * Receive a user's events as they are published
+ * @param {string} userId - User ID
+ * @param {Function} listener - Called with { id, type, data, createdAt }
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (userId, listener) => {
+  bus.on(channel(userId), listener);
+  return () => bus.off(channel(userId), listener);
+};
+
+/**
+ * Events a user missed after a given event, oldest first
+ * @param {string} userId - User ID
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Promise<Array>} Messages
+ */
+const getEventsSince = async (userId, lastEventId) => {
+  const id = String(lastEventId || '');
+  if (!/^\d+$/.test(id)) {
+    return [];
+  }
+
+  const events = await RealtimeEvent.find({ user: userId, seq: { $gt: Number(id) } })
+    .sort({ seq: 1 })
+    .limit(MAX_REPLAY)
+    .lean();
+  return events.map(toMessage);
+};
+
+/**
+ * Number of open connections of a user on this process
+ * @param {string} userId - User ID
+ * @returns {number} Connections
+ */
+const getConnectionCount = (userId) => bus.listenerCount(channel(userId));
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince,
+  getConnectionCount
+};
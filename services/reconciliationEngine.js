@@ -0,0 +1,734 @@
+/**
+ * Reconciliation Engine
+ *
+ * Compares a commercial invoice with the Bill of Entry filed against it, field
+ * by field and line by line. Values are normalized before comparison (amounts
+ * such as "1,200.00", dates in Indian and ISO formats, currency symbols, party
+ * names with legal suffixes) and numeric differences are judged against
+ * configurable tolerances:
+ *
+ *   RECON_AMOUNT_TOLERANCE             Absolute amount difference allowed (default 1)
+ *   RECON_AMOUNT_TOLERANCE_PERCENT     Percent amount difference allowed (default 0.5)
+ *   RECON_QUANTITY_TOLERANCE_PERCENT   Percent quantity difference allowed (default 0)
+ *   RECON_UNIT_VALUE_TOLERANCE_PERCENT Percent unit value difference allowed (default 1)
+ *   RECON_DATE_TOLERANCE_DAYS          Days two dates may differ (default 0)
+ *   RECON_NAME_SIMILARITY              Minimum party name similarity, 0-1 (default 0.8)
+ *   RECON_DESCRIPTION_SIMILARITY       Minimum goods description similarity, 0-1 (default 0.5)
+ *   RECON_LINE_MATCH_SCORE             Minimum score to pair two line items, 0-1 (default 0.5)
+ *
+ * Invoice lines are paired with BOE lines by description similarity, HS code,
+ * quantity and unit value. When the BOE states line values in another currency
+ * (usually INR), invoice values are converted at the BOE exchange rate, or the
+ * customs import rate in force on the BOE date.
+ */
+
+const ExchangeRateService = require('./exchangeRateService');
+
+const TOLERANCE_ENV = {
+  amountAbsolute: ['RECON_AMOUNT_TOLERANCE', 1],
+  amountPercent: ['RECON_AMOUNT_TOLERANCE_PERCENT', 0.5],
+  quantityPercent: ['RECON_QUANTITY_TOLERANCE_PERCENT', 0],
+  unitValuePercent: ['RECON_UNIT_VALUE_TOLERANCE_PERCENT', 1],
+  dateDays: ['RECON_DATE_TOLERANCE_DAYS', 0],
+  nameSimilarity: ['RECON_NAME_SIMILARITY', 0.8],
+  descriptionSimilarity: ['RECON_DESCRIPTION_SIMILARITY', 0.5],
+  lineMatchScore: ['RECON_LINE_MATCH_SCORE', 0.5]
+};
+
+// Weights of each signal when pairing line items
+const LINE_MATCH_WEIGHTS = {
+  description: 0.35,
+  hsCode: 0.3,
+  quantity: 0.2,
+  unitValue: 0.15
+};
+
+const CURRENCY_SYMBOLS = {
+  '₹': 'INR',
+  'RS': 'INR',
+  'RS.': 'INR',
+  '$': 'USD',
+  'US$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  'S$': 'SGD',
+  'A$': 'AUD',
+  'HK$': 'HKD',
+  'AED': 'AED',
+  'DHS': 'AED'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words that do not distinguish one party from another
+const PARTY_NOISE_WORDS = new Set([
+  'm', 's', 'ms', 'the', 'pvt', 'private', 'ltd', 'limited', 'llc', 'llp', 'inc', 'incorporated',
+  'co', 'company', 'corp', 'corporation', 'gmbh', 'plc', 'pte', 'sa', 'bv', 'ag', 'and'
+]);
+
+// Words that do not distinguish one product from another
+const DESCRIPTION_NOISE_WORDS = new Set([
+  'the', 'of', 'and', 'for', 'with', 'in', 'a', 'an', 'other', 'pcs', 'nos', 'set', 'sets'
+]);
+
+const STATUS_RANK = { match: 0, within_tolerance: 1, missing: 2, mismatch: 3 };
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+class ReconciliationEngine {
+  constructor() {
+    this.exchangeRateService = new ExchangeRateService();
+  }
+
+  /**
+   * Get tolerances from the environment, with per-request overrides
+   * @param {Object} [overrides] - Tolerance values to replace
+   * @returns {Object} Tolerances
+   */
+  getTolerances(overrides = {}) {
+    const tolerances = {};
+    Object.entries(TOLERANCE_ENV).forEach(([key, [envName, fallback]]) => {
+      const override = overrides ? parseFloat(overrides[key]) : NaN;
+      const configured = parseFloat(process.env[envName]);
+      if (!isNaN(override) && override >= 0) {
+        tolerances[key] = override;
+      } else {
+        tolerances[key] = !isNaN(configured) && configured >= 0 ? configured : fallback;
+      }
+    });
+    return tolerances;
+  }
+
+  /**
+   * Parse an amount written as a number or text ("1,200.00", "USD 1200", "1.200,50")
+   * @param {*} value - Amount
+   * @returns {number|null} Amount, or null when it cannot be read
+   */
+  normalizeAmount(value) {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    let text = String(value).replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(text)) {
+      return null;
+    }
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot && text.length - lastComma - 1 !== 3) {
+      // Comma is the decimal separator (1.200,50)
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    return isNaN(amount) ? null : amount;
+  }
+
+  /**
+   * Parse a date in ISO, day-first (15/01/2024, 15-01-2024, 15.01.2024) or
+   * month-name (15-Jan-2024, 15 January 2024) form
+   * @param {*} value - Date
+   * @returns {Date|null} Date at UTC midnight, or null when it cannot be read
+   */
+  normalizeDate(value) {
+    if (!value) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    }
+
+    const text = String(value).trim().toLowerCase();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+      return this.buildDate(+match[1], +match[2], +match[3]);
+    }
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (match) {
+      return this.buildDate(this.expandYear(+match[3]), +match[2], +match[1]);
+    }
+    match = text.match(/^(\d{1,2})[\s/.-]*([a-z]{3})[a-z]*[\s/.,-]*(\d{2,4})$/);
+    if (match && MONTHS.includes(match[2])) {
+      return this.buildDate(this.expandYear(+match[3]), MONTHS.indexOf(match[2]) + 1, +match[1]);
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : this.normalizeDate(parsed);
+  }
+
+  expandYear(year) {
+    return year < 100 ? 2000 + year : year;
+  }
+
+  buildDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Reject dates that rolled over (31/02/2024)
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+
+  /**
+   * Normalize a currency code or symbol
+   * @param {string} value - Currency ("USD", "$", "Rs.", "₹")
+   * @returns {string|null} ISO code
+   */
+  normalizeCurrency(value) {
+    if (!value) {
+      return null;
+    }
+    const text = String(value).trim().toUpperCase();
+    if (CURRENCY_SYMBOLS[text]) {
+      return CURRENCY_SYMBOLS[text];
+    }
+    const code = text.match(/\b[A-Z]{3}\b/);
+    return code ? code[0] : null;
+  }
+
+  /**
+   * Split text into comparable tokens
+   * @param {string} value - Text
+   * @param {Set<string>} noiseWords - Words to drop
+   * @returns {Array<string>} Unique tokens
+   */
+  tokenize(value, noiseWords) {
+    const tokens = String(value || '')
+      .toLowerCase()
+      // Dotted abbreviations (L.L.C., S.A.) become one word
+      .replace(/\b(?:[a-z]\.){2,}/g, match => match.replace(/\./g, ''))
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(token => token && !noiseWords.has(token))
+      // Treat simple plurals as the same word (shirts/shirt)
+      .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+    return [...new Set(tokens)];
+  }
+
+  /**
+   * Dice similarity of two token lists
+   * @returns {number} 0 (nothing in common) to 1 (same tokens)
+   */
+  tokenSimilarity(a, b) {
+    if (a.length === 0 || b.length === 0) {
+      return 0;
+    }
+    const set = new Set(a);
+    const common = b.filter(token => set.has(token)).length;
+    return (2 * common) / (a.length + b.length);
+  }
+
+  /**
+   * Normalize a party name for display and comparison: "M/s. Mock Exports Pvt. Ltd."
+   * and "MOCK EXPORTS PRIVATE LIMITED" both become "exports mock"
+   * @param {string} name - Party name
+   * @returns {string} Sorted significant tokens
+   */
+  normalizePartyName(name) {
+    return this.tokenize(name, PARTY_NOISE_WORDS).sort().join(' ');
+  }
+
+  /**
+   * Similarity of two party names, ignoring word order, punctuation and legal suffixes
+   * @returns {number} 0 to 1
+   */
+  partyNameSimilarity(a, b) {
+    return this.tokenSimilarity(this.tokenize(a, PARTY_NOISE_WORDS), this.tokenize(b, PARTY_NOISE_WORDS));
+  }
+
+  /**
+   * Similarity of two goods descriptions
+   * @returns {number} 0 to 1
+   */
+  descriptionSimilarity(a, b) {
+    return this.tokenSimilarity(this.tokenize(a, DESCRIPTION_NOISE_WORDS), this.tokenize(b, DESCRIPTION_NOISE_WORDS));
+  }
+
+  /**
+   * Compare HS codes at the precision both documents give (up to the 8-digit tariff item)
+   * @returns {Object|null} { digits, compared, score } - matching leading digits, digits compared and a
+   *   0-1 score, or null when a code is missing
+   */
+  compareHsCodes(a, b) {
+    const codeA = String(a || '').replace(/\D/g, '').slice(0, 8);
+    const codeB = String(b || '').replace(/\D/g, '').slice(0, 8);
+    if (codeA.length < 2 || codeB.length < 2) {
+      return null;
+    }
+
+    const length = Math.min(codeA.length, codeB.length);
+    let digits = 0;
+    while (digits < length && codeA[digits] === codeB[digits]) {
+      digits++;
+    }
+    // Only whole levels count: chapter (2), heading (4), subheading (6), tariff item (8)
+    const level = digits - (digits % 2);
+    return { digits: level, score: level === length ? 1 : level / 8, compared: length };
+  }
+
+  /**
+   * Judge a numeric difference against a tolerance
+   * @param {number} invoiceValue - Invoice value (in the comparison currency)
+   * @param {number} boeValue - BOE value
+   * @param {number} allowed - Largest difference still accepted
+   * @returns {Object} { status, difference, variancePercent }
+   */
+  compareNumbers(invoiceValue, boeValue, allowed) {
+    const difference = round(boeValue - invoiceValue, 4);
+    const variancePercent = invoiceValue !== 0
+      ? round((difference / Math.abs(invoiceValue)) * 100)
+      : (difference === 0 ? 0 : 100);
+
+    let status = 'mismatch';
+    if (Math.abs(difference) < 0.005) {
+      status = 'match';
+    } else if (Math.abs(difference) <= allowed + 1e-9) {
+      status = 'within_tolerance';
+    }
+    return { status, difference: round(difference), variancePercent };
+  }
+
+  /**
+   * Build a field result
+   */
+  buildResult(field, invoiceValue, boeValue, comparison, suggestion) {
+    const result = {
+      field,
+      invoiceValue: invoiceValue === undefined || invoiceValue === null || invoiceValue === '' ? 'N/A' : String(invoiceValue),
+      boeValue: boeValue === undefined || boeValue === null || boeValue === '' ? 'N/A' : String(boeValue),
+      status: comparison.status,
+      variance: comparison.variance,
+      suggestion
+    };
+    if (comparison.difference !== undefined) result.difference = comparison.difference;
+    if (comparison.variancePercent !== undefined) result.variancePercent = comparison.variancePercent;
+    if (comparison.similarity !== undefined) result.similarity = comparison.similarity;
+    return result;
+  }
+
+  missingResult(field, invoiceValue, boeValue) {
+    const side = invoiceValue === undefined || invoiceValue === null || invoiceValue === '' ? 'invoice' : 'BOE';
+    return this.buildResult(field, invoiceValue, boeValue, { status: 'missing', variance: 'N/A' },
+      `Not found on the ${side} - please verify manually`);
+  }
+
+  describeVariance(comparison, unit = '') {
+    if (comparison.status === 'match') {
+      return '0%';
+    }
+    const sign = comparison.difference > 0 ? '+' : '';
+    return `${sign}${comparison.difference}${unit} (${sign}${comparison.variancePercent}%)`;
+  }
+
+  /**
+   * Compare two reference numbers, ignoring case, spaces and punctuation
+   */
+  compareReference(field, invoiceValue, boeValue) {
+    if (!invoiceValue || !boeValue) {
+      return this.missingResult(field, invoiceValue, boeValue);
+    }
+    const clean = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const exact = String(invoiceValue).trim() === String(boeValue).trim();
+    const same = clean(invoiceValue) === clean(boeValue);
+    return this.buildResult(field, invoiceValue, boeValue, {
+      status: exact ? 'match' : (same ? 'within_tolerance' : 'mismatch'),
+      variance: same ? '0%' : 'Different values'
+    }, same
+      ? (exact ? 'Perfect match' : 'Same reference written differently')
+      : 'Reference numbers differ - check the BOE was filed against this invoice');
+  }
+
+  compareDate(field, invoiceValue, boeValue, tolerances) {
+    const invoiceDate = this.normalizeDate(invoiceValue);
+    const boeDate = this.normalizeDate(boeValue);
+    if (!invoiceDate || !boeDate) {
+      return this.missingResult(field, invoiceValue, boeValue);
+    }
+
+    const days = Math.round((boeDate - invoiceDate) / (24 * 60 * 60 * 1000));
+    const comparison = {
+      status: days === 0 ? 'match' : (Math.abs(days) <= tolerances.dateDays ? 'within_tolerance' : 'mismatch'),
+      variance: `${days > 0 ? '+' : ''}${days} day(s)`,
+      difference: days
+    };
+    return this.buildResult(field, invoiceDate.toISOString().slice(0, 10), boeDate.toISOString().slice(0, 10), comparison,
+      comparison.status === 'mismatch' ? 'Dates differ - verify the invoice date declared on the BOE' : 'Dates agree');
+  }
+
+  compareParty(field, invoiceValue, boeValue, tolerances) {
+    if (!invoiceValue || !boeValue) {
+      return this.missingResult(field, invoiceValue, boeValue);
+    }
+    const similarity = round(this.partyNameSimilarity(invoiceValue, boeValue));
+    const comparison = {
+      status: similarity === 1 ? 'match' : (similarity >= tolerances.nameSimilarity ? 'within_tolerance' : 'mismatch'),
+      variance: `${round(similarity * 100, 0)}% similar`,
+      similarity
+    };
+    return this.buildResult(field, invoiceValue, boeValue, comparison,
+      comparison.status === 'mismatch' ? 'Party names differ - verify the declared party' : 'Same party');
+  }
+
+  compareCurrency(field, invoiceValue, boeValue) {
+    const invoiceCurrency = this.normalizeCurrency(invoiceValue);
+    const boeCurrency = this.normalizeCurrency(boeValue);
+    if (!invoiceCurrency || !boeCurrency) {
+      return this.missingResult(field, invoiceValue, boeValue);
+    }
+    const same = invoiceCurrency === boeCurrency;
+    return this.buildResult(field, invoiceCurrency, boeCurrency, {
+      status: same ? 'match' : 'mismatch',
+      variance: same ? '0%' : 'Different currencies'
+    }, same ? 'Perfect match' : 'Invoice currency differs from the currency declared on the BOE');
+  }
+
+  compareAmount(field, invoiceValue, boeValue, tolerances, { rate = 1, currency } = {}) {
+    const invoiceAmount = this.normalizeAmount(invoiceValue);
+    const boeAmount = this.normalizeAmount(boeValue);
+    if (invoiceAmount === null || boeAmount === null) {
+      return this.missingResult(field, invoiceValue, boeValue);
+    }
+    if (rate === null) {
+      return this.buildResult(field, invoiceValue, boeValue, { status: 'missing', variance: 'N/A' },
+        `No exchange rate into ${currency} - add one to compare amounts`);
+    }
+
+    const converted = round(invoiceAmount * rate);
+    const allowed = Math.max(tolerances.amountAbsolute, (Math.abs(converted) * tolerances.amountPercent) / 100);
+    const comparison = this.compareNumbers(converted, boeAmount, allowed);
+    comparison.variance = this.describeVariance(comparison);
+    return this.buildResult(field, converted, boeAmount, comparison,
+      comparison.status === 'mismatch' ? 'Amounts differ beyond tolerance - check for short/excess declaration' : 'Amounts agree');
+  }
+
+  /**
+   * Pull the fields compared from invoice structured data
+   */
+  extractInvoice(data) {
+    return {
+      invoiceNumber: data.invoiceNumber,
+      invoiceDate: data.invoiceDate || data.date,
+      supplier: data.supplier?.name || (typeof data.supplier === 'string' ? data.supplier : undefined),
+      buyer: data.buyer?.name || (typeof data.buyer === 'string' ? data.buyer : undefined),
+      currency: this.normalizeCurrency(data.totals?.currency || data.currency),
+      total: data.totals?.total ?? data.total,
+      items: Array.isArray(data.items) ? data.items : []
+    };
+  }
+
+  /**
+   * Pull the fields compared from BOE structured data
+   */
+  extractBoe(data) {
+    const invoiceDetails = data.invoiceDetails || {};
+    return {
+      boeDate: data.boeDate || data.date,
+      invoiceNumber: invoiceDetails.invoiceNumber || data.invoiceNumber,
+      invoiceDate: invoiceDetails.invoiceDate || data.invoiceDate,
+      invoiceValue: invoiceDetails.invoiceValue ?? data.invoiceValue,
+      invoiceCurrency: this.normalizeCurrency(invoiceDetails.currency || data.invoiceCurrency),
+      exchangeRate: this.normalizeAmount(invoiceDetails.exchangeRate ?? data.exchangeRate),
+      supplier: data.supplierDetails?.name || data.supplier?.name || (typeof data.supplier === 'string' ? data.supplier : undefined),
+      importer: data.importerDetails?.name || data.importer,
+      // Line values on a BOE are normally stated in INR
+      lineCurrency: this.normalizeCurrency(data.totals?.currency || data.currency) || ExchangeRateService.BASE_CURRENCY,
+      items: Array.isArray(data.items) ? data.items : []
+    };
+  }
+
+  /**
+   * Find the rate for converting invoice amounts into another currency. A rate
+   * stated on the BOE wins over the exchange rate table.
+   * @param {Object} invoice - Extracted invoice fields
+   * @param {Object} boe - Extracted BOE fields
+   * @param {string} to - Target currency
+   * @returns {Promise<Object>} { rate, source } - rate is null when none is available
+   */
+  async getConversionRate(invoice, boe, to) {
+    const from = invoice.currency || boe.invoiceCurrency || to;
+    if (!to || from === to) {
+      return { rate: 1, source: 'same_currency' };
+    }
+    if (boe.exchangeRate && to === ExchangeRateService.BASE_CURRENCY) {
+      return { rate: boe.exchangeRate, source: 'boe' };
+    }
+
+    const date = this.normalizeDate(boe.boeDate) || this.normalizeDate(invoice.invoiceDate) || new Date();
+    const rate = await this.exchangeRateService.getRate(from, to, { date, rateType: 'customs_import' });
+    return rate ? { rate: rate.rate, source: 'exchange_rate_table' } : { rate: null, source: 'unavailable' };
+  }
+
+  /**
+   * Read the values of a line item
+   */
+  readLine(item, rate) {
+    const quantity = this.normalizeAmount(item.quantity);
+    let unitValue = this.normalizeAmount(item.unitPrice ?? item.unitValue ?? item.rate);
+    let totalValue = this.normalizeAmount(item.totalPrice ?? item.totalValue ?? item.amount);
+    if (unitValue === null && totalValue !== null && quantity) {
+      unitValue = totalValue / quantity;
+    }
+    if (totalValue === null && unitValue !== null && quantity !== null) {
+      totalValue = unitValue * quantity;
+    }
+    return {
+      description: item.description || '',
+      hsCode: item.hsCode || item.hsnCode || '',
+      quantity,
+      unitValue: unitValue !== null && rate !== null ? unitValue * rate : null,
+      totalValue: totalValue !== null && rate !== null ? totalValue * rate : null
+    };
+  }
+
+  /**
+   * Score how likely two lines describe the same goods
+   * @returns {number} 0 to 1
+   */
+  scoreLinePair(invoiceLine, boeLine) {
+    const signals = {};
+    if (invoiceLine.description && boeLine.description) {
+      signals.description = this.descriptionSimilarity(invoiceLine.description, boeLine.description);
+    }
+    const hs = this.compareHsCodes(invoiceLine.hsCode, boeLine.hsCode);
+    if (hs) {
+      signals.hsCode = hs.score;
+    }
+    const closeness = (a, b) => {
+      if (a === null || b === null) return undefined;
+      const larger = Math.max(Math.abs(a), Math.abs(b));
+      return larger === 0 ? 1 : Math.max(0, 1 - Math.abs(a - b) / larger);
+    };
+    signals.quantity = closeness(invoiceLine.quantity, boeLine.quantity);
+    signals.unitValue = closeness(invoiceLine.unitValue, boeLine.unitValue);
+
+    let score = 0;
+    let weight = 0;
+    Object.entries(LINE_MATCH_WEIGHTS).forEach(([signal, signalWeight]) => {
+      if (signals[signal] !== undefined) {
+        score += signals[signal] * signalWeight;
+        weight += signalWeight;
+      }
+    });
+    return weight > 0 ? round(score / weight, 4) : 0;
+  }
+
+  /**
+   * Pair invoice lines with BOE lines, best scores first
+   * @returns {Array<Object>} [{ invoiceIndex, boeIndex, score }]
+   */
+  pairLines(invoiceLines, boeLines, tolerances) {
+    const candidates = [];
+    invoiceLines.forEach((invoiceLine, invoiceIndex) => {
+      boeLines.forEach((boeLine, boeIndex) => {
+        const score = this.scoreLinePair(invoiceLine, boeLine);
+        if (score >= tolerances.lineMatchScore) {
+          candidates.push({ invoiceIndex, boeIndex, score });
+        }
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.invoiceIndex - b.invoiceIndex || a.boeIndex - b.boeIndex);
+
+    const usedInvoice = new Set();
+    const usedBoe = new Set();
+    const pairs = [];
+    candidates.forEach(candidate => {
+      if (!usedInvoice.has(candidate.invoiceIndex) && !usedBoe.has(candidate.boeIndex)) {
+        usedInvoice.add(candidate.invoiceIndex);
+        usedBoe.add(candidate.boeIndex);
+        pairs.push(candidate);
+      }
+    });
+    return pairs.sort((a, b) => a.invoiceIndex - b.invoiceIndex);
+  }
+
+  /**
+   * Field variances for a pair of lines
+   */
+  compareLines(invoiceLine, boeLine, tolerances) {
+    const variances = [];
+
+    const hs = this.compareHsCodes(invoiceLine.hsCode, boeLine.hsCode);
+    if (hs) {
+      const same = hs.digits === hs.compared;
+      variances.push(this.buildResult('HS Code', invoiceLine.hsCode, boeLine.hsCode, {
+        status: same ? 'match' : 'mismatch',
+        variance: same ? '0%' : `Same up to ${hs.digits} digit(s)`
+      }, same ? 'Same classification' : 'Classification differs - check the tariff item on the BOE'));
+    } else {
+      variances.push(this.missingResult('HS Code', invoiceLine.hsCode, boeLine.hsCode));
+    }
+
+    if (invoiceLine.description && boeLine.description) {
+      const similarity = round(this.descriptionSimilarity(invoiceLine.description, boeLine.description));
+      variances.push(this.buildResult('Description', invoiceLine.description, boeLine.description, {
+        status: similarity === 1 ? 'match' : (similarity >= tolerances.descriptionSimilarity ? 'within_tolerance' : 'mismatch'),
+        variance: `${round(similarity * 100, 0)}% similar`,
+        similarity
+      }, similarity >= tolerances.descriptionSimilarity ? 'Descriptions agree' : 'Descriptions differ - check the goods declared'));
+    } else {
+      variances.push(this.missingResult('Description', invoiceLine.description, boeLine.description));
+    }
+
+    const numeric = [
+      ['Quantity', 'quantity', (value) => (Math.abs(value) * tolerances.quantityPercent) / 100,
+        'Quantity differs - check for short or excess shipment'],
+      ['Unit Value', 'unitValue', (value) => (Math.abs(value) * tolerances.unitValuePercent) / 100,
+        'Unit value differs - check for undervaluation or a different price basis'],
+      ['Line Value', 'totalValue', (value) => Math.max(tolerances.amountAbsolute, (Math.abs(value) * tolerances.amountPercent) / 100),
+        'Line value differs beyond tolerance']
+    ];
+    numeric.forEach(([field, key, allowed, mismatchSuggestion]) => {
+      const invoiceValue = invoiceLine[key];
+      const boeValue = boeLine[key];
+      if (invoiceValue === null || boeValue === null) {
+        variances.push(this.missingResult(field, invoiceValue, boeValue));
+        return;
+      }
+      const comparison = this.compareNumbers(invoiceValue, boeValue, allowed(invoiceValue));
+      comparison.variance = this.describeVariance(comparison);
+      variances.push(this.buildResult(field, round(invoiceValue, 4), round(boeValue, 4), comparison,
+        comparison.status === 'mismatch' ? mismatchSuggestion : (comparison.status === 'match' ? 'Perfect match' : 'Within tolerance')));
+    });
+
+    return variances;
+  }
+
+  /**
+   * Worst status among results, ignoring missing data unless nothing was compared
+   */
+  worstStatus(results) {
+    const compared = results.filter(result => result.status !== 'missing');
+    if (compared.length === 0) {
+      return 'missing';
+    }
+    return compared.reduce((worst, result) => (STATUS_RANK[result.status] > STATUS_RANK[worst] ? result.status : worst), 'match');
+  }
+
+  /**
+   * Reconcile an invoice with a Bill of Entry
+   * @param {Object} invoiceData - Invoice structured data
+   * @param {Object} boeData - BOE structured data
+   * @param {Object} [options] - { tolerances }
+   * @returns {Promise<Object>} { matchPercentage, overallStatus, results, lineItems, summary, tolerances }
+   */
+  async reconcile(invoiceData = {}, boeData = {}, options = {}) {
+    const tolerances = this.getTolerances(options.tolerances);
+    const invoice = this.extractInvoice(invoiceData || {});
+    const boe = this.extractBoe(boeData || {});
+    const conversion = await this.getConversionRate(invoice, boe, boe.lineCurrency);
+
+    // Header fields
+    const results = [
+      this.compareReference('Invoice Number', invoice.invoiceNumber, boe.invoiceNumber),
+      this.compareDate('Invoice Date', invoice.invoiceDate, boe.invoiceDate, tolerances),
+      this.compareParty('Supplier', invoice.supplier, boe.supplier, tolerances),
+      this.compareParty('Buyer / Importer', invoice.buyer, boe.importer, tolerances),
+      this.compareCurrency('Currency', invoice.currency, boe.invoiceCurrency)
+    ];
+    // The BOE restates the invoice value, normally in the invoice currency
+    const totalConversion = await this.getConversionRate(invoice, boe, boe.invoiceCurrency);
+    results.push(this.compareAmount('Invoice Value', invoice.total, boe.invoiceValue, tolerances, {
+      rate: totalConversion.rate,
+      currency: boe.invoiceCurrency
+    }));
+
+    // Line items
+    const invoiceLines = invoice.items.map(item => this.readLine(item, conversion.rate));
+    const boeLines = boe.items.map(item => this.readLine(item, 1));
+    const pairs = this.pairLines(invoiceLines, boeLines, tolerances);
+
+    const lineItems = pairs.map(pair => {
+      const variances = this.compareLines(invoiceLines[pair.invoiceIndex], boeLines[pair.boeIndex], tolerances);
+      return {
+        invoiceLine: pair.invoiceIndex + 1,
+        boeLine: pair.boeIndex + 1,
+        invoiceDescription: invoiceLines[pair.invoiceIndex].description,
+        boeDescription: boeLines[pair.boeIndex].description,
+        matchScore: pair.score,
+        status: this.worstStatus(variances),
+        variances
+      };
+    });
+
+    const pairedInvoice = new Set(pairs.map(pair => pair.invoiceIndex));
+    const pairedBoe = new Set(pairs.map(pair => pair.boeIndex));
+    invoiceLines.forEach((line, index) => {
+      if (!pairedInvoice.has(index)) {
+        lineItems.push({
+          invoiceLine: index + 1,
+          invoiceDescription: line.description,
+          status: 'missing_in_boe',
+          variances: []
+        });
+      }
+    });
+    boeLines.forEach((line, index) => {
+      if (!pairedBoe.has(index)) {
+        lineItems.push({
+          boeLine: index + 1,
+          boeDescription: line.description,
+          status: 'missing_in_invoice',
+          variances: []
+        });
+      }
+    });
+
+    // Score: compared header fields plus every line item
+    const comparedFields = results.filter(result => result.status !== 'missing');
+    const passed = (status) => status === 'match' || status === 'within_tolerance';
+    const checks = comparedFields.length + lineItems.length;
+    const passedChecks = comparedFields.filter(result => passed(result.status)).length
+      + lineItems.filter(line => passed(line.status)).length;
+    const matchPercentage = checks > 0 ? Math.round((passedChecks / checks) * 100) : 0;
+
+    const warnings = [];
+    if (conversion.rate === null && invoice.items.length > 0) {
+      warnings.push(`No exchange rate from ${invoice.currency} to ${boe.lineCurrency}; line values were not compared`);
+    }
+
+    return {
+      matchPercentage,
+      overallStatus: this.determineOverallStatus(matchPercentage),
+      results,
+      lineItems,
+      tolerances,
+      summary: {
+        fieldsCompared: comparedFields.length,
+        fieldsMatched: results.filter(result => result.status === 'match').length,
+        fieldsWithinTolerance: results.filter(result => result.status === 'within_tolerance').length,
+        fieldsMismatched: results.filter(result => result.status === 'mismatch').length,
+        fieldsMissing: results.filter(result => result.status === 'missing').length,
+        invoiceLines: invoiceLines.length,
+        boeLines: boeLines.length,
+        linesMatched: pairs.length,
+        linesWithVariance: lineItems.filter(line => line.status === 'mismatch').length,
+        linesMissingInBoe: invoiceLines.length - pairs.length,
+        linesMissingInInvoice: boeLines.length - pairs.length,
+        comparisonCurrency: boe.lineCurrency,
+        exchangeRate: conversion.rate,
+        exchangeRateSource: conversion.source,
+        warnings
+      }
+    };
+  }
+
+  /**
+   * Overall status from the match percentage
+   * @param {number} matchPercentage - 0 to 100
+   * @returns {string} passed, warning or failed
+   */
+  determineOverallStatus(matchPercentage) {
+    if (matchPercentage >= 90) return 'passed';
+    if (matchPercentage >= 70) return 'warning';
+    return 'failed';
+  }
+}
+
+module.exports = ReconciliationEngine;
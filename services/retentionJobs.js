@@ -0,0 +1,68 @@
+/**
+ * Retention Jobs
+ *
+ * Runs the retention purge and the orphan file sweep on a schedule when
+ * RETENTION_PURGE_ENABLED=true. Runs fall on fixed boundaries every
+ * RETENTION_PURGE_INTERVAL_HOURS (default 24, counted from midnight UTC), so
+ * several workers queue the same run only once.
+ */
+
+const JobQueue = require('./jobQueue');
+const RetentionService = require('./retentionService');
+
+const RETENTION_PURGE = 'retention_purge';
+
+const jobQueue = new JobQueue();
+const retentionService = new RetentionService();
+
+const getInterval = () => (parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Queue the next scheduled purge (once per run time)
+ * @returns {Promise<Object>} Queued job
+ */
+const scheduleRetentionPurge = () => {
+  const interval = getInterval();
+  const runAt = new Date((Math.floor(Date.now() / interval) + 1) * interval);
+  return jobQueue.enqueue(RETENTION_PURGE, {}, {
+    dedupeKey: `retention-purge:${runAt.toISOString()}`,
+    runAt
+  });
+};
+
+jobQueue.registerHandler(RETENTION_PURGE, async () => {
+  await scheduleRetentionPurge();
+
+  const purge = await retentionService.purge({ dryRun: false });
+  const orphans = await retentionService.sweepOrphanFiles({ dryRun: false });
+
+  // Keep the job result small: counts only
+  const targets = {};
+  for (const [target, result] of Object.entries(purge.targets)) {
+    const { records, ...counts } = result;
+    targets[target] = counts;
+  }
+  return {
+    targets,
+    orphans: { orphans: orphans.orphans, deleted: orphans.deleted, missing: orphans.missing }
+  };
+}, {
+  provider: 'retention'
+});
+
+/**
+ * Start the scheduled purge if it is enabled
+ */
+const startRetentionWorker = async () => {
+  if (process.env.RETENTION_PURGE_ENABLED !== 'true') {
+    return;
+  }
+  await scheduleRetentionPurge();
+  jobQueue.start();
+};
+
+module.exports = {
+  jobQueue,
+  scheduleRetentionPurge,
+  startRetentionWorker
+};
@@ -0,0 +1,546 @@
+/**
+ * Retention Service
+ *
+ * Deletes records once their retention period is over, together with their
+ * uploaded files and the records that point at them:
+ *   - RetentionPolicy documents set the period per collection (target),
+ *     document type and status. When several match, the longest applies.
+ *   - Documents and import documents no policy covers are kept for the
+ *     dataRetention system setting (e.g. "7 years"; unreadable values such
+ *     as "forever" keep them).
+ *   - Documents under legal hold are never deleted.
+ *
+ * Also reconciles file storage against the filePath values of documents:
+ * files no record points at are orphans and can be swept.
+ */
+
+const mongoose = require('mongoose');
+const {
+  Document,
+  ImportDocument,
+  Notification,
+  ProcessingJob,
+  RetentionPolicy,
+  ShareLink,
+  Comment,
+  DocumentReview,
+  InvoiceValidation,
+  BOEValidation,
+  Shipment,
+  ShipmentOrder,
+  ForwarderAssignment,
+  ForwarderProfile,
+  AuditReport
+} = require('../schemas');
+const DocumentVersionService = require('./documentVersionService');
+const { getSettings } = require('./systemSettings');
+const storage = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records listed in a report; counts cover everything
+const REPORT_LIMIT = 200;
+
+const TARGETS = {
+  document: {
+    model: Document,
+    typeField: 'documentType',
+    statusField: 'status',
+    files: true
+  },
+  import_document: {
+    model: ImportDocument,
+    typeField: 'documentType',
+    statusField: 'status',
+    files: true
+  },
+  notification: {
+    model: Notification,
+    typeField: 'category',
+    statusField: 'status'
+  },
+  processing_job: {
+    model: ProcessingJob,
+    typeField: 'type',
+    statusField: 'status',
+    // Jobs still to run are never purged
+    query: { status: { $nin: ['queued', 'running'] } }
+  }
+};
+
+const PERIOD_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+const documentVersionService = new DocumentVersionService();
+
+class RetentionService {
+  constructor() {
+    this.batchSize = parseInt(process.env.RETENTION_PURGE_BATCH_SIZE) || 500;
+    this.orphanGraceMs = (parseFloat(process.env.RETENTION_ORPHAN_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Read a period such as "7 years", "1-year" or "90 days"
+   * @param {string} value - Period
+   * @returns {number|null} Days, or null when it is not a period (e.g. "forever")
+   */
+  parseRetentionPeriod(value) {
+    const match = String(value || '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*-?\s*(day|week|month|year)s?/);
+    return match ? Math.round(parseFloat(match[1]) * PERIOD_DAYS[match[2]]) : null;
+  }
+
+  /**
+   * Validate the fields of a policy being created or updated
+   * @param {Object} data - { name, description, target, documentTypes, statuses, retentionDays, active }
+   * @param {Object} existing - Policy being updated
+   * @returns {Object} { success, statusCode, message, values }
+   */
+  validatePolicy(data, existing = null) {
+    const values = {};
+
+    if (!existing || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) {
+        return { success: false, statusCode: 400, message: 'name is required' };
+      }
+      values.name = String(data.name).trim();
+    }
+    if (data.description !== undefined) {
+      values.description = data.description;
+    }
+
+    const target = data.target !== undefined ? data.target : existing?.target;
+    if (!TARGETS[target]) {
+      return { success: false, statusCode: 400, message: `target must be one of: ${Object.keys(TARGETS).join(', ')}` };
+    }
+    if (data.target !== undefined) {
+      values.target = target;
+    }
+
+    const config = TARGETS[target];
+    const lists = { documentTypes: config.typeField, statuses: config.statusField };
+    for (const [field, schemaPath] of Object.entries(lists)) {
+      if (data[field] === undefined) {
+        continue;
+      }
+      const entries = [].concat(data[field] || []).map(String);
+      const allowed = config.model.schema.path(schemaPath)?.enumValues || [];
+      const invalid = allowed.length > 0 ? entries.filter(entry => !allowed.includes(entry)) : [];
+      if (invalid.length > 0) {
+        return { success: false, statusCode: 400, message: `Invalid ${field} for ${target}: ${invalid.join(', ')}` };
+      }
+      values[field] = [...new Set(entries)];
+    }
+
+    if (!existing || data.retentionDays !== undefined) {
+      const retentionDays = Number(data.retentionDays);
+      if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+        return { success: false, statusCode: 400, message: 'retentionDays must be a whole number of days' };
+      }
+      values.retentionDays = retentionDays;
+    }
+
+    if (data.active !== undefined) {
+      values.active = data.active === true || data.active === 'true';
+    }
+
+    return { success: true, values };
+  }
+
+  /**
+   * Retention of a record: the longest matching policy, else the default
+   * @param {Object} record - Record
+   * @param {Object} config - Target configuration
+   * @param {Array} policies - Active policies of the target
+   * @param {number|null} defaultDays - Retention when no policy matches
+   * @returns {Object} { days, policy }
+   */
+  getRetention(record, config, policies, defaultDays) {
+    const matching = policies.filter(policy => {
+      const types = policy.documentTypes || [];
+      const statuses = policy.statuses || [];
+      return (types.length === 0 || types.includes(record[config.typeField])) &&
+        (statuses.length === 0 || statuses.includes(record[config.statusField]));
+    });
+
+    if (matching.length === 0) {
+      return { days: defaultDays, policy: null };
+    }
+    const policy = matching.reduce((longest, candidate) =>
+      candidate.retentionDays > longest.retentionDays ? candidate : longest);
+    return { days: policy.retentionDays, policy };
+  }
+
+  /**
+   * Find expired records and, unless this is a dry run, delete them
+   * @param {Object} options - { dryRun (default true), targets, limit per target }
+   * @returns {Promise<Object>} Report per target
+   */
+  async purge(options = {}) {
+    const dryRun = options.dryRun !== false;
+    const limit = options.limit || this.batchSize;
+    const targets = options.targets || Object.keys(TARGETS);
+
+    const invalid = targets.filter(target => !TARGETS[target]);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown retention target: ${invalid.join(', ')}`);
+    }
+
+    const { dataRetention } = await getSettings();
+    const defaultDays = this.parseRetentionPeriod(dataRetention);
+    const policies = await RetentionPolicy.find({ active: true, target: { $in: targets } }).lean();
+
+    const report = {
+      dryRun,
+      startedAt: new Date(),
+      dataRetention: { setting: dataRetention, days: defaultDays },
+      targets: {}
+    };
+
+    for (const target of targets) {
+      report.targets[target] = await this.purgeTarget(
+        target,
+        policies.filter(policy => policy.target === target),
+        TARGETS[target].files ? defaultDays : null,
+        { dryRun, limit }
+      );
+    }
+
+    report.finishedAt = new Date();
+    const totals = Object.values(report.targets).reduce((sum, result) => ({
+      expired: sum.expired + result.expired,
+      deleted: sum.deleted + result.deleted
+    }), { expired: 0, deleted: 0 });
+    console.log(`🗑️  Retention ${dryRun ? 'dry run' : 'purge'}: ${totals.expired} expired, ${totals.deleted} deleted`);
+    return report;
+  }
+
+  async purgeTarget(target, policies, defaultDays, { dryRun, limit }) {
+    const config = TARGETS[target];
+    const result = {
+      policies: policies.length,
+      examined: 0,
+      expired: 0,
+      onHold: 0,
+      deleted: 0,
+      failed: 0,
+      filesDeleted: 0,
+      more: false,
+      records: []
+    };
+
+    const periods = [...policies.map(policy => policy.retentionDays), defaultDays].filter(Boolean);
+    if (periods.length === 0) {
+      return result;
+    }
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - Math.min(...periods) * DAY_MS);
+    const fields = ['createdAt', config.typeField, config.statusField];
+    if (config.files) {
+      fields.push('legalHold', 'filePath', 'previousVersions.filePath');
+    }
+
+    const cursor = config.model.find({ createdAt: { $lt: cutoff }, ...(config.query || {}) })
+      .select(fields.join(' '))
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    for await (const record of cursor) {
+      result.examined++;
+      const { days, policy } = this.getRetention(record, config, policies, defaultDays);
+      const expiresAt = days ? new Date(record.createdAt.getTime() + days * DAY_MS) : null;
+      if (!expiresAt || expiresAt > now) {
+        continue;
+      }
+      if (record.legalHold?.active) {
+        result.onHold++;
+        continue;
+      }
+      if (result.expired >= limit) {
+        result.more = true;
+        break;
+      }
+
+      result.expired++;
+      if (result.records.length < REPORT_LIMIT) {
+        result.records.push({
+          id: record._id,
+          type: record[config.typeField],
+          status: record[config.statusField],
+          createdAt: record.createdAt,
+          expiresAt,
+          policy: policy ? policy.name : 'dataRetention setting'
+        });
+      }
+
+      if (!dryRun) {
+        try {
+          const deletion = await this.deleteRecord(target, record);
+          if (deletion.deleted) {
+            result.deleted++;
+            result.filesDeleted += deletion.filesDeleted;
+          }
+        } catch (error) {
+          result.failed++;
+          console.error(`❌ Retention purge of ${target} ${record._id} failed:`, error.message);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a record, its files and whatever points at it. Records under
+   * legal hold are left alone.
+   * @param {string} target - document, import_document, notification or processing_job
+   * @param {Object} record - Record (documents need filePath and previousVersions)
+   * @returns {Promise<Object>} { deleted, filesDeleted }
+   */
+  async deleteRecord(target, record) {
+    const config = TARGETS[target];
+    const id = record._id;
+
+    const filter = { _id: id };
+    if (config.files) {
+      filter['legalHold.active'] = { $ne: true };
+    }
+    const { deletedCount } = await config.model.deleteOne(filter);
+    if (!deletedCount) {
+      return { deleted: false, filesDeleted: 0 };
+    }
+
+    if (target === 'document') {
+      await this.removeDocumentReferences(id);
+    }
+    if (config.files) {
+      await ProcessingJob.updateMany(
+        { 'payload.documentId': String(id), status: 'queued' },
+        { $set: { status: 'cancelled' } }
+      );
+    }
+
+    // Files go after the record: a file left behind by a failure is swept as an orphan
+    const filesDeleted = config.files ? await this.deleteFiles(documentVersionService.getFilePaths(record)) : 0;
+    return { deleted: true, filesDeleted };
+  }
+
+  /**
+   * Delete or unlink the records that point at a deleted Document. The audit
+   * trail is kept.
+   * @param {ObjectId} id - Document ID
+   */
+  async removeDocumentReferences(id) {
+    await Promise.all([
+      ShareLink.deleteMany({ document: id }),
+      Comment.deleteMany({ entityType: 'document', entityId: id }),
+      DocumentReview.deleteMany({ document: id }),
+      InvoiceValidation.deleteMany({ document: id }),
+      BOEValidation.deleteMany({ $or: [{ invoiceDocument: id }, { boeDocument: id }] }),
+      Notification.updateMany({ 'metadata.documentId': id }, { $unset: { 'metadata.documentId': '' } }),
+      Shipment.updateMany({ documents: id }, { $pull: { documents: id } }),
+      AuditReport.updateMany({ documents: id }, { $pull: { documents: id } }),
+      ...['commercialInvoice', 'packingList', 'shippingBill'].map(field => ShipmentOrder.updateMany(
+        { [`documents.${field}`]: id },
+        { $unset: { [`documents.${field}`]: '' } }
+      )),
+      ShipmentOrder.updateMany(
+        { $or: [{ 'documents.certificates': id }, { 'documents.otherDocuments': id }, { 'consistencyCheck.documents.document': id }] },
+        { $pull: { 'documents.certificates': id, 'documents.otherDocuments': id, 'consistencyCheck.documents': { document: id } } }
+      ),
+      ForwarderAssignment.updateMany(
+        { $or: [{ 'assignedForwarders.documents': id }, { 'tracking.documents': id }] },
+        { $pull: { 'assignedForwarders.$[].documents': id, 'tracking.$[].documents': id } }
+      ),
+      ForwarderProfile.updateMany(
+        { 'certifications.document': id },
+        { $unset: { 'certifications.$[certification].document': '' } },
+        { arrayFilters: [{ 'certification.document': id }] }
+      ),
+      ForwarderProfile.updateMany({ 'insurance.document': id }, { $unset: { 'insurance.document': '' } })
+    ]);
+  }
+
+  /**
+   * Release the files of a deleted record. Files other records still use
+   * (uploads of the same content share one file) are kept.
+   * @param {Array<string>} locations - filePath values
+   * @returns {Promise<number>} Files deleted
+   */
+  async deleteFiles(locations) {
+    let deleted = 0;
+    for (const location of new Set(locations)) {
+      try {
+        if (await storage.releaseFile(location)) {
+          deleted++;
+        }
+      } catch (error) {
+        console.error(`❌ Error deleting file ${location}:`, error.message);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Place or release a legal hold
+   * @param {string} target - document or import_document
+   * @param {string} id - Record ID
+   * @param {boolean} active - Place (true) or release (false)
+   * @param {string} userId - Admin
+   * @param {string} reason - Why the record is held (required to place)
+   * @returns {Promise<Object>} { success, statusCode, message, record }
+   */
+  async setLegalHold(target, id, active, userId, reason) {
+    if (!TARGETS[target]?.files) {
+      return { success: false, statusCode: 400, message: 'Legal holds apply to document and import_document' };
+    }
+    if (!mongoose.isValidObjectId(id)) {
+      return { success: false, statusCode: 400, message: 'Invalid record ID' };
+    }
+    if (active && (!reason || !String(reason).trim())) {
+      return { success: false, statusCode: 400, message: 'reason is required to place a legal hold' };
+    }
+
+    const update = active
+      ? { legalHold: { active: true, reason: String(reason).trim(), placedBy: userId, placedAt: new Date() } }
+      : { 'legalHold.active': false, 'legalHold.releasedBy': userId, 'legalHold.releasedAt': new Date() };
+    const record = await TARGETS[target].model.findByIdAndUpdate(id, { $set: update }, { new: true })
+      .select('originalName documentType status legalHold createdAt');
+    if (!record) {
+      return { success: false, statusCode: 404, message: 'Record not found' };
+    }
+
+    console.log(`⚖️  Legal hold ${active ? 'placed on' : 'released from'} ${target} ${id}`);
+    return { success: true, record };
+  }
+
+  /**
+   * Records under legal hold
+   * @param {string} target - document or import_document (default both)
+   * @returns {Promise<Object>} Records per target
+   */
+  async getLegalHolds(target) {
+    const targets = target ? [target] : Object.keys(TARGETS).filter(name => TARGETS[name].files);
+    const holds = {};
+    for (const name of targets) {
+      if (!TARGETS[name]?.files) {
+        throw new Error(`Legal holds do not apply to ${name}`);
+      }
+      holds[name] = await TARGETS[name].model.find({ 'legalHold.active': true })
+        .select('originalName documentType status legalHold createdAt')
+        .populate('legalHold.placedBy', 'name email')
+        .sort({ 'legalHold.placedAt': -1 })
+        .lean();
+    }
+    return holds;
+  }
+
+  /**
+   * Compare stored files with the files documents point at. Files no record
+   * uses and older than RETENTION_ORPHAN_GRACE_HOURS (so uploads in progress
+   * are spared) are orphans; records whose files are gone are reported as
+   * missing. The local driver, the configured driver and every driver a
+   * record uses are scanned.
+   * @param {Object} options - { dryRun (default true) }
+   * @returns {Promise<Object>} Report
+   */
+  async sweepOrphanFiles(options = {}) {
+    const dryRun = options.dryRun !== false;
+    const drivers = new Set(['local', storage.getDefaultDriverName()]);
+    const report = {
+      dryRun,
+      drivers: [],
+      scanned: 0,
+      referenced: 0,
+      orphans: 0,
+      orphanBytes: 0,
+      deleted: 0,
+      files: [],
+      missing: 0,
+      missingFiles: []
+    };
+
+    const references = [];
+    const referenced = new Set();
+    for (const target of Object.keys(TARGETS).filter(name => TARGETS[name].files)) {
+      const cursor = TARGETS[target].model.find({})
+        .select('filePath previousVersions.filePath')
+        .lean()
+        .cursor();
+      for await (const record of cursor) {
+        for (const location of documentVersionService.getFilePaths(record)) {
+          const { driver } = storage.parseLocation(location);
+          if (driver !== storage.LEGACY) {
+            drivers.add(driver);
+          }
+          references.push({ target, id: record._id, location });
+          referenced.add(this.fileIdentity(location));
+        }
+      }
+    }
+    report.referenced = referenced.size;
+    report.drivers = [...drivers];
+
+    const present = new Set();
+    const graceCutoff = Date.now() - this.orphanGraceMs;
+    for (const name of drivers) {
+      const driver = storage.getDriver(name);
+      for await (const object of driver.list('')) {
+        const location = storage.toLocation(name, object.key);
+        const identity = this.fileIdentity(location);
+        report.scanned++;
+        present.add(identity);
+        if (referenced.has(identity) || (object.lastModified && object.lastModified.getTime() > graceCutoff)) {
+          continue;
+        }
+
+        report.orphans++;
+        report.orphanBytes += object.size;
+        if (report.files.length < REPORT_LIMIT) {
+          report.files.push({ location, size: object.size, modifiedAt: object.lastModified });
+        }
+        if (!dryRun) {
+          // Checked again under the file's lock: an upload may have started
+          // using the file since the references were read
+          try {
+            if (await storage.releaseFile(location)) {
+              report.deleted++;
+            }
+          } catch (error) {
+            console.error(`❌ Error deleting file ${location}:`, error.message);
+          }
+        }
+      }
+    }
+
+    // Files outside the scanned storage (e.g. old absolute paths) are checked one by one
+    for (const reference of references) {
+      if (present.has(this.fileIdentity(reference.location)) || await storage.stat(reference.location)) {
+        continue;
+      }
+      report.missing++;
+      if (report.missingFiles.length < REPORT_LIMIT) {
+        report.missingFiles.push({ target: reference.target, id: reference.id, filePath: reference.location });
+      }
+    }
+
+    console.log(`🧹 Orphan file ${dryRun ? 'check' : 'sweep'}: ${report.orphans} orphans, ${report.deleted} deleted, ${report.missing} missing`);
+    return report;
+  }
+
+  // Files on this server's disk are compared by absolute path, since old
+  // filePath values and local storage keys can name the same file
+  fileIdentity(location) {
+    const { driver, key } = storage.parseLocation(location);
+    try {
+      const localPath = storage.getDriver(driver).localPath(key);
+      return localPath ? `file:${localPath}` : storage.toLocation(driver, key);
+    } catch (error) {
+      return location;
+    }
+  }
+}
+
+RetentionService.TARGETS = Object.keys(TARGETS);
+
+module.exports = RetentionService;
@@ -0,0 +1,256 @@
+/**
+ * Session Service
+ *
+ * Issues access tokens bound to a server-side Session and rotating refresh
+ * tokens. The auth middleware checks the session on every request, so logout,
+ * revocation and account deactivation take effect immediately rather than when
+ * the JWT expires.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User, UserSettings } = require('../schemas');
+const { getSettings } = require('./systemSettings');
+
+const DEFAULT_SESSION_TIMEOUT_HOURS = 24;
+
+// Only write lastUsedAt once a minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class SessionService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
+    // Tokens without a session cannot be revoked, so they are refused unless
+    // AUTH_REQUIRE_SESSION=false (e.g. while old tokens run out after an upgrade)
+    this.requireSession = process.env.AUTH_REQUIRE_SESSION !== 'false';
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Get a user's session timeout (UserSettings.security.sessionTimeout)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Timeout in hours
+   */
+  async getSessionTimeoutHours(userId) {
+    const settings = await UserSettings.findOne({ user: userId }).select('security.sessionTimeout').lean();
+    const hours = settings?.security?.sessionTimeout;
+    return hours > 0 ? hours : DEFAULT_SESSION_TIMEOUT_HOURS;
+  }
+
+  /**
+   * Lifetime of new access tokens: the sessionDuration system setting, in
+   * hours (JWT_EXPIRES_IN if it cannot be used)
+   * @returns {Promise<string|number>} jsonwebtoken expiresIn
+   */
+  async getAccessTokenExpiresIn() {
+    const { sessionDuration } = await getSettings();
+    return sessionDuration > 0 ? `${sessionDuration}h` : this.accessTokenExpiresIn;
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @param {string|number} expiresIn - Token lifetime (default JWT_EXPIRES_IN)
+   * @returns {string} JWT
+   */
+  signAccessToken(user, session, expiresIn = this.accessTokenExpiresIn) {
+    return jwt.sign(
+      {
+        user: {
+          id: user.id || String(user._id),
+          role: user.role
+        },
+        sid: String(session._id)
+      },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Start a session after a successful login or registration
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for user agent and IP)
+   * @returns {Promise<Object>} { token, refreshToken, sessionId, expiresAt }
+   */
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const timeoutHours = await this.getSessionTimeoutHours(user._id);
+
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + timeoutHours * 60 * 60 * 1000)
+    });
+    await session.save();
+
+    return {
+      token: this.signAccessToken(user, session, await this.getAccessTokenExpiresIn()),
+      refreshToken,
+      sessionId: session.id,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Presenting a refresh token that was already rotated revokes the session,
+   * since it means the token was copied.
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object|null>} { token, refreshToken, sessionId, expiresAt } or null
+   */
+  async refresh(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return null;
+    }
+    const hash = this.hashToken(refreshToken);
+
+    const reused = await Session.findOne({ previousRefreshTokenHash: hash, revokedAt: null });
+    if (reused) {
+      await this.revokeSession(reused._id, 'refresh_token_reuse');
+      console.log(`⚠️ Refresh token reuse detected, session ${reused.id} revoked`);
+      return null;
+    }
+
+    const session = await Session.findOne({
+      refreshTokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!session) {
+      return null;
+    }
+
+    const user = await User.findById(session.user).select('role status');
+    if (!user || user.status !== 'active') {
+      await this.revokeSession(session._id, 'deactivated');
+      return null;
+    }
+
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    const timeoutHours = await this.getSessionTimeoutHours(user._id);
+
+    // Rotate only if nobody rotated this token in the meantime
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(nextRefreshToken),
+          previousRefreshTokenHash: hash,
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + timeoutHours * 60 * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    return {
+      token: this.signAccessToken(user, updated, await this.getAccessTokenExpiresIn()),
+      refreshToken: nextRefreshToken,
+      sessionId: updated.id,
+      expiresAt: updated.expiresAt
+    };
+  }
+
+  /**
+   * Check that a decoded access token may still be used
+   * @param {Object} decoded - Verified JWT payload
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async verifyToken(decoded) {
+    const userId = decoded.user?.id || decoded.user?._id || decoded.id;
+
+    if (!decoded.sid) {
+      // Tokens issued before sessions existed (or by scripts), only accepted
+      // when sessions are not required: check the account
+      if (this.requireSession) {
+        return { valid: false, reason: 'Session required, please log in again' };
+      }
+      const user = userId ? await User.findById(userId).select('status').lean() : null;
+      return user && user.status === 'active'
+        ? { valid: true }
+        : { valid: false, reason: 'Account is not active' };
+    }
+
+    const session = await Session.findById(decoded.sid).populate('user', 'status').lean();
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return { valid: false, reason: 'Session has expired or been revoked' };
+    }
+    if (!session.user || String(session.user._id) !== String(userId) || session.user.status !== 'active') {
+      return { valid: false, reason: 'Account is not active' };
+    }
+
+    if (Date.now() - new Date(session.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } }).catch(err => {
+        console.error('❌ Error updating session:', err.message);
+      });
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ipAddress lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} [options] - { userId (only revoke if owned by), revokedBy }
+   * @returns {Promise<boolean>} True if an active session was revoked
+   */
+  async revokeSession(sessionId, reason, { userId, revokedBy } = {}) {
+    const query = { _id: sessionId, revokedAt: null };
+    if (userId) query.user = userId;
+
+    const result = await Session.updateOne(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} [options] - { exceptSessionId, revokedBy }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason, { exceptSessionId, revokedBy } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+    if (result.modifiedCount > 0) {
+      console.log(`🔒 Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+    }
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,328 @@
+/**
+ * Share Link Service
+ *
+ * External links to a document for recipients without an account. Links are
+ * random tokens of which only a SHA-256 hash is stored, and are limited by:
+ *   expiry          SHARE_LINK_DEFAULT_TTL_HOURS (default 72), at most SHARE_LINK_MAX_TTL_HOURS (default 720)
+ *   password        optional, stored as a bcrypt hash
+ *   maxDownloads    optional, counted atomically
+ *   revocation      by anyone who may share the document
+ *
+ * Every use of a link is written to the audit trail of the document, on
+ * behalf of the user who created the link.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ShareLink, AuditTrail } = require('../schemas');
+const AuditService = require('./auditService');
+
+const auditService = new AuditService();
+
+// Audit trail actions written for link activity
+const ACTIONS = {
+  created: 'share_link_created',
+  viewed: 'share_link_viewed',
+  downloaded: 'share_link_downloaded',
+  denied: 'share_link_denied',
+  revoked: 'share_link_revoked'
+};
+
+class ShareLinkService {
+  constructor() {
+    this.defaultTtlHours = parseFloat(process.env.SHARE_LINK_DEFAULT_TTL_HOURS || '72');
+    this.maxTtlHours = parseFloat(process.env.SHARE_LINK_MAX_TTL_HOURS || '720');
+  }
+
+  /**
+   * Hash a link token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Build the public URL for a link token
+   * @param {string} token - Raw token
+   * @returns {string} Share URL
+   */
+  buildUrl(token) {
+    const baseUrl = process.env.SHARE_LINK_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/share`;
+    return `${baseUrl.replace(/\/$/, '')}/${token}`;
+  }
+
+  /**
+   * Current state of a link
+   * @param {Object} link - ShareLink
+   * @returns {string} active, revoked, expired or exhausted
+   */
+  getStatus(link) {
+    if (link.revokedAt) return 'revoked';
+    if (link.expiresAt <= new Date()) return 'expired';
+    if (link.maxDownloads && link.downloadCount >= link.maxDownloads) return 'exhausted';
+    return 'active';
+  }
+
+  /**
+   * Watermark details for a download, so the recipient and the link can be
+   * traced from a leaked copy
+   * @param {Object} link - ShareLink
+   * @param {Object} document - Shared document
+   * @returns {Object|null} { text, recipient, linkId, issuedAt }
+   */
+  getWatermark(link, document) {
+    if (!link.watermark || link.watermark.enabled === false) {
+      return null;
+    }
+    const recipient = link.recipient?.name || link.recipient?.email || 'external recipient';
+    const issuedAt = new Date();
+    return {
+      text: link.watermark.text ||
+        `Shared with ${recipient}${link.recipient?.company ? ` (${link.recipient.company})` : ''} - ${document.originalName} - ${issuedAt.toISOString().split('T')[0]}`,
+      recipient,
+      linkId: link._id,
+      issuedAt
+    };
+  }
+
+  /**
+   * Link details for the document owner. Never includes the token.
+   * @param {Object} link - ShareLink
+   * @returns {Object} Link summary
+   */
+  serialize(link) {
+    return {
+      id: link._id,
+      document: link.document,
+      createdBy: link.createdBy,
+      status: this.getStatus(link),
+      expiresAt: link.expiresAt,
+      requiresPassword: link.requiresPassword,
+      maxDownloads: link.maxDownloads || null,
+      downloadCount: link.downloadCount,
+      downloadsRemaining: link.maxDownloads ? Math.max(link.maxDownloads - link.downloadCount, 0) : null,
+      viewCount: link.viewCount,
+      lastAccessedAt: link.lastAccessedAt,
+      recipient: link.recipient,
+      purpose: link.purpose,
+      watermark: link.watermark,
+      revokedAt: link.revokedAt,
+      revokedBy: link.revokedBy,
+      revokedReason: link.revokedReason,
+      createdAt: link.createdAt
+    };
+  }
+
+  /**
+   * Create a share link for a document
+   * @param {Object} document - Document to share
+   * @param {Object} user - req.user
+   * @param {Object} options - { expiresInHours, password, maxDownloads, recipient, purpose, watermark }
+   * @returns {Promise<Object>} { success, link, token, url } or { success: false, message }
+   */
+  async createLink(document, user, options = {}) {
+    const expiresInHours = options.expiresInHours === undefined ? this.defaultTtlHours : Number(options.expiresInHours);
+    if (!Number.isFinite(expiresInHours) || expiresInHours <= 0) {
+      return { success: false, message: 'expiresInHours must be a positive number' };
+    }
+    if (expiresInHours > this.maxTtlHours) {
+      return { success: false, message: `Share links can last at most ${this.maxTtlHours} hours` };
+    }
+
+    let maxDownloads;
+    if (options.maxDownloads !== undefined && options.maxDownloads !== null) {
+      maxDownloads = Number(options.maxDownloads);
+      if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+        return { success: false, message: 'maxDownloads must be a positive whole number' };
+      }
+    }
+
+    if (options.password !== undefined && (typeof options.password !== 'string' || options.password.length < 6)) {
+      return { success: false, message: 'Share link passwords must be at least 6 characters' };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const link = new ShareLink({
+      document: document._id,
+      tokenHash: this.hashToken(token),
+      createdBy: user.id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      passwordHash: options.password ? await bcrypt.hash(options.password, 10) : undefined,
+      requiresPassword: !!options.password,
+      maxDownloads,
+      recipient: options.recipient,
+      purpose: options.purpose,
+      watermark: {
+        enabled: options.watermark?.enabled !== false,
+        text: options.watermark?.text
+      }
+    });
+    await link.save();
+
+    console.log(`🔗 Share link ${link._id} created for document ${document._id} by user ${user.id}`);
+    return { success: true, link, token, url: this.buildUrl(token) };
+  }
+
+  /**
+   * List the share links of a document, newest first
+   * @param {string} documentId - Document id
+   * @returns {Promise<Array>} ShareLinks
+   */
+  async listLinks(documentId) {
+    return ShareLink.find({ document: documentId })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Find a share link of a document
+   * @param {string} documentId - Document id
+   * @param {string} linkId - ShareLink id
+   * @returns {Promise<Object|null>} ShareLink
+   */
+  async findLink(documentId, linkId) {
+    return ShareLink.findOne({ _id: linkId, document: documentId });
+  }
+
+  /**
+   * Look up a usable link by its token
+   * @param {string} token - Raw token from the URL
+   * @returns {Promise<Object>} { success, link } or { success: false, statusCode, message, link }
+   */
+  async resolve(token) {
+    const link = token
+      ? await ShareLink.findOne({ tokenHash: this.hashToken(token) }).select('+passwordHash').populate('document')
+      : null;
+    if (!link || !link.document) {
+      return { success: false, statusCode: 404, message: 'Share link not found' };
+    }
+
+    const status = this.getStatus(link);
+    const messages = {
+      revoked: 'This share link has been revoked',
+      expired: 'This share link has expired',
+      exhausted: 'This share link has reached its download limit'
+    };
+    if (status !== 'active') {
+      return { success: false, statusCode: 410, message: messages[status], reason: status, link };
+    }
+
+    return { success: true, link };
+  }
+
+  /**
+   * Check the password of a link (links without one always pass)
+   * @param {Object} link - ShareLink loaded with +passwordHash
+   * @param {string} password - Password supplied by the recipient
+   * @returns {Promise<Object>} { success } or { success: false, statusCode, message, reason }
+   */
+  async verifyPassword(link, password) {
+    if (!link.requiresPassword) {
+      return { success: true };
+    }
+    if (!password) {
+      return { success: false, statusCode: 401, message: 'This share link requires a password', reason: 'password_required' };
+    }
+    if (!(await bcrypt.compare(String(password), link.passwordHash))) {
+      return { success: false, statusCode: 401, message: 'Incorrect share link password', reason: 'wrong_password' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Count a view of the link details
+   * @param {Object} link - ShareLink
+   * @returns {Promise<void>}
+   */
+  async recordView(link) {
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastAccessedAt: new Date() } });
+  }
+
+  /**
+   * Use up one download. Atomic, so concurrent downloads cannot exceed the limit.
+   * @param {Object} link - ShareLink
+   * @returns {Promise<Object|null>} Updated ShareLink, or null when no download is left
+   */
+  async consumeDownload(link) {
+    const query = { _id: link._id, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (link.maxDownloads) {
+      query.downloadCount = { $lt: link.maxDownloads };
+    }
+    return ShareLink.findOneAndUpdate(
+      query,
+      { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke a link. Revoking twice keeps the first revocation.
+   * @param {Object} link - ShareLink
+   * @param {Object} user - req.user
+   * @param {string} reason - Optional reason
+   * @returns {Promise<Object>} ShareLink
+   */
+  async revoke(link, user, reason) {
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      link.revokedBy = user.id;
+      link.revokedReason = reason;
+      await link.save();
+      console.log(`🚫 Share link ${link._id} revoked by user ${user.id}`);
+    }
+    return link;
+  }
+
+  /**
+   * Write link activity to the document's audit trail. Recipients have no
+   * account, so entries are recorded on behalf of the link creator.
+   * @param {Object} link - ShareLink
+   * @param {string} event - created, viewed, downloaded, denied or revoked
+   * @param {Object} options - { req, details, status, metadata }
+   * @returns {Promise<Object|null>} Audit entry
+   */
+  async logAccess(link, event, { req, details, status = 'success', metadata = {} } = {}) {
+    const documentId = link.document?._id || link.document;
+    return auditService.record({
+      user: link.createdBy?._id || link.createdBy,
+      action: ACTIONS[event],
+      entityType: 'document',
+      entityId: documentId,
+      details: details || `Share link ${link._id} ${event}`,
+      status,
+      method: req?.method,
+      ipAddress: req ? req.ip || req.connection?.remoteAddress : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+      changes: [],
+      metadata: {
+        shareLinkId: link._id,
+        recipient: {
+          name: link.recipient?.name,
+          email: link.recipient?.email,
+          company: link.recipient?.company
+        },
+        ...metadata
+      }
+    });
+  }
+
+  /**
+   * Audit trail entries of a link, newest first
+   * @param {Object} link - ShareLink
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>} Audit entries
+   */
+  async getAccessLog(link, limit = 100) {
+    return AuditTrail.find({ document: link.document, 'metadata.shareLinkId': link._id })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+ShareLinkService.ACTIONS = ACTIONS;
+
+module.exports = ShareLinkService;
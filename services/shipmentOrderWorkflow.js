@@ -0,0 +1,81 @@
+/**
+ * Shipment Order Workflow
+ *
+ * The review life cycle of a shipment order. The states and transitions are
+ * declared in stateMachines/shipmentOrder.js; this class adds the
+ * order-specific questions the routes ask about them.
+ */
+
+const { getMachine } = require('./stateMachines');
+
+const machine = getMachine('shipmentOrder');
+
+// Statuses in which the exporter may still edit the order and its documents
+const EDITABLE_STATUSES = ['draft', 'changes_requested'];
+
+// Statuses waiting for a CA decision
+const REVIEWABLE_STATUSES = ['submitted', 'under_review'];
+
+class ShipmentOrderWorkflow {
+  /**
+   * Statuses an order can move to from its current status
+   * @param {string} status - Current status
+   * @param {Object} user - Acting user, omitted for the system
+   * @returns {Array<string>} Allowed next statuses
+   */
+  getAllowedTransitions(status, user) {
+    return machine.getAllowedTransitions(status, user);
+  }
+
+  /**
+   * Check a status change
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {Object} user - Acting user, omitted for the system
+   * @returns {Object} { allowed, statusCode, message, allowedTransitions }
+   */
+  canTransition(from, to, user) {
+    return machine.canTransition(from, to, user);
+  }
+
+  /**
+   * Move an order to a new status and record it in the audit trail (not saved)
+   * @param {Object} order - ShipmentOrder document
+   * @param {string} to - New status
+   * @param {Object} options - { user, performedBy, action, details }
+   * @returns {Object} { success, statusCode, message, allowedTransitions }
+   */
+  transition(order, to, options = {}) {
+    return machine.transition(order, to, options);
+  }
+
+  /**
+   * Send the notifications for a status change (after the order is saved)
+   * @param {Object} order - ShipmentOrder document
+   * @param {Object} result - Result of transition()
+   * @returns {Promise<Array>} Created notifications
+   */
+  runSideEffects(order, result) {
+    return machine.runSideEffects(order, result);
+  }
+
+  /**
+   * Whether the exporter may still change the order
+   * @param {Object} order - ShipmentOrder document
+   * @returns {boolean}
+   */
+  isEditable(order) {
+    return EDITABLE_STATUSES.includes(order.status);
+  }
+
+  /**
+   * Whether the order is waiting for a CA decision
+   * @param {Object} order - ShipmentOrder document
+   * @returns {boolean}
+   */
+  isAwaitingReview(order) {
+    return REVIEWABLE_STATUSES.includes(order.status);
+  }
+}
+
+module.exports = ShipmentOrderWorkflow;
@@ -0,0 +1,35 @@
+/**
+ * ForwarderAssignment.status
+ *
+ *   assigned -> in_progress -> completed
+ *
+ * Follows the stages: it starts with the first stage and completes with the
+ * last one. An assignment that has not completed can be cancelled.
+ */
+
+module.exports = {
+  name: 'forwarderAssignment',
+  label: 'assignment',
+  states: ['assigned', 'in_progress', 'completed', 'cancelled'],
+  transitions: {
+    assigned: {
+      in_progress: { roles: ['forwarder', 'admin'] },
+      completed: { roles: ['forwarder', 'admin'] },
+      cancelled: { roles: ['admin'] }
+    },
+    in_progress: {
+      completed: { roles: ['forwarder', 'admin'] },
+      cancelled: { roles: ['admin'] }
+    },
+    completed: {},
+    cancelled: {}
+  },
+  onEnter: {
+    in_progress: (assignment) => {
+      assignment.timeline.startedAt = assignment.timeline.startedAt || new Date();
+    },
+    completed: (assignment) => {
+      assignment.timeline.actualCompletion = new Date();
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * ForwarderAssignment.assignedForwarders[].status (one forwarder's stage)
+ *
+ *   assigned -> in_progress -> completed
+ *
+ * Only the forwarder holding the stage (or an admin) moves it. A stage that
+ * has not completed can be cancelled. The record is the stage entry; the
+ * audit entry goes to the assignment passed as `owner`.
+ */
+
+module.exports = {
+  name: 'forwarderStage',
+  label: 'stage',
+  states: ['assigned', 'in_progress', 'completed', 'cancelled'],
+  transitions: {
+    assigned: {
+      in_progress: { roles: ['forwarder', 'admin'] },
+      cancelled: { roles: ['forwarder', 'admin'] }
+    },
+    in_progress: {
+      completed: { roles: ['forwarder', 'admin'] },
+      cancelled: { roles: ['forwarder', 'admin'] }
+    },
+    completed: {},
+    cancelled: {}
+  },
+  onEnter: {
+    in_progress: (stage) => {
+      stage.startedAt = stage.startedAt || new Date();
+    },
+    completed: (stage) => {
+      stage.completedAt = new Date();
+    }
+  },
+  audit: (assignment) => assignment.auditTrail
+};
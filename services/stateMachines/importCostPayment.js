@@ -0,0 +1,28 @@
+/**
+ * ImportCost.payment.status
+ *
+ *   pending -> partial -> paid
+ *           -> overdue -> partial / paid
+ *
+ * `paid` is final.
+ */
+
+const PAYER = ['importer', 'admin'];
+
+module.exports = {
+  name: 'importCostPayment',
+  label: 'payment',
+  field: 'payment.status',
+  states: ['pending', 'partial', 'paid', 'overdue'],
+  transitions: {
+    pending: { partial: { roles: PAYER }, paid: { roles: PAYER }, overdue: { roles: PAYER } },
+    partial: { paid: { roles: PAYER }, overdue: { roles: PAYER } },
+    overdue: { partial: { roles: PAYER }, paid: { roles: PAYER } },
+    paid: {}
+  },
+  onEnter: {
+    paid: (cost) => {
+      cost.payment.paymentDate = new Date();
+    }
+  }
+};
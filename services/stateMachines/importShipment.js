@@ -0,0 +1,154 @@
+/**
+ * ImportShipment.status
+ *
+ *   draft -> pending_approval -> in_progress -> in_transit -> at_port -> customs_clearance -> released -> delivered
+ *                             -> rejected
+ *
+ * Approval and rejection are the forwarder's; the importer submits drafts.
+ * Customs clearance, release and delivery are recorded by the forwarder.
+ * Any shipment on the move can raise an `exception` and resumes from it to
+ * the status it had before, so an exception cannot skip a step.
+ * `approved` is kept for shipments approved before approval started them.
+ */
+
+const IMPORTER = ['importer', 'admin'];
+const FORWARDER = ['forwarder', 'admin'];
+const ANY = ['importer', 'forwarder', 'admin'];
+
+// Statuses only the forwarder handling customs can vouch for
+const CUSTOMS_STATUSES = ['customs_clearance', 'released', 'delivered'];
+
+const MOVEMENT_STATUSES = ['in_transit', 'at_port', 'customs_clearance', 'released', 'delivered', 'exception'];
+
+// Importer-facing description of each movement status
+const MOVEMENT_MESSAGES = {
+  in_transit: 'is in transit',
+  at_port: 'has arrived at the port',
+  customs_clearance: 'is in customs clearance',
+  released: 'has been released by customs',
+  delivered: 'has been delivered',
+  exception: 'has an exception that needs attention'
+};
+
+// Status a shipment had before its exception. Shipments that raised one
+// before it was recorded are looked up in their audit trail.
+const statusBeforeException = (shipment) => {
+  if (shipment.statusBeforeException) {
+    return shipment.statusBeforeException;
+  }
+  const entered = (shipment.auditTrail || []).filter(entry => entry.newStatus === 'exception').pop();
+  return entered ? entered.previousStatus : null;
+};
+
+const resume = ['approved', 'in_progress', 'in_transit', 'at_port', 'customs_clearance', 'released'].reduce((targets, status) => {
+  targets[status] = {
+    roles: CUSTOMS_STATUSES.includes(status) ? FORWARDER : ANY,
+    guard: (shipment, { to }) => {
+      const previous = statusBeforeException(shipment);
+      // Without a record of it, only back to the start of the movement
+      if (previous ? previous !== to : to !== 'in_progress') {
+        return `the shipment can only resume to ${previous || 'in_progress'}`;
+      }
+      return null;
+    }
+  };
+  return targets;
+}, {});
+
+const importerId = (shipment) => (shipment.importer && shipment.importer._id) || shipment.importer;
+
+module.exports = {
+  name: 'importShipment',
+  label: 'import shipment',
+  states: [
+    'draft', 'pending_approval', 'approved', 'in_progress', 'in_transit', 'at_port',
+    'customs_clearance', 'released', 'delivered', 'exception', 'rejected'
+  ],
+  transitions: {
+    draft: { pending_approval: { roles: IMPORTER } },
+    pending_approval: {
+      in_progress: { roles: FORWARDER },
+      rejected: { roles: FORWARDER }
+    },
+    approved: { in_progress: { roles: ANY }, exception: { roles: ANY } },
+    in_progress: { in_transit: { roles: ANY }, exception: { roles: ANY } },
+    in_transit: { at_port: { roles: ANY }, exception: { roles: ANY } },
+    at_port: { customs_clearance: { roles: FORWARDER }, exception: { roles: ANY } },
+    customs_clearance: { released: { roles: FORWARDER }, exception: { roles: ANY } },
+    released: { delivered: { roles: FORWARDER }, exception: { roles: ANY } },
+    exception: resume,
+    delivered: {},
+    rejected: {}
+  },
+  onEnter: {
+    exception: (shipment, { from }) => {
+      shipment.statusBeforeException = from;
+    },
+    pending_approval: (shipment) => {
+      shipment.approvalStatus = 'pending_approval';
+    },
+    rejected: (shipment, { performedBy, reason }) => {
+      shipment.approvalStatus = 'rejected';
+      shipment.rejectionReason = reason;
+      shipment.rejectedAt = new Date();
+      shipment.approvedBy = performedBy;
+    },
+    in_progress: (shipment, { from, performedBy }) => {
+      if (from === 'pending_approval') {
+        shipment.approvalStatus = 'approved';
+        shipment.approvedBy = performedBy;
+        shipment.approvedAt = new Date();
+        shipment.forwarderAdmin = performedBy;
+      }
+    }
+  },
+  notify: (shipment, { from, to, performedBy, reason }) => {
+    const base = {
+      user: importerId(shipment),
+      category: 'general',
+      event: 'importShipmentStatus',
+      priority: 'high',
+      actionUrl: `/import-shipments/${shipment._id}`,
+      actionText: 'View Shipment',
+      metadata: {
+        customData: {
+          shipmentId: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
+          previousStatus: from,
+          newStatus: to
+        }
+      }
+    };
+
+    if (from === 'pending_approval' && to === 'in_progress') {
+      return {
+        ...base,
+        type: 'success',
+        title: 'Import Shipment Approved',
+        message: `Your import shipment ${shipment.shipmentNumber} has been approved and is now in progress.`,
+        tags: ['import_shipment', 'approved']
+      };
+    }
+    if (to === 'rejected') {
+      return {
+        ...base,
+        type: 'error',
+        title: 'Import Shipment Rejected',
+        message: `Your import shipment ${shipment.shipmentNumber} has been rejected. Reason: ${reason}`,
+        tags: ['import_shipment', 'rejected']
+      };
+    }
+    // Importers hear about movements they did not record themselves
+    if (MOVEMENT_STATUSES.includes(to) && String(performedBy) !== String(importerId(shipment))) {
+      return {
+        ...base,
+        type: to === 'exception' ? 'warning' : 'info',
+        priority: to === 'exception' ? 'high' : 'medium',
+        title: 'Import Shipment Status Updated',
+        message: `Your import shipment ${shipment.shipmentNumber} ${MOVEMENT_MESSAGES[to]}.`,
+        tags: ['import_shipment', 'status_update']
+      };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * State Machine Registry
+ *
+ * Every status field that users can change is declared here, so that routes
+ * move records through getMachine(name).transition() instead of assigning
+ * the field directly:
+ *   shipment             Shipment.status
+ *   shipmentOrder        ShipmentOrder.status
+ *   importShipment       ImportShipment.status
+ *   forwarderAssignment  ForwarderAssignment.status
+ *   forwarderStage       ForwarderAssignment.assignedForwarders[].status
+ *   importCostPayment    ImportCost.payment.status
+ */
+
+const StateMachine = require('./stateMachine');
+
+const machines = {};
+
+/**
+ * Register a state machine
+ * @param {Object} definition - State machine definition (see StateMachine)
+ * @returns {StateMachine} Registered machine
+ */
+const registerMachine = (definition) => {
+  machines[definition.name] = new StateMachine(definition);
+  return machines[definition.name];
+};
+
+/**
+ * Get a registered state machine
+ * @param {string} name - Machine name
+ * @returns {StateMachine} Machine
+ */
+const getMachine = (name) => {
+  if (!machines[name]) {
+    throw new Error(`Unknown state machine: ${name}. Available: ${Object.keys(machines).join(', ')}`);
+  }
+  return machines[name];
+};
+
+[
+  require('./shipment'),
+  require('./shipmentOrder'),
+  require('./importShipment'),
+  require('./forwarderAssignment'),
+  require('./forwarderStage'),
+  require('./importCostPayment')
+].forEach(registerMachine);
+
+module.exports = {
+  StateMachine,
+  registerMachine,
+  getMachine
+};
@@ -0,0 +1,29 @@
+/**
+ * Shipment.status
+ *
+ *   pending -> in-transit <-> customs -> delivered
+ *
+ * Any active shipment can be marked `delayed` and resumed from there.
+ * `delivered` is final.
+ */
+
+module.exports = {
+  name: 'shipment',
+  label: 'shipment',
+  states: ['pending', 'in-transit', 'customs', 'delayed', 'delivered'],
+  transitions: {
+    pending: { 'in-transit': {}, delayed: {} },
+    'in-transit': { customs: {}, delayed: {}, delivered: {} },
+    customs: { 'in-transit': {}, delayed: {}, delivered: {} },
+    delayed: { 'in-transit': {}, customs: {}, delivered: {} },
+    delivered: {}
+  },
+  onEnter: {
+    delivered: (shipment) => {
+      shipment.progress = 100;
+      if (!shipment.actualDelivery) {
+        shipment.actualDelivery = new Date();
+      }
+    }
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * ShipmentOrder.status
+ *
+ *   draft -> submitted -> under_review -> approved -> assigned_to_forwarder -> in_transit -> completed
+ *                                      -> rejected
+ *                                      -> changes_requested -> submitted (re-submit)
+ *
+ * A CA can decide straight from `submitted` (starting the review implicitly).
+ * Approved orders go to `ready_for_forwarder` when no forwarder is available.
+ * `in_transit` and `completed` follow the forwarder stages.
+ */
+
+const EXPORTER = ['exporter', 'admin'];
+const REVIEWER = ['ca', 'admin'];
+const FORWARDER = ['forwarder', 'admin'];
+
+// compliance.status (and complianceStatus) kept in step with the order status
+const COMPLIANCE_STATUS = {
+  draft: 'pending',
+  submitted: 'pending',
+  under_review: 'under_review',
+  changes_requested: 'changes_requested',
+  approved: 'approved',
+  rejected: 'rejected'
+};
+
+// Exporter-facing description of the forwarder statuses
+const FORWARDING_MESSAGES = {
+  in_transit: 'is on its way',
+  completed: 'has completed all forwarding stages'
+};
+
+const syncCompliance = (order, { to }) => {
+  order.compliance.status = COMPLIANCE_STATUS[to];
+  order.complianceStatus = COMPLIANCE_STATUS[to];
+};
+
+module.exports = {
+  name: 'shipmentOrder',
+  label: 'order',
+  states: [
+    'draft', 'submitted', 'under_review', 'changes_requested', 'approved', 'rejected',
+    'ready_for_forwarder', 'assigned_to_forwarder', 'in_transit', 'completed'
+  ],
+  transitions: {
+    draft: { submitted: { roles: EXPORTER } },
+    submitted: {
+      under_review: { roles: REVIEWER },
+      approved: { roles: REVIEWER },
+      rejected: { roles: REVIEWER },
+      changes_requested: { roles: REVIEWER }
+    },
+    under_review: {
+      approved: { roles: REVIEWER },
+      rejected: { roles: REVIEWER },
+      changes_requested: { roles: REVIEWER }
+    },
+    changes_requested: { submitted: { roles: EXPORTER } },
+    approved: {
+      ready_for_forwarder: { roles: ['admin'] },
+      assigned_to_forwarder: { roles: ['admin'] }
+    },
+    ready_for_forwarder: { assigned_to_forwarder: { roles: ['admin'] } },
+    assigned_to_forwarder: {
+      in_transit: { roles: FORWARDER },
+      completed: { roles: FORWARDER }
+    },
+    in_transit: { completed: { roles: FORWARDER } },
+    completed: {},
+    rejected: {}
+  },
+  onEnter: Object.keys(COMPLIANCE_STATUS).reduce((hooks, status) => {
+    hooks[status] = syncCompliance;
+    return hooks;
+  }, {}),
+  notify: (order, { to }) => {
+    if (!FORWARDING_MESSAGES[to] || !order.exporter) {
+      return null;
+    }
+    return {
+      user: order.exporter._id || order.exporter,
+      type: to === 'completed' ? 'success' : 'info',
+      category: 'general',
+      event: 'orderStatus',
+      title: 'Shipment Order Status Updated',
+      message: `Your order ${order.orderNumber} ${FORWARDING_MESSAGES[to]}.`,
+      priority: 'medium',
+      actionUrl: `/shipment-orders/${order._id}`,
+      actionText: 'View Order',
+      metadata: {
+        customData: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          newStatus: to
+        }
+      },
+      tags: ['shipment_order', 'status_update']
+    };
+  }
+};
@@ -0,0 +1,239 @@
+const NotificationService = require('../notificationService');
+
+let notificationService;
+
+/**
+ * Declarative state machine for one status field.
+ *
+ * A definition lists the states of the field and the transitions between
+ * them. Each transition may restrict the roles allowed to take it; a
+ * transition without `roles` is open to anyone who passed the route's own
+ * access checks. Transitions made by the system (no `user` in the context)
+ * skip role guards. A `guard` refuses a transition based on the record
+ * itself and applies to the system too.
+ *
+ * Definition:
+ *   name         Registry name
+ *   label        Human readable record name used in messages
+ *   field        Path of the status field on the record (e.g. 'payment.status')
+ *   states       All valid states
+ *   transitions  { from: { to: { roles, guard } } } where guard is
+ *                (record, { from, to }) => reason the change is refused, or null
+ *   onEnter      { state: (record, change) => void } field updates made with the change
+ *   audit        (record, change) => audit trail array, or false for no audit entry
+ *   notify       (record, change) => notification data (or an array), sent after save
+ */
+class StateMachine {
+  constructor(definition) {
+    this.name = definition.name;
+    this.label = definition.label || definition.name;
+    this.field = definition.field || 'status';
+    this.states = definition.states;
+    this.transitions = definition.transitions;
+    this.onEnter = definition.onEnter || {};
+    this.audit = definition.audit === undefined ? (record) => record.auditTrail : definition.audit;
+    this.notify = definition.notify;
+
+    Object.keys(this.transitions).forEach(from => {
+      [from, ...Object.keys(this.transitions[from])].forEach(state => {
+        if (!this.states.includes(state)) {
+          throw new Error(`State machine ${this.name}: unknown state ${state}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the current state of a record
+   * @param {Object} record - Document or subdocument
+   * @returns {string} Current state
+   */
+  getState(record) {
+    return this.field.split('.').reduce((value, key) => (value ? value[key] : undefined), record);
+  }
+
+  /**
+   * Write the state of a record
+   * @param {Object} record - Document or subdocument
+   * @param {string} state - New state
+   */
+  setState(record, state) {
+    const keys = this.field.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], record)[last] = state;
+  }
+
+  /**
+   * States reachable from a state, optionally limited to those a user may take
+   * @param {string} from - Current state
+   * @param {Object} user - Acting user ({ id, role }), omitted for the system
+   * @param {Object} [record] - Record, to apply the transition guards
+   * @returns {Array<string>} Allowed next states
+   */
+  getAllowedTransitions(from, user, record) {
+    const targets = this.transitions[from] || {};
+    return Object.keys(targets).filter(to => this.isPermitted(targets[to], user) &&
+      !this.guardReason(targets[to], record, { from, to }));
+  }
+
+  /**
+   * Check the role guard of a transition
+   * @param {Object} rule - Transition rule ({ roles })
+   * @param {Object} user - Acting user
+   * @returns {boolean}
+   */
+  isPermitted(rule, user) {
+    return !user || !rule.roles || rule.roles.includes(user.role);
+  }
+
+  /**
+   * Check the guard of a transition against a record
+   * @param {Object} rule - Transition rule ({ guard })
+   * @param {Object} record - Record, omitted to skip the guard
+   * @param {Object} change - { from, to }
+   * @returns {string|null} Why the transition is refused, or null
+   */
+  guardReason(rule, record, change) {
+    return record && rule.guard ? rule.guard(record, change) || null : null;
+  }
+
+  /**
+   * Check a state change without applying it
+   * @param {string} from - Current state
+   * @param {string} to - Requested state
+   * @param {Object} user - Acting user, omitted for the system
+   * @param {Object} [record] - Record, to apply the transition guards
+   * @returns {Object} { allowed, statusCode, message, allowedTransitions }
+   */
+  canTransition(from, to, user, record) {
+    const allowedTransitions = this.getAllowedTransitions(from, user, record);
+
+    if (!this.states.includes(to)) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        allowedTransitions,
+        message: `Invalid status ${to}. Must be one of: ${this.states.join(', ')}`
+      };
+    }
+
+    const rule = (this.transitions[from] || {})[to];
+    if (!rule) {
+      const reachable = Object.keys(this.transitions[from] || {});
+      return {
+        allowed: false,
+        statusCode: 400,
+        allowedTransitions,
+        message: reachable.length > 0
+          ? `Cannot move ${this.label} from ${from} to ${to}. Allowed: ${reachable.join(', ')}`
+          : `Cannot move ${this.label} from ${from} to ${to}: ${from} is a final status`
+      };
+    }
+
+    if (!this.isPermitted(rule, user)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        allowedTransitions,
+        message: `Role ${user.role} cannot move ${this.label} from ${from} to ${to}`
+      };
+    }
+
+    const reason = this.guardReason(rule, record, { from, to });
+    if (reason) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        allowedTransitions,
+        message: `Cannot move ${this.label} from ${from} to ${to}: ${reason}`
+      };
+    }
+
+    return { allowed: true, allowedTransitions };
+  }
+
+  /**
+   * Move a record to a new state (not saved). Applies the onEnter updates and
+   * records the change in the audit trail. Moving to the current state is a
+   * no-op that succeeds.
+   * @param {Object} record - Document or subdocument holding the status field
+   * @param {string} to - New state
+   * @param {Object} options - { user, performedBy, action, details, owner }
+   *   owner is the document holding the audit trail when record is a subdocument
+   * @returns {Object} { success, changed, from, to, statusCode, message, allowedTransitions }
+   */
+  transition(record, to, options = {}) {
+    const from = this.getState(record);
+    const { user } = options;
+
+    if (from === to) {
+      return { success: true, changed: false, from, to, allowedTransitions: this.getAllowedTransitions(to, user, record) };
+    }
+
+    const check = this.canTransition(from, to, user, record);
+    if (!check.allowed) {
+      return {
+        success: false,
+        changed: false,
+        from,
+        to,
+        statusCode: check.statusCode,
+        message: check.message,
+        allowedTransitions: check.allowedTransitions
+      };
+    }
+
+    const change = {
+      ...options,
+      from,
+      to,
+      performedBy: options.performedBy || (user && (user.id || user._id))
+    };
+
+    this.setState(record, to);
+    if (this.onEnter[to]) {
+      this.onEnter[to](record, change);
+    }
+
+    const auditTrail = this.audit && this.audit(options.owner || record, change);
+    if (auditTrail) {
+      auditTrail.push({
+        action: options.action || `Status changed to ${to}`,
+        performedBy: change.performedBy,
+        details: options.details,
+        previousStatus: from,
+        newStatus: to
+      });
+    }
+
+    console.log(`🔀 ${this.label} ${record._id || ''}: ${from} -> ${to}`);
+    return { success: true, changed: true, from, to, change, allowedTransitions: this.getAllowedTransitions(to, user, record) };
+  }
+
+  /**
+   * Send the notifications for a transition. Call after the record is saved.
+   * Never throws: a failed notification must not fail the status change.
+   * @param {Object} record - Document or subdocument
+   * @param {Object} result - Result of transition()
+   * @returns {Promise<Array>} Created notifications
+   */
+  async runSideEffects(record, result) {
+    if (!this.notify || !result || !result.changed) {
+      return [];
+    }
+
+    const created = [];
+    try {
+      const notifications = [].concat(this.notify(record, result.change) || []);
+      notificationService = notificationService || new NotificationService();
+      for (const notification of notifications) {
+        created.push(await notificationService.createNotification(notification));
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send ${this.label} status notification:`, error.message);
+    }
+    return created;
+  }
+}
+
+module.exports = StateMachine;
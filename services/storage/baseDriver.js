@@ -0,0 +1,58 @@
+/**
+ * Base class for file storage drivers. A driver stores objects under keys
+ * such as "sha256/ab/ab12..." and streams them in and out:
+ *   put(key, stream, { size, contentType })  store an object
+ *   get(key)                                 readable stream of an object
+ *   stat(key)                                { size } or null when missing
+ *   delete(key)                              remove an object (missing is fine)
+ *   list(prefix)                             async iterator of { key, size, lastModified }
+ *
+ * A missing object is reported by an error with code 'ENOENT'.
+ */
+class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async put(key, stream, options = {}) {
+    throw new Error(`${this.name} storage driver does not implement put`);
+  }
+
+  async get(key) {
+    throw new Error(`${this.name} storage driver does not implement get`);
+  }
+
+  async stat(key) {
+    throw new Error(`${this.name} storage driver does not implement stat`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.name} storage driver does not implement delete`);
+  }
+
+  list(prefix) {
+    throw new Error(`${this.name} storage driver does not implement list`);
+  }
+
+  /**
+   * Path of an object on this server's disk, if the driver keeps it there
+   * @param {string} key - Object key
+   * @returns {string|null} Absolute path
+   */
+  localPath(key) {
+    return null;
+  }
+
+  /**
+   * Build the error for a missing object
+   * @param {string} key - Object key
+   * @returns {Error} Error with code ENOENT
+   */
+  static notFound(key) {
+    const error = new Error(`File not found: ${key}`);
+    error.code = 'ENOENT';
+    return error;
+  }
+}
+
+module.exports = StorageDriver;
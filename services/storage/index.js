@@ -0,0 +1,404 @@
+/**
+ * File Storage
+ *
+ * Uploaded files are stored through a driver and recorded in filePath as a
+ * location "<driver>:<key>", e.g. "s3:sha256/9f/9f86d0...". Keys are the
+ * SHA-256 of the content, so the same file uploaded twice is stored once.
+ *   STORAGE_DRIVER  local or s3 (default local); new uploads go there
+ *
+ * filePath values without a driver prefix are files written before storage
+ * drivers existed and are read from disk as they are
+ * (scripts/migrate-storage.js moves them into a driver).
+ *
+ * Since files are shared, storing and deleting go through a StorageLock per
+ * file: storeFile holds the file for HOLD_MS, long enough for the upload's
+ * record to be saved, and releaseFile only deletes a file nobody holds,
+ * checking its references while other uploads of it wait.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./baseDriver');
+const LocalDriver = require('./localDriver');
+
+const LEGACY = 'legacy';
+
+const HOLD_MS = 60 * 60 * 1000;
+const DELETE_LOCK_MS = 5 * 60 * 1000;
+const LOCK_RETRIES = 5;
+const LOCK_RETRY_MS = 200;
+
+const factories = {
+  local: () => new LocalDriver(),
+  s3: () => new (require('./s3Driver'))()
+};
+
+const instances = {
+  // Paths are relative to the working directory, as multer wrote them
+  [LEGACY]: new LocalDriver({ name: LEGACY, root: process.cwd(), confined: false })
+};
+
+/**
+ * Register a driver implementation
+ * @param {string} name - Driver name used in configuration and locations
+ * @param {Function} factory - Returns a StorageDriver instance
+ */
+const registerDriver = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Name of the driver new uploads go to
+ * @returns {string} Driver name
+ */
+const getDefaultDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+/**
+ * Get a driver (instances are shared)
+ * @param {string} name - Driver name (default STORAGE_DRIVER)
+ * @returns {StorageDriver} Driver
+ */
+const getDriver = (name = getDefaultDriverName()) => {
+  if (!instances[name]) {
+    if (!factories[name]) {
+      throw new Error(`Unknown storage driver: ${name}. Available: ${Object.keys(factories).join(', ')}`);
+    }
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+/**
+ * Split a stored location into driver and key
+ * @param {string} location - filePath value
+ * @returns {Object} { driver, key }
+ */
+const parseLocation = (location) => {
+  const match = /^([a-z][a-z0-9]+):(.+)$/.exec(String(location || ''));
+  if (match && factories[match[1]]) {
+    return { driver: match[1], key: match[2] };
+  }
+  return { driver: LEGACY, key: String(location || '') };
+};
+
+const toLocation = (driver, key) => `${driver}:${key}`;
+
+const contentKey = (hash) => `sha256/${hash.substring(0, 2)}/${hash}`;
+
+/**
+ * A stream that passes data through and computes its SHA-256 and size
+ * @returns {Transform} Stream with digest() and size once finished
+ */
+const createHasher = () => {
+  const hash = crypto.createHash('sha256');
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      hasher.size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  hasher.size = 0;
+  hasher.digest = () => hash.digest('hex');
+  return hasher;
+};
+
+/**
+ * SHA-256 and size of a file on disk
+ * @param {string} filePath - Path
+ * @returns {Promise<Object>} { hash, size }
+ */
+const hashFile = async (filePath) => {
+  const hasher = createHasher();
+  const drain = new Writable({ write: (chunk, encoding, callback) => callback() });
+  await pipeline(fs.createReadStream(filePath), hasher, drain);
+  return { hash: hasher.digest(), size: hasher.size };
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lock documents only ever match one location; a second upsert of the same
+// location fails on the unique index, which means the file is busy
+const isDuplicateKey = error => error.code === 11000;
+
+/**
+ * Hold a file so it is not deleted before the record using it is saved.
+ * Waits while a deletion of the file runs.
+ * @param {string} location - filePath value
+ * @returns {Promise<string>} Hold ID, to give the hold up with releaseFile
+ */
+const holdFile = async (location) => {
+  const { StorageLock } = require('../../schemas');
+  const holdId = new mongoose.Types.ObjectId();
+
+  for (let attempt = 1; ; attempt++) {
+    const now = new Date();
+    const until = new Date(now.getTime() + HOLD_MS);
+    try {
+      await StorageLock.findOneAndUpdate(
+        { location, $or: [{ deletingUntil: null }, { deletingUntil: { $lte: now } }] },
+        { $push: { holds: { _id: holdId, until } }, $unset: { deletingUntil: '' }, $max: { expiresAt: until } },
+        { upsert: true }
+      );
+      return holdId.toString();
+    } catch (error) {
+      if (!isDuplicateKey(error)) {
+        throw error;
+      }
+      if (attempt >= LOCK_RETRIES) {
+        const busy = new Error(`The file ${location} is being deleted, try again`);
+        busy.statusCode = 503;
+        throw busy;
+      }
+      await wait(LOCK_RETRY_MS * attempt);
+    }
+  }
+};
+
+/**
+ * Store a file from disk under its content key, unless it is already stored.
+ * The file is held (see holdFile) whether it was written or reused.
+ * @param {string} filePath - File on this server
+ * @param {Object} options - { driver, contentType, hash, size }
+ * @returns {Promise<Object>} { location, key, hash, size, deduplicated, hold }
+ */
+const storeFile = async (filePath, options = {}) => {
+  const { hash, size } = options.hash ? options : await hashFile(filePath);
+  const driverName = options.driver || getDefaultDriverName();
+  const driver = getDriver(driverName);
+  const key = contentKey(hash);
+  const location = toLocation(driverName, key);
+
+  const hold = await holdFile(location);
+  const existing = await driver.stat(key);
+  if (!existing) {
+    await driver.put(key, fs.createReadStream(filePath), { size, contentType: options.contentType });
+  }
+
+  return { location, key, hash, size, deduplicated: !!existing, hold };
+};
+
+/**
+ * Copy a stored file to another driver under its content key
+ * @param {string} location - filePath value
+ * @param {string} driverName - Target driver
+ * @param {Object} options - { contentType }
+ * @returns {Promise<Object>} { location, key, hash, size, deduplicated }
+ */
+const copyFile = (location, driverName, options = {}) => withLocalFile(
+  location,
+  localPath => storeFile(localPath, { driver: driverName, contentType: options.contentType })
+);
+
+/**
+ * Size of a stored file
+ * @param {string} location - filePath value
+ * @returns {Promise<Object|null>} { size, lastModified } or null when missing
+ */
+const stat = (location) => {
+  const { driver, key } = parseLocation(location);
+  return getDriver(driver).stat(key);
+};
+
+/**
+ * Read a stored file
+ * @param {string} location - filePath value
+ * @returns {Promise<Readable>} Stream (rejects with code ENOENT when missing)
+ */
+const createReadStream = (location) => {
+  const { driver, key } = parseLocation(location);
+  return getDriver(driver).get(key);
+};
+
+/**
+ * Stream a stored file as the response
+ * @param {Object} res - Express response
+ * @param {string} location - filePath value
+ * @param {Object} options - { fileName, contentType, inline }
+ * @returns {Promise<boolean>} false when the file does not exist (nothing is sent)
+ */
+const sendFile = async (res, location, options = {}) => {
+  if (!location) {
+    return false;
+  }
+  const info = await stat(location);
+  if (!info) {
+    return false;
+  }
+  const stream = await createReadStream(location);
+
+  res.setHeader('Content-Type', options.contentType || 'application/octet-stream');
+  res.setHeader('Content-Length', String(info.size));
+  if (options.inline) {
+    res.setHeader('Content-Disposition', `inline; filename="${options.fileName}"`);
+  } else {
+    res.attachment(options.fileName);
+  }
+
+  stream.on('error', (error) => {
+    console.error(`❌ Error streaming ${location}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return true;
+};
+
+/**
+ * Run a function with the file at a path on this server. Files of remote
+ * drivers are downloaded to a temporary file, removed afterwards.
+ * @param {string} location - filePath value
+ * @param {Function} fn - async (localPath) => result
+ * @returns {Promise<*>} Result of fn
+ */
+const withLocalFile = async (location, fn) => {
+  const { driver, key } = parseLocation(location);
+  const localPath = getDriver(driver).localPath(key);
+  if (localPath) {
+    return fn(localPath);
+  }
+
+  const tempPath = path.join(os.tmpdir(), `storage-${crypto.randomBytes(12).toString('hex')}${path.extname(key)}`);
+  try {
+    await pipeline(await getDriver(driver).get(key), fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+/**
+ * Number of documents and import documents (any version) that use a file
+ * @param {string} location - filePath value
+ * @returns {Promise<number>} References
+ */
+const countReferences = async (location) => {
+  const { Document, ImportDocument } = require('../../schemas');
+  const query = { $or: [{ filePath: location }, { 'previousVersions.filePath': location }] };
+  const counts = await Promise.all([Document.countDocuments(query), ImportDocument.countDocuments(query)]);
+  return counts[0] + counts[1];
+};
+
+/**
+ * Delete a stored file once no record uses it and no upload holds it. Files
+ * are shared by every upload of the same content, so callers release rather
+ * than delete.
+ * @param {string} location - filePath value
+ * @param {Object} options - { hold } to first give up the caller's own hold
+ *   (storeFile result, req.file.storageHold)
+ * @returns {Promise<boolean>} Whether the file was deleted
+ */
+const releaseFile = async (location, options = {}) => {
+  if (!location) {
+    return false;
+  }
+  const { StorageLock } = require('../../schemas');
+  if (options.hold) {
+    await StorageLock.updateOne({ location }, { $pull: { holds: { _id: options.hold } } });
+  }
+
+  // Mark the deletion; fails while a hold or another deletion is active
+  const now = new Date();
+  const deletingUntil = new Date(now.getTime() + DELETE_LOCK_MS);
+  try {
+    await StorageLock.findOneAndUpdate(
+      {
+        location,
+        holds: { $not: { $elemMatch: { until: { $gt: now } } } },
+        $or: [{ deletingUntil: null }, { deletingUntil: { $lte: now } }]
+      },
+      { $set: { deletingUntil, expiresAt: deletingUntil } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    if (await countReferences(location) > 0) {
+      return false;
+    }
+    const { driver, key } = parseLocation(location);
+    const existing = await getDriver(driver).stat(key);
+    if (!existing) {
+      return false;
+    }
+    await getDriver(driver).delete(key);
+    return true;
+  } finally {
+    await StorageLock.deleteOne({ location, deletingUntil });
+  }
+};
+
+/**
+ * Multer storage engine: streams each upload to a temporary file while
+ * hashing it, then stores it with the default driver. req.file.path is the
+ * location to save in filePath; req.file.storageHold is the hold to pass to
+ * releaseFile when the upload is given up.
+ * @param {Object} options - { inspect: async (tempPath, file) => result, kept
+ *   as req.file.inspection; throw to refuse the file before it is stored }
+ * @returns {Object} Multer storage engine
+ */
+const multerStorage = (options = {}) => ({
+  _handleFile(req, file, callback) {
+    const tempPath = path.join(os.tmpdir(), `upload-${crypto.randomBytes(12).toString('hex')}`);
+    const hasher = createHasher();
+
+    pipeline(file.stream, hasher, fs.createWriteStream(tempPath))
+      .then(async () => {
+        // Multer rejects files over its size limit; do not store the truncated part
+        if (file.stream.truncated) {
+          return {};
+        }
+        const inspection = options.inspect ? await options.inspect(tempPath, file) : undefined;
+        const hash = hasher.digest();
+        const stored = await storeFile(tempPath, { hash, size: hasher.size, contentType: file.mimetype });
+        return {
+          path: stored.location,
+          filename: `${hash}${path.extname(file.originalname || '').toLowerCase()}`,
+          size: stored.size,
+          sha256: hash,
+          storageHold: stored.hold,
+          inspection
+        };
+      })
+      .then(
+        info => fs.promises.unlink(tempPath).catch(() => {}).then(() => callback(null, info)),
+        error => fs.promises.unlink(tempPath).catch(() => {}).then(() => callback(error))
+      );
+  },
+
+  _removeFile(req, file, callback) {
+    releaseFile(file.path, { hold: file.storageHold }).then(() => callback(null), callback);
+  }
+});
+
+module.exports = {
+  StorageDriver,
+  LEGACY,
+  registerDriver,
+  getDriver,
+  getDefaultDriverName,
+  parseLocation,
+  toLocation,
+  contentKey,
+  hashFile,
+  holdFile,
+  storeFile,
+  stat,
+  createReadStream,
+  sendFile,
+  withLocalFile,
+  copyFile,
+  countReferences,
+  releaseFile,
+  multerStorage
+};
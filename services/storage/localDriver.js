@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./baseDriver');
+
+/**
+ * Keeps objects as files below STORAGE_LOCAL_ROOT (default UPLOAD_PATH, then
+ * ./uploads). Only suitable for a single app server or a shared disk.
+ */
+class LocalDriver extends StorageDriver {
+  constructor(options = {}) {
+    super(options.name || 'local');
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_ROOT || process.env.UPLOAD_PATH || 'uploads');
+    // Keys may not point outside the root (only disabled for legacy file paths)
+    this.confined = options.confined !== false;
+  }
+
+  localPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (this.confined && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key outside the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, stream) {
+    const filePath = this.localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write next to the target and rename, so readers never see a partial file
+    const partPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.part`;
+    try {
+      await pipeline(stream, fs.createWriteStream(partPath));
+      await fs.promises.rename(partPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(partPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const filePath = this.localPath(key);
+    if (!fs.existsSync(filePath)) {
+      throw StorageDriver.notFound(key);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.localPath(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.localPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async *list(prefix = '') {
+    yield* this.walk(path.join(this.root, prefix));
+  }
+
+  // Regular files below a directory (symbolic links, dotfiles and partial writes are skipped)
+  async *walk(directory) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name.endsWith('.part')) {
+        continue;
+      }
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        yield* this.walk(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        yield {
+          key: path.relative(this.root, entryPath).split(path.sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime
+        };
+      }
+    }
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const StorageDriver = require('./baseDriver');
+
+const TIMEOUT_MS = parseInt(process.env.STORAGE_S3_TIMEOUT_MS || '300000');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding, as Signature Version 4 expects
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const readXmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+};
+
+/**
+ * Keeps objects in an S3-compatible bucket (AWS S3, MinIO, Ceph, R2, ...):
+ *   STORAGE_S3_BUCKET             Bucket (required)
+ *   STORAGE_S3_REGION             Region (default us-east-1)
+ *   STORAGE_S3_ENDPOINT           Service URL for non-AWS services, e.g. http://minio:9000
+ *                                 (default https://s3.<region>.amazonaws.com)
+ *   STORAGE_S3_ACCESS_KEY_ID      Credentials (default AWS_ACCESS_KEY_ID)
+ *   STORAGE_S3_SECRET_ACCESS_KEY  (default AWS_SECRET_ACCESS_KEY)
+ *   STORAGE_S3_PREFIX             Key prefix inside the bucket
+ *   STORAGE_S3_FORCE_PATH_STYLE   true to address the bucket as <endpoint>/<bucket> (default true
+ *                                 with a custom endpoint, as MinIO needs)
+ * Requests are signed with Signature Version 4 and bodies are streamed.
+ */
+class S3Driver extends StorageDriver {
+  constructor(options = {}) {
+    super('s3');
+    this.bucket = options.bucket || process.env.STORAGE_S3_BUCKET;
+    this.region = options.region || process.env.STORAGE_S3_REGION || 'us-east-1';
+    this.accessKeyId = options.accessKeyId || process.env.STORAGE_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.STORAGE_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+    this.prefix = (options.prefix || process.env.STORAGE_S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+    const endpoint = options.endpoint || process.env.STORAGE_S3_ENDPOINT;
+    const forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : process.env.STORAGE_S3_FORCE_PATH_STYLE !== undefined
+        ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+        : !!endpoint;
+
+    if (!this.bucket) {
+      throw new Error('STORAGE_S3_BUCKET is not configured');
+    }
+    if (!this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('STORAGE_S3_ACCESS_KEY_ID and STORAGE_S3_SECRET_ACCESS_KEY are not configured');
+    }
+
+    const base = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+    if (forcePathStyle) {
+      this.origin = base.origin;
+      this.basePath = `${base.pathname.replace(/\/$/, '')}/${this.bucket}`;
+    } else {
+      this.origin = `${base.protocol}//${this.bucket}.${base.host}`;
+      this.basePath = base.pathname.replace(/\/$/, '');
+    }
+  }
+
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * Headers that sign a request (Signature Version 4, unsigned payload)
+   * @param {string} method - HTTP method
+   * @param {string} path - Encoded request path
+   * @param {Object} query - Query parameters
+   * @returns {Object} Headers
+   */
+  sign(method, path, query = {}) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.substring(0, 8);
+    const host = new URL(this.origin).host;
+    const payloadHash = 'UNSIGNED-PAYLOAD';
+
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+    const canonicalHeaders = `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+    const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async request(method, key, { query = {}, headers = {}, data, responseType } = {}) {
+    const path = key === null
+      ? `${this.basePath}/`
+      : `${this.basePath}/${this.objectKey(key).split('/').map(encode).join('/')}`;
+
+    const response = await axios({
+      method,
+      url: `${this.origin}${path}`,
+      params: query,
+      paramsSerializer: params => Object.keys(params).sort().map(name => `${encode(name)}=${encode(params[name])}`).join('&'),
+      headers: { ...headers, ...this.sign(method, path, query) },
+      data,
+      responseType,
+      timeout: TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    if (response.status === 404 && key !== null) {
+      if (response.data?.resume) {
+        response.data.resume();
+      }
+      throw StorageDriver.notFound(key);
+    }
+    if (response.status >= 300) {
+      let body = response.data;
+      if (body && typeof body.on === 'function') {
+        body = await new Promise(resolve => {
+          let text = '';
+          body.on('data', chunk => { text += chunk; });
+          body.on('end', () => resolve(text));
+          body.on('error', () => resolve(text));
+        });
+      }
+      const reason = typeof body === 'string' ? readXmlTag(body, 'Message') || readXmlTag(body, 'Code') : null;
+      throw new Error(`S3 ${method} ${key || this.bucket} failed (${response.status})${reason ? `: ${reason}` : ''}`);
+    }
+    return response;
+  }
+
+  async put(key, stream, options = {}) {
+    if (options.size === undefined) {
+      throw new Error('S3 uploads need the size of the file');
+    }
+    await this.request('PUT', key, {
+      data: stream,
+      headers: {
+        'Content-Length': String(options.size),
+        'Content-Type': options.contentType || 'application/octet-stream'
+      }
+    });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    return response.data;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.request('HEAD', key);
+      return {
+        size: parseInt(response.headers['content-length']) || 0,
+        lastModified: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : null
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.request('DELETE', key);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async *list(prefix = '') {
+    const fullPrefix = this.objectKey(prefix);
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: fullPrefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+      const response = await this.request('GET', null, { query, responseType: 'text' });
+      const xml = String(response.data);
+
+      for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const objectKey = readXmlTag(entry, 'Key');
+        yield {
+          key: this.prefix ? objectKey.substring(this.prefix.length + 1) : objectKey,
+          size: parseInt(readXmlTag(entry, 'Size')) || 0,
+          lastModified: new Date(readXmlTag(entry, 'LastModified'))
+        };
+      }
+
+      continuationToken = readXmlTag(xml, 'IsTruncated') === 'true' ? readXmlTag(xml, 'NextContinuationToken') : null;
+    } while (continuationToken);
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,223 @@
+/**
+ * System Settings
+ *
+ * Reads and updates the global SystemSettings document. Settings are cached
+ * for SYSTEM_SETTINGS_CACHE_MS (default 30s) so every request can consult
+ * them; an update refreshes the cache of this process at once, other
+ * instances pick it up when their cache expires. Applied live:
+ *   maintenanceMode     non-admin API requests get 503 (middleware/maintenance)
+ *   apiRateLimit        requests per hour per IP on /api (server.js)
+ *   maxFileUploadSize   largest document upload (routes/documents.js)
+ *   sessionDuration     lifetime in hours of new access tokens (services/sessionService)
+ */
+
+const { SystemSettings } = require('../schemas');
+
+const CACHE_MS = parseInt(process.env.SYSTEM_SETTINGS_CACHE_MS || '30000');
+const HISTORY_LIMIT = 200;
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a size such as "10MB", "512 KB" or a byte count
+ * @param {string|number} value - Size
+ * @returns {number|null} Bytes, or null when not a size
+ */
+const parseFileSize = (value) => {
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) {
+    return null;
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'B']);
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isText = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= 500;
+const isWholeNumber = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+// Editable settings: check and error message
+const FIELDS = {
+  emailNotifications: [isBoolean, 'must be true or false'],
+  smsNotifications: [isBoolean, 'must be true or false'],
+  maintenanceMode: [isBoolean, 'must be true or false'],
+  maintenanceMessage: [isText, 'must be text of at most 500 characters'],
+  autoBackup: [isBoolean, 'must be true or false'],
+  dataRetention: [isText, 'must be text'],
+  timezone: [isText, 'must be text'],
+  currency: [isText, 'must be text'],
+  language: [isText, 'must be text'],
+  apiRateLimit: [isWholeNumber(10, 1000000), 'must be a whole number of requests per hour (at least 10)'],
+  sessionDuration: [(value) => typeof value === 'number' && value > 0 && value <= 720, 'must be a number of hours between 0 and 720'],
+  maxFileUploadSize: [(value) => {
+    const bytes = parseFileSize(value);
+    return bytes !== null && bytes >= 1024 && bytes <= MAX_UPLOAD_BYTES;
+  }, 'must be a size between 1KB and 100MB, e.g. "25MB"'],
+  databaseConnectionPool: [isWholeNumber(1, 500), 'must be a whole number'],
+  twoFactorAuth: [isBoolean, 'must be true or false'],
+  sessionTimeout: [isBoolean, 'must be true or false'],
+  passwordPolicy: [(value) => ['basic', 'strong'].includes(value), 'must be basic or strong']
+};
+
+const NUMBER_FIELDS = ['apiRateLimit', 'sessionDuration', 'databaseConnectionPool'];
+
+// Returned with the settings but not editable; ignored when sent back
+const READ_ONLY_FIELDS = ['maxFileUploadBytes', 'updatedAt', 'updatedBy'];
+
+// Schema defaults, used until settings are first saved
+const DEFAULTS = Object.keys(FIELDS).reduce((defaults, field) => {
+  defaults[field] = SystemSettings.schema.path(field).defaultValue;
+  return defaults;
+}, {});
+
+let cache = null;
+let loadedAt = 0;
+let loading = null;
+
+const withDerived = (settings) => ({
+  ...settings,
+  maxFileUploadBytes: parseFileSize(settings.maxFileUploadSize) || parseFileSize(DEFAULTS.maxFileUploadSize)
+});
+
+const toSettings = (record) => {
+  const settings = { ...DEFAULTS };
+  if (record) {
+    for (const field of Object.keys(FIELDS)) {
+      if (record[field] !== undefined && record[field] !== null) {
+        settings[field] = record[field];
+      }
+    }
+    settings.updatedAt = record.updatedAt;
+    settings.updatedBy = record.updatedBy;
+  }
+  return withDerived(settings);
+};
+
+const load = async () => {
+  try {
+    const record = await SystemSettings.findOne({ key: 'global' }).lean();
+    cache = toSettings(record);
+  } catch (error) {
+    console.error('❌ Error loading system settings:', error.message);
+    // Keep serving the last known settings
+    cache = cache || toSettings(null);
+  }
+  loadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Current settings (cached). Never throws: defaults are used if the
+ * settings cannot be read.
+ * @returns {Promise<Object>} Settings, plus maxFileUploadBytes
+ */
+const getSettings = async () => {
+  if (cache && Date.now() - loadedAt < CACHE_MS) {
+    return cache;
+  }
+  if (!loading) {
+    loading = load().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+/**
+ * Change settings and record what changed
+ * @param {Object} values - Settings to change
+ * @param {string} userId - Admin making the change
+ * @param {string} reason - Optional note kept in the history
+ * @returns {Promise<Object>} { success, statusCode, message, errors, settings, changes }
+ */
+const updateSettings = async (values, userId, reason) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { success: false, statusCode: 400, message: 'Invalid settings data provided' };
+  }
+
+  values = Object.entries(values).reduce((accepted, [field, value]) => {
+    if (!READ_ONLY_FIELDS.includes(field)) {
+      // Numbers may arrive as form strings
+      accepted[field] = NUMBER_FIELDS.includes(field) && typeof value === 'string' && value.trim() !== '' && !isNaN(value)
+        ? Number(value)
+        : value;
+    }
+    return accepted;
+  }, {});
+
+  const errors = [];
+  for (const [field, value] of Object.entries(values)) {
+    if (!FIELDS[field]) {
+      errors.push(`${field} is not a setting`);
+    } else if (!FIELDS[field][0](value)) {
+      errors.push(`${field} ${FIELDS[field][1]}`);
+    }
+  }
+  if (errors.length > 0) {
+    return { success: false, statusCode: 400, message: 'Invalid settings', errors };
+  }
+
+  const current = toSettings(await SystemSettings.findOne({ key: 'global' }).lean());
+  const changes = Object.entries(values)
+    .filter(([field, value]) => current[field] !== value)
+    .map(([field, value]) => ({ field, before: current[field], after: value }));
+  if (changes.length === 0) {
+    return { success: true, settings: current, changes };
+  }
+
+  const update = changes.reduce((set, change) => {
+    set[change.field] = change.after;
+    return set;
+  }, { updatedBy: userId });
+
+  const record = await SystemSettings.findOneAndUpdate(
+    { key: 'global' },
+    {
+      $set: update,
+      $push: {
+        history: {
+          $each: [{ changedBy: userId, changedAt: new Date(), reason, changes }],
+          $slice: -HISTORY_LIMIT
+        }
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cache = toSettings(record);
+  loadedAt = Date.now();
+  console.log(`⚙️  System settings changed by ${userId}: ${changes.map(change => change.field).join(', ')}`);
+
+  return { success: true, settings: cache, changes };
+};
+
+/**
+ * Past changes, newest first
+ * @param {number} limit - Most entries to return
+ * @returns {Promise<Array>} History entries
+ */
+const getHistory = async (limit = 50) => {
+  const record = await SystemSettings.findOne({ key: 'global' })
+    .select('history')
+    .populate('history.changedBy', 'name email')
+    .lean();
+  return (record?.history || []).slice(-limit).reverse();
+};
+
+/**
+ * Forget the cached settings (next read goes to the database)
+ */
+const clearCache = () => {
+  cache = null;
+  loadedAt = 0;
+};
+
+module.exports = {
+  FIELDS,
+  DEFAULTS,
+  parseFileSize,
+  getSettings,
+  updateSettings,
+  getHistory,
+  clearCache
+};
@@ -0,0 +1,377 @@
+/**
+ * Tariff Service
+ *
+ * Search, hierarchy navigation and import for the HS / ITC-HS tariff
+ * nomenclature stored in the TariffCode collection.
+ */
+
+const { TariffCode } = require('../schemas');
+const { parseCSV } = require('./csvParser');
+
+const LEVELS = {
+  2: 'chapter',
+  4: 'heading',
+  6: 'subheading',
+  8: 'tariff_item'
+};
+
+// Accepted column names in tariff files, mapped to TariffCode fields
+const COLUMN_ALIASES = {
+  code: ['code', 'hs_code', 'hscode', 'itc_hs', 'itchs', 'tariff_item', 'cth'],
+  description: ['description', 'desc', 'item_description', 'goods_description'],
+  unit: ['unit', 'uqc', 'unit_of_quantity'],
+  bcdRate: ['bcd', 'bcd_rate', 'bcdrate', 'basic_duty', 'basic_customs_duty'],
+  igstRate: ['igst', 'igst_rate', 'igstrate'],
+  swsRate: ['sws', 'sws_rate', 'swsrate', 'social_welfare_surcharge'],
+  cessRate: ['cess', 'cess_rate', 'cessrate', 'compensation_cess'],
+  section: ['section'],
+  notes: ['notes', 'note']
+};
+
+const MAX_SEARCH_RESULTS = 100;
+
+class TariffService {
+  /**
+   * Strip dots, spaces and other separators from an HS code
+   * @param {string} code - Code as written (e.g. "8517.12.00")
+   * @returns {string} Digits only
+   */
+  normalizeCode(code) {
+    return String(code || '').replace(/\D/g, '');
+  }
+
+  /**
+   * Format a code for display (8517, 8517.12, 8517.12.00)
+   * @param {string} code - Digits-only code
+   * @returns {string} Formatted code
+   */
+  formatCode(code) {
+    if (code.length <= 4) return code;
+    if (code.length <= 6) return `${code.slice(0, 4)}.${code.slice(4)}`;
+    return `${code.slice(0, 4)}.${code.slice(4, 6)}.${code.slice(6)}`;
+  }
+
+  /**
+   * Get the hierarchy level of a code
+   * @param {string} code - Digits-only code
+   * @returns {string|null} chapter, heading, subheading, tariff_item or null
+   */
+  getLevel(code) {
+    return LEVELS[code.length] || null;
+  }
+
+  /**
+   * Get the code of the parent node
+   * @param {string} code - Digits-only code
+   * @returns {string|null} Parent code
+   */
+  getParentCode(code) {
+    return code.length > 2 ? code.slice(0, code.length - 2) : null;
+  }
+
+  /**
+   * Parse a rate such as "10%", "7.5", "Free" or "Nil" into a percentage
+   * @param {*} value - Rate from a tariff file
+   * @returns {number|undefined} Rate in percent
+   */
+  parseRate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value === 'number') return value;
+    if (/^(free|nil|exempt)$/i.test(String(value).trim())) return 0;
+    const rate = parseFloat(String(value).replace('%', ''));
+    return isNaN(rate) ? undefined : rate;
+  }
+
+  /**
+   * Add display fields to a tariff record
+   * @param {Object} tariffCode - TariffCode document (lean)
+   * @returns {Object} Record with displayCode
+   */
+  present(tariffCode) {
+    return tariffCode && {
+      ...tariffCode,
+      displayCode: this.formatCode(tariffCode.code)
+    };
+  }
+
+  /**
+   * Search by code prefix (digits) or full text (words)
+   * @param {string} query - Search text or code prefix
+   * @param {Object} options - { level, chapter, limit }
+   * @returns {Promise<Array>} Matching tariff codes
+   */
+  async search(query, { level, chapter, limit = 20 } = {}) {
+    const text = String(query || '').trim();
+    const filter = { isActive: true };
+    if (level) filter.level = level;
+    if (chapter) filter.chapter = this.normalizeCode(chapter).padStart(2, '0');
+    limit = Math.min(parseInt(limit) || 20, MAX_SEARCH_RESULTS);
+
+    // Punctuation alone normalizes to an empty pattern that matches every line
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      return [];
+    }
+
+    let results;
+    if (/^[\d.\s]+$/.test(text)) {
+      results = await TariffCode.find({ ...filter, code: { $regex: `^${this.normalizeCode(text)}` } })
+        .sort({ code: 1 })
+        .limit(limit)
+        .lean();
+    } else {
+      results = await TariffCode.find({ ...filter, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, code: 1 })
+        .limit(limit)
+        .lean();
+
+      // Text search only matches whole words; fall back to a substring match
+      if (results.length === 0) {
+        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        results = await TariffCode.find({ ...filter, description: { $regex: escaped, $options: 'i' } })
+          .sort({ code: 1 })
+          .limit(limit)
+          .lean();
+      }
+    }
+
+    return results.map(result => this.present(result));
+  }
+
+  /**
+   * Get a tariff code with its ancestors and direct children
+   * @param {string} code - Code in any format
+   * @returns {Promise<Object|null>} { tariffCode, ancestors, children }
+   */
+  async getByCode(code) {
+    const normalized = this.normalizeCode(code);
+    const tariffCode = await TariffCode.findOne({ code: normalized }).lean();
+    if (!tariffCode) {
+      return null;
+    }
+
+    const ancestorCodes = [];
+    for (let parent = this.getParentCode(normalized); parent; parent = this.getParentCode(parent)) {
+      ancestorCodes.unshift(parent);
+    }
+
+    const ancestors = await TariffCode.find({ code: { $in: ancestorCodes } }).sort({ code: 1 }).lean();
+    const children = await TariffCode.find({ parentCode: normalized, isActive: true }).sort({ code: 1 }).lean();
+
+    return {
+      tariffCode: this.present(tariffCode),
+      ancestors: ancestors.map(ancestor => this.present(ancestor)),
+      children: children.map(child => this.present(child))
+    };
+  }
+
+  /**
+   * Get the most specific tariff record for a code, walking up the hierarchy
+   * when the exact line is not present (e.g. a 10-digit code from an invoice)
+   * @param {string} code - Code in any format
+   * @returns {Promise<Object|null>} Tariff record
+   */
+  async lookup(code) {
+    let normalized = this.normalizeCode(code).slice(0, 8);
+    if (normalized.length % 2 === 1) {
+      normalized = normalized.slice(0, -1);
+    }
+
+    const candidates = [];
+    for (let candidate = normalized; candidate.length >= 2; candidate = candidate.slice(0, -2)) {
+      candidates.push(candidate);
+    }
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const matches = await TariffCode.find({ code: { $in: candidates }, isActive: true }).lean();
+    const best = matches.sort((a, b) => b.code.length - a.code.length)[0];
+    return this.present(best) || null;
+  }
+
+  /**
+   * List all chapters
+   * @returns {Promise<Array>} Chapters
+   */
+  async getChapters() {
+    const chapters = await TariffCode.find({ level: 'chapter', isActive: true }).sort({ code: 1 }).lean();
+    return chapters.map(chapter => this.present(chapter));
+  }
+
+  /**
+   * Get a chapter and its headings
+   * @param {string} chapter - 2-digit chapter
+   * @returns {Promise<Object|null>} { chapter, headings }
+   */
+  async getChapter(chapter) {
+    const code = this.normalizeCode(chapter).padStart(2, '0');
+    const chapterDoc = await TariffCode.findOne({ code, level: 'chapter' }).lean();
+    const headings = await TariffCode.find({ chapter: code, level: 'heading', isActive: true })
+      .sort({ code: 1 })
+      .lean();
+
+    if (!chapterDoc && headings.length === 0) {
+      return null;
+    }
+
+    return {
+      chapter: this.present(chapterDoc) || { code, displayCode: code, level: 'chapter' },
+      headings: headings.map(heading => this.present(heading))
+    };
+  }
+
+  /**
+   * Get a heading with its subheadings and tariff items
+   * @param {string} heading - 4-digit heading
+   * @returns {Promise<Object|null>} { heading, chapter, subheadings }
+   */
+  async getHeading(heading) {
+    const code = this.normalizeCode(heading);
+    const headingDoc = await TariffCode.findOne({ code, level: 'heading' }).lean();
+    const lines = await TariffCode.find({
+      heading: code,
+      level: { $in: ['subheading', 'tariff_item'] },
+      isActive: true
+    }).sort({ code: 1 }).lean();
+
+    if (!headingDoc && lines.length === 0) {
+      return null;
+    }
+
+    const chapterDoc = await TariffCode.findOne({ code: code.slice(0, 2), level: 'chapter' }).lean();
+    const subheadings = lines
+      .filter(line => line.level === 'subheading')
+      .map(subheading => ({ ...this.present(subheading), tariffItems: [] }));
+
+    // Group tariff items under their subheading; items without one stay at the top level
+    const tariffItems = [];
+    lines.filter(line => line.level === 'tariff_item').forEach(item => {
+      const parent = subheadings.find(subheading => subheading.code === item.subheading);
+      if (parent) {
+        parent.tariffItems.push(this.present(item));
+      } else {
+        tariffItems.push(this.present(item));
+      }
+    });
+
+    return {
+      heading: this.present(headingDoc) || { code, displayCode: code, level: 'heading' },
+      chapter: this.present(chapterDoc),
+      subheadings,
+      tariffItems
+    };
+  }
+
+  /**
+   * Parse CSV text into row objects keyed by lower-case header
+   * @param {string} content - CSV file content
+   * @returns {Array<Object>} Rows
+   */
+  parseCSV(content) {
+    return parseCSV(content);
+  }
+
+  /**
+   * Map a row from a tariff file onto TariffCode fields
+   * @param {Object} row - Row with any supported column names
+   * @param {Object} defaults - { source, effectiveDate }
+   * @returns {Object} TariffCode fields
+   */
+  normalizeRecord(row, defaults = {}) {
+    const keys = Object.keys(row);
+    const get = (field) => {
+      const key = keys.find(name => COLUMN_ALIASES[field].includes(name.toLowerCase().replace(/[\s-]+/g, '_')));
+      return key === undefined ? undefined : row[key];
+    };
+
+    const code = this.normalizeCode(get('code'));
+    const level = this.getLevel(code);
+    if (!level) {
+      throw new Error(`Invalid HS code "${get('code')}": expected 2, 4, 6 or 8 digits`);
+    }
+
+    const description = String(get('description') || '').trim();
+    if (!description) {
+      throw new Error(`Missing description for ${code}`);
+    }
+
+    const record = {
+      code,
+      level,
+      chapter: code.slice(0, 2),
+      heading: code.length >= 4 ? code.slice(0, 4) : undefined,
+      subheading: code.length >= 6 ? code.slice(0, 6) : undefined,
+      parentCode: this.getParentCode(code) || undefined,
+      description,
+      unit: get('unit') ? String(get('unit')).trim().toUpperCase() : undefined,
+      bcdRate: this.parseRate(get('bcdRate')),
+      igstRate: this.parseRate(get('igstRate')),
+      swsRate: this.parseRate(get('swsRate')),
+      cessRate: this.parseRate(get('cessRate')),
+      section: get('section') || undefined,
+      notes: get('notes') || undefined,
+      source: defaults.source,
+      effectiveDate: defaults.effectiveDate,
+      isActive: true
+    };
+
+    Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+    return record;
+  }
+
+  /**
+   * Import tariff rows (upsert by code)
+   * @param {Array<Object>} rows - Rows from a CSV or JSON tariff file
+   * @param {Object} options - { source, effectiveDate, replace }
+   * @returns {Promise<Object>} Import summary
+   */
+  async importRecords(rows, options = {}) {
+    const records = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      try {
+        records.push(this.normalizeRecord(row, options));
+      } catch (error) {
+        errors.push({ row: index + 1, message: error.message });
+      }
+    });
+
+    if (options.replace) {
+      await TariffCode.deleteMany({});
+    }
+
+    let inserted = 0;
+    let updated = 0;
+    const batchSize = 1000;
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batch = records.slice(i, i + batchSize);
+      const result = await TariffCode.bulkWrite(batch.map(record => ({
+        updateOne: {
+          filter: { code: record.code },
+          update: { $set: record },
+          upsert: true
+        }
+      })));
+      inserted += result.upsertedCount || 0;
+      updated += result.modifiedCount || 0;
+    }
+
+    // Codes whose parent is not in the database cannot be reached by navigation
+    const codes = new Set(await TariffCode.distinct('code'));
+    const missingParents = [...new Set(records
+      .map(record => record.parentCode)
+      .filter(parentCode => parentCode && !codes.has(parentCode)))];
+
+    return {
+      total: rows.length,
+      imported: records.length,
+      inserted,
+      updated,
+      errors,
+      missingParents
+    };
+  }
+}
+
+module.exports = TariffService;
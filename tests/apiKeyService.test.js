@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { APIKey, User } = require('../schemas');
+const ApiKeyService = require('../services/apiKeyService');
+
+const lean = result => ({
+  select: () => lean(result),
+  lean: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('ApiKeyService', () => {
+  const service = new ApiKeyService();
+  const userId = new mongoose.Types.ObjectId();
+  let apiKey;
+
+  beforeEach(() => {
+    apiKey = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'ERP batch',
+      status: 'active',
+      permissions: ['read'],
+      rateLimit: 100,
+      ipWhitelist: [],
+      user: userId
+    };
+    jest.spyOn(APIKey, 'findOne').mockImplementation(filter => lean(filter.keyHash === service.hashKey('ak_valid') ? apiKey : null));
+    jest.spyOn(User, 'findById').mockReturnValue(lean({ _id: userId, role: 'importer', status: 'active' }));
+    jest.spyOn(APIKey, 'findOneAndUpdate').mockResolvedValue({ usage: { count: 1, windowStart: new Date() } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const authenticate = (context = {}) => service.authenticate('ak_valid', { ip: '203.0.113.7', method: 'GET', ...context });
+
+  describe('authenticate', () => {
+    it('accepts a valid key and reports the rate window', async () => {
+      const result = await authenticate();
+      expect(result).toMatchObject({ success: true, apiKey, user: { role: 'importer' } });
+      expect(result.rate).toMatchObject({ allowed: true, limit: 100, remaining: 99 });
+    });
+
+    it('refuses unknown keys', async () => {
+      expect(await service.authenticate('ak_unknown', { method: 'GET' })).toMatchObject({ success: false, statusCode: 401 });
+      expect(APIKey.findOne).toHaveBeenCalledWith({ keyHash: service.hashKey('ak_unknown') });
+    });
+
+    it.each([
+      ['GET', 'read', true],
+      ['POST', 'read', false],
+      ['DELETE', 'write', false],
+      ['DELETE', 'delete', true],
+      ['PATCH', 'admin', true]
+    ])('%s with the %s scope is allowed: %s', async (method, scope, allowed) => {
+      apiKey.permissions = [scope];
+      const result = await authenticate({ method });
+      expect(result.success).toBe(allowed);
+      if (!allowed) {
+        expect(result).toMatchObject({ statusCode: 403, message: `API key lacks the ${service.scopeForMethod(method)} permission` });
+      }
+    });
+
+    it.each([
+      ['203.0.113.7', true],
+      ['::ffff:203.0.113.200', true],
+      ['198.51.100.1', false],
+      ['not an address', false]
+    ])('with an allowlist, %s is allowed: %s', async (ip, allowed) => {
+      apiKey.ipWhitelist = ['203.0.113.0/24', '2001:db8::1'];
+      const result = await authenticate({ ip });
+      expect(result.success).toBe(allowed);
+      if (!allowed) {
+        expect(result.statusCode).toBe(403);
+      }
+    });
+
+    it('marks an expired key and refuses it', async () => {
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      const updateOne = jest.spyOn(APIKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await authenticate()).toMatchObject({ success: false, statusCode: 401, message: 'API key has expired' });
+      expect(updateOne).toHaveBeenCalledWith({ _id: apiKey._id }, { $set: { status: 'expired' } });
+    });
+
+    it('refuses revoked keys and keys of deactivated accounts', async () => {
+      apiKey.status = 'revoked';
+      expect(await authenticate()).toMatchObject({ success: false, statusCode: 401, message: 'API key is revoked' });
+
+      apiKey.status = 'active';
+      User.findById.mockReturnValue(lean({ _id: userId, status: 'inactive' }));
+      expect(await authenticate()).toMatchObject({ success: false, statusCode: 401 });
+    });
+
+    it('refuses requests over the hourly limit with the time the window resets', async () => {
+      const windowStart = new Date(Date.now() - 10 * 60 * 1000);
+      APIKey.findOneAndUpdate.mockResolvedValue(null);
+      jest.spyOn(APIKey, 'findById').mockReturnValue(lean({ usage: { count: 100, windowStart } }));
+
+      const result = await authenticate();
+      expect(result).toMatchObject({ success: false, statusCode: 429 });
+      expect(result.rate).toEqual({ allowed: false, limit: 100, remaining: 0, resetAt: new Date(windowStart.getTime() + 60 * 60 * 1000) });
+    });
+  });
+
+  describe('consumeRequest', () => {
+    it('counts within the current window while under the limit', async () => {
+      await service.consumeRequest(apiKey);
+
+      const [filter, update] = APIKey.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: apiKey._id, 'usage.count': { $lt: 100 } });
+      expect(filter['usage.windowStart'].$gt.getTime()).toBeCloseTo(Date.now() - 60 * 60 * 1000, -3);
+      expect(update.$inc).toEqual({ 'usage.count': 1, requests: 1 });
+    });
+
+    it('starts a new window once the last one is over', async () => {
+      const now = new Date();
+      APIKey.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ usage: { count: 1, windowStart: now } });
+
+      expect(await service.consumeRequest(apiKey)).toMatchObject({ allowed: true, remaining: 99 });
+      const [filter, update] = APIKey.findOneAndUpdate.mock.calls[1];
+      expect(filter.$or[1]).toEqual({ 'usage.windowStart': null });
+      expect(update.$set['usage.count']).toBe(1);
+    });
+  });
+
+  it('only accepts known scopes, valid ranges and future expiry dates', () => {
+    expect(service.validateSettings({ permissions: ['read', 'superuser'] }).statusCode).toBe(400);
+    expect(service.validateSettings({ ipWhitelist: ['10.0.0.0/33'] }).statusCode).toBe(400);
+    expect(service.validateSettings({ expiresAt: '2000-01-01' }).statusCode).toBe(400);
+    expect(service.validateSettings({ rateLimit: 0 }).statusCode).toBe(400);
+    expect(service.validateSettings({ permissions: ['read', 'read'], ipWhitelist: [' 10.0.0.0/8 '] }))
+      .toEqual({ success: true, values: { permissions: ['read'], ipWhitelist: ['10.0.0.0/8'] } });
+  });
+});
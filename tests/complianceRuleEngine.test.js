@@ -0,0 +1,179 @@
+const ComplianceRuleEngine = require('../services/complianceRuleEngine');
+
+const engine = new ComplianceRuleEngine();
+
+const rule = (overrides = {}) => ({
+  _id: 'rule-id',
+  code: 'INV-001',
+  version: 1,
+  name: 'Invoice value',
+  description: 'Invoice value must be declared',
+  rule: 'Declare the invoice value',
+  severity: 'medium',
+  conditions: [],
+  actions: [],
+  applicableTo: [],
+  countries: [],
+  ...overrides
+});
+
+describe('ComplianceRuleEngine', () => {
+  describe('resolveValues', () => {
+    it('expands arrays along the path', () => {
+      const data = { items: [{ hsCode: '8517' }, { hsCode: '8471' }, {}] };
+      expect(engine.resolveValues(data, 'items.hsCode')).toEqual(['8517', '8471']);
+    });
+
+    it('returns nothing for missing paths', () => {
+      expect(engine.resolveValues({ buyer: null }, 'buyer.country')).toEqual([]);
+      expect(engine.resolveValues({}, '')).toEqual([]);
+    });
+  });
+
+  describe('toNumber', () => {
+    it('parses formatted amounts', () => {
+      expect(engine.toNumber('1,200.50')).toBe(1200.5);
+      expect(engine.toNumber('$ 75000')).toBe(75000);
+      expect(engine.toNumber(42)).toBe(42);
+    });
+
+    it('returns null for values without a number', () => {
+      expect(engine.toNumber('n/a')).toBeNull();
+      expect(engine.toNumber(Infinity)).toBeNull();
+      expect(engine.toNumber({})).toBeNull();
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const data = {
+      totalValue: '12,500',
+      currency: 'usd',
+      items: [{ description: 'Lithium battery pack' }, { description: 'Charger' }]
+    };
+
+    it.each([
+      [{ field: 'totalValue', operator: 'exists' }, true],
+      [{ field: 'incoterm', operator: 'not_exists' }, true],
+      [{ field: 'currency', operator: 'equals', value: 'USD' }, true],
+      [{ field: 'currency', operator: 'equals', value: ['EUR', 'USD'] }, true],
+      [{ field: 'currency', operator: 'not_equals', value: 'EUR' }, true],
+      [{ field: 'items.description', operator: 'contains', value: 'battery' }, true],
+      [{ field: 'items.description', operator: 'not_contains', value: 'battery' }, false],
+      [{ field: 'totalValue', operator: 'greater_than', value: 10000 }, true],
+      [{ field: 'totalValue', operator: 'less_than', value: '10,000' }, false],
+      [{ field: 'totalValue', operator: 'equals', value: 12500 }, true]
+    ])('%j is %s', (condition, expected) => {
+      expect(engine.evaluateCondition(condition, data)).toBe(expected);
+    });
+
+    it('throws on unknown operators', () => {
+      expect(() => engine.evaluateCondition({ field: 'a', operator: 'matches' }, {})).toThrow('Unsupported condition operator');
+    });
+  });
+
+  describe('evaluateConditions', () => {
+    const data = { a: 1, b: 2 };
+    const is = (field, value, logicalOperator) => ({ field, operator: 'equals', value, logicalOperator });
+
+    it('is not triggered without conditions', () => {
+      expect(engine.evaluateConditions([], data)).toBe(false);
+    });
+
+    it('combines conditions left to right', () => {
+      expect(engine.evaluateConditions([is('a', 1), is('b', 3, 'AND')], data)).toBe(false);
+      expect(engine.evaluateConditions([is('a', 1), is('b', 3, 'OR')], data)).toBe(true);
+      // (false OR true) AND false
+      expect(engine.evaluateConditions([is('a', 0), is('b', 2, 'OR'), is('a', 0, 'AND')], data)).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    const missingValue = { field: 'totalValue', operator: 'not_exists' };
+
+    it('passes rules whose conditions do not match', () => {
+      const result = engine.evaluate([rule({ conditions: [missingValue] })], { totalValue: 100 });
+      expect(result.results[0].triggered).toBe(false);
+      expect(result.checks[0]).toMatchObject({ passed: true, severity: 'info', field: 'totalValue' });
+      expect(result.errors).toEqual([]);
+    });
+
+    it('falls back to an error or warning by severity when a rule has no actions', () => {
+      const high = engine.evaluate([rule({ severity: 'high', conditions: [missingValue] })], {});
+      expect(high.errors[0]).toMatchObject({ type: 'rule_violation', severity: 'error', requirement: 'INV-001 v1' });
+
+      const low = engine.evaluate([rule({ severity: 'low', conditions: [missingValue] })], {});
+      expect(low.errors[0].severity).toBe('warning');
+    });
+
+    it('blocks and flags', () => {
+      const result = engine.evaluate([rule({
+        conditions: [missingValue],
+        actions: [{ type: 'block', message: 'No value' }, { type: 'flag', field: 'buyer' }]
+      })], {});
+
+      expect(result.blocked).toBe(true);
+      expect(result.blockingIssues).toEqual([{ rule: 'rule-id', code: 'INV-001', message: 'No value', field: 'totalValue' }]);
+      expect(result.flags).toEqual([{ rule: 'rule-id', code: 'INV-001', message: 'Invoice value must be declared', field: 'buyer' }]);
+      expect(result.results[0].actions).toEqual(['block', 'flag']);
+    });
+
+    it('auto-corrects a copy of the data', () => {
+      const data = { items: [{ unit: 'pcs' }, { unit: 'PCS' }] };
+      const result = engine.evaluate([rule({
+        conditions: [{ field: 'items.unit', operator: 'equals', value: 'pcs' }],
+        actions: [{ type: 'auto_correct', field: 'items.unit', value: 'NOS' }]
+      })], data);
+
+      expect(result.structuredData.items).toEqual([{ unit: 'NOS' }, { unit: 'NOS' }]);
+      expect(data.items[0].unit).toBe('pcs');
+      expect(result.corrections[0]).toMatchObject({ field: 'items.unit', suggestion: 'Set to "NOS"' });
+    });
+
+    it('reports rules that cannot be evaluated and goes on', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const result = engine.evaluate([
+        rule({ code: 'BAD', conditions: [{ field: 'a', operator: 'matches' }] }),
+        rule({ conditions: [missingValue] })
+      ], {});
+      console.warn.mockRestore();
+
+      expect(result.checks[0]).toMatchObject({ passed: false, severity: 'warning' });
+      expect(result.results.map(r => r.triggered)).toEqual([false, true]);
+    });
+  });
+
+  describe('applicability', () => {
+    it('matches countries case-insensitively and skips country rules without a country', () => {
+      const usOnly = rule({ countries: ['United States'] });
+      expect(engine.appliesToCountry(usOnly, ' united states ')).toBe(true);
+      expect(engine.appliesToCountry(usOnly, null)).toBe(false);
+      expect(engine.appliesToCountry(rule(), null)).toBe(true);
+    });
+
+    it('maps document type aliases', () => {
+      expect(engine.appliesToDocumentType(rule({ applicableTo: ['invoice'] }), 'commercial_invoice')).toBe(true);
+      expect(engine.appliesToDocumentType(rule({ applicableTo: ['boe'] }), 'commercial_invoice')).toBe(false);
+      expect(engine.appliesToDocumentType(rule({ applicableTo: ['all'] }), 'packing_list')).toBe(true);
+    });
+  });
+
+  describe('dryRun', () => {
+    it('sorts documents into pass, fail, not applicable and no data', () => {
+      const draft = rule({
+        applicableTo: ['invoice'],
+        countries: ['Germany'],
+        conditions: [{ field: 'totalValue', operator: 'not_exists' }]
+      });
+      const report = engine.dryRun(draft, [
+        { _id: 1, documentType: 'commercial_invoice', structuredData: { destinationCountry: 'Germany', totalValue: 10 } },
+        { _id: 2, documentType: 'commercial_invoice', structuredData: { destinationCountry: 'Germany' } },
+        { _id: 3, documentType: 'commercial_invoice', structuredData: { destinationCountry: 'France' } },
+        { _id: 4, documentType: 'packing_list', structuredData: { destinationCountry: 'Germany' } },
+        { _id: 5, documentType: 'commercial_invoice', structuredData: {} }
+      ]);
+
+      expect(report.results.map(result => result.outcome)).toEqual(['pass', 'fail', 'not_applicable', 'not_applicable', 'no_data']);
+      expect(report.summary).toEqual({ total: 5, passed: 1, failed: 1, notApplicable: 2, noData: 1 });
+    });
+  });
+});
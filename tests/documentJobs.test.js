@@ -0,0 +1,59 @@
+const { ProcessingJob } = require('../schemas');
+const AIProcessor = require('../services/aiProcessor');
+const { jobQueue, enqueueDocumentProcessing } = require('../services/documentJobs');
+
+const documentId = '64b000000000000000000001';
+
+describe('documentJobs', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('new version uploaded while processing', () => {
+    it('marks a queued job as a reprocess of the new file', async () => {
+      const queued = { _id: 'job-1', status: 'queued' };
+      const findOneAndUpdate = jest.spyOn(ProcessingJob, 'findOneAndUpdate').mockResolvedValue(queued);
+
+      expect(await enqueueDocumentProcessing(documentId, { reprocess: true })).toBe(queued);
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { dedupeKey: `document:${documentId}`, status: 'queued' },
+        { $set: { 'payload.reprocess': true } },
+        { new: true }
+      );
+    });
+
+    it('runs the job again as a reprocess once the run on the old file ends', async () => {
+      const findOneAndUpdate = jest.spyOn(ProcessingJob, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'job-1', status: 'running', rerun: true });
+      const updateOne = jest.spyOn(ProcessingJob, 'updateOne')
+        .mockResolvedValueOnce({ matchedCount: 0 })
+        .mockResolvedValueOnce({ matchedCount: 1 });
+      const processDocument = jest.spyOn(AIProcessor.prototype, 'processDocument').mockResolvedValue({ success: true });
+      const reprocessDocument = jest.spyOn(AIProcessor.prototype, 'reprocessDocument').mockResolvedValue({ success: true });
+
+      await enqueueDocumentProcessing(documentId, { reprocess: true });
+      expect(findOneAndUpdate).toHaveBeenLastCalledWith(
+        { dedupeKey: `document:${documentId}`, status: 'running' },
+        { $set: { 'payload.reprocess': true, rerun: true } },
+        { new: true }
+      );
+
+      // The run that read the previous file ends and is queued again
+      await jobQueue.run({ _id: 'job-1', type: 'document_processing', attempts: 1, maxAttempts: 5, payload: { documentId, reprocess: false } });
+      expect(processDocument).toHaveBeenCalledWith(documentId);
+      expect(updateOne).toHaveBeenLastCalledWith({ _id: 'job-1', rerun: true }, expect.objectContaining({
+        $set: expect.objectContaining({ status: 'queued' })
+      }));
+
+      // The next run reprocesses the document, now pointing at the new file
+      jest.spyOn(ProcessingJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+      await jobQueue.run({ _id: 'job-1', type: 'document_processing', attempts: 1, maxAttempts: 5, payload: { documentId, reprocess: true } });
+      expect(reprocessDocument).toHaveBeenCalledWith(documentId);
+    });
+  });
+});
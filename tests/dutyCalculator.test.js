@@ -0,0 +1,201 @@
+const { TradeAgreementRate, TradeRemedyDuty } = require('../schemas');
+const DutyCalculator = require('../services/dutyCalculator');
+
+const TARIFF = {
+  code: '85176290',
+  displayCode: '8517.62.90',
+  description: 'Other machines for the reception of voice, images or data',
+  unit: 'u',
+  bcdRate: 10,
+  swsRate: 10,
+  igstRate: 18,
+  cessRate: 0
+};
+
+const found = records => ({ lean: () => Promise.resolve(records) });
+
+describe('DutyCalculator', () => {
+  let calculator;
+  let agreementRates;
+  let remedies;
+
+  beforeEach(() => {
+    calculator = new DutyCalculator();
+    agreementRates = [];
+    remedies = [];
+    jest.spyOn(calculator.tariffService, 'lookup').mockResolvedValue(TARIFF);
+    jest.spyOn(TradeAgreementRate, 'find').mockImplementation(() => found(agreementRates));
+    jest.spyOn(TradeRemedyDuty, 'find').mockImplementation(() => found(remedies));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const calculate = input => calculator.calculate({
+    hsCode: '8517.62.90',
+    goodsValue: 1000,
+    currency: 'INR',
+    freight: 100,
+    insurance: 0,
+    ...input
+  });
+
+  describe('valuation', () => {
+    it('adds freight, insurance and landing charges to the assessable value', async () => {
+      const { calculation } = await calculate({ landingCharges: 11 });
+      expect(calculation.valuation).toEqual({
+        goodsValue: 1000,
+        freight: 100,
+        insurance: 0,
+        cif: 1100,
+        landingCharges: 11,
+        assessableValue: 1111
+      });
+    });
+
+    it('takes freight and insurance as a share of FOB when they are not given', async () => {
+      const { calculation } = await calculate({ freight: undefined, insurance: undefined });
+      expect(calculation.valuation).toMatchObject({ freight: 200, insurance: 11.25, cif: 1211.25 });
+      expect(calculation.warnings).toEqual([
+        'Freight not provided; 20% of FOB used',
+        'Insurance not provided; 1.125% of FOB used'
+      ]);
+    });
+
+    it('apportions freight across lines by value', async () => {
+      const { calculation } = await calculator.calculate({
+        items: [{ hsCode: '85176290', value: 750 }, { hsCode: '85176290', value: 250 }],
+        freight: 100,
+        insurance: 0
+      });
+      expect(calculation.lines.map(line => line.valuation.freight)).toEqual([75, 25]);
+    });
+
+    it('converts foreign currency values at the given rate', async () => {
+      const { calculation } = await calculate({ currency: 'usd', exchangeRate: 80 });
+      expect(calculation.exchangeRate).toEqual({ currency: 'USD', rate: 80, source: 'request' });
+      expect(calculation.valuation).toMatchObject({ goodsValue: 80000, cif: 88000 });
+      expect(calculation.invoiceValue).toBe(1000);
+    });
+
+    it('fails without a customs rate for the currency', async () => {
+      jest.spyOn(calculator.exchangeRateService, 'getRate').mockResolvedValue(null);
+      const result = await calculate({ currency: 'EUR', assessmentDate: '2024-03-01' });
+      expect(result).toEqual({
+        success: false,
+        errors: ['No customs exchange rate for EUR on 2024-03-01; import the notified rates or pass exchangeRate']
+      });
+    });
+  });
+
+  describe('duties and taxes', () => {
+    it('levies SWS on BCD and IGST on the value plus all duties', async () => {
+      const { calculation } = await calculate();
+      const [line] = calculation.lines;
+
+      expect(line.duties).toMatchObject({ basicDuty: 110, socialWelfareSurcharge: 11, totalDuty: 121 });
+      expect(line.taxes).toEqual({ igstBase: 1221, igst: 219.78, cess: 0, totalTax: 219.78 });
+      expect(calculation.totals).toEqual({ totalDutyTax: 340.78, grandTotal: 1440.78 });
+    });
+
+    it('uses rates given on the line over the tariff', async () => {
+      const { calculation } = await calculator.calculate({
+        items: [{ hsCode: '85176290', value: 1000, bcdRate: 0, igstRate: 5 }],
+        freight: 0,
+        insurance: 0
+      });
+      expect(calculation.lines[0].rates).toEqual({ bcdRate: 0, swsRate: 10, igstRate: 5, cessRate: 0 });
+      expect(calculation.taxes.igst).toBe(50);
+    });
+
+    it('rejects codes missing from the tariff', async () => {
+      calculator.tariffService.lookup.mockResolvedValue(null);
+      const result = await calculate({ hsCode: '99999999' });
+      expect(result).toEqual({ success: false, errors: ['Line 1: HS code 99999999 not found in the tariff database'] });
+    });
+  });
+
+  describe('FTA preference', () => {
+    beforeEach(() => {
+      agreementRates = [
+        { hsCode: '8517', agreement: 'CEPA', countries: ['Korea'], rate: 0, requiresCertificateOfOrigin: true },
+        { hsCode: '851762', agreement: 'APTA', name: 'Asia Pacific Trade Agreement', countries: ['KR'], rate: 5 },
+        { hsCode: '85176290', agreement: 'CECA', countries: ['Japan'], rate: 0 }
+      ];
+    });
+
+    it('applies the most specific preferential rate for the origin', async () => {
+      const { calculation } = await calculate({ originCountry: 'South Korea' });
+      const [line] = calculation.lines;
+
+      expect(line.rates.bcdRate).toBe(5);
+      expect(line.preference).toMatchObject({ agreement: 'APTA', hsCode: '851762', rate: 5, standardRate: 10 });
+      expect(line.duties.basicDuty).toBe(55);
+    });
+
+    it('warns when the preference needs a certificate of origin', async () => {
+      agreementRates.splice(1, 1);
+      const { calculation } = await calculate({ originCountry: 'KR' });
+      expect(calculation.lines[0].preference.agreement).toBe('CEPA');
+      expect(calculation.warnings).toContain('Line 1: CEPA preferential rate requires a certificate of origin');
+    });
+
+    it('does not apply to other origins or to lines with their own BCD rate', async () => {
+      const other = await calculate({ originCountry: 'Germany' });
+      expect(other.calculation.lines[0].preference).toBeNull();
+
+      const overridden = await calculator.calculate({
+        items: [{ hsCode: '85176290', value: 1000, bcdRate: 7.5 }],
+        originCountry: 'Korea',
+        freight: 0,
+        insurance: 0
+      });
+      expect(overridden.calculation.lines[0].rates.bcdRate).toBe(7.5);
+    });
+  });
+
+  describe('trade remedies', () => {
+    it('converts specific duties per unit at the customs rate and adds them to the IGST base', async () => {
+      remedies = [{ type: 'anti_dumping', hsCode: '8517', rateType: 'specific', amount: 2, currency: 'USD', unit: 'u', countries: ['China'] }];
+      const getRate = jest.spyOn(calculator.exchangeRateService, 'getRate').mockResolvedValue({ rate: 80 });
+
+      const { calculation } = await calculate({ originCountry: 'PRC', quantity: 10, assessmentDate: '2024-03-01' });
+      const [line] = calculation.lines;
+
+      expect(getRate).toHaveBeenCalledWith('USD', 'INR', { date: new Date('2024-03-01'), rateType: 'customs_import' });
+      expect(line.duties.antiDumpingDuty).toBe(1600);
+      expect(line.taxes.igstBase).toBe(1100 + 110 + 11 + 1600);
+    });
+
+    it('skips specific duties without a quantity', async () => {
+      remedies = [{ type: 'safeguard', hsCode: '8517', rateType: 'specific', amount: 2, currency: 'USD', unit: 'kg' }];
+      const { calculation } = await calculate();
+      expect(calculation.duties.safeguardDuty).toBe(0);
+      expect(calculation.warnings).toContain('Line 1: safeguard duty of 2 USD per kg not applied: quantity missing');
+    });
+
+    it('levies ad valorem duties on the assessable value, exporter-specific entries first', async () => {
+      remedies = [
+        { type: 'anti_dumping', hsCode: '85176290', rateType: 'ad_valorem', rate: 20, countries: ['CN'] },
+        { type: 'anti_dumping', hsCode: '8517', rateType: 'ad_valorem', rate: 5, countries: ['CN'], exporter: 'Acme Electronics' }
+      ];
+      const { calculation } = await calculate({ originCountry: 'China', exporter: 'acme electronics' });
+      expect(calculation.lines[0].tradeRemedies).toHaveLength(1);
+      expect(calculation.duties.antiDumpingDuty).toBe(55);
+    });
+  });
+
+  it('only assesses imports into India', () => {
+    expect(calculator.validate({ destinationCountry: 'USA', goodsValue: 1, hsCode: '8517' }))
+      .toEqual(['Duty rates are only available for imports into India, not USA']);
+  });
+
+  it.each([0, -80, 'abc'])('rejects an exchange rate of %j', async (exchangeRate) => {
+    expect(await calculate({ currency: 'USD', exchangeRate }))
+      .toEqual({ success: false, errors: ['exchangeRate must be a positive number'] });
+  });
+
+  it('rejects an assessment date that is not a date', async () => {
+    expect(await calculate({ assessmentDate: 'garbage' }))
+      .toEqual({ success: false, errors: ['assessmentDate must be a valid date'] });
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fileTypes = require('../services/contentInspection/fileTypes');
+
+const PDF_END = 'xref\n0 1\ntrailer\n<< /Root 1 0 R >>\nstartxref\n9\n%%EOF\n';
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, body) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'latin1'), body])));
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), body, crc]);
+};
+
+// A 2x2 RGB PNG; pixels sets the inflated image data
+const png = (pixels = Buffer.alloc(2 * (1 + 2 * 3))) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(2, 0);
+  header.writeUInt32BE(2, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// A PDF whose objects are kept in one compressed object stream
+const objectStreamPdf = (objects, dictionary = '/Filter /FlateDecode') => {
+  const body = dictionary.includes('FlateDecode') ? zlib.deflateSync(Buffer.from(objects)) : Buffer.from(objects);
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.5\n5 0 obj\n<< /Type /ObjStm /N 2 /First 10 /Length ${body.length} ${dictionary} >>\nstream\n`),
+    body,
+    Buffer.from(`\nendstream\nendobj\n${PDF_END}`)
+  ]);
+};
+
+describe('fileTypes', () => {
+  let dir;
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-types-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('detectType', () => {
+    it.each([
+      ['pdf', Buffer.from('%PDF-1.7\n')],
+      ['png', png()],
+      ['jpeg', Buffer.from([0xff, 0xd8, 0xff, 0xe0])],
+      ['doc', Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+      ['zip', Buffer.from('PK\x03\x04', 'latin1')],
+      ['executable', Buffer.from('\x7fELF', 'latin1')],
+      ['script', Buffer.from('#!/bin/sh\n')],
+      ['unknown', Buffer.from('hello')]
+    ])('detects %s', (type, head) => {
+      expect(fileTypes.detectType(head)).toBe(type);
+    });
+
+    it('treats an executable with a PDF header further in as an executable', () => {
+      const polyglot = Buffer.alloc(1024);
+      polyglot.write('MZ', 0, 'latin1');
+      polyglot.write('%PDF-1.4', 64, 'latin1');
+      expect(fileTypes.detectType(polyglot)).toBe('executable');
+    });
+
+    it('accepts a PDF header only at the start, after a byte order mark or whitespace', () => {
+      expect(fileTypes.detectType(Buffer.from('\xef\xbb\xbf\r\n%PDF-1.7', 'latin1'))).toBe('pdf');
+      expect(fileTypes.detectType(Buffer.from(`${'x'.repeat(100)}%PDF-1.7`))).toBe('unknown');
+    });
+  });
+
+  it('reads the declared type from the MIME type, then the extension', () => {
+    expect(fileTypes.declaredType('image/jpg', '.png')).toBe('jpeg');
+    expect(fileTypes.declaredType('application/octet-stream', '.docx')).toBe('docx');
+    expect(fileTypes.declaredType('text/html', '.html')).toBeNull();
+  });
+
+  describe('checkPdf', () => {
+    const checks = async content => (await fileTypes.checkPdf(write('file.pdf', content))).map(finding => finding.check);
+
+    it('accepts a well-formed PDF', async () => {
+      expect(await checks(`%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n${PDF_END}`)).toEqual([]);
+    });
+
+    it('flags damaged PDFs', async () => {
+      expect(await checks('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n')).toEqual(['pdf_structure']);
+    });
+
+    it('finds active content behind escaped names', async () => {
+      const findings = await fileTypes.checkPdf(write('js.pdf',
+        `%PDF-1.4\n1 0 obj << /Type /Catalog /OpenAction << /S /J#61vaScript /JS (app.alert(1)) >> >> endobj\n${PDF_END}`));
+      expect(findings).toEqual([{ check: 'pdf_javascript', message: 'The PDF contains JavaScript', activeContent: true }]);
+    });
+
+    it('flags encryption, launch actions and embedded files', async () => {
+      expect(await checks(`%PDF-1.4\n1 0 obj << /Type /Catalog /Names << /EmbeddedFiles 2 0 R >> >> endobj
+2 0 obj << /Type /EmbeddedFile /Length 0 >> stream
+endstream endobj
+3 0 obj << /S /Launch /F (cmd.exe) >> endobj\n${PDF_END.replace('/Root 1 0 R', '/Root 1 0 R /Encrypt 4 0 R')}`))
+        .toEqual(['pdf_encrypted', 'pdf_launch_action', 'pdf_embedded_file']);
+    });
+
+    it('searches compressed object streams', async () => {
+      expect(await checks(objectStreamPdf('1 0 obj << /Type /Catalog >> endobj 3 0 obj << /S /JavaScript /JS (x) >> endobj')))
+        .toEqual(['pdf_javascript']);
+      expect(await checks(objectStreamPdf('1 0 obj << /Type /Catalog >> endobj'))).toEqual([]);
+    });
+
+    it('flags object streams it cannot read', async () => {
+      expect(await checks(objectStreamPdf('1 0 obj << /Type /Catalog >> endobj', '/Filter /LZWDecode'))).toEqual(['pdf_object_streams']);
+      expect(await checks(`%PDF-1.5\n5 0 obj\n<< /Type /ObjStm /N 1 /First 4 /Length 12 /Filter /FlateDecode >>\nstream\nnot deflated\nendstream\nendobj\n${PDF_END}`))
+        .toEqual(['pdf_object_streams']);
+    });
+  });
+
+  describe('checkPng', () => {
+    it('accepts an image whose data matches its size', async () => {
+      expect(await fileTypes.checkPng(write('ok.png', png()))).toEqual([]);
+    });
+
+    it('rejects image data of the wrong size', async () => {
+      const [finding] = await fileTypes.checkPng(write('short.png', png(Buffer.alloc(3))));
+      expect(finding.message).toBe('The PNG image cannot be decoded: the image data does not match its size');
+    });
+
+    it('rejects corrupt chunks', async () => {
+      const data = png();
+      data[data.length - 20] ^= 0xff;
+      const [finding] = await fileTypes.checkPng(write('corrupt.png', data));
+      expect(finding.message).toMatch(/chunk \w+ is corrupt/);
+    });
+  });
+
+  describe('checkJpeg', () => {
+    const segment = (marker, body) => {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(body.length + 2);
+      return Buffer.concat([Buffer.from([0xff, marker]), length, body]);
+    };
+    const frame = segment(0xc0, Buffer.from([8, 0, 16, 0, 16, 1, 1, 0x11, 0]));
+    const scan = segment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0]));
+
+    it('accepts a frame, a scan and an end marker', async () => {
+      const data = Buffer.concat([Buffer.from([0xff, 0xd8]), frame, scan, Buffer.from([0x12, 0x34, 0xff, 0xd9])]);
+      expect(await fileTypes.checkJpeg(write('ok.jpg', data))).toEqual([]);
+    });
+
+    it('rejects a scan without a frame header', async () => {
+      const data = Buffer.concat([Buffer.from([0xff, 0xd8]), scan, Buffer.from([0xff, 0xd9])]);
+      const [finding] = await fileTypes.checkJpeg(write('noframe.jpg', data));
+      expect(finding.message).toBe('The JPEG image cannot be decoded: the frame header is missing');
+    });
+  });
+
+  describe('checkWord', () => {
+    it('flags macros in .docx and zips that are not Office files', async () => {
+      const docx = Buffer.from('PK\x03\x04 [Content_Types].xml word/document.xml word/vbaProject.bin', 'latin1');
+      expect((await fileTypes.checkWord(write('macro.docx', docx), 'docx'))[0].check).toBe('office_macros');
+      expect((await fileTypes.checkWord(write('other.docx', 'PK\x03\x04 data.csv'), 'docx'))[0].check).toBe('office_structure');
+    });
+
+    it('flags macro storages in .doc', async () => {
+      const doc = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0]), Buffer.from('_VBA_PROJECT', 'utf16le')]);
+      expect((await fileTypes.checkWord(write('macro.doc', doc), 'doc'))[0].check).toBe('office_macros');
+      expect(await fileTypes.checkWord(write('plain.doc', Buffer.from([0xd0, 0xcf, 0x11, 0xe0])), 'doc')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { ProcessingJob } = require('../schemas');
+const JobQueue = require('../services/jobQueue');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('queues a new job when none is pending', async () => {
+      jest.spyOn(ProcessingJob, 'findOne').mockResolvedValue(null);
+      jest.spyOn(ProcessingJob, 'findOneAndUpdate').mockResolvedValue(null);
+      const save = jest.spyOn(ProcessingJob.prototype, 'save').mockResolvedValue();
+
+      const job = await queue.enqueue('task', { id: '1' }, { dedupeKey: 'task:1' });
+
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(job).toMatchObject({ type: 'task', status: 'queued', dedupeKey: 'task:1', payload: { id: '1' } });
+    });
+
+    it('merges the request into a queued job', async () => {
+      const queued = { _id: 'queued-job' };
+      const findOneAndUpdate = jest.spyOn(ProcessingJob, 'findOneAndUpdate').mockResolvedValue(queued);
+      const save = jest.spyOn(ProcessingJob.prototype, 'save');
+
+      expect(await queue.enqueue('task', {}, { dedupeKey: 'task:1', mergePayload: { reprocess: true } })).toBe(queued);
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { dedupeKey: 'task:1', status: 'queued' },
+        { $set: { 'payload.reprocess': true } },
+        { new: true }
+      );
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('flags a running job to run again instead of merging into it', async () => {
+      const running = { _id: 'running-job' };
+      const findOneAndUpdate = jest.spyOn(ProcessingJob, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(running);
+
+      expect(await queue.enqueue('task', {}, { dedupeKey: 'task:1', mergePayload: { reprocess: true } })).toBe(running);
+      expect(findOneAndUpdate).toHaveBeenLastCalledWith(
+        { dedupeKey: 'task:1', status: 'running' },
+        { $set: { 'payload.reprocess': true, rerun: true } },
+        { new: true }
+      );
+    });
+
+    it('returns the job a concurrent enqueue queued first', async () => {
+      const queued = { _id: 'other-job' };
+      jest.spyOn(ProcessingJob, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(queued);
+      jest.spyOn(ProcessingJob, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(ProcessingJob.prototype, 'save').mockRejectedValue(duplicateKey());
+
+      expect(await queue.enqueue('task', {}, { dedupeKey: 'task:1' })).toBe(queued);
+    });
+
+    it('does not swallow duplicate key errors of jobs without a dedupe key', async () => {
+      jest.spyOn(ProcessingJob.prototype, 'save').mockRejectedValue(duplicateKey());
+      await expect(queue.enqueue('task', {})).rejects.toThrow('E11000');
+    });
+  });
+
+  describe('run', () => {
+    const job = { _id: 'job-1', type: 'task', attempts: 1, maxAttempts: 3, payload: {} };
+
+    it('records the result of a job that was not requested again', async () => {
+      queue.registerHandler('task', async () => ({ done: true }));
+      const updateOne = jest.spyOn(ProcessingJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+      await queue.run(job);
+
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne.mock.calls[0][0]).toEqual({ _id: 'job-1', rerun: { $ne: true } });
+      expect(updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'completed', result: { done: true } });
+    });
+
+    it('queues a job again when it was requested while running', async () => {
+      queue.registerHandler('task', async () => ({ done: true }));
+      const updateOne = jest.spyOn(ProcessingJob, 'updateOne')
+        .mockResolvedValueOnce({ matchedCount: 0 })
+        .mockResolvedValueOnce({ matchedCount: 1 });
+
+      await queue.run(job);
+
+      expect(updateOne).toHaveBeenLastCalledWith({ _id: 'job-1', rerun: true }, expect.objectContaining({
+        $set: expect.objectContaining({ status: 'queued', rerun: false, attempts: 0 })
+      }));
+    });
+
+    it('tells the failure hook a retry is coming when the job runs again', async () => {
+      const onFailure = jest.fn();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      queue.registerHandler('task', async () => {
+        throw new Error('provider down');
+      }, { onFailure });
+      jest.spyOn(ProcessingJob, 'updateOne')
+        .mockResolvedValueOnce({ matchedCount: 0 })
+        .mockResolvedValueOnce({ matchedCount: 1 });
+
+      await queue.run({ ...job, attempts: 3 });
+
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job-1' }), expect.any(Error), true);
+    });
+  });
+
+  describe('retry', () => {
+    it('returns the pending job of the same key instead of queueing twice', async () => {
+      const queued = { _id: 'queued-job' };
+      jest.spyOn(ProcessingJob, 'findOne')
+        .mockResolvedValueOnce({ _id: 'dead-job', dedupeKey: 'task:1' })
+        .mockResolvedValueOnce(queued);
+      const findOneAndUpdate = jest.spyOn(ProcessingJob, 'findOneAndUpdate');
+
+      expect(await queue.retry('dead-job')).toBe(queued);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('queues a dead-letter job again', async () => {
+      const requeued = { _id: 'dead-job', status: 'queued' };
+      jest.spyOn(ProcessingJob, 'findOne').mockResolvedValueOnce({ _id: 'dead-job' });
+      jest.spyOn(ProcessingJob, 'findOneAndUpdate').mockResolvedValue(requeued);
+
+      expect(await queue.retry('dead-job')).toBe(requeued);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { User } = require('../schemas');
+const mail = require('../services/mail');
+const PasswordResetService = require('../services/passwordResetService');
+const SessionService = require('../services/sessionService');
+const authRoutes = require('../routes/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+// Keeps sent messages, to read the reset link the way the user would
+const sent = [];
+class TestTransport extends mail.MailTransport {
+  constructor() {
+    super('test');
+  }
+
+  async send(message) {
+    sent.push(message);
+    return { messageId: String(sent.length) };
+  }
+}
+mail.registerTransport('test', () => new TestTransport());
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const storedUser = (fields = {}) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Asha',
+  email: 'asha@example.com',
+  role: 'exporter',
+  status: 'active',
+  ...fields
+});
+
+describe('PasswordResetService', () => {
+  const service = new PasswordResetService();
+
+  beforeEach(() => {
+    sent.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestReset', () => {
+    it('emails a token and stores only its hash, with an expiry', async () => {
+      const user = storedUser();
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+      jest.spyOn(User.prototype, 'save').mockResolvedValue();
+
+      expect(await service.requestReset(' Asha@Example.com ')).toBe(true);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'asha@example.com' });
+
+      const token = sent[0].text.match(/token=([a-f0-9]+)/)[1];
+      expect(user.passwordResetToken).toBe(service.hashToken(token));
+      expect(user.passwordResetToken).not.toBe(token);
+      expect(user.passwordResetExpires.getTime() - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+    });
+
+    it.each([
+      ['unknown', null],
+      ['inactive', storedUser({ status: 'inactive' })]
+    ])('sends nothing for %s accounts', async (label, user) => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+      expect(await service.requestReset('asha@example.com')).toBe(false);
+      expect(sent).toEqual([]);
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('finds an unexpired token by its hash and clears it in the same update', async () => {
+      const user = storedUser();
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+      expect(await service.consumeToken('raw-token')).toBe(user);
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter.passwordResetToken).toBe(service.hashToken('raw-token'));
+      expect(filter.passwordResetExpires.$gt).toBeInstanceOf(Date);
+      expect(update).toEqual({ $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+    });
+
+    it.each([undefined, '', { $ne: null }])('refuses a token of %j without looking it up', async (token) => {
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate');
+      expect(await service.consumeToken(token)).toBeNull();
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('accepts a token once and signs out every session', async () => {
+      const user = storedUser();
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+      const save = jest.spyOn(User.prototype, 'save').mockResolvedValue();
+      const revoke = jest.spyOn(SessionService.prototype, 'revokeAllForUser').mockResolvedValue(2);
+
+      const first = await request(app).post('/api/auth/reset-password').send({ token: 'raw-token', newPassword: 'new-password-1' });
+      expect(first.status).toBe(200);
+      expect(await bcrypt.compare('new-password-1', user.password)).toBe(true);
+      expect(revoke).toHaveBeenCalledWith(user.id, 'password_changed');
+
+      const second = await request(app).post('/api/auth/reset-password').send({ token: 'raw-token', newPassword: 'new-password-2' });
+      expect(second.status).toBe(400);
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(revoke).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    it('signs out every other session and keeps the current one', async () => {
+      const user = storedUser({ password: bcrypt.hashSync('old-password', 4) });
+      jest.spyOn(SessionService.prototype, 'verifyToken').mockResolvedValue({ valid: true });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(User.prototype, 'save').mockResolvedValue();
+      const revoke = jest.spyOn(SessionService.prototype, 'revokeAllForUser').mockResolvedValue(1);
+      const token = jwt.sign({ user: { id: user.id, role: 'exporter' }, sid: 'session-1' }, process.env.JWT_SECRET);
+
+      const res = await request(app)
+        .post('/api/auth/change-password')
+        .set('x-auth-token', token)
+        .send({ currentPassword: 'old-password', newPassword: 'new-password-1' });
+
+      expect(res.status).toBe(200);
+      expect(revoke).toHaveBeenCalledWith(user.id, 'password_changed', { exceptSessionId: 'session-1', revokedBy: user.id });
+    });
+  });
+});
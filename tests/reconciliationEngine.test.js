@@ -0,0 +1,154 @@
+const ReconciliationEngine = require('../services/reconciliationEngine');
+
+const engine = new ReconciliationEngine();
+const tolerances = engine.getTolerances();
+
+describe('ReconciliationEngine', () => {
+  describe('normalizeAmount', () => {
+    it.each([
+      ['1,200.00', 1200],
+      ['USD 1200', 1200],
+      ['1.200,50', 1200.5],
+      ['12,50', 12.5],
+      [75000, 75000],
+      ['n/a', null],
+      [null, null]
+    ])('reads %j as %j', (value, expected) => {
+      expect(engine.normalizeAmount(value)).toBe(expected);
+    });
+  });
+
+  describe('normalizeDate', () => {
+    const day = '2024-01-15T00:00:00.000Z';
+
+    it.each(['2024-01-15', '15/01/2024', '15-01-24', '15.01.2024', '15-Jan-2024', '15 January 2024'])('reads %s', value => {
+      expect(engine.normalizeDate(value).toISOString()).toBe(day);
+    });
+
+    it('rejects dates that do not exist', () => {
+      expect(engine.normalizeDate('31/02/2024')).toBeNull();
+      expect(engine.normalizeDate('someday')).toBeNull();
+    });
+  });
+
+  it('normalizes currency symbols and codes', () => {
+    expect(engine.normalizeCurrency('₹')).toBe('INR');
+    expect(engine.normalizeCurrency('Rs.')).toBe('INR');
+    expect(engine.normalizeCurrency('US$')).toBe('USD');
+    expect(engine.normalizeCurrency('eur')).toBe('EUR');
+    expect(engine.normalizeCurrency('')).toBeNull();
+  });
+
+  it('compares party names without legal suffixes, punctuation or word order', () => {
+    expect(engine.normalizePartyName('M/s. Mock Exports Pvt. Ltd.')).toBe('export mock');
+    expect(engine.partyNameSimilarity('M/s. Mock Exports Pvt. Ltd.', 'MOCK EXPORTS PRIVATE LIMITED')).toBe(1);
+    expect(engine.partyNameSimilarity('Mock Exports', 'Other Traders')).toBe(0);
+  });
+
+  describe('compareHsCodes', () => {
+    it('counts whole levels only', () => {
+      expect(engine.compareHsCodes('8517.62.90', '85176290')).toEqual({ digits: 8, score: 1, compared: 8 });
+      expect(engine.compareHsCodes('85176290', '85176990')).toEqual({ digits: 4, score: 0.5, compared: 8 });
+    });
+
+    it('compares at the shorter precision', () => {
+      expect(engine.compareHsCodes('851762', '85176290')).toEqual({ digits: 6, score: 1, compared: 6 });
+    });
+
+    it('needs at least a chapter on both sides', () => {
+      expect(engine.compareHsCodes('8', '85176290')).toBeNull();
+    });
+  });
+
+  it('judges numeric differences against the tolerance', () => {
+    expect(engine.compareNumbers(100, 100, 1).status).toBe('match');
+    expect(engine.compareNumbers(100, 100.8, 1)).toEqual({ status: 'within_tolerance', difference: 0.8, variancePercent: 0.8 });
+    expect(engine.compareNumbers(100, 95, 1)).toEqual({ status: 'mismatch', difference: -5, variancePercent: -5 });
+  });
+
+  it('takes tolerance overrides and ignores invalid ones', () => {
+    const custom = engine.getTolerances({ amountPercent: '2', dateDays: -1 });
+    expect(custom.amountPercent).toBe(2);
+    expect(custom.dateDays).toBe(0);
+  });
+
+  it('pairs lines by best score, each line once', () => {
+    const lines = [
+      { description: 'Cotton shirts', hsCode: '62052000', quantity: 100, unitValue: 5 },
+      { description: 'Leather belts', hsCode: '42033000', quantity: 50, unitValue: 3 }
+    ];
+    const boeLines = [
+      { description: 'Leather belt', hsCode: '42033000', quantity: 50, unitValue: 3 },
+      { description: 'Shirts of cotton', hsCode: '62052000', quantity: 100, unitValue: 5 },
+      { description: 'Wooden toys', hsCode: '95030030', quantity: 10, unitValue: 40 }
+    ];
+    expect(engine.pairLines(lines, boeLines, tolerances).map(pair => [pair.invoiceIndex, pair.boeIndex])).toEqual([[0, 1], [1, 0]]);
+  });
+
+  describe('reconcile', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const invoice = {
+      invoiceNumber: 'INV-2024/001',
+      invoiceDate: '2024-01-15',
+      supplier: { name: 'Shenzhen Parts Co. Ltd.' },
+      buyer: { name: 'Mock Imports Pvt Ltd' },
+      currency: 'USD',
+      total: '1,000.00',
+      items: [
+        { description: 'Mobile phone chargers', hsCode: '85044030', quantity: 100, unitPrice: 10 }
+      ]
+    };
+    const boe = {
+      boeDate: '20/01/2024',
+      invoiceDetails: { invoiceNumber: 'INV 2024 001', invoiceDate: '15/01/2024', invoiceValue: 1000, currency: 'USD', exchangeRate: 83 },
+      supplierDetails: { name: 'SHENZHEN PARTS COMPANY LIMITED' },
+      importerDetails: { name: 'Mock Imports Private Limited' },
+      currency: 'INR',
+      items: [
+        { description: 'Chargers for mobile phones', hsCode: '85044030', quantity: 100, unitValue: 830, totalValue: 83000 },
+        { description: 'USB cables', hsCode: '85444299', quantity: 20, unitValue: 50 }
+      ]
+    };
+
+    it('converts invoice lines at the BOE rate and reports unpaired lines', async () => {
+      const result = await engine.reconcile(invoice, boe);
+
+      expect(result.summary).toMatchObject({ exchangeRate: 83, exchangeRateSource: 'boe', comparisonCurrency: 'INR', linesMatched: 1 });
+      expect(result.results.map(field => field.status)).toEqual(['within_tolerance', 'match', 'match', 'match', 'match', 'match']);
+      expect(result.lineItems[0].status).toBe('match');
+      expect(result.lineItems[0].variances.find(v => v.field === 'Line Value').status).toBe('match');
+      expect(result.lineItems[1]).toMatchObject({ boeLine: 2, status: 'missing_in_invoice' });
+      // 6 header fields and 2 lines, one of them unpaired
+      expect(result.matchPercentage).toBe(88);
+      expect(result.overallStatus).toBe('warning');
+    });
+
+    it('uses the customs rate in force on the BOE date without a BOE rate', async () => {
+      const getRate = jest.spyOn(engine.exchangeRateService, 'getRate').mockResolvedValue({ rate: 83 });
+      const withoutRate = { ...boe, invoiceDetails: { ...boe.invoiceDetails, exchangeRate: undefined } };
+
+      const result = await engine.reconcile(invoice, withoutRate);
+
+      expect(getRate).toHaveBeenCalledWith('USD', 'INR', { date: new Date('2024-01-20T00:00:00Z'), rateType: 'customs_import' });
+      expect(result.summary.exchangeRateSource).toBe('exchange_rate_table');
+      expect(result.lineItems[0].variances.find(v => v.field === 'Unit Value').status).toBe('match');
+    });
+
+    it('leaves line values uncompared without any rate', async () => {
+      const getRate = jest.spyOn(engine.exchangeRateService, 'getRate').mockResolvedValue(null);
+      const withoutRate = { ...boe, invoiceDetails: { ...boe.invoiceDetails, exchangeRate: undefined } };
+
+      const result = await engine.reconcile(invoice, withoutRate);
+
+      expect(result.summary.exchangeRate).toBeNull();
+      expect(result.summary.warnings).toEqual(['No exchange rate from USD to INR; line values were not compared']);
+      expect(result.lineItems[0].variances.find(v => v.field === 'Line Value').status).toBe('missing');
+    });
+
+    it('flags amounts beyond tolerance', async () => {
+      const result = await engine.reconcile({ ...invoice, total: 1100 }, boe);
+      expect(result.results.find(field => field.field === 'Invoice Value')).toMatchObject({ status: 'mismatch', difference: -100 });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Session, SystemSettings, User, UserSettings } = require('../schemas');
+const SessionService = require('../services/sessionService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const query = result => ({
+  select: () => query(result),
+  populate: () => query(result),
+  lean: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+describe('SessionService', () => {
+  const service = new SessionService();
+  const userId = new mongoose.Types.ObjectId();
+  const user = { _id: userId, id: String(userId), role: 'importer', status: 'active' };
+  let session;
+
+  beforeEach(() => {
+    session = Session.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      refreshTokenHash: service.hashToken('refresh-1'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(UserSettings, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(SystemSettings, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refresh', () => {
+    it('rotates the refresh token and keeps the old one to detect reuse', async () => {
+      jest.spyOn(Session, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(session);
+      const rotate = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        session.set(update.$set);
+        return session;
+      });
+
+      const result = await service.refresh('refresh-1');
+
+      expect(result.refreshToken).not.toBe('refresh-1');
+      expect(rotate.mock.calls[0][0]).toEqual({ _id: session._id, refreshTokenHash: service.hashToken('refresh-1') });
+      expect(session.refreshTokenHash).toBe(service.hashToken(result.refreshToken));
+      expect(session.previousRefreshTokenHash).toBe(service.hashToken('refresh-1'));
+      expect(jwt.verify(result.token, process.env.JWT_SECRET)).toMatchObject({
+        user: { id: String(userId), role: 'importer' },
+        sid: String(session._id)
+      });
+    });
+
+    it('revokes the session when a rotated token is presented again', async () => {
+      jest.spyOn(Session, 'findOne').mockResolvedValueOnce(session);
+      const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const rotate = jest.spyOn(Session, 'findOneAndUpdate');
+
+      expect(await service.refresh('refresh-0')).toBeNull();
+      expect(Session.findOne).toHaveBeenCalledWith({ previousRefreshTokenHash: service.hashToken('refresh-0'), revokedAt: null });
+      expect(revoke).toHaveBeenCalledWith(
+        { _id: session._id, revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'refresh_token_reuse' }) }
+      );
+      expect(rotate).not.toHaveBeenCalled();
+    });
+
+    it('issues nothing when a concurrent refresh rotated the token first', async () => {
+      jest.spyOn(Session, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(session);
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await service.refresh('refresh-1')).toBeNull();
+    });
+
+    it('revokes the session of a deactivated account', async () => {
+      jest.spyOn(Session, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(session);
+      User.findById.mockReturnValue(query({ ...user, status: 'inactive' }));
+      const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await service.refresh('refresh-1')).toBeNull();
+      expect(revoke.mock.calls[0][1].$set.revokedReason).toBe('deactivated');
+    });
+
+    it.each([undefined, 42, { $ne: null }])('refuses a token of %j', async (token) => {
+      const findOne = jest.spyOn(Session, 'findOne');
+      expect(await service.refresh(token)).toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyToken', () => {
+    const decoded = () => ({ user: { id: String(userId) }, sid: String(session._id) });
+    const stored = (fields = {}) => ({
+      ...session.toObject(),
+      lastUsedAt: new Date(),
+      user: { _id: userId, status: 'active' },
+      ...fields
+    });
+
+    it('accepts a token of an active session', async () => {
+      jest.spyOn(Session, 'findById').mockReturnValue(query(stored()));
+      expect(await service.verifyToken(decoded())).toEqual({ valid: true });
+    });
+
+    it.each([
+      ['revoked', { revokedAt: new Date() }, 'Session has expired or been revoked'],
+      ['expired', { expiresAt: new Date(Date.now() - 1000) }, 'Session has expired or been revoked'],
+      ['of a deactivated account', { user: { _id: userId, status: 'inactive' } }, 'Account is not active'],
+      ['of another account', { user: { _id: new mongoose.Types.ObjectId(), status: 'active' } }, 'Account is not active']
+    ])('refuses a session that is %s', async (label, fields, reason) => {
+      jest.spyOn(Session, 'findById').mockReturnValue(query(stored(fields)));
+      expect(await service.verifyToken(decoded())).toEqual({ valid: false, reason });
+    });
+
+    it('refuses tokens without a session', async () => {
+      expect(await service.verifyToken({ user: { id: String(userId) } }))
+        .toEqual({ valid: false, reason: 'Session required, please log in again' });
+    });
+  });
+
+  it('revokes every session of a user except the current one', async () => {
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await service.revokeAllForUser(userId, 'password_changed', { exceptSessionId: session._id })).toBe(2);
+    expect(updateMany).toHaveBeenCalledWith(
+      { user: userId, revokedAt: null, _id: { $ne: session._id } },
+      { $set: expect.objectContaining({ revokedReason: 'password_changed' }) }
+    );
+  });
+});
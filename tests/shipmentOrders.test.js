@@ -0,0 +1,105 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ShipmentOrder = require('../schemas/ShipmentOrder');
+const DocumentReview = require('../schemas/DocumentReview');
+const SessionService = require('../services/sessionService');
+const ComplianceRuleEngine = require('../services/complianceRuleEngine');
+const OrderConsistencyService = require('../services/orderConsistencyService');
+const shipmentOrderRoutes = require('../routes/shipment-orders');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const exporterId = new mongoose.Types.ObjectId().toString();
+const caId = new mongoose.Types.ObjectId().toString();
+
+const app = express();
+app.use(express.json());
+app.use('/api/shipment-orders', shipmentOrderRoutes);
+
+const tokenFor = (id, role) => jwt.sign({ user: { id, role }, sid: 'session-1' }, process.env.JWT_SECRET);
+
+const storedOrder = (fields) => ShipmentOrder.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  __v: 0,
+  orderNumber: 'SO-1',
+  exporter: exporterId,
+  compliance: {},
+  consistencyCheck: {},
+  documents: { commercialInvoice: new mongoose.Types.ObjectId() },
+  auditTrail: [],
+  ...fields
+});
+
+// The other request saved the order first
+const versionConflict = (order) => new mongoose.Error.VersionError(order, 0, ['status']);
+
+describe('shipment order routes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SessionService.prototype, 'verifyToken').mockResolvedValue({ valid: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('concurrent submissions', () => {
+    it('returns 409 and queues no review when another submission saved first', async () => {
+      const order = storedOrder({ status: 'draft' });
+      jest.spyOn(ShipmentOrder, 'findById').mockResolvedValue(order);
+      jest.spyOn(OrderConsistencyService.prototype, 'check').mockResolvedValue({ summary: { errors: 0 } });
+      jest.spyOn(ComplianceRuleEngine.prototype, 'getOrderBlockingIssues').mockResolvedValue([]);
+      jest.spyOn(ShipmentOrder.prototype, 'save').mockRejectedValue(versionConflict(order));
+      const saveReview = jest.spyOn(DocumentReview.prototype, 'save').mockResolvedValue();
+
+      const res = await request(app)
+        .post(`/api/shipment-orders/${order._id}/submit`)
+        .set('x-auth-token', tokenFor(exporterId, 'exporter'))
+        .send({});
+
+      expect(res.status).toBe(409);
+      expect(saveReview).not.toHaveBeenCalled();
+    });
+
+    it('queues the review once the order is saved', async () => {
+      const order = storedOrder({ status: 'draft' });
+      jest.spyOn(ShipmentOrder, 'findById').mockResolvedValue(order);
+      jest.spyOn(OrderConsistencyService.prototype, 'check').mockResolvedValue({ summary: { errors: 0 } });
+      jest.spyOn(ComplianceRuleEngine.prototype, 'getOrderBlockingIssues').mockResolvedValue([]);
+      jest.spyOn(ShipmentOrder.prototype, 'save').mockResolvedValue();
+      const saveReview = jest.spyOn(DocumentReview.prototype, 'save').mockResolvedValue();
+
+      const res = await request(app)
+        .post(`/api/shipment-orders/${order._id}/submit`)
+        .set('x-auth-token', tokenFor(exporterId, 'exporter'))
+        .send({});
+
+      expect(res.status).toBe(200);
+      expect(saveReview).toHaveBeenCalledTimes(1);
+      expect(order.status).toBe('submitted');
+      expect(String(order.compliance.review)).toBe(String(saveReview.mock.contexts[0]._id));
+    });
+  });
+
+  describe('concurrent review starts', () => {
+    it('returns 409 and leaves the review to the CA who started first', async () => {
+      const order = storedOrder({ status: 'submitted' });
+      const review = DocumentReview.hydrate({ _id: new mongoose.Types.ObjectId(), status: 'pending' });
+      order.compliance.review = review._id;
+      jest.spyOn(ShipmentOrder, 'findById').mockResolvedValue(order);
+      jest.spyOn(DocumentReview, 'findById').mockResolvedValue(review);
+      jest.spyOn(ShipmentOrder.prototype, 'save').mockRejectedValue(versionConflict(order));
+      const saveReview = jest.spyOn(DocumentReview.prototype, 'save').mockResolvedValue();
+
+      const res = await request(app)
+        .post(`/api/shipment-orders/${order._id}/review/start`)
+        .set('x-auth-token', tokenFor(caId, 'ca'));
+
+      expect(res.status).toBe(409);
+      expect(saveReview).not.toHaveBeenCalled();
+      expect(review.status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const NotificationService = require('../services/notificationService');
+const { StateMachine, getMachine, registerMachine } = require('../services/stateMachines');
+
+const importer = { id: 'importer-1', role: 'importer' };
+const forwarder = { id: 'forwarder-1', role: 'forwarder' };
+const exporter = { id: 'exporter-1', role: 'exporter' };
+
+const importShipment = (status, fields = {}) => ({
+  _id: 'shipment-1',
+  shipmentNumber: 'IMP-1',
+  importer: 'importer-1',
+  status,
+  auditTrail: [],
+  ...fields
+});
+
+describe('state machines', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('StateMachine', () => {
+    it('refuses definitions with unknown states', () => {
+      expect(() => new StateMachine({ name: 'broken', states: ['a'], transitions: { a: { b: {} } } }))
+        .toThrow('State machine broken: unknown state b');
+    });
+
+    it('reads and writes nested status fields', () => {
+      const machine = getMachine('importCostPayment');
+      const cost = { payment: { status: machine.states[0] } };
+      machine.setState(cost, machine.states[1]);
+      expect(machine.getState(cost)).toBe(machine.states[1]);
+    });
+
+    it('explains why a transition is refused', () => {
+      const machine = getMachine('shipmentOrder');
+      expect(machine.canTransition('draft', 'shipped', exporter)).toMatchObject({ allowed: false, statusCode: 400 });
+      expect(machine.canTransition('draft', 'approved', exporter).message)
+        .toBe('Cannot move order from draft to approved. Allowed: submitted');
+      expect(machine.canTransition('completed', 'draft', exporter).message)
+        .toBe('Cannot move order from completed to draft: completed is a final status');
+      expect(machine.canTransition('submitted', 'approved', exporter)).toMatchObject({
+        allowed: false,
+        statusCode: 403,
+        message: 'Role exporter cannot move order from submitted to approved'
+      });
+    });
+
+    it('lets the system skip role guards', () => {
+      expect(getMachine('shipmentOrder').canTransition('submitted', 'approved')).toEqual({
+        allowed: true,
+        allowedTransitions: ['under_review', 'approved', 'rejected', 'changes_requested']
+      });
+    });
+
+    it('lists the transitions a user may take', () => {
+      const machine = getMachine('shipmentOrder');
+      expect(machine.getAllowedTransitions('submitted', exporter)).toEqual([]);
+      expect(machine.getAllowedTransitions('draft', exporter)).toEqual(['submitted']);
+    });
+
+    it('applies the change, its field updates and the audit entry', () => {
+      const order = { _id: 'order-1', status: 'submitted', compliance: {}, auditTrail: [] };
+      const result = getMachine('shipmentOrder').transition(order, 'approved', { user: { id: 'ca-1', role: 'ca' } });
+
+      expect(result).toMatchObject({ success: true, changed: true, from: 'submitted', to: 'approved' });
+      expect(order).toMatchObject({ status: 'approved', complianceStatus: 'approved', compliance: { status: 'approved' } });
+      expect(order.auditTrail).toEqual([{
+        action: 'Status changed to approved',
+        performedBy: 'ca-1',
+        details: undefined,
+        previousStatus: 'submitted',
+        newStatus: 'approved'
+      }]);
+    });
+
+    it('treats a move to the current state as a no-op', () => {
+      const order = { status: 'draft', auditTrail: [] };
+      expect(getMachine('shipmentOrder').transition(order, 'draft', { user: exporter }))
+        .toMatchObject({ success: true, changed: false });
+      expect(order.auditTrail).toEqual([]);
+    });
+
+    it('leaves the record alone when the change is refused', () => {
+      const order = { status: 'draft', auditTrail: [] };
+      expect(getMachine('shipmentOrder').transition(order, 'approved', { user: exporter }))
+        .toMatchObject({ success: false, changed: false, statusCode: 400 });
+      expect(order).toEqual({ status: 'draft', auditTrail: [] });
+    });
+
+    it('writes the audit entry of a subdocument to its owner', () => {
+      const assignment = { auditTrail: [] };
+      const stage = { status: 'assigned' };
+      getMachine('forwarderStage').transition(stage, 'in_progress', { user: forwarder, owner: assignment });
+
+      expect(stage.startedAt).toBeInstanceOf(Date);
+      expect(assignment.auditTrail).toHaveLength(1);
+    });
+
+    it('sends the notifications after the change and never throws', async () => {
+      const machine = registerMachine({
+        name: 'testNotify',
+        states: ['open', 'closed'],
+        transitions: { open: { closed: {} }, closed: {} },
+        notify: (record) => [{ title: 'first', user: record.owner }, { title: 'second', user: record.owner }]
+      });
+      const record = { status: 'open', owner: 'user-1', auditTrail: [] };
+      const create = jest.spyOn(NotificationService.prototype, 'createNotification')
+        .mockResolvedValueOnce({ title: 'first' })
+        .mockRejectedValueOnce(new Error('down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = machine.transition(record, 'closed');
+      expect(await machine.runSideEffects(record, result)).toEqual([{ title: 'first' }]);
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(await machine.runSideEffects(record, { changed: false })).toEqual([]);
+    });
+
+    it('refuses unknown machines', () => {
+      expect(() => getMachine('missing')).toThrow('Unknown state machine: missing');
+    });
+  });
+
+  describe('importShipment', () => {
+    const machine = getMachine('importShipment');
+
+    it('leaves approval to the forwarder', () => {
+      expect(machine.canTransition('pending_approval', 'in_progress', importer).statusCode).toBe(403);
+
+      const shipment = importShipment('pending_approval');
+      machine.transition(shipment, 'in_progress', { user: forwarder });
+      expect(shipment).toMatchObject({ approvalStatus: 'approved', approvedBy: 'forwarder-1', forwarderAdmin: 'forwarder-1' });
+    });
+
+    it.each(['customs_clearance', 'released', 'delivered'])('lets only the forwarder record %s', (to) => {
+      const from = { customs_clearance: 'at_port', released: 'customs_clearance', delivered: 'released' }[to];
+      expect(machine.canTransition(from, to, importer).statusCode).toBe(403);
+      expect(machine.canTransition(from, to, forwarder).allowed).toBe(true);
+    });
+
+    it('resumes an exception only to the status it interrupted', () => {
+      const shipment = importShipment('at_port');
+      machine.transition(shipment, 'exception', { user: importer });
+      expect(shipment.statusBeforeException).toBe('at_port');
+
+      expect(machine.getAllowedTransitions('exception', importer, shipment)).toEqual(['at_port']);
+      expect(machine.canTransition('exception', 'in_transit', importer, shipment).message)
+        .toBe('Cannot move import shipment from exception to in_transit: the shipment can only resume to at_port');
+      expect(machine.transition(shipment, 'at_port', { user: importer })).toMatchObject({ success: true, changed: true });
+    });
+
+    it('keeps customs statuses with the forwarder when resuming', () => {
+      const shipment = importShipment('exception', { statusBeforeException: 'customs_clearance' });
+      expect(machine.canTransition('exception', 'customs_clearance', importer, shipment).statusCode).toBe(403);
+      expect(machine.getAllowedTransitions('exception', forwarder, shipment)).toEqual(['customs_clearance']);
+    });
+
+    it('finds the interrupted status of older exceptions in the audit trail', () => {
+      const shipment = importShipment('exception', {
+        auditTrail: [{ previousStatus: 'in_progress', newStatus: 'in_transit' }, { previousStatus: 'in_transit', newStatus: 'exception' }]
+      });
+      expect(machine.getAllowedTransitions('exception', forwarder, shipment)).toEqual(['in_transit']);
+      expect(machine.getAllowedTransitions('exception', forwarder, importShipment('exception'))).toEqual(['in_progress']);
+    });
+
+    it('tells the importer about movements recorded by someone else', () => {
+      const shipment = importShipment('in_transit');
+      const byForwarder = machine.transition(shipment, 'at_port', { user: forwarder });
+      expect(machine.notify(shipment, byForwarder.change)).toMatchObject({
+        user: 'importer-1',
+        message: 'Your import shipment IMP-1 has arrived at the port.'
+      });
+
+      const byImporter = machine.transition(shipment, 'exception', { user: importer });
+      expect(machine.notify(shipment, byImporter.change)).toBeNull();
+    });
+  });
+});